@@ -37,12 +37,180 @@ module.exports = {
       apiKey: process.env.GOOGLE_SEARCH_API_KEY,
       engineId: process.env.GOOGLE_SEARCH_ENGINE_ID,
       maxResults: 10,
-    }
+    },
+    wikipedia: {
+      apiUrl: process.env.WIKIPEDIA_API_URL || 'https://{lang}.wikipedia.org/w/api.php',
+      defaultLanguage: 'zh',
+      // 同时查询的第二个语言版本（如 en），留空则只查询一个版本
+      secondaryLanguage: process.env.WIKIPEDIA_SECONDARY_LANGUAGE || null,
+      // 获取完整条目（章节、信息框、参考文献）而不仅是导言
+      fullArticle: process.env.WIKIPEDIA_FULL_ARTICLE === 'true',
+    },
+    bing: {
+      apiKey: process.env.BING_SEARCH_API_KEY,
+      endpoint: process.env.BING_SEARCH_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search',
+      maxResults: 50,
+    },
+    searxng: {
+      baseUrl: process.env.SEARXNG_BASE_URL,
+      engines: process.env.SEARXNG_ENGINES ? process.env.SEARXNG_ENGINES.split(',').map(s => s.trim()) : [],
+      categories: process.env.SEARXNG_CATEGORIES ? process.env.SEARXNG_CATEGORIES.split(',').map(s => s.trim()) : ['general'],
+      maxPages: 5,
+    },
+    arxiv: {
+      baseUrl: process.env.ARXIV_API_URL || 'http://export.arxiv.org/api/query',
+    },
+    news: {
+      // 订阅的RSS/Atom源，逗号分隔
+      feeds: process.env.NEWS_FEEDS ? process.env.NEWS_FEEDS.split(',').map(s => s.trim()).filter(Boolean) : [],
+      // 通用新闻搜索RSS地址，{query}/{lang}/{region} 为占位符，留空则只使用订阅源
+      searchUrl: process.env.NEWS_SEARCH_URL !== undefined
+        ? process.env.NEWS_SEARCH_URL
+        : 'https://news.google.com/rss/search?q={query}&hl={lang}&gl={region}&ceid={region}:{lang}',
+    },
+    local: {
+      // 本地文档目录（Markdown/TXT/HTML/PDF/DOCX/PPTX），留空则不启用
+      corpusDir: process.env.LOCAL_CORPUS_DIR,
+      indexPath: process.env.LOCAL_INDEX_PATH || 'data/local-index.json',
+      refreshInterval: parseInt(process.env.LOCAL_INDEX_REFRESH_MS) || 5 * 60 * 1000, // 5分钟
+    },
+    semanticScholar: {
+      apiKey: process.env.SEMANTIC_SCHOLAR_API_KEY,
+      baseUrl: process.env.SEMANTIC_SCHOLAR_API_URL || 'https://api.semanticscholar.org/graph/v1',
+    },
+    // 未指定sources时使用的数据源，为空则使用各数据源的enabledByDefault
+    defaultSources: process.env.SEARCH_DEFAULT_SOURCES ? process.env.SEARCH_DEFAULT_SOURCES.split(',').map(s => s.trim()) : [],
+    // 页面正文抓取
+    content: {
+      // 正文最大字符数，可按请求通过contentMaxLength覆盖，0为不截断
+      maxLength: process.env.CONTENT_MAX_LENGTH !== undefined ? parseInt(process.env.CONTENT_MAX_LENGTH) : 3000,
+    },
+    // 多源结果的倒数排名融合（RRF）
+    fusion: {
+      // RRF平滑常数，越大则排名靠后的结果与靠前结果的差距越小
+      k: parseInt(process.env.SEARCH_RRF_K) || 60,
+      // 各数据源的融合权重，如 wikipedia:1.2,google:1.0，未配置时使用数据源的defaultWeight
+      weights: process.env.SEARCH_PROVIDER_WEIGHTS
+        ? Object.fromEntries(process.env.SEARCH_PROVIDER_WEIGHTS.split(',')
+          .map(pair => pair.split(':').map(s => s.trim()))
+          .filter(([name, weight]) => name && !isNaN(parseFloat(weight)))
+          .map(([name, weight]) => [name, parseFloat(weight)]))
+        : {},
+      // BM25文本相关性排名作为一个额外的排名列表参与融合，0表示不参与
+      relevanceWeight: process.env.SEARCH_RELEVANCE_WEIGHT !== undefined ? parseFloat(process.env.SEARCH_RELEVANCE_WEIGHT) : 1.0,
+    },
+    // 排序后按最大边际相关性（MMR）选取结果，使结果分散到不同域名和观点
+    diversity: {
+      // 相关性与多样性的权衡，1为只看相关性，0为只看多样性
+      lambda: process.env.SEARCH_MMR_LAMBDA !== undefined ? parseFloat(process.env.SEARCH_MMR_LAMBDA) : 0.7,
+      // 每个域名最多选取的结果数，0为不限制
+      maxPerDomain: process.env.SEARCH_MAX_PER_DOMAIN !== undefined ? parseInt(process.env.SEARCH_MAX_PER_DOMAIN) : 2,
+    },
+    // 页面外链（引用）提取与追踪
+    citations: {
+      // 每个页面保留的相关外链数
+      maxLinksPerPage: parseInt(process.env.CITATION_MAX_LINKS_PER_PAGE) || 20,
+      // 多轮搜索汇总后返回和保存的被引页面数
+      maxCitations: parseInt(process.env.CITATION_MAX_CITATIONS) || 50,
+      // 外链与主题的最低相关性（0-1），低于此值的链接不保留
+      minRelevance: process.env.CITATION_MIN_RELEVANCE !== undefined ? parseFloat(process.env.CITATION_MIN_RELEVANCE) : 0.2,
+      // 多轮搜索默认追踪的被引页面数，0为不追踪，可按请求通过followCitations覆盖
+      follow: parseInt(process.env.CITATION_FOLLOW) || 0,
+    },
+  },
+
+  // 缓存配置，Redis不可用时使用本地文件
+  cache: {
+    backend: process.env.CACHE_BACKEND || 'redis', // redis 或 file
+    dir: process.env.CACHE_DIR || 'data/cache',
+    // 文件缓存每个命名空间的最大条目数，超出时删除最早过期的条目
+    maxFileEntries: parseInt(process.env.CACHE_MAX_FILE_ENTRIES) || 5000,
+    // 页面正文缓存
+    pages: {
+      // 新鲜期，期内直接使用缓存，0为不缓存
+      ttl: process.env.CONTENT_CACHE_TTL_MS !== undefined ? parseInt(process.env.CONTENT_CACHE_TTL_MS) : 24 * 60 * 60 * 1000, // 24小时
+      // 保留期，过了新鲜期但有ETag/Last-Modified的页面在此期间内用条件请求重新验证
+      maxAge: parseInt(process.env.CONTENT_CACHE_MAX_AGE_MS) || 7 * 24 * 60 * 60 * 1000, // 7天
+    },
+    // 数据源搜索结果缓存，相同的（数据源、查询、语言、结果数、选项）在有效期内不再调用接口
+    search: {
+      ttl: process.env.SEARCH_CACHE_TTL_MS !== undefined ? parseInt(process.env.SEARCH_CACHE_TTL_MS) : 60 * 60 * 1000, // 1小时
+      // 按数据源设置，如 google:86400000,news:300000，优先于数据源的默认值
+      ttls: process.env.SEARCH_CACHE_PROVIDER_TTLS
+        ? Object.fromEntries(process.env.SEARCH_CACHE_PROVIDER_TTLS.split(',')
+          .map(pair => pair.split(':').map(s => s.trim()))
+          .filter(([name, ttl]) => name && !isNaN(parseInt(ttl)))
+          .map(([name, ttl]) => [name, parseInt(ttl)]))
+        : {},
+    },
+  },
+
+  // 网页抓取和截图的爬虫礼貌配置
+  crawler: {
+    userAgent: process.env.CRAWLER_USER_AGENT || 'Mozilla/5.0 (compatible; AI-Information-Expert/1.0)',
+    // 在robots.txt中匹配User-agent分组时使用的爬虫名
+    robotsAgent: process.env.CRAWLER_ROBOTS_AGENT || 'AI-Information-Expert',
+    respectRobots: process.env.CRAWLER_RESPECT_ROBOTS !== 'false',
+    robotsCacheTtl: parseInt(process.env.CRAWLER_ROBOTS_CACHE_TTL_MS) || 24 * 60 * 60 * 1000, // 24小时
+    // 每个主机的最大并发数和最小请求间隔，robots.txt的Crawl-delay更大时以其为准
+    maxConcurrentPerHost: parseInt(process.env.CRAWLER_MAX_CONCURRENT_PER_HOST) || 2,
+    minDelayMs: process.env.CRAWLER_MIN_DELAY_MS !== undefined ? parseInt(process.env.CRAWLER_MIN_DELAY_MS) : 1000,
+    // 为遵守间隔最多等待的时间，超过则跳过该地址
+    maxWaitMs: parseInt(process.env.CRAWLER_MAX_WAIT_MS) || 30000,
+    // 页面无法访问时从网页存档（Wayback Machine兼容接口）获取快照
+    archive: {
+      enabled: process.env.ARCHIVE_FALLBACK !== 'false',
+      baseUrl: process.env.ARCHIVE_BASE_URL || 'https://web.archive.org',
+    },
+  },
+
+  // 来源可信度配置
+  credibility: {
+    // 域名规则文件（JSON: { scores, allow, deny }），与下面的环境变量配置合并
+    rulesPath: process.env.CREDIBILITY_RULES_PATH,
+    // 指定域名的分数，如 example.com:0.9,blog.example.org:0.3，子域名继承
+    scores: process.env.CREDIBILITY_DOMAIN_SCORES
+      ? Object.fromEntries(process.env.CREDIBILITY_DOMAIN_SCORES.split(',')
+        .map(pair => pair.split(':').map(s => s.trim().toLowerCase()))
+        .filter(([domain, score]) => domain && !isNaN(parseFloat(score)))
+        .map(([domain, score]) => [domain, parseFloat(score)]))
+      : {},
+    // 可信域名（分数至少0.9）和屏蔽域名（结果被移除）
+    allow: process.env.CREDIBILITY_ALLOW_DOMAINS ? process.env.CREDIBILITY_ALLOW_DOMAINS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [],
+    deny: process.env.CREDIBILITY_DENY_DOMAINS ? process.env.CREDIBILITY_DENY_DOMAINS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [],
+    // 可信度对排序的影响，0为不影响，1为融合分数直接乘以可信度
+    rankingWeight: process.env.CREDIBILITY_RANKING_WEIGHT !== undefined ? parseFloat(process.env.CREDIBILITY_RANKING_WEIGHT) : 0.3,
+  },
+
+  // 结果补充配置
+  enrichment: {
+    wikidata: {
+      // 为Wikipedia结果补充Wikidata结构化事实
+      enabled: process.env.WIKIDATA_ENRICHMENT !== 'false',
+      apiUrl: process.env.WIKIDATA_API_URL || 'https://www.wikidata.org/w/api.php',
+      entityBaseUrl: process.env.WIKIDATA_ENTITY_URL || 'https://www.wikidata.org/wiki/',
+      maxEntities: parseInt(process.env.WIKIDATA_MAX_ENTITIES) || 3,
+    },
   },
 
   // 安全配置
   security: {
     jwtSecret: process.env.JWT_SECRET || 'dev-secret-key',
+    // 管理接口（/api/admin）的密钥，通过 X-Admin-Key 请求头传递，未设置时管理接口不可用
+    adminApiKey: process.env.ADMIN_API_KEY,
+    // 页面抓取和截图的地址安全检查（防止SSRF）
+    urlSafety: {
+      enabled: process.env.URL_SAFETY_ENABLED !== 'false',
+      // 允许访问的端口
+      allowedPorts: (process.env.URL_SAFETY_ALLOWED_PORTS || '80,443').split(',').map(s => parseInt(s.trim())).filter(port => !isNaN(port)),
+      // 例外的主机名（含子域名），不做任何检查
+      allowHosts: process.env.URL_SAFETY_ALLOW_HOSTS ? process.env.URL_SAFETY_ALLOW_HOSTS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [],
+      // 例外的地址段，如 10.1.0.0/16，内网中允许访问的服务
+      allowCidrs: process.env.URL_SAFETY_ALLOW_CIDRS ? process.env.URL_SAFETY_ALLOW_CIDRS.split(',').map(s => s.trim()).filter(Boolean) : [],
+      maxRedirects: parseInt(process.env.URL_SAFETY_MAX_REDIRECTS) || 5,
+      // 响应的最大字节数
+      maxBodyBytes: parseInt(process.env.URL_SAFETY_MAX_BODY_BYTES) || 20 * 1024 * 1024, // 20MB
+    },
     rateLimit: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15分钟
       max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
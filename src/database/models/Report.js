@@ -108,13 +108,16 @@ const reportSchema = new mongoose.Schema({
   // 多轮搜索信息
   searchRounds: [{
     roundNumber: { type: Number, required: true },
+    // query为按查询搜索的轮次，citations为追踪引用的轮次
+    type: { type: String, enum: ['query', 'citations'], default: 'query' },
     query: { type: String, required: true },
     results: [{
       title: String,
       url: String,
       snippet: String,
       source: String,
-      relevanceScore: Number
+      relevanceScore: Number,
+      providerRanks: mongoose.Schema.Types.Mixed
     }],
     keyFindings: String,
     nextDirection: String,
@@ -122,6 +125,55 @@ const reportSchema = new mongoose.Schema({
     processingTime: Number
   }],
   
+  // Wikidata结构化事实
+  facts: [{
+    id: String,
+    label: String,
+    description: String,
+    url: String,
+    wikipediaTitle: String,
+    wikipediaUrl: String,
+    facts: [{
+      propertyId: String,
+      property: String,
+      value: String,
+      url: String
+    }]
+  }],
+
+  // 因地址不安全、robots.txt或频率限制未访问的地址
+  skippedUrls: [{
+    url: String,
+    reason: String,
+    detail: String,
+    stage: String,
+    skippedAt: Date
+  }],
+
+  // 引用关系：各轮结果正文中被引用的页面，followed表示已在追踪引用轮次中抓取
+  citations: [{
+    url: String,
+    text: String,
+    relevance: Number,
+    score: Number,
+    citedBy: [{
+      _id: false,
+      url: String,
+      title: String
+    }],
+    followed: Boolean
+  }],
+
+  // 原页面无法访问的结果，archived表示已使用存档快照
+  deadLinks: [{
+    url: String,
+    title: String,
+    error: String,
+    archived: Boolean,
+    archivedAt: Date,
+    archiveUrl: String
+  }],
+
   // 分析结果
   analysisResult: {
     summary: String,
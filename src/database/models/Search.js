@@ -1,11 +1,69 @@
 const mongoose = require('mongoose');
+const { LANGUAGE_PATTERN } = require('../../utils/language');
+
+// 论文信息子文档Schema
+const paperSchema = new mongoose.Schema({
+  authors: [String],
+  venue: String,
+  year: Number,
+  doi: String,
+  pdfUrl: String,
+  arxivId: String
+}, { _id: false });
+
+// Wikidata实体事实子文档Schema
+const entityFactsSchema = new mongoose.Schema({
+  id: String,
+  label: String,
+  description: String,
+  url: String,
+  wikipediaTitle: String,
+  wikipediaUrl: String,
+  facts: [{
+    propertyId: String,
+    property: String,
+    value: String,
+    url: String
+  }]
+}, { _id: false });
+
+// 因地址不安全、robots.txt或频率限制未访问的地址
+const skippedUrlSchema = new mongoose.Schema({
+  url: String,
+  reason: {
+    type: String,
+    enum: ['robots', 'robots-unavailable', 'crawl-delay', 'rate-limit', 'unsafe-url']
+  },
+  detail: String,
+  stage: {
+    type: String,
+    enum: ['content', 'screenshot']
+  },
+  skippedAt: Date
+}, { _id: false });
+
+// 原页面无法访问的结果，archived表示已使用存档快照
+const deadLinkSchema = new mongoose.Schema({
+  url: String,
+  title: String,
+  error: String,
+  archived: Boolean,
+  archivedAt: Date,
+  archiveUrl: String
+}, { _id: false });
 
 // 搜索结果子文档Schema
 const searchResultSchema = new mongoose.Schema({
+  // 数据源名称（SearchProviderRegistry中注册的name）、citation或other
   source: {
     type: String,
     required: true,
-    enum: ['google', 'wikipedia', 'other']
+    validate: {
+      // 校验时才加载注册表，避免加载模型时加载全部数据源及循环依赖
+      validator: value => ['citation', 'other'].includes(value) ||
+        require('../../services/search/SearchProviderRegistry').has(value),
+      message: props => `Unknown search source: ${props.value}`
+    }
   },
   title: {
     type: String,
@@ -29,6 +87,90 @@ const searchResultSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  // 页面元数据：作者、更新时间、网站名称、页面语言及正文题图
+  author: String,
+  modifiedAt: Date,
+  siteName: String,
+  lang: String,
+  leadImage: String,
+  // PDF/Office文档结果的类型和页数，正文中以 [p. N] 标记页码
+  documentType: {
+    type: String,
+    enum: ['pdf', 'docx', 'pptx']
+  },
+  pageCount: Number,
+  // 原页面无法访问时的错误，及代替原页面使用的存档快照
+  fetchError: String,
+  archived: Boolean,
+  archivedAt: Date,
+  archiveUrl: String,
+  // 正文中与主题相关的外链（按相关性降序）
+  links: [{
+    _id: false,
+    url: String,
+    text: String,
+    context: String,
+    relevance: Number
+  }],
+  // 追踪引用得到的结果：引用它的锚文本和页面
+  anchorText: String,
+  citedBy: [{
+    _id: false,
+    url: String,
+    title: String
+  }],
+  // 来源可信度（确定性评分）及其依据
+  credibility: {
+    score: { type: Number, min: 0, max: 1 },
+    type: { type: String },
+    signals: [String]
+  },
+  // 结果在各数据源中的原始排名，如 { google: 3, bing: 1 }
+  providerRanks: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // 被合并的重复结果（同一页面的其他地址或转载的同一篇文章）
+  alternates: [{
+    _id: false,
+    url: String,
+    source: String,
+    title: String
+  }],
+  // 结果所属语言及其他语言版本的同一条目（Wikipedia跨语言链接）
+  language: String,
+  languageLinks: [{
+    _id: false,
+    language: String,
+    title: String,
+    url: String
+  }],
+  // Wikipedia完整条目：章节、信息框、参考文献
+  sections: [{
+    _id: false,
+    heading: String,
+    level: Number,
+    text: String
+  }],
+  infobox: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  references: [{
+    _id: false,
+    title: String,
+    url: String,
+    text: String
+  }],
+  // 学术论文信息（arXiv、Semantic Scholar等学术数据源）
+  paper: {
+    type: paperSchema,
+    default: undefined
+  },
   scrapedAt: {
     type: Date,
     default: Date.now
@@ -52,7 +194,7 @@ const searchSchema = new mongoose.Schema({
   language: {
     type: String,
     default: 'zh',
-    enum: ['zh', 'en', 'auto']
+    match: LANGUAGE_PATTERN
   },
   maxResults: {
     type: Number,
@@ -66,6 +208,9 @@ const searchSchema = new mongoose.Schema({
     default: 'pending'
   },
   searchResults: [searchResultSchema],
+  facts: [entityFactsSchema],
+  skippedUrls: [skippedUrlSchema],
+  deadLinks: [deadLinkSchema],
   processedContent: {
     summary: {
       type: String,
@@ -103,6 +248,11 @@ const searchSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // 各数据源返回的分页、总数估计等信息
+    providers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
     aiModel: {
       type: String,
       default: 'gemini-2.5-flash'
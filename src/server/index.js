@@ -13,6 +13,7 @@ const reportRoutes = require('./routes/report');
 const healthRoutes = require('./routes/health');
 const iterativeSearchRoutes = require('./routes/iterative-search');
 const screenshotRoutes = require('./routes/screenshots');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 
@@ -41,6 +42,7 @@ app.use('/api/report', reportRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/iterative-search', iterativeSearchRoutes);
 app.use('/api/screenshots', screenshotRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404处理
 app.use('*', (req, res) => {
@@ -0,0 +1,86 @@
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../../config');
+const providerRegistry = require('../../services/search/SearchProviderRegistry');
+const searchCache = require('../../services/cache/SearchCacheService');
+const pageCache = require('../../services/cache/PageCacheService');
+const logger = require('../../utils/logger');
+
+const router = express.Router();
+
+/**
+ * 校验管理密钥（X-Admin-Key），未配置ADMIN_API_KEY时拒绝所有请求
+ */
+router.use((req, res, next) => {
+  const adminKey = config.security.adminApiKey;
+  if (!adminKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API is disabled. Set ADMIN_API_KEY to enable it'
+    });
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Key') || '');
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+});
+
+/**
+ * DELETE /api/admin/cache/search
+ * 清除数据源搜索结果缓存，?source=google 只清除指定数据源
+ */
+router.delete('/cache/search', async (req, res) => {
+  try {
+    const { source } = req.query;
+    if (source !== undefined && !providerRegistry.has(source)) {
+      return res.status(400).json({
+        success: false,
+        error: `Source must be one of: ${providerRegistry.getNames().join(', ')}`
+      });
+    }
+
+    const removed = await searchCache.clear(source);
+    res.json({
+      success: true,
+      data: { cache: 'search', source: source || null, removed }
+    });
+
+  } catch (error) {
+    logger.error('Search cache invalidation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear search cache'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/cache/pages
+ * 清除页面正文缓存
+ */
+router.delete('/cache/pages', async (req, res) => {
+  try {
+    const removed = await pageCache.clear();
+    logger.info(`Page cache cleared: ${removed} entries`);
+    res.json({
+      success: true,
+      data: { cache: 'pages', removed }
+    });
+
+  } catch (error) {
+    logger.error('Page cache invalidation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear page cache'
+    });
+  }
+});
+
+module.exports = router;
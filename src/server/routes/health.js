@@ -1,6 +1,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const SearchService = require('../../services/search/SearchService');
+const providerRegistry = require('../../services/search/SearchProviderRegistry');
 const GeminiService = require('../../services/ai/gemini');
 const logger = require('../../utils/logger');
 
@@ -8,6 +9,19 @@ const router = express.Router();
 const searchService = new SearchService();
 const geminiService = new GeminiService();
 
+/**
+ * 数据源的健康状态，未参与检查（未配置且未默认启用）的数据源为disabled
+ * @param {Object} searchHealths - searchService.healthCheck()的结果
+ * @param {string} name - 数据源名称
+ * @returns {string} healthy/unhealthy/disabled
+ */
+function getProviderStatus(searchHealths, name) {
+  if (!(name in searchHealths)) {
+    return 'disabled';
+  }
+  return searchHealths[name] ? 'healthy' : 'unhealthy';
+}
+
 /**
  * GET /api/health
  * 系统健康检查
@@ -25,10 +39,7 @@ router.get('/', async (req, res) => {
       services: {
         database: 'unknown',
         gemini: 'unknown',
-        search: {
-          google: 'unknown',
-          wikipedia: 'unknown'
-        }
+        search: Object.fromEntries(providerRegistry.getNames().map(name => [name, 'unknown']))
       }
     };
 
@@ -53,19 +64,18 @@ router.get('/', async (req, res) => {
     // 检查搜索服务
     try {
       const searchHealths = await searchService.healthCheck();
-      healthStatus.services.search = {
-        google: searchHealths.google ? 'healthy' : 'unhealthy',
-        wikipedia: searchHealths.wikipedia ? 'healthy' : 'unhealthy'
-      };
+      healthStatus.services.search = Object.fromEntries(
+        providerRegistry.getNames().map(name => [name, getProviderStatus(searchHealths, name)])
+      );
     } catch (error) {
-      healthStatus.services.search = {
-        google: 'unhealthy',
-        wikipedia: 'unhealthy'
-      };
+      const configured = providerRegistry.getConfiguredSources();
+      healthStatus.services.search = Object.fromEntries(
+        providerRegistry.getNames().map(name => [name, configured.includes(name) ? 'unhealthy' : 'disabled'])
+      );
       logger.warn('Search services health check failed:', error.message);
     }
 
-    // 确定整体状态
+    // 确定整体状态（disabled的数据源不计入）
     const allServices = [
       healthStatus.services.database,
       healthStatus.services.gemini,
@@ -170,18 +180,18 @@ router.get('/search', async (req, res) => {
   try {
     const searchHealths = await searchService.healthCheck();
     
+    const services = {};
+    for (const provider of providerRegistry.list()) {
+      services[provider.name] = {
+        status: getProviderStatus(searchHealths, provider.name),
+        name: provider.displayName,
+        capabilities: provider.capabilities
+      };
+    }
+    
     const searchInfo = {
-      status: Object.values(searchHealths).some(h => h) ? 'healthy' : 'unhealthy',
-      services: {
-        google: {
-          status: searchHealths.google ? 'healthy' : 'unhealthy',
-          name: 'Google Custom Search'
-        },
-        wikipedia: {
-          status: searchHealths.wikipedia ? 'healthy' : 'unhealthy',
-          name: 'Wikipedia API'
-        }
-      },
+      status: Object.values(services).some(s => s.status === 'healthy') ? 'healthy' : 'unhealthy',
+      services,
       lastCheck: new Date().toISOString()
     };
 
@@ -207,6 +217,8 @@ router.get('/search', async (req, res) => {
 router.get('/stats', async (req, res) => {
   try {
     const { Search, Report } = require('../../database/models');
+    const pageCache = require('../../services/cache/PageCacheService');
+    const searchCache = require('../../services/cache/SearchCacheService');
     
     const stats = {
       searches: {
@@ -221,6 +233,10 @@ router.get('/stats', async (req, res) => {
         failed: await Report.countDocuments({ status: 'failed' }),
         generating: await Report.countDocuments({ status: 'generating' })
       },
+      cache: {
+        pages: await pageCache.getStats(),
+        search: await searchCache.getStats()
+      },
       system: {
         uptime: process.uptime(),
         memory: {
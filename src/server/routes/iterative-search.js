@@ -1,15 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const SearchService = require('../../services/search/SearchService');
+const providerRegistry = require('../../services/search/SearchProviderRegistry');
 const GeminiService = require('../../services/ai/gemini');
 const { Report, Image } = require('../../database/models');
 const { v4: uuidv4 } = require('uuid');
+const { LANGUAGE_PATTERN } = require('../../utils/language');
 const logger = require('../../utils/logger');
 
 // 初始化服务
 const searchService = new SearchService();
 const geminiService = new GeminiService();
 
+/**
+ * 获取模板对应的默认数据源
+ * 学术模板在默认数据源基础上加入学术文献数据源
+ * @param {string} template - 报告模板
+ * @returns {Array<string>} 数据源名称列表
+ */
+function getDefaultSources(template) {
+  const sources = providerRegistry.getDefaultSources();
+  if (template === 'academic') {
+    return [...new Set([...sources, ...providerRegistry.getByCapability('academic')])];
+  }
+  return sources;
+}
+
 /**
  * 执行多轮搜索
  * POST /api/iterative-search
@@ -33,6 +49,77 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (options.sources !== undefined) {
+      const validSources = Array.isArray(options.sources) &&
+        options.sources.length > 0 &&
+        options.sources.every(source => providerRegistry.has(source));
+      
+      if (!validSources) {
+        return res.status(400).json({
+          success: false,
+          error: `Sources must be a non-empty array of: ${providerRegistry.getNames().join(', ')}`
+        });
+      }
+    }
+
+    if (options.language !== undefined) {
+      if (typeof options.language !== 'string' || !LANGUAGE_PATTERN.test(options.language.toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Language must be auto, simple or a language code such as zh, en or zh-yue'
+        });
+      }
+      options.language = options.language.toLowerCase();
+    }
+
+    if (options.providerOptions !== undefined) {
+      const { error, value } = providerRegistry.getOptionsSchema().validate(options.providerOptions);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid provider options: ${error.message}`
+        });
+      }
+      options.providerOptions = value;
+    }
+
+    if (options.freshness !== undefined && !['any', 'day', 'week', 'month', 'year'].includes(options.freshness)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Freshness must be one of: any, day, week, month, year'
+      });
+    }
+
+    if (options.freshnessMode !== undefined && !['boost', 'filter'].includes(options.freshnessMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Freshness mode must be one of: boost, filter'
+      });
+    }
+
+    if (options.contentMaxLength !== undefined &&
+        (!Number.isInteger(options.contentMaxLength) || options.contentMaxLength < 0 || options.contentMaxLength > 100000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Content max length must be an integer between 0 and 100000'
+      });
+    }
+
+    if (options.cache !== undefined && !['prefer', 'bypass', 'only'].includes(options.cache)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cache must be one of: prefer, bypass, only'
+      });
+    }
+
+    if (options.followCitations !== undefined &&
+        (!Number.isInteger(options.followCitations) || options.followCitations < 0 || options.followCitations > 20)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Follow citations must be an integer between 0 and 20'
+      });
+    }
+
     logger.info(`Starting iterative search for topic: ${topic}`);
     
     // 生成唯一ID
@@ -67,7 +154,15 @@ router.post('/', async (req, res) => {
           maxResultsPerRound: options.maxResultsPerRound || 8,
           includeScreenshots: options.includeScreenshots !== false,
           generateMarkdown: options.generateMarkdown !== false,
-          language: options.language || 'zh'
+          language: options.language || 'zh',
+          sources: options.sources || getDefaultSources(options.template),
+          freshness: options.freshness || 'any',
+          freshnessMode: options.freshnessMode || 'boost',
+          providerOptions: options.providerOptions || {},
+          includeFacts: options.includeFacts,
+          contentMaxLength: options.contentMaxLength,
+          cache: options.cache,
+          followCitations: options.followCitations
         });
         
         // 保存截图到数据库
@@ -108,6 +203,10 @@ router.post('/', async (req, res) => {
           status: 'completed',
           htmlContent,
           searchRounds: searchResult.searchRounds,
+          facts: searchResult.facts,
+          skippedUrls: searchResult.skippedUrls,
+          deadLinks: searchResult.deadLinks,
+          citations: searchResult.citations,
           analysisResult: searchResult.analysisResult,
           screenshots: savedScreenshots,
           markdownReport: searchResult.markdownReport ? {
@@ -260,6 +359,10 @@ router.get('/:reportId/result', async (req, res) => {
         title: report.title,
         htmlContent: report.htmlContent,
         searchRounds: report.searchRounds,
+        facts: report.facts,
+        skippedUrls: report.skippedUrls,
+        deadLinks: report.deadLinks,
+        citations: report.citations,
         screenshots: report.screenshots,
         markdownReport: report.markdownReport,
         metadata: report.metadata,
@@ -2,8 +2,11 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const SearchService = require('../../services/search/SearchService');
+const providerRegistry = require('../../services/search/SearchProviderRegistry');
 const GeminiService = require('../../services/ai/gemini');
 const { Search } = require('../../database/models');
+const { LANGUAGE_PATTERN } = require('../../utils/language');
+const config = require('../../config');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
@@ -13,10 +16,18 @@ const geminiService = new GeminiService();
 // 验证schemas
 const searchSchema = Joi.object({
   topic: Joi.string().required().min(1).max(500).trim(),
-  language: Joi.string().valid('zh', 'en', 'auto').default('zh'),
+  language: Joi.string().lowercase().pattern(LANGUAGE_PATTERN).default('zh'),
   maxResults: Joi.number().integer().min(1).max(50).default(10),
-  sources: Joi.array().items(Joi.string().valid('google', 'wikipedia')).default(['google', 'wikipedia']),
-  includeContent: Joi.boolean().default(true)
+  sources: Joi.array().items(Joi.string().valid(...providerRegistry.getNames())).default(providerRegistry.getDefaultSources()),
+  includeContent: Joi.boolean().default(true),
+  freshness: Joi.string().valid('any', 'day', 'week', 'month', 'year').default('any'),
+  freshnessMode: Joi.string().valid('boost', 'filter').default('boost'),
+  includeFacts: Joi.boolean().default(config.enrichment.wikidata.enabled),
+  contentMaxLength: Joi.number().integer().min(0).max(100000).default(config.search.content.maxLength),
+  // 页面和搜索结果缓存：prefer优先使用缓存，bypass重新请求，only只使用缓存
+  cache: Joi.string().valid('prefer', 'bypass', 'only').default('prefer'),
+  // 各数据源的专有选项，如 { wikipedia: { secondaryLanguage: 'en' } }，只允许数据源声明的选项
+  providerOptions: providerRegistry.getOptionsSchema().default({})
 });
 
 /**
@@ -35,7 +46,7 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { topic, language, maxResults, sources, includeContent } = value;
+    const { topic, language, maxResults, sources, includeContent, freshness, freshnessMode, providerOptions, includeFacts, contentMaxLength, cache } = value;
     const searchId = uuidv4();
 
     // 创建搜索记录
@@ -61,7 +72,18 @@ router.post('/', async (req, res) => {
     });
 
     // 异步执行搜索
-    executeSearch(searchId, topic, { language, maxResults, sources, includeContent });
+    executeSearch(searchId, topic, {
+      language,
+      maxResults,
+      sources,
+      includeContent,
+      freshness,
+      freshnessMode,
+      providerOptions,
+      includeFacts,
+      contentMaxLength,
+      cache
+    });
 
   } catch (error) {
     logger.error('Search creation error:', error);
@@ -97,6 +119,8 @@ router.get('/:searchId', async (req, res) => {
         status: searchRecord.status,
         results: searchRecord.searchResults,
         processedContent: searchRecord.processedContent,
+        skippedUrls: searchRecord.skippedUrls,
+        deadLinks: searchRecord.deadLinks,
         metadata: searchRecord.metadata,
         error: searchRecord.error,
         createdAt: searchRecord.createdAt,
@@ -211,14 +235,24 @@ async function executeSearch(searchId, topic, options) {
 
     // 执行搜索
     logger.info(`Starting search execution for: ${topic}`);
-    const searchResults = await searchService.searchMultipleSources(topic, options);
+    const providerMetadata = {};
+    const skippedUrls = [];
+    const searchResults = await searchService.searchMultipleSources(topic, { ...options, providerMetadata });
     
     // 增强搜索结果（获取页面内容）
     let enhancedResults = searchResults;
     if (options.includeContent) {
-      enhancedResults = await searchService.enhanceResultsWithContent(searchResults);
+      // 获取正文后再去重一次，合并转载的同一篇文章
+      enhancedResults = searchService.deduplicateResults(
+        await searchService.enhanceResultsWithContent(searchResults, { maxLength: options.contentMaxLength, cache: options.cache, skippedUrls, topic })
+      );
     }
 
+    // 补充Wikidata结构化事实
+    const facts = options.includeFacts
+      ? await searchService.wikidataService.enrichResults(enhancedResults, { language: options.language })
+      : [];
+
     const searchDuration = Date.now() - startTime;
 
     // 更新搜索结果
@@ -226,8 +260,12 @@ async function executeSearch(searchId, topic, options) {
       { searchId },
       {
         searchResults: enhancedResults,
+        facts,
+        skippedUrls,
+        deadLinks: searchService.collectDeadLinks(enhancedResults),
         'metadata.searchDuration': searchDuration,
         'metadata.totalResults': enhancedResults.length,
+        'metadata.providers': providerMetadata,
         status: 'processing'
       }
     );
@@ -236,7 +274,8 @@ async function executeSearch(searchId, topic, options) {
     logger.info(`Starting AI processing for: ${topic}`);
     const processingStartTime = Date.now();
     
-    const processedContent = await geminiService.analyzeSearchResults(enhancedResults, topic);
+    const processedContent = await geminiService.analyzeSearchResults(enhancedResults, topic, { facts });
+    processedContent.sources = searchService.credibilityService.applyToSources(processedContent.sources, enhancedResults);
     const processingDuration = Date.now() - processingStartTime;
 
     // 更新处理结果
@@ -24,11 +24,13 @@ class GeminiService {
    * 分析和提炼搜索结果
    * @param {Array} searchResults - 搜索结果数组
    * @param {string} topic - 搜索主题
+   * @param {Object} options - 选项
+   * @param {Array} options.facts - Wikidata结构化事实
    * @returns {Promise<Object>} 处理后的内容
    */
-  async analyzeSearchResults(searchResults, topic) {
+  async analyzeSearchResults(searchResults, topic, options = {}) {
     try {
-      const prompt = this.buildAnalysisPrompt(searchResults, topic);
+      const prompt = this.buildAnalysisPrompt(searchResults, topic, options.facts);
       
       logger.info('Starting Gemini analysis for topic:', topic);
       const startTime = Date.now();
@@ -81,15 +83,16 @@ class GeminiService {
    * 构建分析提示词
    * @param {Array} searchResults - 搜索结果
    * @param {string} topic - 主题
+   * @param {Array} facts - Wikidata结构化事实
    * @returns {string} 提示词
    */
-  buildAnalysisPrompt(searchResults, topic) {
+  buildAnalysisPrompt(searchResults, topic, facts = []) {
     const resultsText = searchResults.map((result, index) => {
       return `来源 ${index + 1}: ${result.source}
 标题: ${result.title}
 网址: ${result.url}
-内容摘要: ${result.snippet}
-${result.content ? `详细内容: ${result.content.substring(0, 1000)}...` : ''}
+${result.credibility ? `可信度: ${result.credibility.score}（${result.credibility.type}）\n` : ''}${result.publishedAt ? `发布时间: ${new Date(result.publishedAt).toISOString().split('T')[0]}\n` : ''}${result.author ? `作者: ${result.author}\n` : ''}${result.citedBy && result.citedBy.length > 0 ? `引用关系: 被 ${result.citedBy.length} 个搜索结果引用\n` : ''}${result.archived ? `存档快照: 原页面无法访问，内容来自${result.archivedAt ? ` ${new Date(result.archivedAt).toISOString().split('T')[0]} 的` : ''}存档\n` : ''}内容摘要: ${result.snippet}
+${result.paper ? `论文信息: ${this.formatPaperInfo(result.paper)}\n` : ''}${this.formatResultContent(result)}
 ---`;
     }).join('\n');
 
@@ -97,7 +100,7 @@ ${result.content ? `详细内容: ${result.content.substring(0, 1000)}...` : ''}
 
 搜索结果:
 ${resultsText}
-
+${facts.length > 0 ? `\n结构化事实（来自Wikidata）:\n${this.formatFacts(facts)}\n` : ''}
 请按照以下JSON格式返回分析结果:
 {
   "summary": "主题的核心总结（200-300字）",
@@ -131,7 +134,71 @@ ${resultsText}
 2. 提供清晰的逻辑结构
 3. 标注信息来源和可靠性
 4. 突出最重要的关键信息
-5. 使用简洁明了的语言`;
+5. 使用简洁明了的语言
+6. 引用带有章节的来源时，注明来源编号和章节，如"来源 2 §历史"
+7. 日期、数量等事实与结构化事实冲突时，以结构化事实为准
+8. 引用带有页码标记（[p. N] 或 [slide N]）的文档时，注明来源编号和页码，如"来源 3 p. 12"`;
+  }
+
+  /**
+   * 格式化Wikidata事实
+   * @param {Array} facts - 实体列表
+   * @returns {string} 事实文本
+   */
+  formatFacts(facts) {
+    return facts.map(entity => {
+      const lines = entity.facts.map(fact => `- ${fact.property}: ${fact.value}`);
+      return `${entity.label}${entity.description ? `（${entity.description}）` : ''} [${entity.id}]\n${lines.join('\n')}`;
+    }).join('\n');
+  }
+
+  /**
+   * 格式化结果的详细内容
+   * 带章节的结果（Wikipedia完整条目）按章节列出，便于分析时引用具体章节
+   * @param {Object} result - 搜索结果
+   * @returns {string} 详细内容文本
+   */
+  formatResultContent(result) {
+    if (result.sections && result.sections.length > 0) {
+      let text = '';
+      if (result.infobox && result.infobox.fields) {
+        const facts = Object.entries(result.infobox.fields)
+          .slice(0, 15)
+          .map(([key, value]) => `${key}: ${value}`)
+          .join('; ');
+        text += `信息框: ${facts}\n`;
+      }
+
+      let budget = 2000;
+      const sectionTexts = [];
+      for (const section of result.sections) {
+        if (budget <= 0) break;
+        const excerpt = section.text.substring(0, Math.min(400, budget));
+        sectionTexts.push(`[§${section.heading}] ${excerpt}`);
+        budget -= excerpt.length;
+      }
+      return `${text}章节内容:\n${sectionTexts.join('\n')}`;
+    }
+
+    // PDF/Office文档保留更多内容，使分析能引用到后面的页码
+    const limit = result.documentType ? 2000 : 1000;
+    return result.content ? `详细内容: ${result.content.substring(0, limit)}...` : '';
+  }
+
+  /**
+   * 格式化论文信息
+   * @param {Object} paper - 论文信息
+   * @returns {string} 作者、年份、出处和DOI
+   */
+  formatPaperInfo(paper) {
+    const parts = [];
+    if (paper.authors && paper.authors.length > 0) {
+      parts.push(`作者 ${paper.authors.slice(0, 5).join(', ')}${paper.authors.length > 5 ? ' 等' : ''}`);
+    }
+    if (paper.year) parts.push(`年份 ${paper.year}`);
+    if (paper.venue) parts.push(`出处 ${paper.venue}`);
+    if (paper.doi) parts.push(`DOI ${paper.doi}`);
+    return parts.join('; ');
   }
 
   /**
@@ -0,0 +1,263 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const KEY_PREFIX = 'aie:';
+// Redis连接失败后改用文件缓存，间隔一段时间再尝试重连
+const REDIS_RETRY_INTERVAL = 60 * 1000;
+// 文件缓存写入后清理过期条目的最短间隔
+const FILE_SWEEP_INTERVAL = 10 * 60 * 1000;
+
+let redisClient = null;
+let redisConnecting = null;
+let redisRetryAt = 0;
+
+/**
+ * 获取共用的Redis连接，不可用时返回null
+ * @returns {Promise<Object|null>} Redis客户端
+ */
+async function getRedisClient() {
+  if (config.cache.backend !== 'redis') {
+    return null;
+  }
+  if (redisClient && redisClient.isReady) {
+    return redisClient;
+  }
+  if (redisConnecting) {
+    return redisConnecting;
+  }
+  if (Date.now() < redisRetryAt) {
+    return null;
+  }
+
+  const { createClient } = require('redis');
+  const client = createClient({
+    url: config.redis.url,
+    socket: { connectTimeout: 2000, reconnectStrategy: false }
+  });
+  client.on('error', error => logger.debug('Redis cache error:', error.message));
+
+  redisConnecting = client.connect()
+    .then(() => {
+      logger.info('Cache connected to Redis');
+      redisClient = client;
+      return client;
+    })
+    .catch(error => {
+      logger.warn(`Redis unavailable, using file cache: ${error.message}`);
+      redisRetryAt = Date.now() + REDIS_RETRY_INTERVAL;
+      client.disconnect().catch(() => {});
+      return null;
+    })
+    .finally(() => {
+      redisConnecting = null;
+    });
+
+  return redisConnecting;
+}
+
+/**
+ * 带过期时间的键值缓存
+ * 优先使用Redis（config.redis.url），Redis不可用或配置为file时写入本地目录（config.cache.dir），
+ * 每个命名空间互相独立，可整体清空。
+ * 文件缓存的修改时间设为过期时间，写入时定期按修改时间删除过期文件，
+ * 并将条目数限制在config.cache.maxFileEntries以内
+ */
+class CacheStore {
+  /**
+   * @param {string} namespace - 命名空间，如 pages、search
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.dir = path.resolve(config.cache.dir, namespace);
+    this.nextSweepAt = 0;
+    this.sweeping = null;
+  }
+
+  /**
+   * 读取缓存
+   * @param {string} key - 键
+   * @returns {Promise<*>} 值，不存在或已过期时为null
+   */
+  async get(key) {
+    try {
+      const redis = await getRedisClient();
+      if (redis) {
+        const data = await redis.get(this.getRedisKey(key));
+        return data ? JSON.parse(data) : null;
+      }
+
+      const entry = JSON.parse(await fs.readFile(this.getFilePath(key), 'utf8'));
+      if (entry.expiresAt <= Date.now()) {
+        await fs.unlink(this.getFilePath(key)).catch(() => {});
+        return null;
+      }
+      return entry.value;
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Cache read failed (${this.namespace}):`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} key - 键
+   * @param {*} value - 可JSON序列化的值
+   * @param {number} ttl - 过期时间(毫秒)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    try {
+      const redis = await getRedisClient();
+      if (redis) {
+        await redis.set(this.getRedisKey(key), JSON.stringify(value), { PX: ttl });
+        return;
+      }
+
+      const expiresAt = Date.now() + ttl;
+      const filePath = this.getFilePath(key);
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({ key, value, expiresAt }), 'utf8');
+      await fs.utimes(filePath, new Date(), new Date(expiresAt));
+
+      if (Date.now() >= this.nextSweepAt && !this.sweeping) {
+        this.nextSweepAt = Date.now() + FILE_SWEEP_INTERVAL;
+        this.sweeping = this.sweep().finally(() => {
+          this.sweeping = null;
+        });
+      }
+
+    } catch (error) {
+      logger.warn(`Cache write failed (${this.namespace}):`, error.message);
+    }
+  }
+
+  /**
+   * 删除缓存
+   * @param {string} key - 键
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      const redis = await getRedisClient();
+      if (redis) {
+        await redis.del(this.getRedisKey(key));
+        return;
+      }
+      await fs.unlink(this.getFilePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Cache delete failed (${this.namespace}):`, error.message);
+      }
+    }
+  }
+
+  /**
+   * 清空命名空间，可只清除键以prefix开头的条目
+   * @param {string} prefix - 键前缀
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async clear(prefix = '') {
+    let removed = 0;
+
+    try {
+      const redis = await getRedisClient();
+      if (redis) {
+        const pattern = `${this.getRedisKey(prefix).replace(/[*?[\]\\]/g, '\\$&')}*`;
+        for await (const key of redis.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+          removed += await redis.del(key);
+        }
+        return removed;
+      }
+
+      const files = await fs.readdir(this.dir).catch(() => []);
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(this.dir, file);
+        if (prefix) {
+          const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+          if (!String(entry.key).startsWith(prefix)) continue;
+        }
+        await fs.unlink(filePath);
+        removed++;
+      }
+
+    } catch (error) {
+      logger.warn(`Cache clear failed (${this.namespace}):`, error.message);
+    }
+
+    return removed;
+  }
+
+  /**
+   * 清理文件缓存：删除已过期的文件（修改时间即过期时间），
+   * 条目数超过config.cache.maxFileEntries时再删除最早过期的文件
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async sweep() {
+    let removed = 0;
+
+    try {
+      const files = await fs.readdir(this.dir).catch(() => []);
+      const entries = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(this.dir, file);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (stats) {
+          entries.push({ filePath, expiresAt: stats.mtimeMs });
+        }
+      }
+
+      const now = Date.now();
+      const live = entries.filter(entry => entry.expiresAt > now);
+      const overflow = live
+        .sort((a, b) => a.expiresAt - b.expiresAt)
+        .slice(0, Math.max(0, live.length - config.cache.maxFileEntries));
+      const stale = [...entries.filter(entry => entry.expiresAt <= now), ...overflow];
+
+      for (const { filePath } of stale) {
+        await fs.unlink(filePath).then(() => removed++, () => {});
+      }
+      if (removed > 0) {
+        logger.debug(`Cache sweep removed ${removed} entries (${this.namespace})`);
+      }
+
+    } catch (error) {
+      logger.warn(`Cache sweep failed (${this.namespace}):`, error.message);
+    }
+
+    return removed;
+  }
+
+  /**
+   * 当前使用的存储
+   * @returns {Promise<string>} redis 或 file
+   */
+  async getBackend() {
+    return (await getRedisClient()) ? 'redis' : 'file';
+  }
+
+  /**
+   * Redis中的完整键名
+   * @param {string} key - 键
+   * @returns {string} 键名
+   */
+  getRedisKey(key) {
+    return `${KEY_PREFIX}${this.namespace}:${key}`;
+  }
+
+  /**
+   * 文件缓存路径，文件名为键的SHA-1
+   * @param {string} key - 键
+   * @returns {string} 路径
+   */
+  getFilePath(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,143 @@
+const CacheStore = require('./CacheStore');
+const config = require('../../config');
+const { canonicalizeUrl } = require('../../utils/url');
+
+/**
+ * 页面正文缓存
+ * 以规范化URL为键保存提取后的页面（完整正文，读取时再按请求截断）。
+ * 新鲜期（config.cache.pages.ttl）内直接使用；过期后若有ETag/Last-Modified，
+ * 在保留期（maxAge）内以条件请求重新验证，304时继续使用缓存。
+ * 缓存模式：
+ *   prefer  默认，优先使用缓存
+ *   bypass  忽略已有缓存重新抓取，结果仍写入缓存
+ *   only    只使用缓存（过期的也可以），不访问网络
+ * 同一地址、同一模式的并发请求共用一次读取和抓取
+ */
+class PageCacheService {
+  constructor() {
+    this.store = new CacheStore('pages');
+    this.stats = { hits: 0, revalidated: 0, misses: 0, bypassed: 0 };
+    this.pending = new Map();
+  }
+
+  /**
+   * 按缓存模式获取页面
+   * @param {string} url - 页面地址
+   * @param {string} mode - 缓存模式 prefer|bypass|only
+   * @param {Function} fetcher - 抓取函数 (validators) => Promise<{ page, validators, notModified }>，
+   *   validators为 { etag, lastModified }，用于条件请求
+   * @returns {Promise<Object>} 页面，另有 cacheStatus: hit|revalidated|miss|bypass
+   */
+  async getPage(url, mode, fetcher) {
+    const key = canonicalizeUrl(url);
+    const pendingKey = `${mode}:${key}`;
+    if (this.pending.has(pendingKey)) {
+      return this.pending.get(pendingKey);
+    }
+
+    const promise = this.loadPage(key, mode, fetcher).finally(() => {
+      this.pending.delete(pendingKey);
+    });
+    this.pending.set(pendingKey, promise);
+    return promise;
+  }
+
+  /**
+   * 从缓存读取或抓取页面（getPage的实际实现）
+   * @param {string} key - 规范化URL
+   * @param {string} mode - 缓存模式
+   * @param {Function} fetcher - 抓取函数
+   * @returns {Promise<Object>} 页面
+   */
+  async loadPage(key, mode, fetcher) {
+    const enabled = config.cache.pages.ttl > 0;
+    const entry = enabled && mode !== 'bypass' ? await this.store.get(key) : null;
+
+    if (entry && (mode === 'only' || entry.expiresAt > Date.now())) {
+      this.stats.hits++;
+      return { ...this.revive(entry.page), cacheStatus: 'hit' };
+    }
+    if (mode === 'only') {
+      this.stats.misses++;
+      return { content: '', cacheStatus: 'miss' };
+    }
+
+    const result = await fetcher(entry ? entry.validators : {});
+    if (result.notModified && entry) {
+      this.stats.revalidated++;
+      await this.save(key, entry.page, entry.validators);
+      return { ...this.revive(entry.page), cacheStatus: 'revalidated' };
+    }
+
+    const page = result.page || { content: '' };
+    this.stats[mode === 'bypass' ? 'bypassed' : 'misses']++;
+    // 抓取失败或因robots.txt跳过的页面不缓存；存档快照也不缓存，原页面恢复后即可使用
+    if (enabled && page.content && !page.archived) {
+      await this.save(key, page, result.validators || {});
+    }
+    return { ...page, cacheStatus: mode === 'bypass' ? 'bypass' : 'miss' };
+  }
+
+  /**
+   * 写入缓存，有验证信息的条目保留到maxAge以便重新验证
+   * @param {string} key - 规范化URL
+   * @param {Object} page - 页面
+   * @param {Object} validators - { etag, lastModified }
+   * @returns {Promise<void>}
+   */
+  async save(key, page, validators) {
+    const { ttl, maxAge } = config.cache.pages;
+    const revalidatable = Boolean(validators.etag || validators.lastModified);
+
+    await this.store.set(key, {
+      url: key,
+      page,
+      validators,
+      fetchedAt: Date.now(),
+      expiresAt: Date.now() + ttl
+    }, revalidatable ? Math.max(ttl, maxAge) : ttl);
+  }
+
+  /**
+   * 恢复JSON序列化后丢失的日期类型
+   * @param {Object} page - 缓存的页面
+   * @returns {Object} 页面
+   */
+  revive(page) {
+    const metadata = { ...(page.metadata || {}) };
+    for (const field of ['publishedAt', 'modifiedAt']) {
+      if (metadata[field]) metadata[field] = new Date(metadata[field]);
+    }
+    return { ...page, metadata };
+  }
+
+  /**
+   * 清空页面缓存
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async clear() {
+    return this.store.clear();
+  }
+
+  /**
+   * 缓存统计（进程启动以来）
+   * 命中率 = (直接命中 + 重新验证命中) / (命中 + 未命中)，bypass请求不计入
+   * @returns {Promise<Object>} { backend, hits, revalidated, misses, bypassed, hitRatio }
+   */
+  async getStats() {
+    const { hits, revalidated, misses, bypassed } = this.stats;
+    const lookups = hits + revalidated + misses;
+
+    return {
+      backend: await this.store.getBackend(),
+      hits,
+      revalidated,
+      misses,
+      bypassed,
+      hitRatio: lookups > 0 ? Math.round((hits + revalidated) / lookups * 1000) / 1000 : 0
+    };
+  }
+}
+
+// 搜索和多轮搜索共用同一实例，统计数据合并计算
+module.exports = new PageCacheService();
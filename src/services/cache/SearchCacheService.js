@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const CacheStore = require('./CacheStore');
+const logger = require('../../utils/logger');
+
+/**
+ * 数据源搜索结果缓存
+ * 按（数据源、查询、语言、结果数、时效、专有选项）缓存各数据源返回的原始结果，
+ * 避免短时间内重复调用按次计费的搜索接口。键以数据源名称开头，可按数据源清除。
+ * 缓存模式与页面缓存相同：prefer 优先使用缓存，bypass 重新请求并更新缓存，only 不调用接口
+ */
+class SearchCacheService {
+  constructor() {
+    this.store = new CacheStore('search');
+    this.stats = {};
+  }
+
+  /**
+   * 按缓存模式获取数据源结果
+   * @param {string} source - 数据源名称
+   * @param {Object} params - { query, language, maxResults, freshness, options }
+   * @param {Object} settings - 缓存设置
+   * @param {string} settings.mode - 缓存模式 prefer|bypass|only
+   * @param {number} settings.ttl - 缓存时间(毫秒)，0为不缓存
+   * @param {Object} settings.metadata - 数据源的metadata，命中时恢复缓存时记录的内容
+   * @param {Function} fetcher - 调用数据源的函数 () => Promise<Array>
+   * @returns {Promise<Array>} 搜索结果
+   */
+  async getResults(source, params, settings, fetcher) {
+    const { mode = 'prefer', ttl, metadata = {} } = settings;
+    if (!ttl) {
+      return fetcher();
+    }
+
+    const stats = this.getSourceStats(source);
+    const key = this.buildKey(source, params);
+
+    if (mode !== 'bypass') {
+      const entry = await this.store.get(key);
+      if (entry) {
+        stats.hits++;
+        logger.info(`Search cache hit for ${source}: "${params.query}" (cached ${Math.round((Date.now() - entry.cachedAt) / 1000)}s ago)`);
+        Object.assign(metadata, entry.metadata, { cache: 'hit', cachedAt: new Date(entry.cachedAt) });
+        return entry.results.map(result => this.revive(result));
+      }
+      if (mode === 'only') {
+        stats.misses++;
+        metadata.cache = 'miss';
+        return [];
+      }
+    }
+
+    stats[mode === 'bypass' ? 'bypassed' : 'misses']++;
+    const results = await fetcher();
+    metadata.cache = mode === 'bypass' ? 'bypass' : 'miss';
+
+    // 空结果多为数据源未配置或请求失败，不缓存
+    if (results.length > 0) {
+      const { cache, ...providerMetadata } = metadata;
+      await this.store.set(key, { results, metadata: providerMetadata, cachedAt: Date.now() }, ttl);
+    }
+    return results;
+  }
+
+  /**
+   * 缓存键：数据源名称 + 规范化参数的SHA-1
+   * 查询统一大小写并合并空白，专有选项按键名排序
+   * @param {string} source - 数据源名称
+   * @param {Object} params - 搜索参数
+   * @returns {string} 键
+   */
+  buildKey(source, params) {
+    const { query, language, maxResults, freshness, options = {} } = params;
+    const normalized = JSON.stringify({
+      query: String(query).trim().replace(/\s+/g, ' ').toLowerCase(),
+      language,
+      maxResults,
+      freshness,
+      options: Object.keys(options).sort().map(name => [name, options[name]])
+    });
+    return `${source}:${crypto.createHash('sha1').update(normalized).digest('hex')}`;
+  }
+
+  /**
+   * 恢复JSON序列化后丢失的日期类型
+   * @param {Object} result - 缓存的结果
+   * @returns {Object} 结果
+   */
+  revive(result) {
+    const revived = { ...result };
+    for (const field of ['publishedAt', 'modifiedAt']) {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    }
+    return revived;
+  }
+
+  /**
+   * 清除缓存
+   * @param {string} source - 数据源名称，不指定时清除全部
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async clear(source) {
+    const removed = await this.store.clear(source ? `${source}:` : '');
+    logger.info(`Search cache cleared${source ? ` for ${source}` : ''}: ${removed} entries`);
+    return removed;
+  }
+
+  /**
+   * 数据源的统计计数
+   * @param {string} source - 数据源名称
+   * @returns {Object} { hits, misses, bypassed }
+   */
+  getSourceStats(source) {
+    if (!this.stats[source]) {
+      this.stats[source] = { hits: 0, misses: 0, bypassed: 0 };
+    }
+    return this.stats[source];
+  }
+
+  /**
+   * 缓存统计（进程启动以来），命中率不计入bypass请求
+   * @returns {Promise<Object>} { backend, hits, misses, bypassed, hitRatio, sources: { 数据源: {...} } }
+   */
+  async getStats() {
+    const withRatio = ({ hits, misses, bypassed }) => ({
+      hits,
+      misses,
+      bypassed,
+      hitRatio: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 1000 : 0
+    });
+
+    const total = Object.values(this.stats).reduce((sum, stats) => ({
+      hits: sum.hits + stats.hits,
+      misses: sum.misses + stats.misses,
+      bypassed: sum.bypassed + stats.bypassed
+    }), { hits: 0, misses: 0, bypassed: 0 });
+
+    return {
+      backend: await this.store.getBackend(),
+      ...withRatio(total),
+      sources: Object.fromEntries(Object.entries(this.stats).map(([source, stats]) => [source, withRatio(stats)]))
+    };
+  }
+}
+
+// 各路由共用同一实例，统计数据合并计算
+module.exports = new SearchCacheService();
@@ -0,0 +1,97 @@
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const politeness = require('./PolitenessService');
+const urlSafety = require('./UrlSafetyService');
+
+/**
+ * 网页存档回退
+ * 原页面无法访问时，通过Wayback Machine兼容接口查找最接近的快照：
+ *   GET {baseUrl}/wayback/available?url=…        查找快照
+ *   GET {baseUrl}/web/{timestamp}id_/{url}        快照原始内容（不含存档工具栏）
+ * baseUrl可指向本地的替代服务（内网地址需加入config.security.urlSafety.allowHosts）。
+ * 快照会重定向到最接近的时间点，请求与页面抓取一样经过地址安全检查，逐跳检查重定向并限制响应大小
+ */
+class ArchiveService {
+  constructor() {
+    this.baseUrl = config.crawler.archive.baseUrl.replace(/\/+$/, '');
+    this.enabled = config.crawler.archive.enabled;
+  }
+
+  /**
+   * 查找页面的最近快照
+   * @param {string} url - 原页面地址
+   * @returns {Promise<Object|null>} { timestamp, archivedAt, archiveUrl, rawUrl }，没有可用快照时为null
+   */
+  async findSnapshot(url) {
+    const endpoint = `${this.baseUrl}/wayback/available?url=${encodeURIComponent(url)}`;
+    const response = await politeness.run(endpoint, () => urlSafety.get(endpoint, {
+      timeout: 10000,
+      headers: { 'User-Agent': config.crawler.userAgent }
+    }), { robots: false });
+
+    const closest = response.data && response.data.archived_snapshots && response.data.archived_snapshots.closest;
+    if (!closest || !closest.available || !/^2/.test(String(closest.status || '200'))) {
+      return null;
+    }
+
+    return {
+      timestamp: closest.timestamp,
+      archivedAt: this.parseTimestamp(closest.timestamp),
+      archiveUrl: closest.url || `${this.baseUrl}/web/${closest.timestamp}/${url}`,
+      rawUrl: `${this.baseUrl}/web/${closest.timestamp}id_/${url}`
+    };
+  }
+
+  /**
+   * 获取页面的存档快照
+   * @param {string} url - 原页面地址
+   * @returns {Promise<Object|null>} { buffer, contentType, archivedAt, archiveUrl }，未启用或没有快照时为null
+   */
+  async fetchSnapshot(url) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const snapshot = await this.findSnapshot(url);
+      if (!snapshot) {
+        logger.info(`No archived snapshot for ${url}`);
+        return null;
+      }
+
+      const response = await politeness.run(snapshot.rawUrl, () => urlSafety.get(snapshot.rawUrl, {
+        timeout: 15000,
+        responseType: 'arraybuffer',
+        headers: { 'User-Agent': config.crawler.userAgent }
+      }), { robots: false });
+
+      logger.info(`Using archived snapshot of ${url} from ${snapshot.timestamp}`);
+      return {
+        buffer: Buffer.from(response.data),
+        contentType: response.headers['content-type'],
+        archivedAt: snapshot.archivedAt,
+        archiveUrl: snapshot.archiveUrl
+      };
+
+    } catch (error) {
+      logger.warn(`Archive lookup failed for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 解析快照时间戳（YYYYMMDDhhmmss，UTC）
+   * @param {string} timestamp - 时间戳
+   * @returns {Date|null} 时间
+   */
+  parseTimestamp(timestamp) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/.exec(String(timestamp || ''));
+    if (!match) {
+      return null;
+    }
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+    return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+  }
+}
+
+module.exports = ArchiveService;
@@ -0,0 +1,267 @@
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const urlSafety = require('./UrlSafetyService');
+const { parseRobots, getAgentRules, isPathAllowed } = require('../../utils/robots');
+
+// robots.txt读取失败（5xx、网络错误）时的缓存时间，期间按全站禁止处理
+const ROBOTS_ERROR_TTL = 10 * 60 * 1000;
+// robots.txt最大读取字节数（RFC 9309要求至少解析前500KiB），超出部分不读取
+const ROBOTS_MAX_SIZE = 500 * 1024;
+const MAX_ROBOTS_CACHE_SIZE = 1000;
+
+/**
+ * 读取流的前若干字节，读够后关闭流
+ * @param {stream.Readable} stream - 响应流
+ * @param {number} maxBytes - 最大字节数
+ * @returns {Promise<Buffer>} 内容
+ */
+function readStreamPrefix(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const finish = () => {
+      stream.removeAllListeners('data');
+      resolve(Buffer.concat(chunks, size).subarray(0, maxBytes));
+    };
+
+    stream.on('data', chunk => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= maxBytes) {
+        finish();
+        stream.destroy();
+      }
+    });
+    stream.on('end', finish);
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * 爬虫礼貌层
+ * 页面正文抓取和截图共用：按robots.txt判断是否允许访问，遵守Crawl-delay，
+ * 并限制每个主机的并发数和请求间隔。不允许或需要等待过久的地址不访问，
+ * 以 code 为 CRAWL_SKIPPED 的错误告知调用方，error.reason 为跳过原因：
+ *   robots              robots.txt禁止访问
+ *   robots-unavailable  robots.txt暂时无法读取（5xx或网络错误）
+ *   crawl-delay         Crawl-delay超过最大等待时间
+ *   rate-limit          同一主机排队等待超过最大等待时间
+ *   unsafe-url          地址指向本机、内网等（由UrlSafetyService抛出同样形式的错误）
+ */
+class PolitenessService {
+  constructor() {
+    this.robotsCache = new Map();
+    this.hosts = new Map();
+  }
+
+  /**
+   * 按礼貌规则执行对某个地址的访问
+   * @param {string} url - 地址
+   * @param {Function} task - 实际访问的异步函数
+   * @param {Object} options - 选项
+   * @param {boolean} options.robots - 是否检查robots.txt，访问存档服务等API时为false，只限制频率
+   * @returns {Promise<*>} task的返回值
+   */
+  async run(url, task, options = {}) {
+    const { robots = true } = options;
+    const { crawlDelay } = robots ? await this.check(url) : { crawlDelay: null };
+    const hostname = new URL(url).hostname.toLowerCase();
+    const interval = Math.max(config.crawler.minDelayMs, (crawlDelay || 0) * 1000);
+
+    await this.acquire(hostname, url, interval);
+    try {
+      return await task();
+    } finally {
+      this.release(hostname);
+    }
+  }
+
+  /**
+   * 检查地址是否允许访问，不允许时抛出CRAWL_SKIPPED错误
+   * @param {string} url - 地址
+   * @returns {Promise<Object>} { crawlDelay } 该主机的Crawl-delay（秒）
+   */
+  async check(url) {
+    const parsedUrl = new URL(url);
+    if (!config.crawler.respectRobots) {
+      return { crawlDelay: null };
+    }
+
+    const robots = await this.getRobots(parsedUrl.origin);
+    if (robots.unavailable) {
+      throw this.createSkipError(url, 'robots-unavailable', robots.error);
+    }
+    if (!isPathAllowed(robots.rules, `${parsedUrl.pathname}${parsedUrl.search}`)) {
+      throw this.createSkipError(url, 'robots', 'Disallowed by robots.txt');
+    }
+    if (robots.crawlDelay !== null && robots.crawlDelay * 1000 > config.crawler.maxWaitMs) {
+      throw this.createSkipError(url, 'crawl-delay', `Crawl-delay ${robots.crawlDelay}s exceeds the maximum wait`);
+    }
+
+    return { crawlDelay: robots.crawlDelay };
+  }
+
+  /**
+   * 获取站点的robots规则，带缓存，同一站点的并发请求共用一次读取
+   * @param {string} origin - 站点（协议+主机+端口）
+   * @returns {Promise<Object>} { rules, crawlDelay, unavailable, error }
+   */
+  async getRobots(origin) {
+    const cached = this.robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = this.fetchRobots(origin).then(robots => {
+      const ttl = robots.unavailable ? ROBOTS_ERROR_TTL : config.crawler.robotsCacheTtl;
+      this.robotsCache.set(origin, { value: robots, expiresAt: Date.now() + ttl });
+      return robots;
+    });
+
+    this.robotsCache.delete(origin);
+    this.robotsCache.set(origin, { value, expiresAt: Infinity });
+    if (this.robotsCache.size > MAX_ROBOTS_CACHE_SIZE) {
+      this.robotsCache.delete(this.robotsCache.keys().next().value);
+    }
+
+    return value;
+  }
+
+  /**
+   * 读取并解析robots.txt
+   * 4xx视为没有限制；5xx、网络错误和不安全的地址（如重定向到内网）视为暂时全站禁止。
+   * 与页面抓取一样经过地址安全检查：逐跳检查重定向，连接时检查解析结果。
+   * 超过ROBOTS_MAX_SIZE时只解析前ROBOTS_MAX_SIZE字节
+   * @param {string} origin - 站点
+   * @returns {Promise<Object>} { rules, crawlDelay, unavailable, error }
+   */
+  async fetchRobots(origin) {
+    try {
+      const response = await urlSafety.get(`${origin}/robots.txt`, {
+        timeout: 5000,
+        maxRedirects: 5,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: { 'User-Agent': config.crawler.userAgent }
+      });
+
+      if (response.status >= 400) {
+        response.data.destroy();
+      }
+      if (response.status >= 500) {
+        logger.warn(`robots.txt unavailable for ${origin}: HTTP ${response.status}`);
+        return { rules: [], crawlDelay: null, unavailable: true, error: `HTTP ${response.status}` };
+      }
+      if (response.status >= 400) {
+        return { rules: [], crawlDelay: null, unavailable: false };
+      }
+
+      const text = (await readStreamPrefix(response.data, ROBOTS_MAX_SIZE)).toString('utf8');
+      const { rules, crawlDelay } = getAgentRules(parseRobots(text), config.crawler.robotsAgent);
+      logger.debug(`Loaded robots.txt for ${origin}: ${rules.length} rules, crawl-delay ${crawlDelay}`);
+      return { rules, crawlDelay, unavailable: false };
+
+    } catch (error) {
+      const message = error.code === 'CRAWL_SKIPPED' ? error.detail : error.message;
+      logger.warn(`Failed to fetch robots.txt for ${origin}:`, message);
+      return { rules: [], crawlDelay: null, unavailable: true, error: message };
+    }
+  }
+
+  /**
+   * 占用主机的一个并发名额，并等到与上一次请求的间隔满足要求
+   * 排队等待名额和等待间隔的总时间不超过config.crawler.maxWaitMs
+   * @param {string} hostname - 主机名
+   * @param {string} url - 地址（用于错误信息）
+   * @param {number} interval - 请求间隔(毫秒)
+   * @returns {Promise<void>}
+   */
+  async acquire(hostname, url, interval) {
+    const host = this.getHostState(hostname);
+    const deadline = Date.now() + config.crawler.maxWaitMs;
+
+    // 排队的请求由release直接转交名额，等待超时的请求退出队列
+    if (host.active >= config.crawler.maxConcurrentPerHost) {
+      const granted = await new Promise(resolve => {
+        const grant = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+        const timer = setTimeout(() => {
+          host.queue.splice(host.queue.indexOf(grant), 1);
+          resolve(false);
+        }, config.crawler.maxWaitMs);
+        host.queue.push(grant);
+      });
+      if (!granted) {
+        throw this.createSkipError(url, 'rate-limit', `Host ${hostname} is busy`);
+      }
+    } else {
+      host.active++;
+    }
+
+    const now = Date.now();
+    const startAt = Math.max(now, host.nextStartAt);
+    if (startAt > deadline) {
+      this.release(hostname);
+      throw this.createSkipError(url, 'rate-limit', `Host ${hostname} is busy`);
+    }
+
+    host.nextStartAt = startAt + interval;
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * 释放主机的并发名额，唤醒排队的请求
+   * @param {string} hostname - 主机名
+   */
+  release(hostname) {
+    const host = this.hosts.get(hostname);
+    if (!host) return;
+
+    const next = host.queue.shift();
+    if (next) {
+      next();
+    } else {
+      host.active--;
+    }
+  }
+
+  /**
+   * 主机的并发和间隔状态
+   * @param {string} hostname - 主机名
+   * @returns {Object} { active, queue, nextStartAt }
+   */
+  getHostState(hostname) {
+    if (!this.hosts.has(hostname)) {
+      // 顺带清理已空闲且间隔已过的主机
+      const now = Date.now();
+      for (const [name, host] of this.hosts) {
+        if (host.active === 0 && host.nextStartAt <= now) this.hosts.delete(name);
+      }
+      this.hosts.set(hostname, { active: 0, queue: [], nextStartAt: 0 });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  /**
+   * 跳过访问的错误
+   * @param {string} url - 地址
+   * @param {string} reason - 原因
+   * @param {string} detail - 说明
+   * @returns {Error} 错误
+   */
+  createSkipError(url, reason, detail) {
+    const error = new Error(`Skipped ${url}: ${detail || reason}`);
+    error.code = 'CRAWL_SKIPPED';
+    error.reason = reason;
+    error.detail = detail || null;
+    return error;
+  }
+}
+
+// 各服务共用同一实例，使并发和间隔限制对所有访问生效
+module.exports = new PolitenessService();
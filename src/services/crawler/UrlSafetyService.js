@@ -0,0 +1,316 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 不允许访问的地址段：本机、内网、链路本地（含云服务元数据地址169.254.169.254）、运营商NAT、组播和保留地址
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * 将IPv6地址展开为8个16位分组
+ * @param {string} address - IPv6地址
+ * @returns {Array<number>} 分组
+ */
+function expandIPv6(address) {
+  let normalized = address.replace(/%.*$/, '');
+  const dotted = normalized.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    normalized = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = normalized.split('::');
+  const headGroups = head ? head.split(':') : [];
+  if (tail === undefined) {
+    return headGroups.map(group => parseInt(group, 16));
+  }
+  const tailGroups = tail ? tail.split(':') : [];
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    .map(group => parseInt(group, 16));
+}
+
+/**
+ * IPv6地址中内嵌的IPv4地址：IPv4兼容地址（::/96，如 ::127.0.0.1）和6to4地址（2002::/16，如 2002:7f00:1::）
+ * （IPv4映射地址 ::ffff:a.b.c.d 由net.BlockList直接按IPv4地址段检查）
+ * @param {string} address - IPv6地址
+ * @returns {string|null} 内嵌的IPv4地址
+ */
+function getEmbeddedIPv4(address) {
+  const groups = expandIPv6(address);
+  if (groups.length !== 8 || groups.some(isNaN)) {
+    return null;
+  }
+
+  let high;
+  let low;
+  if (groups.slice(0, 6).every(group => group === 0)) {
+    [high, low] = groups.slice(6);
+  } else if (groups[0] === 0x2002) {
+    [high, low] = groups.slice(1, 3);
+  } else {
+    return null;
+  }
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * 地址安全检查（防止SSRF）
+ * 搜索结果中的地址由外部决定，抓取和截图前检查：只允许http(s)和允许的端口，
+ * 主机名解析出的所有地址都不能位于本机、内网或链路本地地址段。
+ * get() 逐跳跟随重定向并重新检查每个地址，连接时再次检查DNS解析结果（防止DNS重绑定），
+ * 并限制响应大小。不安全的地址以 code 为 CRAWL_SKIPPED、reason 为 unsafe-url 的错误告知调用方。
+ * config.security.urlSafety 中的 allowHosts（含子域名）不做任何检查，allowCidrs 中的地址段允许访问
+ */
+class UrlSafetyService {
+  constructor() {
+    const { allowCidrs } = config.security.urlSafety;
+
+    this.blockList = new net.BlockList();
+    for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+      this.blockList.addSubnet(address, prefix, type);
+    }
+
+    this.allowList = new net.BlockList();
+    for (const cidr of allowCidrs) {
+      const [address, prefix] = cidr.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      if (!net.isIP(address)) {
+        logger.warn(`Ignoring invalid URL safety CIDR: ${cidr}`);
+        continue;
+      }
+      this.allowList.addSubnet(address, prefix !== undefined ? parseInt(prefix) : (type === 'ipv6' ? 128 : 32), type);
+    }
+
+    const lookup = (hostname, options, callback) => this.lookup(hostname, options, callback);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * 检查地址是否可以访问，不可以时抛出CRAWL_SKIPPED错误
+   * @param {string} url - 地址
+   * @returns {Promise<void>}
+   */
+  async check(url) {
+    const settings = config.security.urlSafety;
+    if (!settings.enabled) {
+      return;
+    }
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw this.createBlockedError(url, 'Invalid URL');
+    }
+
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+      throw this.createBlockedError(url, `Protocol ${parsedUrl.protocol} is not allowed`);
+    }
+
+    const hostname = this.getHostname(parsedUrl);
+    if (this.isHostAllowed(hostname)) {
+      return;
+    }
+
+    const port = parsedUrl.port ? parseInt(parsedUrl.port) : (parsedUrl.protocol === 'https:' ? 443 : 80);
+    if (!settings.allowedPorts.includes(port)) {
+      throw this.createBlockedError(url, `Port ${port} is not allowed`);
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [{ address: hostname, family: net.isIP(hostname) }];
+    } else {
+      try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+      } catch (error) {
+        throw this.createBlockedError(url, `DNS lookup failed: ${error.code || error.message}`);
+      }
+    }
+
+    const blocked = addresses.find(({ address, family }) => !this.isAddressAllowed(address, family));
+    if (blocked) {
+      throw this.createBlockedError(url, blocked.address === hostname
+        ? `Address ${hostname} is not allowed`
+        : `${hostname} resolves to blocked address ${blocked.address}`);
+    }
+  }
+
+  /**
+   * 安全地GET（或options.method指定的方法）一个地址：检查每一跳重定向，连接时检查解析结果，限制响应大小
+   * @param {string} url - 地址
+   * @param {Object} options - axios选项，validateStatus 在跟随重定向后对最终响应生效，
+   *   maxRedirects 和 maxContentLength 只能比配置值更小
+   * @returns {Promise<Object>} axios响应，另有 finalUrl 为重定向后的地址
+   */
+  async get(url, options = {}) {
+    const settings = config.security.urlSafety;
+    const {
+      validateStatus = status => status >= 200 && status < 300,
+      maxRedirects = settings.maxRedirects,
+      maxContentLength = settings.maxBodyBytes,
+      ...requestOptions
+    } = options;
+    let currentUrl = url;
+
+    for (let redirects = 0; ; redirects++) {
+      await this.check(currentUrl);
+
+      const response = await this.request(currentUrl, {
+        ...requestOptions,
+        maxRedirects: 0,
+        maxContentLength: Math.min(maxContentLength, settings.maxBodyBytes),
+        validateStatus: () => true,
+        ...(settings.enabled ? { httpAgent: this.httpAgent, httpsAgent: this.httpsAgent } : {})
+      });
+
+      if (REDIRECT_STATUSES.has(response.status) && response.headers.location) {
+        if (redirects >= Math.min(maxRedirects, settings.maxRedirects)) {
+          throw new Error(`Too many redirects for ${url}`);
+        }
+        // responseType为stream时关闭不会读取的重定向响应
+        if (response.data && typeof response.data.destroy === 'function') {
+          response.data.destroy();
+        }
+        currentUrl = new URL(response.headers.location, currentUrl).href;
+        logger.debug(`Following redirect to ${currentUrl}`);
+        continue;
+      }
+
+      if (!validateStatus(response.status)) {
+        throw new axios.AxiosError(
+          `Request failed with status code ${response.status}`,
+          axios.AxiosError.ERR_BAD_RESPONSE,
+          response.config,
+          response.request,
+          response
+        );
+      }
+
+      response.finalUrl = currentUrl;
+      return response;
+    }
+  }
+
+  /**
+   * 发出单次请求，连接时的地址检查失败时抛出原始的CRAWL_SKIPPED错误
+   * @param {string} url - 地址
+   * @param {Object} options - axios选项
+   * @returns {Promise<Object>} axios响应
+   */
+  async request(url, options) {
+    try {
+      return await axios.request({ method: 'get', ...options, url });
+    } catch (error) {
+      if (error.cause && error.cause.code === 'CRAWL_SKIPPED') {
+        throw error.cause;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 连接时使用的DNS解析，解析出被禁止的地址时返回错误
+   * @param {string} hostname - 主机名
+   * @param {Object} options - dns.lookup选项
+   * @param {Function} callback - 回调
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = !this.isHostAllowed(hostname) &&
+        addresses.find(({ address, family }) => !this.isAddressAllowed(address, family));
+      if (blocked) {
+        return callback(this.createBlockedError(hostname, `${hostname} resolves to blocked address ${blocked.address}`));
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * 地址是否允许访问
+   * @param {string} address - IP地址
+   * @param {number} family - 4或6
+   * @returns {boolean} 是否允许
+   */
+  isAddressAllowed(address, family) {
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (this.allowList.check(address, type)) {
+      return true;
+    }
+    if (this.blockList.check(address, type)) {
+      return false;
+    }
+
+    const embedded = type === 'ipv6' ? getEmbeddedIPv4(address) : null;
+    return !embedded || this.isAddressAllowed(embedded, 4);
+  }
+
+  /**
+   * 主机名是否在例外名单中（含子域名）
+   * @param {string} hostname - 主机名
+   * @returns {boolean} 是否在例外名单中
+   */
+  isHostAllowed(hostname) {
+    return config.security.urlSafety.allowHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  }
+
+  /**
+   * 地址的主机名，IPv6地址去掉方括号
+   * @param {URL} parsedUrl - 地址
+   * @returns {string} 主机名
+   */
+  getHostname(parsedUrl) {
+    return parsedUrl.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  }
+
+  /**
+   * 不安全地址的错误，与礼貌层的跳过错误形式相同，调用方按跳过处理
+   * （礼貌层读取robots.txt时依赖本服务，因此不反向引用礼貌层）
+   * @param {string} url - 地址
+   * @param {string} detail - 说明
+   * @returns {Error} 错误
+   */
+  createBlockedError(url, detail) {
+    const error = new Error(`Skipped ${url}: ${detail}`);
+    error.code = 'CRAWL_SKIPPED';
+    error.reason = 'unsafe-url';
+    error.detail = detail;
+    return error;
+  }
+}
+
+// 页面抓取和截图共用同一实例（共用带检查的连接代理）
+module.exports = new UrlSafetyService();
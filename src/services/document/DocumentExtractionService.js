@@ -0,0 +1,291 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const JSZip = require('jszip');
+const logger = require('../../utils/logger');
+const { decodeBuffer } = require('../../utils/encoding');
+
+class DocumentExtractionService {
+  constructor() {
+    this.extensionTypes = {
+      '.md': 'markdown',
+      '.markdown': 'markdown',
+      '.txt': 'text',
+      '.html': 'html',
+      '.htm': 'html',
+      '.pdf': 'pdf',
+      '.docx': 'docx',
+      '.pptx': 'pptx'
+    };
+
+    // 网页抓取时按Content-Type识别文档
+    this.mimeTypes = {
+      'application/pdf': 'pdf',
+      'application/x-pdf': 'pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+    };
+  }
+
+  /**
+   * 是否支持该文件类型
+   * @param {string} filePath - 文件路径
+   * @returns {boolean} 是否支持
+   */
+  isSupportedFile(filePath) {
+    return Boolean(this.extensionTypes[path.extname(filePath).toLowerCase()]);
+  }
+
+  /**
+   * 从本地文件提取文本
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<Object>} { type, title, text, pages }
+   */
+  async extractFile(filePath) {
+    const type = this.extensionTypes[path.extname(filePath).toLowerCase()];
+    if (!type) {
+      throw new Error(`Unsupported document type: ${filePath}`);
+    }
+
+    const buffer = await fs.readFile(filePath);
+    const fallbackTitle = path.basename(filePath, path.extname(filePath));
+
+    try {
+      return await this.extractBuffer(buffer, type, fallbackTitle);
+    } catch (error) {
+      logger.warn(`Failed to extract text from ${filePath}:`, error.message);
+      throw new Error(`Document extraction failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 识别下载内容的文档类型
+   * 依次根据Content-Type、文件头和URL扩展名判断，网页或无法识别时返回null
+   * @param {string} contentType - 响应的Content-Type
+   * @param {string} url - 地址
+   * @param {Buffer} buffer - 内容
+   * @returns {string|null} pdf/docx/pptx
+   */
+  detectDocumentType(contentType, url, buffer) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (this.mimeTypes[mimeType]) {
+      return this.mimeTypes[mimeType];
+    }
+
+    if (buffer && buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return 'pdf';
+    }
+
+    // 部分服务器以 application/octet-stream 返回Office文档，只能依据扩展名判断
+    try {
+      const type = this.extensionTypes[path.extname(new URL(url).pathname).toLowerCase()];
+      const isZip = buffer && buffer.subarray(0, 2).toString('latin1') === 'PK';
+      if ((type === 'docx' || type === 'pptx') && isZip) {
+        return type;
+      }
+    } catch (error) {
+      // 无效URL按网页处理
+    }
+
+    return null;
+  }
+
+  /**
+   * 按类型提取二进制内容的文本
+   * @param {Buffer} buffer - 内容
+   * @param {string} type - 文档类型
+   * @param {string} fallbackTitle - 无标题元数据时使用的标题
+   * @returns {Promise<Object>} { type, title, text, pages }
+   */
+  async extractBuffer(buffer, type, fallbackTitle = '') {
+    switch (type) {
+      case 'pdf':
+        return { type, ...(await this.extractPdf(buffer, fallbackTitle)) };
+      case 'docx':
+        return { type, ...(await this.extractDocx(buffer, fallbackTitle)) };
+      case 'pptx':
+        return { type, ...(await this.extractPptx(buffer, fallbackTitle)) };
+      // 本地文本文件没有HTTP头，按BOM、<meta charset>或内容识别编码
+      case 'html':
+        return { type, ...this.extractHtml(decodeBuffer(buffer), fallbackTitle) };
+      case 'markdown':
+        return { type, ...this.extractMarkdown(decodeBuffer(buffer), fallbackTitle) };
+      default:
+        return { type, title: fallbackTitle, text: decodeBuffer(buffer), pages: [] };
+    }
+  }
+
+  /**
+   * 带页码标记的文本，如 "[p. 1] …\n\n[p. 2] …"，便于引用时注明页码
+   * @param {Array} pages - [{ pageNumber, text }]
+   * @param {string} label - 页码前缀，PDF/Word为 p.，演示文稿为 slide
+   * @returns {string} 文本
+   */
+  formatPages(pages, label = 'p.') {
+    return pages
+      .filter(page => page.text)
+      .map(page => `[${label} ${page.pageNumber}] ${page.text}`)
+      .join('\n\n');
+  }
+
+  /**
+   * 提取PDF文本，保留页码
+   * @param {Buffer} buffer - PDF二进制数据
+   * @param {string} fallbackTitle - 无标题元数据时使用的标题
+   * @returns {Promise<Object>} { title, text, pages: [{ pageNumber, text }] }
+   */
+  async extractPdf(buffer, fallbackTitle = '') {
+    const pages = [];
+
+    // pdf.js按底层ArrayBuffer读取数据，Buffer是共享内存池或更大缓冲区的一部分时偏移会错位，复制为独立的数组
+    const data = await pdfParse(new Uint8Array(buffer), {
+      // 逐页渲染（pdf-parse按顺序调用），记录每页文本以便引用页码
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent();
+        let lastY = null;
+        let text = '';
+
+        for (const item of textContent.items) {
+          if (lastY !== null && lastY !== item.transform[5]) {
+            text += '\n';
+          }
+          text += item.str;
+          lastY = item.transform[5];
+        }
+
+        pages.push({ pageNumber: pages.length + 1, text: text.trim() });
+        return text;
+      }
+    });
+
+    return {
+      title: (data.info && data.info.Title) || fallbackTitle,
+      text: pages.map(page => page.text).join('\n\n'),
+      pages
+    };
+  }
+
+  /**
+   * 提取Word文档文本
+   * DOCX没有固定分页，按文档中的分页符（手动分页和Word保存时记录的渲染分页）划分页码
+   * @param {Buffer} buffer - DOCX二进制数据
+   * @param {string} fallbackTitle - 无标题元数据时使用的标题
+   * @returns {Promise<Object>} { title, text, pages: [{ pageNumber, text }] }
+   */
+  async extractDocx(buffer, fallbackTitle = '') {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentXml = await zip.file('word/document.xml')?.async('string');
+    if (!documentXml) {
+      throw new Error('Invalid DOCX: word/document.xml not found');
+    }
+
+    const $ = cheerio.load(documentXml, { xmlMode: true });
+    const pages = [{ pageNumber: 1, paragraphs: [] }];
+
+    $('w\\:body w\\:p').each((_, paragraph) => {
+      let text = '';
+      $(paragraph).find('w\\:t, w\\:tab, w\\:br, w\\:lastRenderedPageBreak').each((_, node) => {
+        const isPageBreak = node.tagName === 'w:lastRenderedPageBreak' ||
+          (node.tagName === 'w:br' && $(node).attr('w:type') === 'page');
+
+        if (isPageBreak) {
+          if (text.trim()) pages[pages.length - 1].paragraphs.push(text.trim());
+          text = '';
+          // 手动分页符之后Word通常还会记录一次渲染分页，空白页不重复计数
+          if (pages[pages.length - 1].paragraphs.length > 0) {
+            pages.push({ pageNumber: pages.length + 1, paragraphs: [] });
+          }
+        } else if (node.tagName === 'w:t') {
+          text += $(node).text();
+        } else {
+          text += node.tagName === 'w:tab' ? '\t' : '\n';
+        }
+      });
+      if (text.trim()) pages[pages.length - 1].paragraphs.push(text.trim());
+    });
+
+    const normalizedPages = pages.map(page => ({ pageNumber: page.pageNumber, text: page.paragraphs.join('\n') }));
+    return {
+      title: (await this.getOfficeTitle(zip)) || fallbackTitle,
+      text: normalizedPages.map(page => page.text).filter(Boolean).join('\n\n'),
+      pages: normalizedPages
+    };
+  }
+
+  /**
+   * 提取演示文稿文本，每张幻灯片为一页
+   * @param {Buffer} buffer - PPTX二进制数据
+   * @param {string} fallbackTitle - 无标题元数据时使用的标题
+   * @returns {Promise<Object>} { title, text, pages: [{ pageNumber, text }] }
+   */
+  async extractPptx(buffer, fallbackTitle = '') {
+    const zip = await JSZip.loadAsync(buffer);
+    const slideFiles = Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+    const pages = [];
+    for (const name of slideFiles) {
+      const $ = cheerio.load(await zip.file(name).async('string'), { xmlMode: true });
+      const paragraphs = $('a\\:p').toArray()
+        .map(paragraph => $(paragraph).find('a\\:t').toArray().map(node => $(node).text()).join(''))
+        .map(text => text.trim())
+        .filter(Boolean);
+      pages.push({ pageNumber: pages.length + 1, text: paragraphs.join('\n') });
+    }
+
+    return {
+      title: (await this.getOfficeTitle(zip)) || fallbackTitle,
+      text: pages.map(page => page.text).filter(Boolean).join('\n\n'),
+      pages
+    };
+  }
+
+  /**
+   * 读取Office文档属性中的标题
+   * @param {JSZip} zip - 文档压缩包
+   * @returns {Promise<string|null>} 标题
+   */
+  async getOfficeTitle(zip) {
+    const coreXml = await zip.file('docProps/core.xml')?.async('string');
+    if (!coreXml) {
+      return null;
+    }
+    const $ = cheerio.load(coreXml, { xmlMode: true });
+    return $('dc\\:title').first().text().trim() || null;
+  }
+
+  /**
+   * 提取HTML文本
+   * @param {string} html - HTML内容
+   * @param {string} fallbackTitle - 无<title>时使用的标题
+   * @returns {Object} { title, text, pages }
+   */
+  extractHtml(html, fallbackTitle = '') {
+    const $ = cheerio.load(html);
+    const title = $('title').first().text().trim() || $('h1').first().text().trim() || fallbackTitle;
+
+    $('script, style, noscript, template').remove();
+    const text = $('body').text().replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n\n').trim();
+
+    return { title, text, pages: [] };
+  }
+
+  /**
+   * 提取Markdown文本（以第一个标题作为文档标题）
+   * @param {string} markdown - Markdown内容
+   * @param {string} fallbackTitle - 无标题时使用的标题
+   * @returns {Object} { title, text, pages }
+   */
+  extractMarkdown(markdown, fallbackTitle = '') {
+    const heading = markdown.match(/^#{1,6}\s+(.+?)\s*#*\s*$/m);
+    return {
+      title: heading ? heading[1].trim() : fallbackTitle,
+      text: markdown,
+      pages: []
+    };
+  }
+}
+
+module.exports = DocumentExtractionService;
@@ -1,12 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../utils/logger');
+const CredibilityService = require('../search/CredibilityService');
 
 class MarkdownService {
   constructor() {
     this.outputDir = path.join(process.cwd(), 'reports', 'markdown');
     this.templateDir = path.join(__dirname, 'templates');
     this.defaultTemplate = 'research-report';
+    this.credibilityService = new CredibilityService();
   }
 
   /**
@@ -21,6 +23,8 @@ class MarkdownService {
         topic,
         searchResults,
         analysisResult,
+        facts = [],
+        deadLinks = [],
         screenshots,
         rounds,
         timestamp = new Date()
@@ -40,6 +44,8 @@ class MarkdownService {
         topic,
         searchResults,
         analysisResult,
+        facts,
+        deadLinks,
         screenshots,
         rounds,
         timestamp,
@@ -85,6 +91,8 @@ class MarkdownService {
       topic,
       searchResults,
       analysisResult,
+      facts,
+      deadLinks,
       screenshots,
       rounds,
       timestamp,
@@ -108,6 +116,11 @@ class MarkdownService {
     // 关键发现
     markdown += this.buildKeyFindings(analysisResult);
 
+    // 结构化事实
+    if (facts && facts.length > 0) {
+      markdown += this.buildFactsSection(facts);
+    }
+
     // 详细分析
     markdown += this.buildDetailedAnalysis(analysisResult);
 
@@ -119,6 +132,11 @@ class MarkdownService {
     // 信息源和参考资料
     markdown += this.buildSourcesSection(searchResults, analysisResult);
 
+    // 失效链接
+    if (deadLinks && deadLinks.length > 0) {
+      markdown += this.buildDeadLinksSection(deadLinks);
+    }
+
     // 原始数据（可选）
     if (includeRawData) {
       markdown += this.buildRawDataSection(searchResults, analysisResult);
@@ -190,6 +208,15 @@ ${analysisResult.summary || '暂无摘要信息'}
 `;
 
     rounds.forEach((round, index) => {
+      if (round.type === 'citations') {
+        content += `### 第 ${index + 1} 轮：追踪引用
+- **被引页面**: ${round.results?.length || 0} 条
+- **关键发现**: ${round.keyFindings || '待分析'}
+
+`;
+        return;
+      }
+
       content += `### 第 ${index + 1} 轮搜索
 - **搜索查询**: ${round.query}
 - **搜索结果**: ${round.results?.length || 0} 条
@@ -225,6 +252,38 @@ ${analysisResult.summary || '暂无摘要信息'}
     return content;
   }
 
+  /**
+   * 构建结构化事实表格
+   * @param {Array} facts - Wikidata实体及事实
+   * @returns {string} 事实表格内容
+   */
+  buildFactsSection(facts) {
+    let content = `## 📌 关键事实
+
+| 实体 | 属性 | 值 | 来源 |
+|------|------|-----|------|
+`;
+
+    facts.forEach(entity => {
+      const label = this.escapeTableCell(entity.label);
+      entity.facts.forEach(fact => {
+        content += `| [${label}](${entity.wikipediaUrl}) | ${this.escapeTableCell(fact.property)} | ${this.escapeTableCell(fact.value)} | [Wikidata ${entity.id}](${fact.url}) |\n`;
+      });
+    });
+
+    content += '\n---\n\n';
+    return content;
+  }
+
+  /**
+   * 转义表格单元格中的 |，避免拆分单元格
+   * @param {*} value - 单元格内容
+   * @returns {string} 转义后的内容
+   */
+  escapeTableCell(value) {
+    return String(value).replace(/\|/g, '\\|');
+  }
+
   /**
    * 构建详细分析
    * @param {Object} analysisResult - 分析结果
@@ -297,18 +356,30 @@ ${analysisResult.summary || '暂无摘要信息'}
 
 `;
 
-    // 从分析结果中提取来源
+    // 从分析结果中提取来源，可靠性使用确定性的可信度评分
     if (analysisResult.sources && analysisResult.sources.length > 0) {
+      const resultsByUrl = new Map((searchResults || []).map(result => [result.url, result]));
       analysisResult.sources.forEach((source, index) => {
-        const reliability = Math.round((source.reliability || 0.7) * 100);
+        const result = resultsByUrl.get(source.url);
+        const credibility = (result && result.credibility) || this.credibilityService.scoreUrl(source.url, result && result.source);
+        const reliability = Math.round(credibility.score * 100);
         content += `${index + 1}. **[${source.title}](${source.url})**  
-   可靠性: ${reliability}%  
-   来源: ${this.getSourceType(source.url)}
+   可靠性: ${reliability}%${credibility.signals.length > 0 ? `（${credibility.signals.join(', ')}）` : ''}  
+   来源: ${credibility.type}
 
 `;
       });
     }
 
+    // 学术文献以引用格式单独列出
+    const papers = (searchResults || []).filter(result => result.paper);
+    if (papers.length > 0) {
+      content += '\n### 学术文献\n\n';
+      papers.forEach((result, index) => {
+        content += `${index + 1}. ${this.formatPaperCitation(result)}\n`;
+      });
+    }
+
     content += '\n### 所有搜索结果\n\n';
 
     // 列出所有搜索结果
@@ -316,7 +387,7 @@ ${analysisResult.summary || '暂无摘要信息'}
       searchResults.forEach((result, index) => {
         content += `${index + 1}. **[${result.title}](${result.url})**  
    来源: ${result.source || 'unknown'}  
-   摘要: ${result.snippet || '无摘要'}
+${this.formatRanking(result)}${result.publishedAt ? `   发布时间: ${new Date(result.publishedAt).toLocaleDateString('zh-CN')}${result.modifiedAt ? `（更新于 ${new Date(result.modifiedAt).toLocaleDateString('zh-CN')}）` : ''}  \n` : ''}${result.author || result.siteName ? `   作者: ${[result.author, result.siteName].filter(Boolean).join(' / ')}  \n` : ''}${result.languageLinks && result.languageLinks.length > 0 ? `   其他语言版本: ${result.languageLinks.map(link => link.url ? `[${link.language}: ${link.title}](${link.url})` : `${link.language}: ${link.title}`).join(', ')}  \n` : ''}${result.alternates && result.alternates.length > 0 ? `   转载/其他地址: ${result.alternates.map(alternate => `[${alternate.source}](${alternate.url})`).join(', ')}  \n` : ''}${result.citedBy && result.citedBy.length > 0 ? `   被引用于: ${result.citedBy.map(citing => `[${citing.title || citing.url}](${citing.url})`).join(', ')}${result.anchorText ? `（锚文本: ${result.anchorText}）` : ''}  \n` : ''}${result.archived ? `   存档快照: [${this.formatArchiveDate(result.archivedAt)}](${result.archiveUrl})（原页面无法访问）  \n` : ''}   摘要: ${result.snippet || '无摘要'}
 
 `;
       });
@@ -326,6 +397,86 @@ ${analysisResult.summary || '暂无摘要信息'}
     return content;
   }
 
+  /**
+   * 构建失效链接部分
+   * @param {Array} deadLinks - 失效链接（SearchService.collectDeadLinks的结果，每个地址一条）
+   * @returns {string} 失效链接内容
+   */
+  buildDeadLinksSection(deadLinks) {
+    let content = `## ⚠️ 失效链接
+
+以下页面在抓取时无法访问，有存档快照的已改用快照内容进行分析：
+
+`;
+
+    deadLinks.forEach((link, index) => {
+      content += `${index + 1}. **[${link.title}](${link.url})**  
+   错误: ${link.error}  
+   存档快照: ${link.archived ? `[${this.formatArchiveDate(link.archivedAt)}](${link.archiveUrl})` : '无'}
+
+`;
+    });
+
+    content += '---\n\n';
+    return content;
+  }
+
+  /**
+   * 格式化存档快照日期
+   * @param {Date|string} archivedAt - 存档时间
+   * @returns {string} 如 "2023-05-01"，未知时为"未知日期"
+   */
+  formatArchiveDate(archivedAt) {
+    return archivedAt ? new Date(archivedAt).toISOString().split('T')[0] : '未知日期';
+  }
+
+  /**
+   * 格式化结果的排名依据
+   * @param {Object} result - 搜索结果
+   * @returns {string} 如 "   排名依据: 综合相关性 82%，google #3，bing #1"，无排名信息时为空
+   */
+  formatRanking(result) {
+    const ranks = Object.entries(result.providerRanks || {});
+    if (ranks.length === 0) {
+      return '';
+    }
+
+    const parts = ranks
+      .sort((a, b) => a[1] - b[1])
+      .map(([source, rank]) => `${source} #${rank}`);
+    if (typeof result.relevanceScore === 'number') {
+      parts.unshift(`综合相关性 ${Math.round(result.relevanceScore * 100)}%`);
+    }
+    return `   排名依据: ${parts.join('，')}  \n`;
+  }
+
+  /**
+   * 格式化论文引用
+   * @param {Object} result - 带有paper信息的搜索结果
+   * @returns {string} 引用文本，如 "Vaswani A, Shazeer N 等 (2017). *标题*. NeurIPS. DOI: … [PDF](…)"
+   */
+  formatPaperCitation(result) {
+    const { authors = [], year, venue, doi, pdfUrl } = result.paper;
+
+    let authorText = authors.slice(0, 3).join(', ');
+    if (authors.length > 3) {
+      authorText += ' 等';
+    }
+
+    let citation = `${authorText || '佚名'} (${year || 'n.d.'}). *[${result.title}](${result.url})*.`;
+    if (venue) {
+      citation += ` ${venue}.`;
+    }
+    if (doi) {
+      citation += ` DOI: [${doi}](https://doi.org/${doi}).`;
+    }
+    if (pdfUrl) {
+      citation += ` [PDF](${pdfUrl})`;
+    }
+
+    return citation;
+  }
+
   /**
    * 构建原始数据部分
    * @param {Array} searchResults - 搜索结果
@@ -394,27 +545,6 @@ ${JSON.stringify(analysisResult, null, 2)}
     return `${cleanTopic}-${dateStr}-${timeStr}.md`;
   }
 
-  /**
-   * 获取来源类型
-   * @param {string} url - URL
-   * @returns {string} 来源类型
-   */
-  getSourceType(url) {
-    try {
-      const domain = new URL(url).hostname.toLowerCase();
-      
-      if (domain.includes('wikipedia')) return 'Wikipedia';
-      if (domain.includes('gov')) return '政府网站';
-      if (domain.includes('edu')) return '教育机构';
-      if (domain.includes('org')) return '组织机构';
-      if (domain.includes('news') || domain.includes('cnn') || domain.includes('bbc')) return '新闻媒体';
-      
-      return '网站';
-    } catch (error) {
-      return '未知';
-    }
-  }
-
   /**
    * 格式化字节大小
    * @param {number} bytes - 字节数
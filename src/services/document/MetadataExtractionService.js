@@ -0,0 +1,215 @@
+const cheerio = require('cheerio');
+const { parseDate } = require('../../utils/date');
+
+// JSON-LD 中表示文章的类型
+const ARTICLE_TYPES = new Set([
+  'Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'BlogPosting',
+  'TechArticle', 'ScholarlyArticle', 'Report', 'LiveBlogPosting', 'SocialMediaPosting'
+]);
+
+const PUBLISHED_META = [
+  'article:published_time', 'og:published_time', 'datePublished', 'pubdate', 'publishdate', 'publish_date',
+  'parsely-pub-date', 'sailthru.date', 'dc.date.issued', 'dc.date', 'dcterms.created', 'date'
+];
+const MODIFIED_META = ['article:modified_time', 'og:updated_time', 'dateModified', 'last-modified', 'dcterms.modified'];
+const AUTHOR_META = ['author', 'article:author', 'parsely-author', 'sailthru.author', 'dc.creator', 'twitter:creator'];
+const SITE_NAME_META = ['og:site_name', 'application-name', 'twitter:site'];
+// 按优先级排列的 <time> 元素
+const TIME_SELECTORS = ['time[itemprop="datePublished"]', 'time[pubdate]', 'article time[datetime]', 'main time[datetime]', 'time[datetime]'];
+
+// 正文开头常见的日期标注，如"发布时间：2024-03-05"、"Published March 5, 2024"
+const DATE_LABEL_PATTERN = /(发布时间|发表时间|发布日期|发表于|时间|日期|Published|Posted|Updated)\s*[:：]?\s*([^\n|]{6,40})/i;
+
+/**
+ * 文章元数据提取
+ * 依次读取JSON-LD、OpenGraph/Twitter等meta标签、<time>元素和正文中的日期标注，靠前的来源优先
+ */
+class MetadataExtractionService {
+  /**
+   * 提取文章元数据
+   * @param {string} html - 网页HTML
+   * @returns {Object} { author, publishedAt, modifiedAt, siteName, lang }，未识别的字段为null
+   */
+  extract(html) {
+    const $ = cheerio.load(html);
+    const jsonLd = this.getJsonLdArticle($);
+
+    const publishedAt = parseDate(jsonLd.datePublished) ||
+      this.getMetaDate($, PUBLISHED_META) ||
+      this.getTimeElementDate($) ||
+      this.getTextDate($);
+
+    return {
+      author: this.getJsonLdAuthor(jsonLd) || this.getMetaAuthor($),
+      publishedAt,
+      modifiedAt: parseDate(jsonLd.dateModified) || this.getMetaDate($, MODIFIED_META),
+      siteName: this.getSiteName($) || this.getJsonLdName(jsonLd.publisher),
+      lang: this.getLanguage($, jsonLd)
+    };
+  }
+
+  /**
+   * 查找JSON-LD中的文章对象，支持数组和@graph
+   * @param {CheerioAPI} $ - 页面
+   * @returns {Object} 文章对象，没有时为空对象
+   */
+  getJsonLdArticle($) {
+    const candidates = [];
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+      try {
+        const data = JSON.parse($(element).contents().text().trim());
+        const queue = Array.isArray(data) ? [...data] : [data];
+        while (queue.length > 0) {
+          const item = queue.shift();
+          if (!item || typeof item !== 'object') continue;
+          if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+          candidates.push(item);
+        }
+      } catch (error) {
+        // 格式错误的JSON-LD很常见，忽略即可
+      }
+    });
+
+    const isArticle = item => [].concat(item['@type'] || []).some(type => ARTICLE_TYPES.has(type));
+    return candidates.find(isArticle) ||
+      candidates.find(item => item.datePublished) ||
+      {};
+  }
+
+  /**
+   * JSON-LD作者，可能是字符串、对象或数组
+   * @param {Object} article - 文章对象
+   * @returns {string|null} 作者，多位作者以逗号分隔
+   */
+  getJsonLdAuthor(article) {
+    const authors = [].concat(article.author || article.creator || [])
+      .map(author => this.getJsonLdName(author))
+      .filter(Boolean);
+    return authors.length > 0 ? [...new Set(authors)].join(', ') : null;
+  }
+
+  /**
+   * JSON-LD对象的名称
+   * @param {Object|string} value - 对象或字符串
+   * @returns {string|null} 名称
+   */
+  getJsonLdName(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.trim() || null;
+    if (Array.isArray(value)) return this.getJsonLdName(value[0]);
+    return typeof value.name === 'string' ? value.name.trim() || null : null;
+  }
+
+  /**
+   * 按名称依次读取meta标签（property、name、itemprop）
+   * @param {CheerioAPI} $ - 页面
+   * @param {Array<string>} names - 名称
+   * @returns {Array<string>} 按名称顺序排列的内容
+   */
+  getMetaValues($, names) {
+    const values = [];
+    for (const name of names) {
+      $('meta').each((_, element) => {
+        const key = $(element).attr('property') || $(element).attr('name') || $(element).attr('itemprop');
+        const content = $(element).attr('content');
+        if (key && key.toLowerCase() === name.toLowerCase() && content && content.trim()) {
+          values.push(content.trim());
+        }
+      });
+    }
+    return values;
+  }
+
+  /**
+   * 从meta标签读取日期
+   * @param {CheerioAPI} $ - 页面
+   * @param {Array<string>} names - 名称
+   * @returns {Date|null} 日期
+   */
+  getMetaDate($, names) {
+    for (const value of this.getMetaValues($, names)) {
+      const date = parseDate(value);
+      if (date) return date;
+    }
+    return null;
+  }
+
+  /**
+   * 从meta标签读取作者，跳过作者主页链接和Twitter账号
+   * @param {CheerioAPI} $ - 页面
+   * @returns {string|null} 作者
+   */
+  getMetaAuthor($) {
+    const author = this.getMetaValues($, AUTHOR_META).find(value => !/^https?:\/\//.test(value) && !value.startsWith('@'));
+    if (author) return author;
+
+    const element = $('[itemprop="author"] [itemprop="name"], [itemprop="author"], [rel="author"], .byline .author, .author-name').first();
+    const text = element.text().replace(/\s+/g, ' ').trim();
+    return text && text.length < 100 ? text : null;
+  }
+
+  /**
+   * 从<time>元素读取发布日期，优先正文容器内标注为发布时间的元素
+   * @param {CheerioAPI} $ - 页面
+   * @returns {Date|null} 日期
+   */
+  getTimeElementDate($) {
+    // 选择器列表的结果按文档顺序排列，逐个选择器查找才能按优先级选取
+    for (const selector of TIME_SELECTORS) {
+      for (const element of $(selector).toArray()) {
+        const date = parseDate($(element).attr('datetime')) || parseDate($(element).text());
+        if (date) return date;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 从正文开头的日期标注中识别发布日期
+   * @param {CheerioAPI} $ - 页面
+   * @returns {Date|null} 日期
+   */
+  getTextDate($) {
+    const root = $('article').first().length > 0 ? $('article').first() : $('body');
+    const text = root.clone().find('script, style, noscript').remove().end().text().substring(0, 3000);
+
+    const labeled = DATE_LABEL_PATTERN.exec(text);
+    if (labeled) {
+      const date = parseDate(labeled[2]);
+      if (date) return date;
+    }
+
+    // 没有标注时只接受中文完整日期，数字日期在正文中误识别的可能较大
+    const chinese = /\d{4}\s*年\s*\d{1,2}\s*月\s*\d{1,2}\s*[日号]/.exec(text);
+    return chinese ? parseDate(chinese[0]) : null;
+  }
+
+  /**
+   * 网站名称
+   * @param {CheerioAPI} $ - 页面
+   * @returns {string|null} 名称
+   */
+  getSiteName($) {
+    const name = this.getMetaValues($, SITE_NAME_META)[0];
+    return name ? name.replace(/^@/, '') : null;
+  }
+
+  /**
+   * 页面语言，统一为小写的语言标签（如 zh-cn、en）
+   * @param {CheerioAPI} $ - 页面
+   * @param {Object} article - JSON-LD文章对象
+   * @returns {string|null} 语言
+   */
+  getLanguage($, article) {
+    const lang = $('html').attr('lang') ||
+      this.getMetaValues($, ['content-language', 'og:locale', 'language'])[0] ||
+      $('meta[http-equiv="content-language" i]').attr('content') ||
+      (typeof article.inLanguage === 'string' ? article.inLanguage : null);
+
+    if (!lang) return null;
+    return lang.split(',')[0].trim().replace(/_/g, '-').toLowerCase() || null;
+  }
+}
+
+module.exports = MetadataExtractionService;
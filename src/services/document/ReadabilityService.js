@@ -0,0 +1,481 @@
+const cheerio = require('cheerio');
+const { canonicalizeUrl } = require('../../utils/url');
+
+// 与正文无关的元素
+// <form> 不在此列：ASP.NET WebForms页面用 <form> 包裹整个页面，表单在选出正文后按内容清理（见cleanForms）
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'button', 'input', 'select',
+  'nav', 'footer', 'aside', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]',
+  '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// class/id 命中时视为样板内容（Cookie提示、菜单、分享、评论等），除非同时像正文容器
+const UNLIKELY_PATTERN = /cookie|consent|gdpr|banner|breadcrumb|combx|comment|community|disqus|extra|foot|header|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|tool|widget|ad-break|agegate|广告|推荐|评论|分享/i;
+const MAYBE_CANDIDATE_PATTERN = /and|article|body|column|content|main|shadow|post|entry|text/i;
+const POSITIVE_PATTERN = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|正文/i;
+const NEGATIVE_PATTERN = /hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// 正文中的块级元素
+const BLOCK_TAGS = new Set(['p', 'pre', 'blockquote', 'li', 'td', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figcaption', 'dd', 'dt']);
+const CONTAINER_BLOCK_SELECTOR = 'p, pre, blockquote, ul, ol, table, div, section, article, h1, h2, h3, h4, h5, h6';
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_CONTENT_LENGTH = 200;
+
+// 每个页面最多保留的外链数，链接上下文的最大长度
+const MAX_LINKS = 100;
+const MAX_LINK_CONTEXT = 300;
+
+/**
+ * 正文提取（参考Readability算法）
+ * 按段落的文本长度、逗号数为其父级和祖父级容器打分，结合class/id特征和链接密度选出正文容器，
+ * 输出保留标题和段落结构的纯文本
+ */
+class ReadabilityService {
+  /**
+   * 提取网页正文及元数据
+   * @param {string} html - 网页HTML
+   * @param {string} url - 网页地址，用于解析相对路径的图片
+   * @param {Object} options - 选项
+   * @param {number} options.maxLength - 正文最大长度，0为不截断
+   * @returns {Object} { title, byline, leadImage, excerpt, content, length, truncated, links }，
+   *   links为正文中指向其他站点的链接 [{ url, text, context }]
+   */
+  extract(html, url, options = {}) {
+    const { maxLength = 0 } = options;
+    const $ = cheerio.load(html);
+
+    const title = this.getTitle($);
+    const byline = this.getByline($);
+    const excerpt = this.getMeta($, ['og:description', 'description', 'twitter:description']);
+    let leadImage = this.resolveUrl(this.getMeta($, ['og:image', 'twitter:image', 'twitter:image:src']), url);
+
+    this.removeBoilerplate($);
+
+    const { candidate, topScore, scores } = this.findTopCandidate($);
+    let nodes = this.cleanForms($, candidate ? this.getArticleNodes($, candidate, topScore, scores) : []);
+    let blocks = this.collectBlocks($, nodes);
+
+    // 正文过短说明没有找到正文容器，退回到整个页面
+    if (blocks.join('').length < MIN_CONTENT_LENGTH) {
+      nodes = this.cleanForms($, [$('body').get(0) || $.root().get(0)]);
+      blocks = this.collectBlocks($, nodes);
+    }
+
+    if (!leadImage && candidate) {
+      leadImage = this.resolveUrl($(candidate).find('img[src]').first().attr('src'), url);
+    }
+
+    // 正文开头与标题重复时去掉
+    if (blocks.length > 0 && title && blocks[0].replace(/^#+\s*/, '') === title) {
+      blocks.shift();
+    }
+
+    const fullContent = blocks.join('\n\n');
+    const content = this.truncate(fullContent, maxLength);
+
+    return {
+      title,
+      byline,
+      leadImage: leadImage || null,
+      excerpt: excerpt || (blocks.find(block => !block.startsWith('#')) || '').substring(0, 200),
+      content,
+      length: fullContent.length,
+      truncated: content.length < fullContent.length,
+      links: this.collectLinks($, nodes, url)
+    };
+  }
+
+  /**
+   * 获取页面标题，优先使用OpenGraph标题
+   * @param {CheerioAPI} $ - 页面
+   * @returns {string} 标题
+   */
+  getTitle($) {
+    return this.getMeta($, ['og:title', 'twitter:title']) ||
+      this.normalizeText($('title').first().text()) ||
+      this.normalizeText($('h1').first().text());
+  }
+
+  /**
+   * 获取作者署名
+   * @param {CheerioAPI} $ - 页面
+   * @returns {string|null} 署名
+   */
+  getByline($) {
+    const meta = this.getMeta($, ['author', 'article:author', 'byl', 'dc.creator']);
+    if (meta && !/^https?:\/\//.test(meta)) {
+      return meta;
+    }
+
+    const element = $('[rel="author"], [itemprop="author"], .byline, .author, .post-author, .article-author').first();
+    const text = this.normalizeText(element.text());
+    return text && text.length < 100 ? text : null;
+  }
+
+  /**
+   * 按名称依次查找meta标签内容
+   * @param {CheerioAPI} $ - 页面
+   * @param {Array<string>} names - name或property
+   * @returns {string|null} 内容
+   */
+  getMeta($, names) {
+    for (const name of names) {
+      const content = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+      if (content && content.trim()) {
+        return this.normalizeText(content);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 移除样板元素
+   * @param {CheerioAPI} $ - 页面
+   */
+  removeBoilerplate($) {
+    $(REMOVE_SELECTORS).remove();
+
+    $('*').each((_, element) => {
+      if (element.tagName === 'body' || element.tagName === 'html' || element.tagName === 'article' || element.tagName === 'main') {
+        return;
+      }
+      const matchString = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+      if (UNLIKELY_PATTERN.test(matchString) && !MAYBE_CANDIDATE_PATTERN.test(matchString)) {
+        $(element).remove();
+      }
+    });
+
+    // 页面头部常见的 <header> 只在正文容器之外移除，文章内的 <header> 通常包含标题和署名
+    $('header').filter((_, element) => $(element).closest('article, main').length === 0).remove();
+  }
+
+  /**
+   * 为容器打分并选出得分最高的正文容器
+   * @param {CheerioAPI} $ - 页面
+   * @returns {Object} { candidate, topScore, scores }，没有正文容器时candidate为null
+   */
+  findTopCandidate($) {
+    const scores = new Map();
+
+    const initialize = (element) => {
+      if (!scores.has(element)) {
+        scores.set(element, this.getInitialScore($, element));
+      }
+    };
+
+    $('p, pre, td, blockquote').add(
+      $('div').filter((_, element) => $(element).children(CONTAINER_BLOCK_SELECTOR).length === 0)
+    ).each((_, element) => {
+      const text = this.normalizeText($(element).text());
+      if (text.length < MIN_PARAGRAPH_LENGTH) {
+        return;
+      }
+
+      // 基础分1，每个逗号加1，每100字加1（最多3）
+      const commas = (text.match(/[,，、;；]/g) || []).length;
+      const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+      const parent = element.parent;
+      const grandparent = parent && parent.parent;
+      if (parent && parent.type === 'tag') {
+        initialize(parent);
+        scores.set(parent, scores.get(parent) + score);
+      }
+      if (grandparent && grandparent.type === 'tag') {
+        initialize(grandparent);
+        scores.set(grandparent, scores.get(grandparent) + score / 2);
+      }
+    });
+
+    let topCandidate = null;
+    let topScore = 0;
+    for (const [element, score] of scores) {
+      const finalScore = score * (1 - this.getLinkDensity($, element));
+      if (finalScore > topScore) {
+        topCandidate = element;
+        topScore = finalScore;
+      }
+    }
+
+    return { candidate: topCandidate, topScore, scores };
+  }
+
+  /**
+   * 容器的初始分数：按标签类型和class/id特征
+   * @param {CheerioAPI} $ - 页面
+   * @param {Element} element - 容器
+   * @returns {number} 分数
+   */
+  getInitialScore($, element) {
+    let score = 0;
+    switch (element.tagName) {
+      case 'article':
+      case 'main':
+        score += 10;
+        break;
+      case 'div':
+      case 'section':
+        score += 5;
+        break;
+      case 'pre':
+      case 'td':
+      case 'blockquote':
+        score += 3;
+        break;
+      case 'ol':
+      case 'ul':
+      case 'dl':
+      case 'form':
+        score -= 3;
+        break;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+      case 'th':
+        score -= 5;
+        break;
+      default:
+        break;
+    }
+
+    const matchString = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+    if (NEGATIVE_PATTERN.test(matchString)) score -= 25;
+    if (POSITIVE_PATTERN.test(matchString)) score += 25;
+
+    return score;
+  }
+
+  /**
+   * 按内容清理正文中的表单（参考Readability的条件清理）
+   * 链接密集、或文本很少且不含段落的表单（搜索框、登录、评论、订阅）移除，包裹正文的表单保留
+   * @param {CheerioAPI} $ - 页面
+   * @param {Array<Element>} nodes - 正文节点
+   * @returns {Array<Element>} 去掉样板表单后的正文节点
+   */
+  cleanForms($, nodes) {
+    const isBoilerplate = form => this.getLinkDensity($, form) > 0.5 ||
+      (this.normalizeText($(form).text()).length < MIN_CONTENT_LENGTH && $(form).find('p, pre, blockquote').length === 0);
+
+    return nodes.filter(node => {
+      $(node).find('form').filter((_, form) => isBoilerplate(form)).remove();
+      return node.tagName !== 'form' || !isBoilerplate(node);
+    });
+  }
+
+  /**
+   * 链接文本占全部文本的比例
+   * @param {CheerioAPI} $ - 页面
+   * @param {Element} element - 元素
+   * @returns {number} 0-1
+   */
+  getLinkDensity($, element) {
+    const textLength = this.normalizeText($(element).text()).length;
+    if (textLength === 0) {
+      return 0;
+    }
+
+    let linkLength = 0;
+    $(element).find('a').each((_, link) => {
+      linkLength += this.normalizeText($(link).text()).length;
+    });
+    return linkLength / textLength;
+  }
+
+  /**
+   * 正文容器及其同级的正文段落
+   * 正文有时被拆分在多个同级容器中（如广告位把文章分成两段），得分接近的同级容器一并保留
+   * @param {CheerioAPI} $ - 页面
+   * @param {Element} candidate - 正文容器
+   * @param {number} topScore - 正文容器的得分
+   * @param {Map} scores - 各容器的得分
+   * @returns {Array<Element>} 正文节点
+   */
+  getArticleNodes($, candidate, topScore, scores) {
+    const parent = candidate.parent;
+    if (!parent || parent.type !== 'tag') {
+      return [candidate];
+    }
+
+    const threshold = Math.max(10, topScore * 0.2);
+    return $(parent).children().toArray().filter(sibling => {
+      if (sibling === candidate) {
+        return true;
+      }
+
+      const score = scores.get(sibling);
+      if (score !== undefined && score * (1 - this.getLinkDensity($, sibling)) >= threshold) {
+        return true;
+      }
+
+      if (sibling.tagName === 'p') {
+        const text = this.normalizeText($(sibling).text());
+        const linkDensity = this.getLinkDensity($, sibling);
+        return (text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /[.。!！?？]$/.test(text));
+      }
+
+      return false;
+    });
+  }
+
+  /**
+   * 按文档顺序收集块级文本，标题转为Markdown标题，列表项加前缀
+   * @param {CheerioAPI} $ - 页面
+   * @param {Array<Element>} nodes - 根节点
+   * @returns {Array<string>} 文本块
+   */
+  collectBlocks($, nodes) {
+    const blocks = [];
+
+    const visit = (node) => {
+      if (node.type === 'text') {
+        const text = this.normalizeText(node.data);
+        if (text.length >= MIN_PARAGRAPH_LENGTH) {
+          blocks.push(text);
+        }
+        return;
+      }
+      if (node.type !== 'tag' && node.type !== 'root') {
+        return;
+      }
+
+      const tag = node.tagName;
+      const isLeafBlock = BLOCK_TAGS.has(tag) ||
+        ((tag === 'div' || tag === 'section') && $(node).children(CONTAINER_BLOCK_SELECTOR).length === 0);
+
+      if (isLeafBlock) {
+        const text = this.normalizeText($(node).text());
+        if (!text) {
+          return;
+        }
+
+        const heading = /^h([1-6])$/.exec(tag);
+        if (heading) {
+          blocks.push(`${'#'.repeat(parseInt(heading[1], 10))} ${text}`);
+        } else if (this.getLinkDensity($, node) <= 0.5 || text.length > 200) {
+          blocks.push(tag === 'li' ? `- ${text}` : text);
+        }
+        return;
+      }
+
+      for (const child of node.children || []) {
+        visit(child);
+      }
+    };
+
+    nodes.forEach(visit);
+    return blocks;
+  }
+
+  /**
+   * 收集正文中的外链及锚文本
+   * 只保留指向其他站点的http(s)链接（站内链接多为导航和相关文章），同一地址只保留第一次出现，
+   * context为链接所在段落的文本，用于判断链接与主题的相关性
+   * @param {CheerioAPI} $ - 页面
+   * @param {Array<Element>} nodes - 正文节点
+   * @param {string} url - 页面地址
+   * @returns {Array<Object>} [{ url, text, context }]
+   */
+  collectLinks($, nodes, url) {
+    const pageHost = this.getHost(url);
+    const links = new Map();
+
+    for (const node of nodes) {
+      $(node).find('a[href]').each((index, anchor) => {
+        if (links.size >= MAX_LINKS) {
+          return false;
+        }
+
+        const href = this.resolveUrl($(anchor).attr('href'), url);
+        if (!href || !/^https?:\/\//.test(href)) {
+          return;
+        }
+        const host = this.getHost(href);
+        const key = canonicalizeUrl(href);
+        if (!host || host === pageHost || links.has(key)) {
+          return;
+        }
+
+        const text = this.normalizeText($(anchor).text()) || this.normalizeText($(anchor).find('img[alt]').attr('alt'));
+        const block = $(anchor).closest('p, li, td, blockquote, figcaption, dd');
+        links.set(key, {
+          url: href.replace(/#.*$/, ''),
+          text,
+          context: block.length > 0 ? this.normalizeText(block.text()).substring(0, MAX_LINK_CONTEXT) : ''
+        });
+      });
+    }
+
+    return [...links.values()];
+  }
+
+  /**
+   * 地址的主机名（去掉www.前缀），用于区分站内和站外链接
+   * @param {string} url - 地址
+   * @returns {string|null} 主机名
+   */
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 按段落边界截断，单个段落过长时在句末截断
+   * @param {string} text - 正文
+   * @param {number} maxLength - 最大长度，0为不截断
+   * @returns {string} 截断后的正文
+   */
+  truncate(text, maxLength) {
+    if (!maxLength || text.length <= maxLength) {
+      return text;
+    }
+
+    const slice = text.substring(0, maxLength);
+    const paragraphEnd = slice.lastIndexOf('\n\n');
+    if (paragraphEnd > maxLength * 0.6) {
+      return slice.substring(0, paragraphEnd);
+    }
+
+    const sentenceEnd = Math.max(...['。', '！', '？', '. ', '! ', '? '].map(mark => slice.lastIndexOf(mark)));
+    if (sentenceEnd > maxLength * 0.6) {
+      return slice.substring(0, sentenceEnd + 1).trim();
+    }
+
+    return slice;
+  }
+
+  /**
+   * 解析相对地址
+   * @param {string} src - 地址
+   * @param {string} base - 页面地址
+   * @returns {string|null} 绝对地址
+   */
+  resolveUrl(src, base) {
+    if (!src) {
+      return null;
+    }
+    try {
+      return new URL(src, base).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 合并空白
+   * @param {string} text - 文本
+   * @returns {string} 文本
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = ReadabilityService;
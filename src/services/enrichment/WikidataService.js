@@ -0,0 +1,302 @@
+const axios = require('axios');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 提取的关键属性（人物、机构、地点通用）
+const KEY_PROPERTIES = {
+  P31: { zh: '类型', en: 'Instance of', multiple: true },
+  P571: { zh: '成立时间', en: 'Inception' },
+  P112: { zh: '创始人', en: 'Founded by', multiple: true },
+  P159: { zh: '总部', en: 'Headquarters' },
+  P169: { zh: '首席执行官', en: 'CEO' },
+  P452: { zh: '行业', en: 'Industry', multiple: true },
+  P1128: { zh: '员工人数', en: 'Employees' },
+  P2139: { zh: '营业收入', en: 'Revenue' },
+  P569: { zh: '出生日期', en: 'Date of birth' },
+  P19: { zh: '出生地', en: 'Place of birth' },
+  P570: { zh: '逝世日期', en: 'Date of death' },
+  P27: { zh: '国籍', en: 'Citizenship', multiple: true },
+  P106: { zh: '职业', en: 'Occupation', multiple: true },
+  P17: { zh: '国家', en: 'Country' },
+  P36: { zh: '首都', en: 'Capital' },
+  P1082: { zh: '人口', en: 'Population' },
+  P2046: { zh: '面积', en: 'Area' },
+  P625: { zh: '坐标', en: 'Coordinates' },
+  P856: { zh: '官方网站', en: 'Official website' }
+};
+
+class WikidataService {
+  constructor() {
+    this.apiUrl = config.enrichment.wikidata.apiUrl;
+    this.entityBaseUrl = config.enrichment.wikidata.entityBaseUrl;
+    this.maxEntities = config.enrichment.wikidata.maxEntities;
+    this.maxValuesPerProperty = 3;
+  }
+
+  /**
+   * 根据Wikipedia结果获取Wikidata实体的关键事实
+   * @param {Array} results - 搜索结果（仅处理wikipedia来源）
+   * @param {Object} options - 选项
+   * @param {string} options.language - 标签语言
+   * @returns {Promise<Array>} 实体列表 [{ id, label, description, url, wikipediaTitle, wikipediaUrl, facts }]
+   */
+  async enrichResults(results, options = {}) {
+    const { language = 'zh' } = options;
+
+    const articles = [];
+    const seenUrls = new Set();
+    for (const result of results) {
+      if (result.source !== 'wikipedia' || seenUrls.has(result.url)) continue;
+      seenUrls.add(result.url);
+      articles.push(result);
+      if (articles.length >= this.maxEntities) break;
+    }
+
+    if (articles.length === 0) {
+      return [];
+    }
+
+    try {
+      logger.info(`Resolving ${articles.length} Wikipedia articles to Wikidata entities`);
+
+      const labelLanguage = language === 'auto' ? (articles[0].language || 'en') : language;
+      const entities = await this.resolveEntities(articles, labelLanguage);
+      if (entities.length === 0) {
+        return [];
+      }
+
+      // 属性值中引用的其他实体（如总部所在城市）需要再取一次标签
+      const referencedIds = new Set();
+      for (const { entity } of entities) {
+        for (const propertyId of Object.keys(KEY_PROPERTIES)) {
+          for (const claim of this.selectClaims(entity.claims?.[propertyId], propertyId)) {
+            const value = claim.mainsnak.datavalue?.value;
+            if (value?.id) referencedIds.add(value.id);
+            if (typeof value?.unit === 'string' && value.unit.includes('/entity/Q')) {
+              referencedIds.add(value.unit.split('/').pop());
+            }
+          }
+        }
+      }
+      const labels = await this.getLabels([...referencedIds], labelLanguage);
+
+      const enriched = entities.map(({ entity, article }) => ({
+        id: entity.id,
+        label: this.pickLanguageValue(entity.labels, labelLanguage) || article.title,
+        description: this.pickLanguageValue(entity.descriptions, labelLanguage) || '',
+        url: `${this.entityBaseUrl}${entity.id}`,
+        wikipediaTitle: article.title,
+        wikipediaUrl: article.url,
+        facts: this.extractFacts(entity, labels, labelLanguage)
+      })).filter(entity => entity.facts.length > 0);
+
+      logger.info(`Wikidata enrichment completed, ${enriched.length} entities with facts`);
+      return enriched;
+
+    } catch (error) {
+      // 事实补充是可选步骤，失败时不影响主流程
+      logger.warn('Wikidata enrichment failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 通过站点和条目标题解析Wikidata实体
+   * @param {Array} articles - Wikipedia结果
+   * @param {string} labelLanguage - 标签语言
+   * @returns {Promise<Array>} [{ entity, article }]
+   */
+  async resolveEntities(articles, labelLanguage) {
+    const bySite = {};
+    for (const article of articles) {
+      const site = `${(article.language || this.getLanguageFromUrl(article.url)).replace(/-/g, '_')}wiki`;
+      (bySite[site] = bySite[site] || []).push(article);
+    }
+
+    const resolved = [];
+    for (const [site, siteArticles] of Object.entries(bySite)) {
+      const response = await axios.get(this.apiUrl, {
+        params: {
+          action: 'wbgetentities',
+          sites: site,
+          titles: siteArticles.map(article => article.title).join('|'),
+          props: 'labels|descriptions|claims|sitelinks',
+          sitefilter: site,
+          languages: [...new Set([labelLanguage, 'en'])].join('|'),
+          format: 'json',
+          origin: '*'
+        },
+        timeout: 10000
+      });
+
+      for (const entity of Object.values(response.data.entities || {})) {
+        if (!entity.id || entity.missing !== undefined) continue;
+        const title = entity.sitelinks?.[site]?.title;
+        const article = siteArticles.find(a => a.title === title);
+        if (article) {
+          resolved.push({ entity, article });
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 批量获取实体标签
+   * @param {Array<string>} ids - 实体ID
+   * @param {string} labelLanguage - 标签语言
+   * @returns {Promise<Object>} ID -> 标签
+   */
+  async getLabels(ids, labelLanguage) {
+    const labels = {};
+
+    // wbgetentities每次最多50个ID
+    for (let i = 0; i < ids.length; i += 50) {
+      const response = await axios.get(this.apiUrl, {
+        params: {
+          action: 'wbgetentities',
+          ids: ids.slice(i, i + 50).join('|'),
+          props: 'labels',
+          languages: [...new Set([labelLanguage, 'en'])].join('|'),
+          format: 'json',
+          origin: '*'
+        },
+        timeout: 10000
+      });
+
+      for (const entity of Object.values(response.data.entities || {})) {
+        labels[entity.id] = this.pickLanguageValue(entity.labels, labelLanguage) || entity.id;
+      }
+    }
+
+    return labels;
+  }
+
+  /**
+   * 提取关键事实
+   * @param {Object} entity - Wikidata实体
+   * @param {Object} labels - 引用实体的标签
+   * @param {string} labelLanguage - 标签语言
+   * @returns {Array} [{ propertyId, property, value, url }]
+   */
+  extractFacts(entity, labels, labelLanguage) {
+    const facts = [];
+
+    for (const [propertyId, definition] of Object.entries(KEY_PROPERTIES)) {
+      const values = this.selectClaims(entity.claims?.[propertyId], propertyId)
+        .map(claim => this.formatValue(claim.mainsnak, labels, labelLanguage))
+        .filter(Boolean);
+
+      if (values.length > 0) {
+        facts.push({
+          propertyId,
+          property: labelLanguage === 'zh' ? definition.zh : definition.en,
+          value: values.join(labelLanguage === 'zh' ? '、' : ', '),
+          url: `${this.entityBaseUrl}${entity.id}#${propertyId}`
+        });
+      }
+    }
+
+    return facts;
+  }
+
+  /**
+   * 选择有效声明：优先首选等级，排除已弃用
+   * @param {Array} claims - 声明列表
+   * @param {string} propertyId - 属性ID
+   * @returns {Array} 选中的声明
+   */
+  selectClaims(claims, propertyId) {
+    if (!Array.isArray(claims)) {
+      return [];
+    }
+
+    const valid = claims.filter(claim => claim.rank !== 'deprecated' && claim.mainsnak?.snaktype === 'value');
+    const preferred = valid.filter(claim => claim.rank === 'preferred');
+    const selected = preferred.length > 0 ? preferred : valid;
+
+    return KEY_PROPERTIES[propertyId].multiple
+      ? selected.slice(0, this.maxValuesPerProperty)
+      : selected.slice(0, 1);
+  }
+
+  /**
+   * 格式化属性值
+   * @param {Object} snak - 声明主值
+   * @param {Object} labels - 引用实体的标签
+   * @param {string} labelLanguage - 标签语言
+   * @returns {string|null} 格式化后的值
+   */
+  formatValue(snak, labels, labelLanguage) {
+    const datavalue = snak.datavalue;
+    if (!datavalue) {
+      return null;
+    }
+
+    const { type, value } = datavalue;
+    switch (type) {
+      case 'wikibase-entityid':
+        return labels[value.id] || value.id;
+      case 'time':
+        return this.formatTime(value);
+      case 'quantity': {
+        const amount = Number(value.amount).toLocaleString(labelLanguage === 'zh' ? 'zh-CN' : 'en-US');
+        const unitId = typeof value.unit === 'string' && value.unit.includes('/entity/Q') ? value.unit.split('/').pop() : null;
+        return unitId ? `${amount} ${labels[unitId] || unitId}` : amount;
+      }
+      case 'monolingualtext':
+        return value.text;
+      case 'globecoordinate':
+        return `${value.latitude.toFixed(4)}, ${value.longitude.toFixed(4)}`;
+      case 'string':
+        return value;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 按精度格式化Wikidata时间
+   * @param {Object} value - 时间值 { time: '+1947-05-01T00:00:00Z', precision: 11 }
+   * @returns {string} 格式化后的日期
+   */
+  formatTime(value) {
+    const match = /^([+-])(\d+)-(\d{2})-(\d{2})/.exec(value.time || '');
+    if (!match) {
+      return value.time || null;
+    }
+
+    const [, sign, year, month, day] = match;
+    const yearText = `${sign === '-' ? '-' : ''}${parseInt(year, 10)}`;
+    if (value.precision >= 11) return `${yearText}-${month}-${day}`;
+    if (value.precision === 10) return `${yearText}-${month}`;
+    return yearText;
+  }
+
+  /**
+   * 按语言选择标签或描述，缺失时回退到英文
+   * @param {Object} values - 多语言值 { zh: { value }, en: { value } }
+   * @param {string} language - 语言
+   * @returns {string|null} 值
+   */
+  pickLanguageValue(values, language) {
+    if (!values) return null;
+    return values[language]?.value || values.en?.value || Object.values(values)[0]?.value || null;
+  }
+
+  /**
+   * 从Wikipedia URL中获取语言版本
+   * @param {string} url - Wikipedia条目URL
+   * @returns {string} 语言代码
+   */
+  getLanguageFromUrl(url) {
+    try {
+      return new URL(url).hostname.split('.')[0].replace(/^m$/, 'en');
+    } catch (error) {
+      return 'en';
+    }
+  }
+}
+
+module.exports = WikidataService;
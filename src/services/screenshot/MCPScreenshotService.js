@@ -1,4 +1,7 @@
 const logger = require('../../utils/logger');
+const config = require('../../config');
+const politeness = require('../crawler/PolitenessService');
+const urlSafety = require('../crawler/UrlSafetyService');
 
 class MCPScreenshotService {
   constructor() {
@@ -11,13 +14,15 @@ class MCPScreenshotService {
     };
     this.maxRetries = 3;
     this.retryDelay = 1000;
+    this.politeness = politeness;
+    this.urlSafety = urlSafety;
   }
 
   /**
    * 截取网页截图
    * @param {string} url - 网页URL
    * @param {Object} options - 截图选项
-   * @returns {Promise<Buffer>} 截图二进制数据
+   * @returns {Promise<Buffer>} 截图二进制数据，地址不安全、robots.txt禁止或主机繁忙时抛出CRAWL_SKIPPED错误（不重试）
    */
   async captureScreenshot(url, options = {}) {
     const mergedOptions = { ...this.defaultOptions, ...options };
@@ -32,8 +37,15 @@ class MCPScreenshotService {
           throw new Error(`Invalid URL: ${url}`);
         }
 
-        // 使用MCP playwright工具进行截图
-        const screenshot = await this.takeMCPScreenshot(url, mergedOptions);
+        // 与页面抓取共用地址安全检查，内网、本机等地址不截图
+        await this.urlSafety.check(url);
+
+        // 使用MCP playwright工具进行截图，与页面抓取共用礼貌层的robots和频率限制；
+        // 浏览器只打开经过逐跳检查的重定向终点
+        const screenshot = await this.politeness.run(url, async () => {
+          const targetUrl = await this.resolveRedirects(url);
+          return this.takeMCPScreenshot(targetUrl, mergedOptions);
+        });
         
         if (!screenshot || screenshot.length === 0) {
           throw new Error('Empty screenshot returned');
@@ -43,6 +55,11 @@ class MCPScreenshotService {
         return screenshot;
 
       } catch (error) {
+        if (error.code === 'CRAWL_SKIPPED') {
+          logger.info(error.message);
+          throw error;
+        }
+
         lastError = error;
         logger.warn(`Screenshot attempt ${attempt} failed for ${url}:`, error.message);
         
@@ -56,11 +73,27 @@ class MCPScreenshotService {
     throw new Error(`Screenshot capture failed: ${lastError?.message || 'Unknown error'}`);
   }
 
+  /**
+   * 跟随HTTP重定向，每一跳都经过地址安全检查
+   * 使用HEAD请求，不支持HEAD的站点（如返回405）按原地址处理
+   * @param {string} url - 网页URL
+   * @returns {Promise<string>} 重定向终点，指向不安全地址时抛出CRAWL_SKIPPED错误
+   */
+  async resolveRedirects(url) {
+    const response = await this.urlSafety.get(url, {
+      method: 'head',
+      timeout: 10000,
+      validateStatus: () => true,
+      headers: { 'User-Agent': config.crawler.userAgent }
+    });
+    return response.finalUrl;
+  }
+
   /**
    * 使用MCP工具截取截图
    * @param {string} url - 网页URL
    * @param {Object} options - 截图选项
-   * @returns {Promise<Buffer>} 截图数据
+   * @returns {Promise<Buffer>} 截图数据，页面加载后所在地址不安全时抛出CRAWL_SKIPPED错误
    */
   async takeMCPScreenshot(url, options) {
     try {
@@ -69,6 +102,13 @@ class MCPScreenshotService {
       
       // 等待页面加载完成
       await this.waitForPageLoad(options.waitTime);
+
+      // 页面脚本或meta refresh可能再次跳转，截图前检查浏览器最终所在的地址
+      const currentUrl = await this.getCurrentUrl(url);
+      if (currentUrl !== url) {
+        logger.info(`Page navigated from ${url} to ${currentUrl}`);
+        await this.urlSafety.check(currentUrl);
+      }
       
       // 调整浏览器窗口大小
       await this.resizeBrowser(options.viewport.width, options.viewport.height);
@@ -107,6 +147,18 @@ class MCPScreenshotService {
     }
   }
 
+  /**
+   * 获取浏览器当前所在的地址
+   * @param {string} url - 导航时的地址
+   * @returns {Promise<string>} 当前地址
+   */
+  async getCurrentUrl(url) {
+    // 实际实现时调用MCP playwright工具读取当前页面地址
+    // 例如：const { url: currentUrl } = await mcpClient.evaluate({ function: '() => location.href' });
+    // 模拟实现：页面停留在导航地址
+    return url;
+  }
+
   /**
    * 等待页面加载完成
    * @param {number} waitTime - 等待时间(ms)
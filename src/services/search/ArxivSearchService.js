@@ -0,0 +1,139 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class ArxivSearchService {
+  constructor() {
+    this.baseUrl = config.search.arxiv.baseUrl;
+    this.maxPageSize = 100;
+  }
+
+  /**
+   * 执行arXiv论文搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Array>} 搜索结果数组
+   */
+  async search(query, options = {}) {
+    const {
+      maxResults = 5
+    } = options;
+
+    try {
+      logger.info(`Starting arXiv search for: "${query}"`);
+
+      const response = await axios.get(this.baseUrl, {
+        params: {
+          search_query: this.buildSearchQuery(query),
+          start: 0,
+          max_results: Math.min(maxResults, this.maxPageSize),
+          sortBy: 'relevance'
+        },
+        responseType: 'text',
+        timeout: 15000
+      });
+
+      const results = this.parseArxivFeed(response.data);
+      logger.info(`arXiv search completed, found ${results.length} results`);
+
+      return results;
+
+    } catch (error) {
+      logger.error('arXiv search error:', error);
+      if (error.response?.status === 429 || error.response?.status === 503) {
+        throw new Error('arXiv API rate limit exceeded');
+      }
+      throw new Error(`arXiv search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 构建arXiv查询语句（在所有字段中匹配每个词）
+   * @param {string} query - 搜索查询
+   * @returns {string} arXiv search_query
+   */
+  buildSearchQuery(query) {
+    const terms = query.trim().split(/\s+/).filter(Boolean);
+    return terms.map(term => `all:${term.replace(/[():"]/g, '')}`).join(' AND ');
+  }
+
+  /**
+   * 解析arXiv Atom结果
+   * @param {string} xml - API返回的Atom XML
+   * @returns {Array} 格式化的结果数组
+   */
+  parseArxivFeed(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const results = [];
+
+    $('entry').each((index, element) => {
+      const entry = $(element);
+      const absUrl = entry.find('id').first().text().trim();
+      const arxivId = absUrl.replace(/^https?:\/\/arxiv\.org\/abs\//, '');
+      const title = this.normalizeText(entry.find('title').first().text());
+      const abstract = this.normalizeText(entry.find('summary').first().text());
+      const published = entry.find('published').first().text().trim();
+      const pdfUrl = entry.find('link[title="pdf"]').attr('href') || null;
+
+      if (!absUrl || !title) {
+        return;
+      }
+
+      results.push({
+        source: 'arxiv',
+        title,
+        url: absUrl,
+        snippet: abstract.substring(0, 200),
+        content: abstract,
+        publishedAt: published ? new Date(published) : null,
+        paper: {
+          authors: entry.find('author > name').map((i, name) => $(name).text().trim()).get(),
+          venue: this.normalizeText(entry.find('arxiv\\:journal_ref').text()) || 'arXiv',
+          year: published ? new Date(published).getUTCFullYear() : null,
+          // 未正式发表的预印本使用arXiv分配的DOI
+          doi: entry.find('arxiv\\:doi').text().trim() || `10.48550/arXiv.${arxivId.replace(/v\d+$/, '')}`,
+          pdfUrl,
+          arxivId
+        },
+        relevanceScore: 0, // 将在SearchService中计算
+        scrapedAt: new Date()
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * 合并多余空白
+   * @param {string} text - 原始文本
+   * @returns {string} 处理后的文本
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 健康检查
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async healthCheck() {
+    try {
+      const response = await axios.get(this.baseUrl, {
+        params: {
+          search_query: 'all:test',
+          max_results: 1
+        },
+        responseType: 'text',
+        timeout: 5000
+      });
+
+      return response.status === 200;
+    } catch (error) {
+      logger.warn('arXiv search health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = ArxivSearchService;
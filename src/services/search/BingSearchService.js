@@ -0,0 +1,191 @@
+const axios = require('axios');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class BingSearchService {
+  constructor() {
+    this.apiKey = config.search.bing.apiKey;
+    this.baseUrl = config.search.bing.endpoint;
+    this.pageSize = config.search.bing.maxResults; // Bing API每次最多返回50个结果
+  }
+
+  /**
+   * 执行Bing搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Array>} 搜索结果数组
+   */
+  async search(query, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Bing Search API key not configured');
+    }
+
+    const {
+      maxResults = 10,
+      language = 'zh',
+      safeSearch = 'medium',
+      freshness = 'any'
+    } = options;
+
+    try {
+      logger.info(`Starting Bing search for: "${query}"`);
+
+      const results = [];
+      let offset = 0;
+
+      // 分页获取，直到达到请求数量或没有更多结果
+      while (results.length < maxResults) {
+        const count = Math.min(maxResults - results.length, this.pageSize);
+        const params = {
+          q: query,
+          count,
+          offset,
+          safeSearch: this.getSafeSearch(safeSearch),
+          responseFilter: 'Webpages',
+          textDecorations: false
+        };
+
+        const market = this.getMarketCode(language);
+        if (market) {
+          params.mkt = market;
+        }
+
+        const bingFreshness = this.getFreshness(freshness);
+        if (bingFreshness) {
+          params.freshness = bingFreshness;
+        }
+
+        const response = await axios.get(this.baseUrl, {
+          params,
+          headers: {
+            'Ocp-Apim-Subscription-Key': this.apiKey
+          },
+          timeout: 10000
+        });
+
+        const pageResults = this.parseBingResults(response.data);
+        results.push(...pageResults);
+
+        const totalEstimated = response.data.webPages?.totalEstimatedMatches || 0;
+        offset += count;
+        if (pageResults.length < count || offset >= totalEstimated) {
+          break;
+        }
+      }
+
+      logger.info(`Bing search completed, found ${results.length} results`);
+      return results.slice(0, maxResults);
+
+    } catch (error) {
+      logger.error('Bing search error:', error);
+      if (error.response?.status === 429) {
+        throw new Error('Bing Search API rate limit exceeded');
+      }
+      if (error.response?.status === 401) {
+        throw new Error('Bing Search API key is invalid');
+      }
+      throw new Error(`Bing search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析Bing搜索结果
+   * @param {Object} data - API返回数据
+   * @returns {Array} 格式化的结果数组
+   */
+  parseBingResults(data) {
+    if (!data.webPages || !Array.isArray(data.webPages.value)) {
+      return [];
+    }
+
+    return data.webPages.value.map(item => ({
+      source: 'bing',
+      title: item.name || 'Untitled',
+      url: item.url || '',
+      snippet: item.snippet || '',
+      content: '', // 需要额外抓取
+      thumbnail: item.thumbnailUrl || null,
+      publishedAt: item.datePublished ? new Date(item.datePublished) : null,
+      relevanceScore: 0, // 将在SearchService中计算
+      scrapedAt: null
+    }));
+  }
+
+  /**
+   * 获取市场代码
+   * @param {string} language - 语言标识
+   * @returns {string} Bing API市场代码
+   */
+  getMarketCode(language) {
+    const marketMap = {
+      'zh': 'zh-CN',
+      'en': 'en-US',
+      'auto': ''
+    };
+    return marketMap[language] || '';
+  }
+
+  /**
+   * 获取安全搜索级别
+   * @param {string} safeSearch - 安全搜索标识（与Google保持一致）
+   * @returns {string} Bing API安全搜索级别
+   */
+  getSafeSearch(safeSearch) {
+    const safeMap = {
+      'off': 'Off',
+      'medium': 'Moderate',
+      'high': 'Strict',
+      'active': 'Strict'
+    };
+    return safeMap[safeSearch] || 'Moderate';
+  }
+
+  /**
+   * 获取时效性参数
+   * @param {string} freshness - 时间窗口
+   * @returns {string} Bing API freshness（最近一年使用日期范围）
+   */
+  getFreshness(freshness) {
+    const freshnessMap = {
+      'day': 'Day',
+      'week': 'Week',
+      'month': 'Month'
+    };
+    if (freshness === 'year') {
+      const today = new Date();
+      const lastYear = new Date(today.getTime() - 365 * 24 * 60 * 60 * 1000);
+      return `${lastYear.toISOString().split('T')[0]}..${today.toISOString().split('T')[0]}`;
+    }
+    return freshnessMap[freshness] || '';
+  }
+
+  /**
+   * 健康检查
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async healthCheck() {
+    if (!this.apiKey) {
+      return false;
+    }
+
+    try {
+      const response = await axios.get(this.baseUrl, {
+        params: {
+          q: 'test',
+          count: 1
+        },
+        headers: {
+          'Ocp-Apim-Subscription-Key': this.apiKey
+        },
+        timeout: 5000
+      });
+      
+      return response.status === 200;
+    } catch (error) {
+      logger.warn('Bing search health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = BingSearchService;
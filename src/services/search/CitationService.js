@@ -0,0 +1,108 @@
+const bm25 = require('../../utils/bm25');
+const { canonicalizeUrl } = require('../../utils/url');
+const config = require('../../config');
+
+// 锚文本和地址路径中的单词说明链接指向的内容
+const ANCHOR_FIELDS = {
+  text: 3,
+  path: 1
+};
+// 同一段落中的链接共享上下文，上下文只占较小权重，避免段落切题时无关链接（如"隐私政策"）得分过高
+const CONTEXT_WEIGHT = 0.25;
+
+/**
+ * 引用链接
+ * 按与主题的相关性为页面正文中的外链打分，并汇总多个页面的外链得到引用关系，
+ * 供多轮搜索的"追踪引用"轮次选取值得抓取的被引页面
+ */
+class CitationService {
+  /**
+   * 按与主题的BM25相关性为链接打分，过滤低于config.search.citations.minRelevance的链接
+   * 相关性 = 锚文本得分 × 0.75 + 所在段落得分 × 0.25
+   * @param {Array} links - 页面外链 [{ url, text, context }]
+   * @param {string} topic - 主题
+   * @param {number} limit - 最多保留的链接数
+   * @returns {Array} 按相关性降序的链接 [{ url, text, context, relevance }]
+   */
+  scoreLinks(links, topic, limit = config.search.citations.maxLinksPerPage) {
+    if (!Array.isArray(links) || links.length === 0) {
+      return [];
+    }
+
+    const anchorScores = bm25.scoreDocuments(topic, links.map(link => ({
+      text: link.text,
+      path: this.getPathWords(link.url)
+    })), { fields: ANCHOR_FIELDS });
+    const contextScores = bm25.scoreDocuments(topic, links, { fields: { context: 1 } });
+
+    return links
+      .map((link, index) => {
+        const relevance = anchorScores[index] * (1 - CONTEXT_WEIGHT) + contextScores[index] * CONTEXT_WEIGHT;
+        return { ...link, relevance: Math.round(relevance * 1000) / 1000 };
+      })
+      .filter(link => link.relevance >= config.search.citations.minRelevance)
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+
+  /**
+   * 汇总搜索结果中的外链，得到被引用的页面
+   * 得分为链接的最高相关性，被多个页面引用时按 1 + 0.5 × log2(引用数) 加权；
+   * 已在结果中（含转载/其他地址）的页面不再列出
+   * @param {Array} results - 带有links的搜索结果
+   * @returns {Array} 按得分降序 [{ url, text, context, relevance, score, citedBy: [{ url, title }] }]
+   */
+  rankCitations(results) {
+    const known = new Set();
+    for (const result of results) {
+      known.add(canonicalizeUrl(result.url));
+      for (const alternate of result.alternates || []) {
+        known.add(canonicalizeUrl(alternate.url));
+      }
+    }
+
+    const citations = new Map();
+    for (const result of results) {
+      for (const link of result.links || []) {
+        const key = canonicalizeUrl(link.url);
+        if (known.has(key)) {
+          continue;
+        }
+
+        const citation = citations.get(key);
+        if (!citation) {
+          citations.set(key, { ...link, citedBy: [{ url: result.url, title: result.title }] });
+          continue;
+        }
+        if (!citation.citedBy.some(citing => citing.url === result.url)) {
+          citation.citedBy.push({ url: result.url, title: result.title });
+        }
+        if (link.relevance > citation.relevance) {
+          Object.assign(citation, { text: link.text, context: link.context, relevance: link.relevance });
+        }
+      }
+    }
+
+    return [...citations.values()]
+      .map(citation => ({
+        ...citation,
+        score: Math.round(citation.relevance * (1 + 0.5 * Math.log2(citation.citedBy.length)) * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * 地址路径中的单词，如 /2023/attention-is-all-you-need → "2023 attention is all you need"
+   * @param {string} url - 地址
+   * @returns {string} 单词
+   */
+  getPathWords(url) {
+    try {
+      return decodeURIComponent(new URL(url).pathname).replace(/[/_\-.+]+/g, ' ').trim();
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+module.exports = CitationService;
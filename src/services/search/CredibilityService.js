@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('tldts');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 按公共后缀判断的站点类型及基础分
+// 公共后缀的任意一段命中即可，如 gov.cn、gov.uk 均为政府网站，edu.cn 为教育机构；
+// secondLevel 中的标签只在二级后缀中有效（ac.uk、go.jp），避免误判 .ac 等国家顶级域名
+const SUFFIX_TYPES = [
+  { labels: ['gov'], secondLevel: ['gouv', 'gob', 'go'], type: '政府网站', score: 0.85 },
+  { labels: ['edu'], secondLevel: ['ac'], type: '教育机构', score: 0.8 },
+  { labels: ['int'], secondLevel: [], type: '国际组织', score: 0.8 },
+  { labels: ['mil'], secondLevel: [], type: '军方网站', score: 0.75 },
+  { labels: ['org'], secondLevel: [], type: '组织机构', score: 0.6 }
+];
+
+// 知名出版方（按可注册域名匹配）
+const KNOWN_PUBLISHERS = {
+  'wikipedia.org': { type: 'Wikipedia', score: 0.75 },
+  'wikidata.org': { type: 'Wikidata', score: 0.75 },
+  'arxiv.org': { type: '预印本', score: 0.7 },
+  'semanticscholar.org': { type: '学术数据库', score: 0.75 },
+  'doi.org': { type: '学术文献', score: 0.85 },
+  'nature.com': { type: '学术期刊', score: 0.9 },
+  'science.org': { type: '学术期刊', score: 0.9 },
+  'sciencedirect.com': { type: '学术期刊', score: 0.85 },
+  'springer.com': { type: '学术期刊', score: 0.85 },
+  'ieee.org': { type: '学术期刊', score: 0.85 },
+  'acm.org': { type: '学术期刊', score: 0.85 },
+  'nih.gov': { type: '政府网站', score: 0.9 },
+  'who.int': { type: '国际组织', score: 0.9 },
+  'un.org': { type: '国际组织', score: 0.85 },
+  'reuters.com': { type: '新闻媒体', score: 0.8 },
+  'apnews.com': { type: '新闻媒体', score: 0.8 },
+  'bbc.com': { type: '新闻媒体', score: 0.75 },
+  'bbc.co.uk': { type: '新闻媒体', score: 0.75 },
+  'nytimes.com': { type: '新闻媒体', score: 0.75 },
+  'ft.com': { type: '新闻媒体', score: 0.75 },
+  'economist.com': { type: '新闻媒体', score: 0.75 },
+  'xinhuanet.com': { type: '新闻媒体', score: 0.7 },
+  'people.com.cn': { type: '新闻媒体', score: 0.7 },
+  'caixin.com': { type: '新闻媒体', score: 0.7 },
+  'github.com': { type: '代码托管', score: 0.6 },
+  'medium.com': { type: '博客平台', score: 0.4 },
+  'zhihu.com': { type: '问答社区', score: 0.4 },
+  'reddit.com': { type: '社区论坛', score: 0.35 },
+  'quora.com': { type: '问答社区', score: 0.35 }
+};
+
+const DEFAULT_SCORE = 0.5;
+// 发布超过该年数的内容视为过时
+const STALE_YEARS = 5;
+
+class CredibilityService {
+  constructor() {
+    const rules = this.loadRules(config.credibility.rulesPath);
+
+    this.scores = { ...rules.scores, ...config.credibility.scores };
+    this.allow = [...(rules.allow || []), ...config.credibility.allow];
+    this.deny = [...(rules.deny || []), ...config.credibility.deny];
+  }
+
+  /**
+   * 加载域名规则文件
+   * 格式: { "scores": { "example.com": 0.9 }, "allow": ["example.org"], "deny": ["spam.example"] }
+   * @param {string} rulesPath - 规则文件路径
+   * @returns {Object} 规则
+   */
+  loadRules(rulesPath) {
+    if (!rulesPath) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(rulesPath), 'utf8'));
+    } catch (error) {
+      logger.warn(`Failed to load credibility rules from ${rulesPath}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 为每个结果计算可信度，屏蔽名单中的结果被移除
+   * @param {Array} results - 搜索结果
+   * @returns {Array} 带有credibility的结果
+   */
+  scoreResults(results) {
+    return results
+      .map(result => ({ ...result, credibility: this.scoreResult(result) }))
+      .filter(result => !result.credibility.denied);
+  }
+
+  /**
+   * 计算单个结果的可信度
+   * 相同的结果总是得到相同的分数：先由域名规则、知名出版方或公共后缀确定基础分，
+   * 再按HTTPS、论文DOI、发布时间等信号调整
+   * @param {Object} result - 搜索结果
+   * @returns {Object} { score, type, signals, denied }
+   */
+  scoreResult(result) {
+    const credibility = this.scoreUrl(result.url, result.source);
+    if (credibility.denied || credibility.signals.includes('configured')) {
+      return credibility;
+    }
+
+    const signals = [...credibility.signals];
+    let score = credibility.score;
+
+    if (result.paper && result.paper.doi) {
+      score += 0.1;
+      signals.push('doi');
+    }
+
+    if (result.publishedAt) {
+      const ageYears = (Date.now() - new Date(result.publishedAt).getTime()) / (365 * 24 * 60 * 60 * 1000);
+      if (ageYears > STALE_YEARS) {
+        score -= 0.05;
+        signals.push('stale');
+      }
+    }
+
+    return {
+      ...credibility,
+      score: this.clamp(score),
+      signals
+    };
+  }
+
+  /**
+   * 按URL计算可信度
+   * @param {string} url - 地址
+   * @param {string} source - 数据源名称（非网页地址时使用）
+   * @returns {Object} { score, type, signals, denied }
+   */
+  scoreUrl(url, source) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return { score: DEFAULT_SCORE, type: '未知', signals: [], denied: false };
+    }
+
+    // 本地文档由用户自行提供
+    if (parsedUrl.protocol === 'file:') {
+      return { score: 0.7, type: source === 'local' ? '本地文档' : '文件', signals: ['local'], denied: false };
+    }
+
+    const hostname = parsedUrl.hostname.toLowerCase();
+    const { domain, publicSuffix, isIp } = parse(hostname);
+
+    if (this.matchesDomain(hostname, this.deny)) {
+      return { score: 0, type: '已屏蔽', signals: ['denied'], denied: true };
+    }
+
+    const configured = this.findDomainScore(hostname);
+    if (configured !== undefined) {
+      return { score: this.clamp(configured), type: this.getSuffixType(publicSuffix).type, signals: ['configured'], denied: false };
+    }
+
+    const signals = [];
+    let { type, score } = this.getSuffixType(publicSuffix);
+
+    const publisher = domain && KNOWN_PUBLISHERS[domain];
+    if (publisher) {
+      ({ type, score } = publisher);
+      signals.push('known-publisher');
+    }
+
+    if (this.matchesDomain(hostname, this.allow)) {
+      score = Math.max(score, 0.9);
+      signals.push('allowed');
+    }
+
+    if (isIp) {
+      score -= 0.2;
+      signals.push('ip-address');
+    }
+
+    if (parsedUrl.protocol === 'https:') {
+      score += 0.05;
+      signals.push('https');
+    } else {
+      score -= 0.1;
+      signals.push('no-https');
+    }
+
+    return { score: this.clamp(score), type, signals, denied: false };
+  }
+
+  /**
+   * 按公共后缀确定站点类型
+   * @param {string} publicSuffix - 公共后缀，如 gov.cn、co.uk
+   * @returns {Object} { type, score }
+   */
+  getSuffixType(publicSuffix) {
+    const labels = (publicSuffix || '').split('.');
+    const match = SUFFIX_TYPES.find(entry =>
+      entry.labels.some(label => labels.includes(label)) ||
+      (labels.length > 1 && entry.secondLevel.includes(labels[0]))
+    );
+    return match ? { type: match.type, score: match.score } : { type: '网站', score: DEFAULT_SCORE };
+  }
+
+  /**
+   * 查找配置的域名分数，子域名继承上级域名的分数
+   * @param {string} hostname - 主机名
+   * @returns {number|undefined} 分数
+   */
+  findDomainScore(hostname) {
+    const labels = hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const candidate = labels.slice(i).join('.');
+      if (this.scores[candidate] !== undefined) {
+        return this.scores[candidate];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * 主机名是否属于列表中的域名（含子域名）
+   * @param {string} hostname - 主机名
+   * @param {Array<string>} domains - 域名列表
+   * @returns {boolean} 是否匹配
+   */
+  matchesDomain(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  }
+
+  /**
+   * 将来源列表的可靠性替换为确定性的可信度分数
+   * 优先使用对应搜索结果的可信度，找不到时按URL计算
+   * @param {Array} sources - 分析结果中的来源 [{ title, url, reliability }]
+   * @param {Array} results - 搜索结果
+   * @returns {Array} 更新后的来源
+   */
+  applyToSources(sources, results = []) {
+    if (!Array.isArray(sources)) {
+      return sources;
+    }
+
+    const byUrl = new Map(results.filter(result => result.credibility).map(result => [result.url, result.credibility]));
+    return sources.map(source => {
+      const credibility = byUrl.get(source.url) || this.scoreUrl(source.url);
+      return { ...source, reliability: credibility.score };
+    });
+  }
+
+  /**
+   * 将分数限制在 0-1 并保留两位小数
+   * @param {number} score - 分数
+   * @returns {number} 分数
+   */
+  clamp(score) {
+    return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+  }
+}
+
+module.exports = CredibilityService;
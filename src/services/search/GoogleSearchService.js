@@ -2,11 +2,26 @@ const axios = require('axios');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 
+// Google Custom Search 的 lr 参数只接受以下语言，键为本项目使用的语言代码（与Wikipedia版本代码一致）
+const LANGUAGE_RESTRICTS = {
+  ar: 'lang_ar', bg: 'lang_bg', ca: 'lang_ca', cs: 'lang_cs', da: 'lang_da',
+  de: 'lang_de', el: 'lang_el', en: 'lang_en', es: 'lang_es', et: 'lang_et',
+  fi: 'lang_fi', fr: 'lang_fr', hr: 'lang_hr', hu: 'lang_hu', id: 'lang_id',
+  is: 'lang_is', it: 'lang_it', he: 'lang_iw', ja: 'lang_ja', ko: 'lang_ko',
+  lt: 'lang_lt', lv: 'lang_lv', nl: 'lang_nl', no: 'lang_no', nb: 'lang_no',
+  pl: 'lang_pl', pt: 'lang_pt', ro: 'lang_ro', ru: 'lang_ru', sk: 'lang_sk',
+  sl: 'lang_sl', sr: 'lang_sr', sv: 'lang_sv', tr: 'lang_tr',
+  zh: 'lang_zh-CN', 'zh-cn': 'lang_zh-CN', 'zh-hans': 'lang_zh-CN',
+  'zh-tw': 'lang_zh-TW', 'zh-hk': 'lang_zh-TW', 'zh-hant': 'lang_zh-TW'
+};
+
 class GoogleSearchService {
   constructor() {
     this.apiKey = config.search.google.apiKey;
     this.engineId = config.search.google.engineId;
     this.baseUrl = 'https://www.googleapis.com/customsearch/v1';
+    this.pageSize = 10; // Google API限制每次最多10个结果
+    this.maxTotalResults = 100; // Google API最多只能翻到第100个结果
   }
 
   /**
@@ -23,31 +38,80 @@ class GoogleSearchService {
     const {
       maxResults = 10,
       language = 'zh',
-      safeSearch = 'medium'
+      safeSearch = 'medium',
+      freshness = 'any',
+      metadata = {}
     } = options;
 
     try {
       logger.info(`Starting Google search for: "${query}"`);
       
-      const params = {
-        key: this.apiKey,
-        cx: this.engineId,
-        q: query,
-        num: Math.min(maxResults, 10), // Google API限制每次最多10个结果
-        lr: this.getLanguageCode(language),
-        safe: safeSearch,
-        fields: 'items(title,link,snippet,pagemap/cse_thumbnail),queries'
-      };
+      const target = Math.min(maxResults, this.maxTotalResults);
+      const results = [];
+      const seen = new Set();
+      let start = 1;
+      let nextPage = null;
+      let totalResults = 0;
+      let pagesFetched = 0;
 
-      const response = await axios.get(this.baseUrl, {
-        params,
-        timeout: 10000
-      });
+      // 按 start=1,11,21… 分页获取，直到达到请求数量
+      while (results.length < target && start <= this.maxTotalResults) {
+        const params = {
+          key: this.apiKey,
+          cx: this.engineId,
+          q: query,
+          num: Math.min(this.pageSize, target - results.length, this.maxTotalResults - start + 1),
+          start,
+          safe: safeSearch,
+          fields: 'items(title,link,snippet,pagemap/cse_thumbnail),queries,searchInformation(totalResults)'
+        };
+
+        const languageRestrict = this.getLanguageCode(language);
+        if (languageRestrict) {
+          params.lr = languageRestrict;
+        }
+
+        const dateRestrict = this.getDateRestrict(freshness);
+        if (dateRestrict) {
+          params.dateRestrict = dateRestrict;
+        }
+
+        const response = await axios.get(this.baseUrl, {
+          params,
+          timeout: 10000
+        });
+        pagesFetched++;
+
+        const pageResults = this.parseGoogleResults(response.data);
+        for (const result of pageResults) {
+          if (!seen.has(result.url)) {
+            seen.add(result.url);
+            results.push(result);
+          }
+        }
 
-      const results = this.parseGoogleResults(response.data);
-      logger.info(`Google search completed, found ${results.length} results`);
+        totalResults = parseInt(
+          response.data.searchInformation?.totalResults ||
+          response.data.queries?.request?.[0]?.totalResults
+        ) || totalResults;
+        nextPage = response.data.queries?.nextPage?.[0] || null;
+
+        if (!nextPage || pageResults.length === 0) {
+          break;
+        }
+        start = nextPage.startIndex || start + params.num;
+      }
+
+      // 记录分页信息供调用方写入搜索记录
+      metadata.totalResults = totalResults;
+      metadata.pagesFetched = pagesFetched;
+      metadata.nextPage = nextPage && nextPage.startIndex <= this.maxTotalResults
+        ? { startIndex: nextPage.startIndex, count: nextPage.count }
+        : null;
+
+      logger.info(`Google search completed, found ${results.length} results in ${pagesFetched} pages`);
       
-      return results;
+      return results.slice(0, target);
 
     } catch (error) {
       logger.error('Google search error:', error);
@@ -82,16 +146,27 @@ class GoogleSearchService {
 
   /**
    * 获取语言代码
+   * Google不支持的语言（如 zh-yue、simple）及 auto 返回空字符串，此时不限制语言
    * @param {string} language - 语言标识
    * @returns {string} Google API语言代码
    */
   getLanguageCode(language) {
-    const langMap = {
-      'zh': 'lang_zh-CN',
-      'en': 'lang_en',
-      'auto': ''
+    return LANGUAGE_RESTRICTS[String(language || '').toLowerCase()] || '';
+  }
+
+  /**
+   * 获取时间限制参数
+   * @param {string} freshness - 时间窗口
+   * @returns {string} Google API dateRestrict
+   */
+  getDateRestrict(freshness) {
+    const restrictMap = {
+      'day': 'd1',
+      'week': 'w1',
+      'month': 'm1',
+      'year': 'y1'
     };
-    return langMap[language] || '';
+    return restrictMap[freshness] || '';
   }
 
   /**
@@ -0,0 +1,286 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { tokenize } = require('../../utils/tokenizer');
+const { idf, termFrequencyNorm } = require('../../utils/bm25');
+const DocumentExtractionService = require('../document/DocumentExtractionService');
+const ReadabilityService = require('../document/ReadabilityService');
+
+// 索引格式或分词规则变化时递增，旧版本的索引会被重建
+const INDEX_VERSION = 2;
+
+class LocalCorpusSearchService {
+  constructor() {
+    this.corpusDir = config.search.local.corpusDir ? path.resolve(config.search.local.corpusDir) : null;
+    this.indexPath = path.resolve(config.search.local.indexPath);
+    this.refreshInterval = config.search.local.refreshInterval;
+    this.maxStoredText = 20000; // 每个文档在索引中保存的文本长度
+    this.extractor = new DocumentExtractionService();
+    this.readabilityService = new ReadabilityService();
+    this.index = null;
+    this.indexing = null;
+  }
+
+  /**
+   * 在本地文档中搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Array>} 搜索结果数组
+   */
+  async search(query, options = {}) {
+    if (!this.corpusDir) {
+      throw new Error('Local corpus directory not configured');
+    }
+
+    const {
+      maxResults = 5,
+      contentMaxLength = config.search.content.maxLength
+    } = options;
+
+    try {
+      logger.info(`Starting local corpus search for: "${query}"`);
+
+      const index = await this.ensureIndex();
+      const queryTerms = [...new Set(tokenize(query))];
+      const scores = this.scoreDocuments(index, queryTerms);
+
+      const results = Object.entries(scores)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, maxResults)
+        .map(([docId]) => this.buildResult(index.documents[docId], queryTerms, contentMaxLength));
+
+      logger.info(`Local corpus search completed, found ${results.length} results`);
+      return results;
+
+    } catch (error) {
+      logger.error('Local corpus search error:', error);
+      throw new Error(`Local corpus search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 按BM25计算文档得分
+   * @param {Object} index - 倒排索引
+   * @param {Array<string>} queryTerms - 查询词
+   * @returns {Object} 文档ID -> 得分
+   */
+  scoreDocuments(index, queryTerms) {
+    const docIds = Object.keys(index.documents);
+    const totalDocs = docIds.length;
+    const avgLength = docIds.reduce((sum, id) => sum + index.documents[id].length, 0) / (totalDocs || 1);
+    const scores = {};
+
+    for (const term of queryTerms) {
+      const postings = index.postings[term];
+      if (!postings) continue;
+
+      const docFreq = Object.keys(postings).length;
+      const termIdf = idf(totalDocs, docFreq);
+
+      for (const [docId, tf] of Object.entries(postings)) {
+        const length = index.documents[docId].length;
+        scores[docId] = (scores[docId] || 0) + termIdf * termFrequencyNorm(tf, length, avgLength);
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * 构建标准结果对象
+   * @param {Object} doc - 索引中的文档
+   * @param {Array<string>} queryTerms - 查询词
+   * @param {number} contentMaxLength - 正文最大长度，0为不截断（仍受索引保存长度限制）
+   * @returns {Object} 搜索结果
+   */
+  buildResult(doc, queryTerms, contentMaxLength) {
+    return {
+      source: 'local',
+      title: doc.title,
+      url: pathToFileURL(path.join(this.corpusDir, doc.path)).href,
+      snippet: this.buildSnippet(doc.text, queryTerms),
+      // 与网页抓取的正文使用相同的截断规则
+      content: this.readabilityService.truncate(doc.text, contentMaxLength),
+      filePath: doc.path,
+      relevanceScore: 0, // 将在SearchService中计算
+      scrapedAt: new Date(doc.indexedAt)
+    };
+  }
+
+  /**
+   * 截取包含首个命中词的摘要
+   * @param {string} text - 文档文本
+   * @param {Array<string>} queryTerms - 查询词
+   * @returns {string} 摘要
+   */
+  buildSnippet(text, queryTerms) {
+    const lowerText = text.toLowerCase();
+    const positions = queryTerms
+      .map(term => lowerText.indexOf(term))
+      .filter(position => position !== -1);
+    const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - 60) : 0;
+
+    return text.substring(start, start + 200).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 确保索引可用，超过刷新间隔时增量重建
+   * @returns {Promise<Object>} 倒排索引
+   */
+  async ensureIndex() {
+    if (!this.index) {
+      this.index = await this.loadIndex();
+    }
+
+    const stale = !this.index || this.index.corpusDir !== this.corpusDir ||
+      Date.now() - this.index.builtAt > this.refreshInterval;
+
+    if (stale) {
+      // 并发搜索共享同一次重建
+      if (!this.indexing) {
+        this.indexing = this.buildIndex(this.index)
+          .finally(() => { this.indexing = null; });
+      }
+      this.index = await this.indexing;
+    }
+
+    return this.index;
+  }
+
+  /**
+   * 从磁盘读取索引
+   * @returns {Promise<Object|null>} 索引，不存在或版本不符时返回null
+   */
+  async loadIndex() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      return data.version === INDEX_VERSION ? data : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load local corpus index, rebuilding:', error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 扫描文档目录并构建倒排索引，未修改的文件沿用上次的索引结果
+   * @param {Object|null} previous - 上一次的索引
+   * @returns {Promise<Object>} 新索引
+   */
+  async buildIndex(previous = null) {
+    const startTime = Date.now();
+    const reusable = previous && previous.corpusDir === this.corpusDir ? previous.documents : {};
+    const files = await this.listFiles(this.corpusDir);
+    const documents = {};
+    const postings = {};
+    const reused = new Set();
+    let extracted = 0;
+
+    for (const filePath of files) {
+      const relativePath = path.relative(this.corpusDir, filePath);
+      const stats = await fs.stat(filePath);
+      const cached = reusable[relativePath];
+
+      if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        documents[relativePath] = cached;
+        reused.add(relativePath);
+        continue;
+      }
+
+      try {
+        const { title, text } = await this.extractor.extractFile(filePath);
+        const tokens = tokenize(`${title} ${text}`);
+
+        for (const token of tokens) {
+          postings[token] = postings[token] || {};
+          postings[token][relativePath] = (postings[token][relativePath] || 0) + 1;
+        }
+
+        documents[relativePath] = {
+          path: relativePath,
+          title: title || path.basename(filePath),
+          text: text.substring(0, this.maxStoredText),
+          length: tokens.length,
+          mtimeMs: stats.mtimeMs,
+          size: stats.size,
+          indexedAt: new Date().toISOString()
+        };
+        extracted++;
+      } catch (error) {
+        logger.warn(`Skipping local document ${relativePath}:`, error.message);
+      }
+    }
+
+    // 未修改文档的词频直接从上次的倒排表复制
+    if (reused.size > 0) {
+      for (const [term, docs] of Object.entries(previous.postings)) {
+        for (const [docId, tf] of Object.entries(docs)) {
+          if (reused.has(docId)) {
+            postings[term] = postings[term] || {};
+            postings[term][docId] = tf;
+          }
+        }
+      }
+    }
+
+    const index = {
+      version: INDEX_VERSION,
+      corpusDir: this.corpusDir,
+      builtAt: Date.now(),
+      documents,
+      postings
+    };
+
+    await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+    await fs.writeFile(this.indexPath, JSON.stringify(index), 'utf8');
+
+    logger.info(`Local corpus indexed in ${Date.now() - startTime}ms: ${Object.keys(documents).length} documents (${extracted} re-extracted)`);
+    return index;
+  }
+
+  /**
+   * 递归列出目录中支持的文件
+   * @param {string} dir - 目录
+   * @returns {Promise<Array<string>>} 文件绝对路径
+   */
+  async listFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(fullPath));
+      } else if (entry.isFile() && this.extractor.isSupportedFile(fullPath)) {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 健康检查
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async healthCheck() {
+    if (!this.corpusDir) {
+      return false;
+    }
+
+    try {
+      const stats = await fs.stat(this.corpusDir);
+      return stats.isDirectory();
+    } catch (error) {
+      logger.warn('Local corpus health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = LocalCorpusSearchService;
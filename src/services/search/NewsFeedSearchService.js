@@ -0,0 +1,232 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { decodeBuffer } = require('../../utils/encoding');
+const { tokenize } = require('../../utils/tokenizer');
+
+class NewsFeedSearchService {
+  constructor() {
+    this.feeds = config.search.news.feeds;
+    this.searchUrl = config.search.news.searchUrl;
+  }
+
+  /**
+   * 执行新闻搜索（通用新闻搜索 + 订阅的RSS/Atom源）
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Array>} 搜索结果数组，按发布时间倒序
+   */
+  async search(query, options = {}) {
+    if (!this.searchUrl && this.feeds.length === 0) {
+      throw new Error('No news search URL or feeds configured');
+    }
+
+    const {
+      maxResults = 10,
+      language = 'zh'
+    } = options;
+
+    try {
+      logger.info(`Starting news search for: "${query}"`);
+
+      const feedRequests = [];
+      if (this.searchUrl) {
+        feedRequests.push(
+          this.fetchFeed(this.buildSearchUrl(query, language))
+        );
+      }
+      for (const feedUrl of this.feeds) {
+        // 订阅源本身不支持查询，取回后按关键词过滤
+        feedRequests.push(
+          this.fetchFeed(feedUrl).then(items => items.filter(item => this.matchesQuery(item, query)))
+        );
+      }
+
+      const settled = await Promise.allSettled(feedRequests);
+      const results = [];
+      const seen = new Set();
+
+      for (const outcome of settled) {
+        if (outcome.status === 'rejected') {
+          logger.warn('News feed fetch failed:', outcome.reason.message);
+          continue;
+        }
+        for (const item of outcome.value) {
+          if (!seen.has(item.url)) {
+            seen.add(item.url);
+            results.push(item);
+          }
+        }
+      }
+
+      if (results.length === 0 && settled.every(outcome => outcome.status === 'rejected')) {
+        throw new Error('All news feeds failed');
+      }
+
+      results.sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0));
+
+      logger.info(`News search completed, found ${results.length} results`);
+      return results.slice(0, maxResults);
+
+    } catch (error) {
+      logger.error('News search error:', error);
+      throw new Error(`News search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 获取并解析单个RSS/Atom源
+   * @param {string} url - 源地址
+   * @returns {Promise<Array>} 格式化的结果数组
+   */
+  async fetchFeed(url) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; AI-Information-Expert/1.0)',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8'
+      }
+    });
+
+    // 中文新闻源常用GBK编码，按HTTP头或XML声明解码
+    return this.parseFeed(decodeBuffer(Buffer.from(response.data), response.headers['content-type']));
+  }
+
+  /**
+   * 解析RSS 2.0 / Atom内容
+   * @param {string} xml - 源内容
+   * @returns {Array} 格式化的结果数组
+   */
+  parseFeed(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const feedTitle = this.cleanText($('channel > title, feed > title').first().text());
+    const results = [];
+
+    // RSS 2.0
+    $('item').each((index, element) => {
+      const item = $(element);
+      results.push(this.buildResult({
+        title: item.find('title').first().text(),
+        url: item.find('link').first().text() || item.find('guid').first().text(),
+        summary: item.find('description').first().text(),
+        date: item.find('pubDate').first().text() || item.find('dc\\:date').first().text(),
+        publisher: item.find('source').first().text() || feedTitle
+      }));
+    });
+
+    // Atom
+    $('entry').each((index, element) => {
+      const entry = $(element);
+      const link = entry.find('link[rel="alternate"]').attr('href') || entry.find('link').first().attr('href');
+      results.push(this.buildResult({
+        title: entry.find('title').first().text(),
+        url: link,
+        summary: entry.find('summary').first().text() || entry.find('content').first().text(),
+        date: entry.find('published').first().text() || entry.find('updated').first().text(),
+        publisher: entry.find('source > title').first().text() || feedTitle
+      }));
+    });
+
+    return results.filter(result => result.url && result.title);
+  }
+
+  /**
+   * 构建标准结果对象
+   * @param {Object} item - 源条目字段
+   * @returns {Object} 搜索结果
+   */
+  buildResult(item) {
+    const summary = this.cleanText(item.summary);
+    const publishedAt = item.date ? new Date(item.date.trim()) : null;
+
+    return {
+      source: 'news',
+      title: this.cleanText(item.title) || 'Untitled',
+      url: (item.url || '').trim(),
+      snippet: summary.substring(0, 200),
+      content: '', // 需要额外抓取
+      siteName: this.cleanText(item.publisher) || null,
+      publishedAt: publishedAt && !isNaN(publishedAt) ? publishedAt : null,
+      relevanceScore: 0, // 将在SearchService中计算
+      scrapedAt: null
+    };
+  }
+
+  /**
+   * 生成新闻搜索地址
+   * @param {string} query - 搜索查询
+   * @param {string} language - 语言标识
+   * @returns {string} 搜索地址
+   */
+  buildSearchUrl(query, language) {
+    const localeMap = {
+      'zh': { lang: 'zh-CN', region: 'CN' },
+      'en': { lang: 'en-US', region: 'US' }
+    };
+    const locale = localeMap[language] || localeMap.en;
+
+    return this.searchUrl
+      .replace(/{query}/g, encodeURIComponent(query))
+      .replace(/{lang}/g, locale.lang)
+      .replace(/{region}/g, locale.region);
+  }
+
+  /**
+   * 判断条目是否与查询相关
+   * 查询和标题、摘要使用相同的分词（中文按二元组切分），至少一半的查询词出现时视为相关，
+   * 不带空格的中文查询不必整句出现，英文词也不会误匹配其他单词的一部分
+   * @param {Object} item - 搜索结果
+   * @param {string} query - 搜索查询
+   * @returns {boolean} 是否匹配
+   */
+  matchesQuery(item, query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return false;
+    }
+
+    const terms = new Set(tokenize(`${item.title} ${item.snippet}`));
+    const matched = queryTerms.filter(term => terms.has(term)).length;
+    return matched > 0 && matched >= queryTerms.length / 2;
+  }
+
+  /**
+   * 去除HTML标签和多余空白
+   * @param {string} text - 原始文本
+   * @returns {string} 纯文本
+   */
+  cleanText(text) {
+    return (text || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * 健康检查
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async healthCheck() {
+    const url = this.searchUrl ? this.buildSearchUrl('test', 'en') : this.feeds[0];
+    if (!url) {
+      return false;
+    }
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'text',
+        timeout: 5000
+      });
+
+      return response.status === 200;
+    } catch (error) {
+      logger.warn('News search health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = NewsFeedSearchService;
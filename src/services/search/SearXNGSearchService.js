@@ -0,0 +1,178 @@
+const axios = require('axios');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class SearXNGSearchService {
+  constructor() {
+    this.baseUrl = config.search.searxng.baseUrl ? config.search.searxng.baseUrl.replace(/\/+$/, '') : null;
+    this.engines = config.search.searxng.engines;
+    this.categories = config.search.searxng.categories;
+    this.maxPages = config.search.searxng.maxPages;
+  }
+
+  /**
+   * 执行SearXNG搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Array>} 搜索结果数组
+   */
+  async search(query, options = {}) {
+    if (!this.baseUrl) {
+      throw new Error('SearXNG base URL not configured');
+    }
+
+    const {
+      maxResults = 10,
+      language = 'zh',
+      safeSearch = 'medium',
+      freshness = 'any',
+      engines = this.engines,
+      categories = this.categories
+    } = options;
+
+    try {
+      logger.info(`Starting SearXNG search for: "${query}"`);
+
+      const results = [];
+      const seen = new Set();
+
+      // SearXNG每页结果数由实例决定，按页获取直到满足数量
+      for (let pageno = 1; pageno <= this.maxPages && results.length < maxResults; pageno++) {
+        const params = {
+          q: query,
+          format: 'json',
+          pageno,
+          safesearch: this.getSafeSearchLevel(safeSearch)
+        };
+
+        const languageCode = this.getLanguageCode(language);
+        if (languageCode) {
+          params.language = languageCode;
+        }
+        if (engines && engines.length > 0) {
+          params.engines = engines.join(',');
+        }
+        if (categories && categories.length > 0) {
+          params.categories = categories.join(',');
+        }
+        if (['day', 'week', 'month', 'year'].includes(freshness)) {
+          params.time_range = freshness;
+        }
+
+        const response = await axios.get(`${this.baseUrl}/search`, {
+          params,
+          timeout: 10000
+        });
+
+        const pageResults = this.parseSearXNGResults(response.data)
+          .filter(result => {
+            if (seen.has(result.url)) {
+              return false;
+            }
+            seen.add(result.url);
+            return true;
+          });
+
+        if (pageResults.length === 0) {
+          break;
+        }
+        results.push(...pageResults);
+      }
+
+      logger.info(`SearXNG search completed, found ${results.length} results`);
+      return results.slice(0, maxResults);
+
+    } catch (error) {
+      logger.error('SearXNG search error:', error);
+      if (error.response?.status === 403) {
+        throw new Error('SearXNG JSON format is disabled on this instance');
+      }
+      if (error.response?.status === 429) {
+        throw new Error('SearXNG rate limit exceeded');
+      }
+      throw new Error(`SearXNG search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析SearXNG搜索结果
+   * @param {Object} data - API返回数据
+   * @returns {Array} 格式化的结果数组
+   */
+  parseSearXNGResults(data) {
+    if (!data || !Array.isArray(data.results)) {
+      return [];
+    }
+
+    return data.results
+      .filter(item => item.url)
+      .map(item => ({
+        source: 'searxng',
+        title: item.title || 'Untitled',
+        url: item.url,
+        snippet: item.content || '',
+        content: '', // 需要额外抓取
+        thumbnail: item.thumbnail || item.img_src || null,
+        engines: item.engines || (item.engine ? [item.engine] : []),
+        publishedAt: item.publishedDate ? new Date(item.publishedDate) : null,
+        relevanceScore: 0, // 将在SearchService中计算
+        scrapedAt: null
+      }));
+  }
+
+  /**
+   * 获取语言代码
+   * @param {string} language - 语言标识
+   * @returns {string} SearXNG语言代码
+   */
+  getLanguageCode(language) {
+    const langMap = {
+      'zh': 'zh-CN',
+      'en': 'en',
+      'auto': 'auto'
+    };
+    return langMap[language] || '';
+  }
+
+  /**
+   * 获取安全搜索级别
+   * @param {string} safeSearch - 安全搜索标识（与Google保持一致）
+   * @returns {number} SearXNG安全搜索级别 0/1/2
+   */
+  getSafeSearchLevel(safeSearch) {
+    const safeMap = {
+      'off': 0,
+      'medium': 1,
+      'high': 2,
+      'active': 2
+    };
+    return safeMap[safeSearch] ?? 1;
+  }
+
+  /**
+   * 健康检查
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async healthCheck() {
+    if (!this.baseUrl) {
+      return false;
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/search`, {
+        params: {
+          q: 'test',
+          format: 'json'
+        },
+        timeout: 5000
+      });
+      
+      return response.status === 200 && Array.isArray(response.data.results);
+    } catch (error) {
+      logger.warn('SearXNG search health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = SearXNGSearchService;
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const config = require('../../config');
+
+/**
+ * 搜索数据源注册表
+ * 每个数据源以描述对象的形式注册：
+ * {
+ *   name: 'google',                 // 唯一标识，同时作为结果的source字段
+ *   displayName: 'Google Custom Search',
+ *   capabilities: ['web'],          // 能力标签
+ *   defaultWeight: 1.0,             // 排名融合时的来源权重（可被config.search.fusion.weights覆盖）
+ *   quotaShare: 0.7,                // 多源搜索时分配的结果配额比例
+ *   enabledByDefault: true,         // 未指定sources时是否参与搜索
+ *   cacheTtl: 3600000,              // 搜索结果缓存时间(毫秒)，0为不缓存，未设置时使用config.cache.search.ttl
+ *   options: { safeSearch: Joi... }, // 客户端可通过providerOptions传入的专有选项及其校验规则
+ *   isConfigured: () => true,       // 是否已配置所需的密钥或地址（无需配置的数据源可省略）
+ *   create: () => new Service()     // 创建搜索服务实例
+ * }
+ */
+class SearchProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.instances = new Map();
+  }
+
+  /**
+   * 注册数据源
+   * @param {Object} descriptor - 数据源描述
+   * @returns {SearchProviderRegistry} 注册表本身
+   */
+  register(descriptor) {
+    if (!descriptor || !descriptor.name) {
+      throw new Error('Search provider must have a name');
+    }
+    if (typeof descriptor.create !== 'function') {
+      throw new Error(`Search provider "${descriptor.name}" must provide a create() factory`);
+    }
+    if (this.providers.has(descriptor.name)) {
+      throw new Error(`Search provider "${descriptor.name}" is already registered`);
+    }
+
+    this.providers.set(descriptor.name, {
+      displayName: descriptor.name,
+      capabilities: [],
+      defaultWeight: 1.0,
+      quotaShare: 0.5,
+      enabledByDefault: false,
+      options: {},
+      ...descriptor
+    });
+
+    return this;
+  }
+
+  /**
+   * 从目录加载数据源模块
+   * @param {string} dir - 数据源模块目录
+   */
+  loadDirectory(dir) {
+    const files = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      this.register(require(path.join(dir, file)));
+    }
+  }
+
+  /**
+   * 是否已注册
+   * @param {string} name - 数据源名称
+   * @returns {boolean} 是否存在
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * 获取数据源描述
+   * @param {string} name - 数据源名称
+   * @returns {Object|undefined} 数据源描述
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * 获取所有数据源描述
+   * @returns {Array<Object>} 数据源描述列表
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * 获取所有数据源名称
+   * @returns {Array<string>} 名称列表
+   */
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * 获取默认启用的数据源（config.search.defaultSources优先）
+   * @returns {Array<string>} 名称列表
+   */
+  getDefaultSources() {
+    const configured = (config.search.defaultSources || []).filter(name => this.providers.has(name));
+    if (configured.length > 0) {
+      return configured;
+    }
+
+    return this.list()
+      .filter(provider => provider.enabledByDefault)
+      .map(provider => provider.name);
+  }
+
+  /**
+   * 获取需要做健康检查的数据源：默认启用的，以及已配置的可选数据源
+   * 未配置的可选数据源不参与健康检查，避免影响整体状态，也不为此消耗付费API的查询
+   * @returns {Array<string>} 名称列表
+   */
+  getConfiguredSources() {
+    const defaults = this.getDefaultSources();
+    return this.list()
+      .filter(provider => defaults.includes(provider.name) || (provider.isConfigured && provider.isConfigured()))
+      .map(provider => provider.name);
+  }
+
+  /**
+   * 获取具备某项能力的数据源
+   * @param {string} capability - 能力标签
+   * @returns {Array<string>} 名称列表
+   */
+  getByCapability(capability) {
+    return this.list()
+      .filter(provider => provider.capabilities.includes(capability))
+      .map(provider => provider.name);
+  }
+
+  /**
+   * 数据源是否具备某项能力
+   * @param {string} name - 数据源名称
+   * @param {string} capability - 能力标签
+   * @returns {boolean} 是否具备
+   */
+  hasCapability(name, capability) {
+    const provider = this.providers.get(name);
+    return Boolean(provider && provider.capabilities.includes(capability));
+  }
+
+  /**
+   * 获取数据源的搜索服务实例（按需创建并复用）
+   * @param {string} name - 数据源名称
+   * @returns {Object} 搜索服务实例
+   */
+  getService(name) {
+    if (!this.instances.has(name)) {
+      const provider = this.providers.get(name);
+      if (!provider) {
+        throw new Error(`Unknown search provider: ${name}`);
+      }
+      this.instances.set(name, provider.create());
+    }
+    return this.instances.get(name);
+  }
+
+  /**
+   * 获取providerOptions的校验规则
+   * 只允许各数据源声明的专有选项，maxResults、language等通用参数不能按数据源覆盖
+   * @returns {Joi.ObjectSchema} 数据源名称 -> 专有选项的校验规则
+   */
+  getOptionsSchema() {
+    return Joi.object(Object.fromEntries(
+      this.list().map(provider => [provider.name, Joi.object(provider.options)])
+    ));
+  }
+
+  /**
+   * 获取来源权重
+   * 优先使用配置中的融合权重，其次为数据源的defaultWeight
+   * @param {string} name - 数据源名称
+   * @param {number} fallback - 未注册来源的默认权重
+   * @returns {number} 权重
+   */
+  getWeight(name, fallback = 0.8) {
+    const configured = config.search.fusion.weights[name];
+    if (configured !== undefined) {
+      return configured;
+    }
+    const provider = this.providers.get(name);
+    return provider ? provider.defaultWeight : fallback;
+  }
+
+  /**
+   * 获取搜索结果缓存时间
+   * 优先使用配置中按数据源设置的时间，其次为数据源的cacheTtl，最后为默认时间
+   * @param {string} name - 数据源名称
+   * @returns {number} 缓存时间(毫秒)，0为不缓存
+   */
+  getCacheTtl(name) {
+    const configured = config.cache.search.ttls[name];
+    if (configured !== undefined) {
+      return configured;
+    }
+    const provider = this.providers.get(name);
+    return provider && provider.cacheTtl !== undefined ? provider.cacheTtl : config.cache.search.ttl;
+  }
+
+  /**
+   * 按配额比例分配各数据源的结果数
+   * @param {Array<string>} names - 参与搜索的数据源
+   * @param {number} maxResults - 总结果数
+   * @returns {Object} 数据源名称 -> 结果数
+   */
+  allocateQuota(names, maxResults) {
+    const providers = names.map(name => this.providers.get(name)).filter(Boolean);
+    const totalShare = providers.reduce((sum, provider) => sum + provider.quotaShare, 0);
+    const allocation = {};
+
+    for (const provider of providers) {
+      const share = totalShare > 0 ? provider.quotaShare / totalShare : 1 / providers.length;
+      allocation[provider.name] = Math.max(1, Math.ceil(maxResults * share));
+    }
+
+    return allocation;
+  }
+}
+
+// 自动加载providers目录下的数据源模块
+const registry = new SearchProviderRegistry();
+registry.loadDirectory(path.join(__dirname, 'providers'));
+
+module.exports = registry;
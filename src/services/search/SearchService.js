@@ -1,19 +1,58 @@
-const GoogleSearchService = require('./GoogleSearchService');
-const WikipediaSearchService = require('./WikipediaSearchService');
+const providerRegistry = require('./SearchProviderRegistry');
 const MCPScreenshotService = require('../screenshot/MCPScreenshotService');
 const ImageStorageService = require('../storage/ImageStorageService');
 const MarkdownService = require('../document/MarkdownService');
+const ReadabilityService = require('../document/ReadabilityService');
+const MetadataExtractionService = require('../document/MetadataExtractionService');
+const DocumentExtractionService = require('../document/DocumentExtractionService');
 const GeminiService = require('../ai/gemini');
+const WikidataService = require('../enrichment/WikidataService');
+const CredibilityService = require('./CredibilityService');
+const CitationService = require('./CitationService');
+const politeness = require('../crawler/PolitenessService');
+const ArchiveService = require('../crawler/ArchiveService');
+const urlSafety = require('../crawler/UrlSafetyService');
+const pageCache = require('../cache/PageCacheService');
+const searchCache = require('../cache/SearchCacheService');
+const bm25 = require('../../utils/bm25');
+const { canonicalizeUrl } = require('../../utils/url');
+const { decodeBuffer } = require('../../utils/encoding');
+const { tokenize } = require('../../utils/tokenizer');
+const { simhash, hammingDistance } = require('../../utils/simhash');
+const config = require('../../config');
 const logger = require('../../utils/logger');
 
+// 时效性窗口（毫秒）
+const FRESHNESS_WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+// SimHash指纹相差不超过该位数的正文视为同一篇文章
+const NEAR_DUPLICATE_DISTANCE = 5;
+// 正文特征（词片段）少于该数量时不做近似重复判断
+const MIN_FINGERPRINT_FEATURES = 100;
+
 class SearchService {
   constructor() {
-    this.googleSearch = new GoogleSearchService();
-    this.wikipediaSearch = new WikipediaSearchService();
+    this.providers = providerRegistry;
     this.screenshotService = new MCPScreenshotService();
     this.imageStorage = new ImageStorageService();
     this.markdownService = new MarkdownService();
+    this.readabilityService = new ReadabilityService();
+    this.metadataService = new MetadataExtractionService();
+    this.documentService = new DocumentExtractionService();
     this.geminiService = new GeminiService();
+    this.wikidataService = new WikidataService();
+    this.credibilityService = new CredibilityService();
+    this.citationService = new CitationService();
+    this.politeness = politeness;
+    this.urlSafety = urlSafety;
+    this.pageCache = pageCache;
+    this.searchCache = searchCache;
+    this.archiveService = new ArchiveService();
   }
 
   /**
@@ -26,48 +65,77 @@ class SearchService {
     const {
       maxResults = 10,
       language = 'zh',
-      sources = ['google', 'wikipedia']
+      sources = this.providers.getDefaultSources(),
+      freshness = 'any',
+      freshnessMode = 'boost',
+      providerOptions = {},
+      providerMetadata = {},
+      contentMaxLength = config.search.content.maxLength,
+      cache = 'prefer'
     } = options;
 
     logger.info(`Starting multi-source search for: "${query}"`);
     const startTime = Date.now();
 
-    const searchPromises = [];
     const results = [];
-
-    // 并发搜索所有数据源
-    if (sources.includes('google')) {
-      searchPromises.push(
-        this.googleSearch.search(query, { maxResults: Math.ceil(maxResults * 0.7), language })
-          .then(results => ({ source: 'google', results }))
-          .catch(error => ({ source: 'google', error }))
-      );
-    }
-
-    if (sources.includes('wikipedia')) {
-      searchPromises.push(
-        this.wikipediaSearch.search(query, { maxResults: Math.ceil(maxResults * 0.3), language })
-          .then(results => ({ source: 'wikipedia', results }))
-          .catch(error => ({ source: 'wikipedia', error }))
-      );
-    }
+    const activeSources = sources.filter(source => {
+      if (!this.providers.has(source)) {
+        logger.warn(`Unknown search source ignored: ${source}`);
+        return false;
+      }
+      return true;
+    });
+
+    // 按配额比例分配各数据源的结果数
+    const quota = this.providers.allocateQuota(activeSources, maxResults);
+
+    // 并发搜索所有数据源，providerOptions中为各数据源的专有选项，
+    // 各数据源可在metadata中记录分页、总数等信息，自带正文的数据源按contentMaxLength截断；
+    // 相同参数的请求在缓存有效期内直接使用缓存结果
+    const searchPromises = activeSources.map(source => {
+      providerMetadata[source] = {};
+      const params = { query, language, maxResults: quota[source], freshness, options: providerOptions[source] };
+      return Promise.resolve()
+        .then(() => this.searchCache.getResults(source, params, {
+          mode: cache,
+          ttl: this.providers.getCacheTtl(source),
+          metadata: providerMetadata[source]
+        }, () => this.providers.getService(source).search(query, {
+          ...providerOptions[source],
+          maxResults: quota[source],
+          language,
+          freshness,
+          contentMaxLength,
+          metadata: providerMetadata[source]
+        })))
+        .then(results => ({ source, results }))
+        .catch(error => ({ source, error }));
+    });
 
     try {
       const searchResults = await Promise.all(searchPromises);
       
-      // 合并搜索结果
+      // 合并搜索结果，记录每个结果在其数据源中的原始排名（从1开始）
       for (const result of searchResults) {
         if (result.error) {
           logger.warn(`Search failed for ${result.source}:`, result.error.message);
         } else {
-          results.push(...result.results);
+          results.push(...result.results.map((item, index) => ({
+            ...item,
+            providerRanks: { [result.source]: index + 1 }
+          })));
         }
       }
 
-      // 去重和排序
-      const uniqueResults = this.deduplicateResults(results);
-      const sortedResults = this.sortResultsByRelevance(uniqueResults, query);
-      const limitedResults = sortedResults.slice(0, maxResults);
+      // 去重、计算可信度（移除屏蔽域名）和排序
+      const uniqueResults = this.credibilityService.scoreResults(this.deduplicateResults(results));
+      const freshResults = freshnessMode === 'filter'
+        ? this.filterResultsByFreshness(uniqueResults, freshness)
+        : uniqueResults;
+      const sortedResults = this.fuseResults(freshResults, query, {
+        freshness: freshnessMode === 'boost' ? freshness : 'any'
+      });
+      const limitedResults = this.selectDiverseResults(sortedResults, maxResults);
 
       const processingTime = Date.now() - startTime;
       logger.info(`Multi-source search completed in ${processingTime}ms, found ${limitedResults.length} results`);
@@ -82,121 +150,443 @@ class SearchService {
 
   /**
    * 去重搜索结果
+   * 先按规范化URL合并同一页面的不同写法，再按正文SimHash指纹合并转载的同一篇文章，
+   * 被合并结果的地址记录在保留结果的alternates中
    * @param {Array} results - 搜索结果数组
    * @returns {Array} 去重后的结果
    */
   deduplicateResults(results) {
-    const seen = new Set();
     const uniqueResults = [];
+    const indexByUrl = new Map();
+    const fingerprints = new Map();
 
     for (const result of results) {
-      // 使用URL作为去重的主要标识
-      const key = result.url;
-      if (!seen.has(key)) {
-        seen.add(key);
-        uniqueResults.push(result);
-      } else {
-        // 如果URL相同，选择内容更详细的版本
-        const existingIndex = uniqueResults.findIndex(r => r.url === result.url);
-        if (existingIndex !== -1) {
-          const existing = uniqueResults[existingIndex];
-          if (result.content && result.content.length > (existing.content || '').length) {
-            uniqueResults[existingIndex] = result;
+      const key = canonicalizeUrl(result.url);
+      const fingerprint = this.getContentFingerprint(result);
+
+      let index = indexByUrl.get(key);
+      if (index === undefined && fingerprint) {
+        for (const [candidate, hash] of fingerprints) {
+          if (hammingDistance(hash, fingerprint) <= NEAR_DUPLICATE_DISTANCE) {
+            index = candidate;
+            break;
           }
         }
       }
+
+      if (index === undefined) {
+        indexByUrl.set(key, uniqueResults.length);
+        if (fingerprint) {
+          fingerprints.set(uniqueResults.length, fingerprint);
+        }
+        uniqueResults.push(result);
+      } else {
+        indexByUrl.set(key, index);
+        uniqueResults[index] = this.mergeDuplicateResults(uniqueResults[index], result);
+      }
     }
 
     return uniqueResults;
   }
 
   /**
-   * 按相关性排序结果
+   * 计算结果正文的SimHash指纹，正文过短时不参与近似重复判断
+   * @param {Object} result - 搜索结果
+   * @returns {bigint|null} 指纹
+   */
+  getContentFingerprint(result) {
+    if (!result.content) {
+      return null;
+    }
+
+    const { hash, features } = simhash(result.content);
+    return features >= MIN_FINGERPRINT_FEATURES ? hash : null;
+  }
+
+  /**
+   * 合并重复结果：保留内容更详细的版本，合并各数据源的排名，另一版本记为备用地址
+   * @param {Object} existing - 已保留的结果
+   * @param {Object} duplicate - 重复的结果
+   * @returns {Object} 合并后的结果
+   */
+  mergeDuplicateResults(existing, duplicate) {
+    const replace = duplicate.content && duplicate.content.length > (existing.content || '').length;
+    const [primary, other] = replace ? [duplicate, existing] : [existing, duplicate];
+
+    const alternates = [...(existing.alternates || []), ...(duplicate.alternates || [])];
+    if (other.url !== primary.url) {
+      alternates.push({ url: other.url, source: other.source, title: other.title });
+    }
+
+    const merged = {
+      ...primary,
+      providerRanks: this.mergeProviderRanks(existing.providerRanks, duplicate.providerRanks)
+    };
+    const seen = new Set([primary.url]);
+    const uniqueAlternates = alternates.filter(alternate => !seen.has(alternate.url) && seen.add(alternate.url));
+    if (uniqueAlternates.length > 0) {
+      merged.alternates = uniqueAlternates;
+    }
+    if (!merged.providerRanks) {
+      delete merged.providerRanks;
+    }
+
+    return merged;
+  }
+
+  /**
+   * 按时效性过滤结果
+   * 超出时间窗口的结果被移除，没有发布日期的结果保留
    * @param {Array} results - 搜索结果数组
+   * @param {string} freshness - 时间窗口 day/week/month/year/any
+   * @returns {Array} 过滤后的结果
+   */
+  filterResultsByFreshness(results, freshness) {
+    const window = FRESHNESS_WINDOWS[freshness];
+    if (!window) {
+      return results;
+    }
+
+    const cutoff = Date.now() - window;
+    return results.filter(result => !result.publishedAt || new Date(result.publishedAt).getTime() >= cutoff);
+  }
+
+  /**
+   * 计算时效性加权系数（1 ~ 2，越新越高）
+   * @param {Object} result - 搜索结果
+   * @param {string} freshness - 时间窗口 day/week/month/year/any
+   * @returns {number} 加权系数
+   */
+  getFreshnessBoost(result, freshness) {
+    const window = FRESHNESS_WINDOWS[freshness];
+    if (!window || !result.publishedAt) {
+      return 1;
+    }
+
+    const age = Math.max(0, Date.now() - new Date(result.publishedAt).getTime());
+    return 1 + Math.exp(-age / window);
+  }
+
+  /**
+   * 合并同一结果在不同数据源中的排名，同一数据源取较好的排名
+   * @param {Object} a - 数据源 -> 排名
+   * @param {Object} b - 数据源 -> 排名
+   * @returns {Object|undefined} 合并后的排名
+   */
+  mergeProviderRanks(a, b) {
+    if (!a && !b) {
+      return undefined;
+    }
+
+    const merged = { ...a };
+    for (const [source, rank] of Object.entries(b || {})) {
+      merged[source] = merged[source] ? Math.min(merged[source], rank) : rank;
+    }
+    return merged;
+  }
+
+  /**
+   * 按倒数排名融合（RRF）排序结果
+   * 每个数据源的原始排名贡献 weight / (k + rank)，BM25文本相关性排名作为额外的一个排名列表参与融合，
+   * 最终分数除以理论最高分（在所有排名列表中均排第一）归一化到 0-1
+   * @param {Array} results - 去重后的搜索结果，带有providerRanks
    * @param {string} query - 搜索查询
+   * @param {Object} options - 排序选项
+   * @param {string} options.freshness - 按发布时间加权的时间窗口
    * @returns {Array} 排序后的结果
    */
-  sortResultsByRelevance(results, query) {
-    const queryTerms = query.toLowerCase().split(/\s+/);
-    
-    return results.map(result => {
-      // 计算相关性分数
+  fuseResults(results, query, options = {}) {
+    const { freshness = 'any' } = options;
+    const { k, relevanceWeight } = config.search.fusion;
+
+    // BM25排名，无任何词命中的结果不参与该列表
+    const textScores = bm25.scoreDocuments(query, results);
+    const relevanceRanks = new Map(
+      results
+        .map((result, index) => ({ index, score: textScores[index] }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map((item, rank) => [item.index, rank + 1])
+    );
+
+    const sources = new Set(results.flatMap(result => Object.keys(result.providerRanks || {})));
+    const maxFusedScore = [...sources].reduce((sum, source) => sum + this.providers.getWeight(source) / (k + 1), 0) +
+      relevanceWeight / (k + 1);
+
+    const scored = results.map((result, index) => {
       let score = 0;
-      const text = `${result.title} ${result.snippet}`.toLowerCase();
-      
-      // 标题匹配权重更高
-      const titleText = result.title.toLowerCase();
-      queryTerms.forEach(term => {
-        if (titleText.includes(term)) {
-          score += 2;
-        }
-        if (text.includes(term)) {
-          score += 1;
-        }
-      });
-      
-      // 来源权重
-      const sourceWeights = {
-        google: 1.0,
-        wikipedia: 1.2, // Wikipedia通常质量更高
-        other: 0.8
-      };
-      
-      score *= sourceWeights[result.source] || 1.0;
-      
+      for (const [source, rank] of Object.entries(result.providerRanks || {})) {
+        score += this.providers.getWeight(source) / (k + rank);
+      }
+      if (relevanceRanks.has(index)) {
+        score += relevanceWeight / (k + relevanceRanks.get(index));
+      }
+
       return {
-        ...result,
-        relevanceScore: score
+        result,
+        score: score * this.getFreshnessBoost(result, freshness) * this.getCredibilityFactor(result)
       };
-    }).sort((a, b) => b.relevanceScore - a.relevanceScore);
+    });
+
+    // 时效性加权后可能超过理论最高分，此时按实际最高分缩放
+    const maxScore = Math.max(maxFusedScore, ...scored.map(item => item.score)) || 1;
+
+    return scored
+      .map(({ result, score }) => ({
+        ...result,
+        relevanceScore: score / maxScore
+      }))
+      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+  }
+
+  /**
+   * 可信度对融合分数的调整系数
+   * 为 1 - w + w × 可信度，w为config.credibility.rankingWeight；没有可信度的结果不调整
+   * @param {Object} result - 搜索结果
+   * @returns {number} 调整系数
+   */
+  getCredibilityFactor(result) {
+    const weight = config.credibility.rankingWeight;
+    if (!result.credibility || !weight) {
+      return 1;
+    }
+    return 1 - weight + weight * result.credibility.score;
+  }
+
+  /**
+   * 按最大边际相关性（MMR）选取结果
+   * 每次选取 lambda × 相关性 - (1 - lambda) × 与已选结果的最大相似度 最高的结果，
+   * 同一域名的结果达到上限后暂不选取；其他域名的结果不足时再按同样规则补足
+   * @param {Array} results - 按相关性排序后的结果
+   * @param {number} maxResults - 选取数量
+   * @returns {Array} 选取的结果，按选取顺序排列
+   */
+  selectDiverseResults(results, maxResults) {
+    const { lambda, maxPerDomain } = config.search.diversity;
+    if (results.length <= 1) {
+      return results.slice(0, maxResults);
+    }
+
+    const candidates = results.map(result => ({
+      result,
+      domain: this.getResultDomain(result),
+      terms: new Set(tokenize(`${result.title} ${result.snippet || ''}`))
+    }));
+    const selected = [];
+    const domainCounts = new Map();
+
+    const pick = (respectCap) => {
+      let best = null;
+      let bestScore = -Infinity;
+
+      for (const candidate of candidates) {
+        if (respectCap && maxPerDomain > 0 && (domainCounts.get(candidate.domain) || 0) >= maxPerDomain) {
+          continue;
+        }
+
+        const similarity = selected.reduce(
+          (max, chosen) => Math.max(max, this.jaccardSimilarity(candidate.terms, chosen.terms)), 0
+        );
+        const score = lambda * (candidate.result.relevanceScore || 0) - (1 - lambda) * similarity;
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+
+      return best;
+    };
+
+    while (selected.length < maxResults && candidates.length > 0) {
+      const next = pick(true) || pick(false);
+      candidates.splice(candidates.indexOf(next), 1);
+      selected.push(next);
+      domainCounts.set(next.domain, (domainCounts.get(next.domain) || 0) + 1);
+    }
+
+    return selected.map(candidate => candidate.result);
+  }
+
+  /**
+   * 获取结果的域名，用于多样性限制；非网页结果（如本地文档）按数据源归为一组
+   * @param {Object} result - 搜索结果
+   * @returns {string} 域名
+   */
+  getResultDomain(result) {
+    try {
+      const { protocol, hostname } = new URL(canonicalizeUrl(result.url));
+      return protocol === 'https:' ? hostname : result.source;
+    } catch (error) {
+      return result.source;
+    }
+  }
+
+  /**
+   * 两个词集合的Jaccard相似度
+   * @param {Set<string>} a - 词集合
+   * @param {Set<string>} b - 词集合
+   * @returns {number} 0-1 之间的相似度
+   */
+  jaccardSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) {
+      return 0;
+    }
+
+    let intersection = 0;
+    for (const term of a) {
+      if (b.has(term)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
   }
 
   /**
    * 获取页面内容
    * @param {string} url - 页面URL
-   * @returns {Promise<string>} 页面内容
+   * @param {Object} options - 选项
+   * @param {number} options.maxLength - 正文最大长度
+   * @param {string} options.cache - 页面缓存模式 prefer|bypass|only
+   * @returns {Promise<Object>} { content, title, byline, leadImage, excerpt, links, metadata, cacheStatus }，
+   *   PDF/Office文档另有 documentType 和 pageCount，失败时content为空，
+   *   因robots.txt或频率限制未访问时另有 skipped: { reason, detail }，
+   *   原页面无法访问时另有 fetchError，使用存档快照时另有 archived、archivedAt 和 archiveUrl
    */
-  async scrapePageContent(url) {
-    const axios = require('axios');
-    const cheerio = require('cheerio');
-    
+  async scrapePageContent(url, options = {}) {
+    const { maxLength = config.search.content.maxLength, cache = 'prefer' } = options;
+
+    // 缓存中保存完整正文，按本次请求的长度截断
+    const page = await this.pageCache.getPage(url, cache, validators => this.fetchPage(url, validators));
+    const content = this.readabilityService.truncate(page.content || '', maxLength);
+    return {
+      ...page,
+      content,
+      truncated: content.length < (page.content || '').length
+    };
+  }
+
+  /**
+   * 抓取并提取页面完整内容
+   * 原页面无法访问（网络错误、4xx/5xx）时回退到存档快照；不安全的地址（内网、本机等）按跳过处理
+   * @param {string} url - 页面URL
+   * @param {Object} validators - 缓存的 { etag, lastModified }，有值时发送条件请求
+   * @returns {Promise<Object>} { page, validators }，页面未修改时为 { notModified: true }
+   */
+  async fetchPage(url, validators = {}) {
+    let response;
+
     try {
       logger.info(`Scraping content from: ${url}`);
       
-      const response = await axios.get(url, {
+      const headers = { 'User-Agent': config.crawler.userAgent };
+      if (validators.etag) headers['If-None-Match'] = validators.etag;
+      if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+      // 先检查地址是否安全，再按礼貌规则访问（读取robots.txt也是一次请求）
+      await this.urlSafety.check(url);
+      response = await this.politeness.run(url, () => this.urlSafety.get(url, {
         timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; AI-Information-Expert/1.0)'
+        responseType: 'arraybuffer',
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      }));
+    } catch (error) {
+      if (error.code === 'CRAWL_SKIPPED') {
+        logger.info(error.message);
+        return { page: { content: '', skipped: { reason: error.reason, detail: error.detail } } };
+      }
+      const fetchError = error.response ? `HTTP ${error.response.status}` : error.message;
+      logger.warn(`Failed to scrape content from ${url}:`, fetchError);
+      return { page: await this.fetchArchivedPage(url, fetchError) };
+    }
+
+    if (response.status === 304) {
+      logger.debug(`Page not modified: ${url}`);
+      return { notModified: true };
+    }
+
+    try {
+      return {
+        page: await this.extractPage(Buffer.from(response.data), response.headers['content-type'], url),
+        validators: {
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null
         }
-      });
-      
-      const $ = cheerio.load(response.data);
-      
-      // 移除脚本和样式
-      $('script, style, nav, footer, header, aside').remove();
-      
-      // 提取主要内容
-      const content = $('main, article, .content, .post-content, .entry-content, body')
-        .first()
-        .text()
-        .trim()
-        .replace(/\s+/g, ' ')
-        .substring(0, 3000); // 限制长度
-        
-      return content;
-      
+      };
+    } catch (error) {
+      logger.warn(`Failed to extract content from ${url}:`, error.message);
+      return { page: { content: '' } };
+    }
+  }
+
+  /**
+   * 获取页面的存档快照并提取内容
+   * @param {string} url - 页面URL
+   * @param {string} fetchError - 原页面的访问错误
+   * @returns {Promise<Object>} 页面，另有 archived、archivedAt、archiveUrl 和 fetchError；没有快照时content为空
+   */
+  async fetchArchivedPage(url, fetchError) {
+    const snapshot = await this.archiveService.fetchSnapshot(url);
+    if (!snapshot) {
+      return { content: '', fetchError };
+    }
+
+    try {
+      const page = await this.extractPage(snapshot.buffer, snapshot.contentType, url);
+      return {
+        ...page,
+        archived: true,
+        archivedAt: snapshot.archivedAt,
+        archiveUrl: snapshot.archiveUrl,
+        fetchError
+      };
     } catch (error) {
-      logger.warn(`Failed to scrape content from ${url}:`, error.message);
-      return '';
+      logger.warn(`Failed to extract archived content for ${url}:`, error.message);
+      return { content: '', fetchError };
     }
   }
 
+  /**
+   * 从响应内容中提取页面
+   * @param {Buffer} buffer - 响应内容
+   * @param {string} contentType - Content-Type头
+   * @param {string} url - 页面URL
+   * @returns {Promise<Object>} { content, title, byline, leadImage, excerpt, metadata }，文档另有 documentType 和 pageCount
+   */
+  async extractPage(buffer, contentType, url) {
+    // PDF和Office文档按页提取，正文中以 [p. N] 标记页码，便于报告引用具体页
+    const documentType = this.documentService.detectDocumentType(contentType, url, buffer);
+    if (documentType) {
+      const document = await this.documentService.extractBuffer(buffer, documentType);
+      return {
+        title: document.title,
+        content: this.documentService.formatPages(document.pages, documentType === 'pptx' ? 'slide' : 'p.'),
+        documentType,
+        pageCount: document.pages.length,
+        metadata: {}
+      };
+    }
+
+    // 按HTTP头、<meta charset>或内容识别编码后再解码，避免GBK、Big5等页面乱码；
+    // 按文本密度和链接密度提取正文，去除菜单、Cookie提示等样板内容；
+    // 作者、发布时间等元数据从meta标签和JSON-LD中读取
+    const html = decodeBuffer(buffer, contentType);
+    return {
+      ...this.readabilityService.extract(html, url, { maxLength: 0 }),
+      metadata: this.metadataService.extract(html)
+    };
+  }
+
   /**
    * 批量获取页面内容
    * @param {Array} results - 搜索结果数组
+   * @param {Object} options - 选项
+   * @param {number} options.maxLength - 每个页面的正文最大长度
+   * @param {string} options.cache - 页面缓存模式 prefer|bypass|only
+   * @param {Array} options.skippedUrls - 未访问的地址会追加到该数组 [{ url, reason, detail, stage, skippedAt }]
+   * @param {string} options.topic - 主题，用于为页面外链打分，未指定时不保留外链
    * @returns {Promise<Array>} 包含内容的结果数组
    */
-  async enhanceResultsWithContent(results) {
+  async enhanceResultsWithContent(results, options = {}) {
+    const { skippedUrls = [], topic } = options;
     const enhancedResults = [];
     
     // 限制并发请求数量
@@ -205,21 +595,43 @@ class SearchService {
       const batch = results.slice(i, i + batchSize);
       
       const contentPromises = batch.map(async (result) => {
-        const content = await this.scrapePageContent(result.url);
+        // 数据源已提供完整内容（如百科正文、论文摘要）时无需再抓取页面
+        if (result.content && this.providers.hasCapability(result.source, 'fullContent')) {
+          return result;
+        }
+
+        const page = await this.scrapePageContent(result.url, options);
+        const metadata = page.metadata || {};
+        if (page.skipped) {
+          skippedUrls.push({ url: result.url, ...page.skipped, stage: 'content', skippedAt: new Date() });
+        }
+
+        // 数据源提供的发布时间、网站名称（如新闻源）优先于页面中识别的值
         return {
           ...result,
-          content,
+          title: result.title || page.title || result.url,
+          content: page.content,
+          author: result.author || metadata.author || page.byline || null,
+          publishedAt: result.publishedAt || metadata.publishedAt || null,
+          modifiedAt: metadata.modifiedAt || result.modifiedAt || null,
+          siteName: result.siteName || metadata.siteName || null,
+          lang: metadata.lang || result.lang || result.language || null,
+          leadImage: page.leadImage || result.leadImage,
+          documentType: page.documentType || result.documentType,
+          pageCount: page.pageCount || result.pageCount,
+          thumbnail: result.thumbnail || page.leadImage || null,
+          archived: page.archived || false,
+          archivedAt: page.archivedAt || null,
+          archiveUrl: page.archiveUrl || null,
+          fetchError: page.fetchError || null,
+          links: topic ? this.citationService.scoreLinks(page.links, topic) : [],
           scrapedAt: new Date()
         };
       });
       
+      // 同一主机的并发和请求间隔由礼貌层控制
       const batchResults = await Promise.all(contentPromises);
       enhancedResults.push(...batchResults);
-      
-      // 避免过于频繁的请求
-      if (i + batchSize < results.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
     }
     
     return enhancedResults;
@@ -237,7 +649,15 @@ class SearchService {
       maxResultsPerRound = 8,
       includeScreenshots = true,
       generateMarkdown = true,
-      language = 'zh'
+      language = 'zh',
+      sources = this.providers.getDefaultSources(),
+      freshness = 'any',
+      freshnessMode = 'boost',
+      providerOptions = {},
+      includeFacts = config.enrichment.wikidata.enabled,
+      contentMaxLength = config.search.content.maxLength,
+      cache = 'prefer',
+      followCitations = config.search.citations.follow
     } = options;
 
     logger.info(`Starting iterative search for topic: "${topic}"`);
@@ -247,6 +667,7 @@ class SearchService {
       const searchRounds = [];
       const allResults = [];
       const screenshots = [];
+      const skippedUrls = [];
       let currentQuery = topic;
 
       // 执行多轮搜索
@@ -259,18 +680,28 @@ class SearchService {
         const roundResults = await this.searchMultipleSources(currentQuery, {
           maxResults: maxResultsPerRound,
           language,
-          sources: ['google', 'wikipedia']
+          sources,
+          freshness,
+          freshnessMode,
+          providerOptions,
+          contentMaxLength,
+          cache
         });
 
-        // 增强结果（获取页面内容）
-        const enhancedResults = await this.enhanceResultsWithContent(roundResults);
+        // 增强结果（获取页面内容），再按正文合并转载的重复文章
+        const enhancedResults = this.deduplicateResults(
+          await this.enhanceResultsWithContent(roundResults, { maxLength: contentMaxLength, cache, skippedUrls, topic })
+        );
         
         // 截图处理
         let roundScreenshots = [];
         if (includeScreenshots && enhancedResults.length > 0) {
-          roundScreenshots = await this.captureScreenshots(enhancedResults.slice(0, 3), {
+          // 本地文档等非网页结果无法截图
+          const webResults = enhancedResults.filter(result => /^https?:\/\//.test(result.url));
+          roundScreenshots = await this.captureScreenshots(webResults.slice(0, 3), {
             topic,
-            round
+            round,
+            skippedUrls
           });
         }
 
@@ -279,6 +710,7 @@ class SearchService {
         
         const roundData = {
           roundNumber: round,
+          type: 'query',
           query: currentQuery,
           results: enhancedResults,
           screenshots: roundScreenshots,
@@ -300,8 +732,28 @@ class SearchService {
         logger.info(`Round ${round} completed in ${roundData.processingTime}ms, found ${enhancedResults.length} results`);
       }
 
+      // 各轮结果的外链汇总为引用关系，可选地再追踪一轮被引页面
+      const citations = this.citationService.rankCitations(allResults).slice(0, config.search.citations.maxCitations);
+      if (followCitations > 0 && citations.length > 0) {
+        const citationRound = await this.followCitations(citations.slice(0, followCitations), topic, {
+          roundNumber: searchRounds.length + 1,
+          maxLength: contentMaxLength,
+          cache,
+          skippedUrls
+        });
+        searchRounds.push(citationRound);
+        allResults.push(...citationRound.results);
+      }
+
+      // 补充Wikidata结构化事实
+      const facts = includeFacts
+        ? await this.wikidataService.enrichResults(allResults, { language })
+        : [];
+
       // 综合分析所有结果
-      const finalAnalysis = await this.geminiService.analyzeSearchResults(allResults, topic);
+      const finalAnalysis = await this.geminiService.analyzeSearchResults(allResults, topic, { facts });
+      finalAnalysis.sources = this.credibilityService.applyToSources(finalAnalysis.sources, allResults);
+      const deadLinks = this.collectDeadLinks(allResults);
       
       // 生成Markdown报告
       let markdownReport = null;
@@ -310,6 +762,8 @@ class SearchService {
           topic,
           searchResults: allResults,
           analysisResult: finalAnalysis,
+          facts,
+          deadLinks,
           screenshots,
           rounds: searchRounds
         });
@@ -325,6 +779,10 @@ class SearchService {
         totalResults: allResults.length,
         uniqueResults: this.deduplicateResults(allResults),
         screenshots,
+        facts,
+        skippedUrls,
+        deadLinks,
+        citations,
         analysisResult: finalAnalysis,
         markdownReport,
         processingTime: totalTime,
@@ -337,6 +795,82 @@ class SearchService {
     }
   }
 
+  /**
+   * 追踪引用轮次：抓取被引页面作为搜索结果
+   * 无法获取内容的被引页面不计入结果，已追踪的引用标记为 followed
+   * @param {Array} citations - 要追踪的引用（rankCitations的结果）
+   * @param {string} topic - 主题
+   * @param {Object} options - 选项
+   * @param {number} options.roundNumber - 轮次
+   * @param {number} options.maxLength - 每个页面的正文最大长度
+   * @param {string} options.cache - 页面缓存模式
+   * @param {Array} options.skippedUrls - 未访问的地址
+   * @returns {Promise<Object>} 轮次数据，type为citations
+   */
+  async followCitations(citations, topic, options = {}) {
+    const { roundNumber, maxLength, cache, skippedUrls } = options;
+    const roundStartTime = Date.now();
+    logger.info(`Starting citation round ${roundNumber}, following ${citations.length} cited pages`);
+
+    // 标题使用被引页面自身的标题，可信度规则同样适用（屏蔽域名被移除）
+    const candidates = this.credibilityService.scoreResults(citations.map(citation => ({
+      title: null,
+      url: citation.url,
+      snippet: citation.context || citation.text,
+      source: 'citation',
+      relevanceScore: Math.min(1, citation.score),
+      anchorText: citation.text,
+      citedBy: citation.citedBy
+    })));
+    const enhancedResults = await this.enhanceResultsWithContent(candidates, { maxLength, cache, skippedUrls, topic });
+    const results = this.deduplicateResults(enhancedResults.filter(result => result.content));
+
+    const followedUrls = new Set(results.map(result => result.url));
+    citations.forEach(citation => {
+      citation.followed = followedUrls.has(citation.url);
+    });
+
+    const roundAnalysis = results.length > 0
+      ? await this.analyzeRoundResults(results, topic, roundNumber)
+      : {};
+    const processingTime = Date.now() - roundStartTime;
+    logger.info(`Citation round completed in ${processingTime}ms, fetched ${results.length}/${citations.length} cited pages`);
+
+    return {
+      roundNumber,
+      type: 'citations',
+      query: topic,
+      results,
+      screenshots: [],
+      keyFindings: roundAnalysis.keyFindings,
+      nextDirection: roundAnalysis.nextDirection,
+      timestamp: new Date(),
+      processingTime
+    };
+  }
+
+  /**
+   * 汇总原页面无法访问的结果（每个地址一条）
+   * @param {Array} results - 搜索结果
+   * @returns {Array} [{ url, title, error, archived, archivedAt, archiveUrl }]
+   */
+  collectDeadLinks(results) {
+    const deadLinks = new Map();
+    for (const result of results) {
+      if (result.fetchError && !deadLinks.has(result.url)) {
+        deadLinks.set(result.url, {
+          url: result.url,
+          title: result.title,
+          error: result.fetchError,
+          archived: Boolean(result.archived),
+          archivedAt: result.archivedAt || null,
+          archiveUrl: result.archiveUrl || null
+        });
+      }
+    }
+    return [...deadLinks.values()];
+  }
+
   /**
    * 分析单轮搜索结果
    * @param {Array} results - 搜索结果
@@ -391,6 +925,7 @@ ${results.map((r, i) => `${i + 1}. ${r.title}\n   ${r.snippet}\n   ${r.url}`).jo
    * 批量截图
    * @param {Array} results - 搜索结果
    * @param {Object} metadata - 元数据
+   * @param {Array} metadata.skippedUrls - 未访问的地址会追加到该数组
    * @returns {Promise<Array>} 截图结果
    */
   async captureScreenshots(results, metadata = {}) {
@@ -425,6 +960,12 @@ ${results.map((r, i) => `${i + 1}. ${r.title}\n   ${r.snippet}\n   ${r.url}`).jo
           });
           
         } catch (error) {
+          if (error.code === 'CRAWL_SKIPPED') {
+            if (metadata.skippedUrls) {
+              metadata.skippedUrls.push({ url: result.url, reason: error.reason, detail: error.detail, stage: 'screenshot', skippedAt: new Date() });
+            }
+            continue;
+          }
           logger.error(`Screenshot failed for ${result.url}:`, error);
           // 继续处理其他URL
         }
@@ -445,23 +986,19 @@ ${results.map((r, i) => `${i + 1}. ${r.title}\n   ${r.snippet}\n   ${r.url}`).jo
    */
   async healthCheck() {
     const checks = {
-      google: false,
-      wikipedia: false,
       screenshot: false,
       imageStorage: false,
       markdown: false
     };
     
-    try {
-      checks.google = await this.googleSearch.healthCheck();
-    } catch (error) {
-      logger.warn('Google search health check failed:', error.message);
-    }
-    
-    try {
-      checks.wikipedia = await this.wikipediaSearch.healthCheck();
-    } catch (error) {
-      logger.warn('Wikipedia search health check failed:', error.message);
+    // 只检查默认启用或已配置的数据源，其余数据源不出现在结果中
+    for (const name of this.providers.getConfiguredSources()) {
+      checks[name] = false;
+      try {
+        checks[name] = await this.providers.getService(name).healthCheck();
+      } catch (error) {
+        logger.warn(`${name} search health check failed:`, error.message);
+      }
     }
     
     try {
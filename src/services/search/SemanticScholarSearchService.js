@@ -0,0 +1,119 @@
+const axios = require('axios');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class SemanticScholarSearchService {
+  constructor() {
+    this.apiKey = config.search.semanticScholar.apiKey;
+    this.baseUrl = config.search.semanticScholar.baseUrl;
+    this.fields = 'title,url,abstract,authors,venue,year,externalIds,openAccessPdf,tldr';
+    this.maxPageSize = 100;
+  }
+
+  /**
+   * 执行Semantic Scholar论文搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Array>} 搜索结果数组
+   */
+  async search(query, options = {}) {
+    const {
+      maxResults = 5
+    } = options;
+
+    try {
+      logger.info(`Starting Semantic Scholar search for: "${query}"`);
+
+      const response = await axios.get(`${this.baseUrl}/paper/search`, {
+        params: {
+          query,
+          limit: Math.min(maxResults, this.maxPageSize),
+          fields: this.fields
+        },
+        headers: this.getHeaders(),
+        timeout: 15000
+      });
+
+      const results = this.parseSemanticScholarResults(response.data);
+      logger.info(`Semantic Scholar search completed, found ${results.length} results`);
+
+      return results;
+
+    } catch (error) {
+      logger.error('Semantic Scholar search error:', error);
+      if (error.response?.status === 429) {
+        throw new Error('Semantic Scholar API rate limit exceeded');
+      }
+      throw new Error(`Semantic Scholar search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析Semantic Scholar搜索结果
+   * @param {Object} data - API返回数据
+   * @returns {Array} 格式化的结果数组
+   */
+  parseSemanticScholarResults(data) {
+    if (!data || !Array.isArray(data.data)) {
+      return [];
+    }
+
+    return data.data
+      .filter(item => item.title && item.url)
+      .map(item => {
+        const abstract = item.abstract || item.tldr?.text || '';
+        const arxivId = item.externalIds?.ArXiv || null;
+
+        return {
+          source: 'semanticscholar',
+          title: item.title,
+          url: item.url,
+          snippet: abstract.substring(0, 200),
+          content: abstract,
+          paper: {
+            authors: (item.authors || []).map(author => author.name).filter(Boolean),
+            venue: item.venue || null,
+            year: item.year || null,
+            doi: item.externalIds?.DOI || null,
+            pdfUrl: item.openAccessPdf?.url || (arxivId ? `https://arxiv.org/pdf/${arxivId}` : null),
+            arxivId
+          },
+          relevanceScore: 0, // 将在SearchService中计算
+          scrapedAt: new Date()
+        };
+      });
+  }
+
+  /**
+   * 获取请求头
+   * @returns {Object} 请求头
+   */
+  getHeaders() {
+    return this.apiKey ? { 'x-api-key': this.apiKey } : {};
+  }
+
+  /**
+   * 健康检查
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async healthCheck() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/paper/search`, {
+        params: {
+          query: 'test',
+          limit: 1,
+          fields: 'title'
+        },
+        headers: this.getHeaders(),
+        timeout: 5000
+      });
+
+      return response.status === 200;
+    } catch (error) {
+      logger.warn('Semantic Scholar search health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = SemanticScholarSearchService;
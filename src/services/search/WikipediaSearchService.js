@@ -1,40 +1,61 @@
 const axios = require('axios');
+const config = require('../../config');
 const logger = require('../../utils/logger');
+const { detectLanguage, toWikipediaEdition } = require('../../utils/language');
+const { parseArticle } = require('../../utils/wikitext');
 
 class WikipediaSearchService {
   constructor() {
-    this.baseUrl = 'https://zh.wikipedia.org/w/api.php';
-    this.enBaseUrl = 'https://en.wikipedia.org/w/api.php';
+    this.apiUrlTemplate = config.search.wikipedia.apiUrl;
+    this.defaultLanguage = config.search.wikipedia.defaultLanguage;
+    this.secondaryLanguage = config.search.wikipedia.secondaryLanguage;
+    this.fullArticle = config.search.wikipedia.fullArticle;
+    this.batchSize = 20; // extracts导言模式每次最多返回20个页面
+    this.maxContinueRequests = 20; // 每批页面跟随continue的最大请求数
   }
 
   /**
    * 执行Wikipedia搜索
    * @param {string} query - 搜索查询
    * @param {Object} options - 搜索选项
+   * @param {string} options.language - 语言版本代码，auto时根据查询文本推断
+   * @param {string} options.secondaryLanguage - 同时查询的第二个语言版本，跨语言链接相同的条目会合并
+   * @param {boolean} options.fullArticle - 获取完整条目（章节、信息框、参考文献），而不仅是导言
    * @returns {Promise<Array>} 搜索结果数组
    */
   async search(query, options = {}) {
     const {
       maxResults = 5,
-      language = 'zh'
+      language = this.defaultLanguage,
+      secondaryLanguage = this.secondaryLanguage,
+      fullArticle = this.fullArticle
     } = options;
 
     try {
       logger.info(`Starting Wikipedia search for: "${query}"`);
-      
-      const baseUrl = language === 'en' ? this.enBaseUrl : this.baseUrl;
-      
-      // 第一步：搜索页面标题
-      const searchResults = await this.searchPages(query, baseUrl, maxResults);
-      
-      if (searchResults.length === 0) {
-        return [];
+
+      const primary = this.resolveLanguage(language, query);
+      // 第二语言可能与主语言对应同一版本（如 zh 与 zh-tw），此时只查询一次
+      const resolvedSecondary = secondaryLanguage ? this.resolveLanguage(secondaryLanguage, query) : null;
+      const secondary = resolvedSecondary !== primary ? resolvedSecondary : null;
+
+      if (!secondary) {
+        const results = await this.searchEdition(query, primary, maxResults, { fullArticle });
+        logger.info(`Wikipedia search completed, found ${results.length} results`);
+        return results;
       }
-      
-      // 第二步：获取页面内容
-      const results = await this.getPageContents(searchResults, baseUrl);
-      
-      logger.info(`Wikipedia search completed, found ${results.length} results`);
+
+      // 并行查询两个语言版本，并互相请求对方语言的跨语言链接
+      const [primaryResults, secondaryResults] = await Promise.all([
+        this.searchEdition(query, primary, maxResults, { linkLanguage: secondary, fullArticle }),
+        this.searchEdition(query, secondary, maxResults, { linkLanguage: primary, fullArticle }).catch(error => {
+          logger.warn(`Wikipedia ${secondary} edition search failed:`, error.message);
+          return [];
+        })
+      ]);
+
+      const results = this.mergeLanguageEditions(primaryResults, secondaryResults).slice(0, maxResults);
+      logger.info(`Wikipedia search completed (${primary}+${secondary}), found ${results.length} results`);
       return results;
 
     } catch (error) {
@@ -43,6 +64,97 @@ class WikipediaSearchService {
     }
   }
 
+  /**
+   * 确定实际使用的语言版本
+   * @param {string} language - 语言标识，带地区的标签（如 zh-tw、en-us）使用基础语言的版本
+   * @param {string} query - 搜索查询（auto时用于推断语言）
+   * @returns {string} 语言版本代码
+   */
+  resolveLanguage(language, query) {
+    const resolved = toWikipediaEdition(language === 'auto' || !language
+      ? detectLanguage(query, this.defaultLanguage)
+      : language);
+
+    if (!resolved) {
+      throw new Error(`Unsupported Wikipedia language: ${language}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * 获取语言版本的API地址
+   * @param {string} language - 语言版本代码
+   * @returns {string} API地址
+   */
+  getApiUrl(language) {
+    return this.apiUrlTemplate.replace('{lang}', language);
+  }
+
+  /**
+   * 在单个语言版本中搜索
+   * @param {string} query - 搜索查询
+   * @param {string} language - 语言版本代码
+   * @param {number} maxResults - 最大结果数
+   * @param {Object} options - 选项
+   * @param {string} options.linkLanguage - 需要获取跨语言链接的语言
+   * @param {boolean} options.fullArticle - 是否获取完整条目
+   * @returns {Promise<Array>} 搜索结果
+   */
+  async searchEdition(query, language, maxResults, options = {}) {
+    const { linkLanguage = null, fullArticle = false } = options;
+    const baseUrl = this.getApiUrl(language);
+
+    // 第一步：搜索页面标题
+    const searchResults = await this.searchPages(query, baseUrl, maxResults);
+
+    if (searchResults.length === 0) {
+      return [];
+    }
+
+    // 第二步：获取页面内容
+    return this.getPageContents(searchResults, baseUrl, { language, linkLanguage, fullArticle });
+  }
+
+  /**
+   * 合并两个语言版本的结果
+   * 通过跨语言链接识别同一条目：合并到主语言结果中，次语言结果不再单独出现
+   * @param {Array} primaryResults - 主语言结果
+   * @param {Array} secondaryResults - 次语言结果
+   * @returns {Array} 合并后的结果
+   */
+  mergeLanguageEditions(primaryResults, secondaryResults) {
+    const merged = primaryResults.map(result => ({ ...result, languageLinks: [...(result.languageLinks || [])] }));
+    const remaining = [];
+
+    for (const secondaryResult of secondaryResults) {
+      const match = merged.find(primaryResult =>
+        primaryResult.languageLinks.some(link =>
+          link.language === secondaryResult.language && link.title === secondaryResult.title
+        ) ||
+        (secondaryResult.languageLinks || []).some(link =>
+          link.language === primaryResult.language && link.title === primaryResult.title
+        )
+      );
+
+      if (match) {
+        const link = match.languageLinks.find(l => l.language === secondaryResult.language);
+        if (link) {
+          link.url = link.url || secondaryResult.url;
+        } else {
+          match.languageLinks.push({
+            language: secondaryResult.language,
+            title: secondaryResult.title,
+            url: secondaryResult.url
+          });
+        }
+      } else {
+        remaining.push(secondaryResult);
+      }
+    }
+
+    return [...merged, ...remaining];
+  }
+
   /**
    * 搜索Wikipedia页面
    * @param {string} query - 搜索查询
@@ -77,22 +189,29 @@ class WikipediaSearchService {
   }
 
   /**
-   * 获取页面内容
+   * 批量获取页面内容（一次请求多个pageids）
    * @param {Array} pages - 页面列表
    * @param {string} baseUrl - API基础URL
-   * @returns {Promise<Array>} 完整的搜索结果
+   * @param {Object} options - 选项
+   * @param {string} options.language - 页面所属语言版本
+   * @param {string} options.linkLanguage - 需要获取跨语言链接的语言
+   * @param {boolean} options.fullArticle - 是否获取完整条目（章节、信息框、参考文献）
+   * @returns {Promise<Array>} 完整的搜索结果，顺序与pages一致
    */
-  async getPageContents(pages, baseUrl) {
-    const results = [];
-    
-    for (const page of pages) {
+  async getPageContents(pages, baseUrl, options = {}) {
+    const { language, linkLanguage = null, fullArticle = false } = options;
+    const pageData = {};
+
+    for (let i = 0; i < pages.length; i += this.batchSize) {
+      const batch = pages.slice(i, i + this.batchSize);
+
       try {
+        const props = ['extracts', 'info'];
         const params = {
           action: 'query',
-          prop: 'extracts|info',
-          pageids: page.pageid,
+          pageids: batch.map(page => page.pageid).join('|'),
           exintro: true,
-          exlimit: 1,
+          exlimit: 'max',
           explaintext: true,
           exsectionformat: 'plain',
           inprop: 'url',
@@ -100,45 +219,110 @@ class WikipediaSearchService {
           origin: '*'
         };
 
-        const response = await axios.get(baseUrl, {
-          params,
-          timeout: 10000
-        });
-
-        if (response.data.query && response.data.query.pages) {
-          const pageData = response.data.query.pages[page.pageid];
-          
-          if (pageData && pageData.extract) {
-            results.push({
-              source: 'wikipedia',
-              title: pageData.title,
-              url: pageData.fullurl || `${baseUrl.replace('/w/api.php', '')}/wiki/${encodeURIComponent(pageData.title)}`,
-              snippet: page.snippet || pageData.extract.substring(0, 200),
-              content: pageData.extract,
-              relevanceScore: 0, // 将在SearchService中计算
-              scrapedAt: new Date()
-            });
-          }
+        if (linkLanguage) {
+          props.push('langlinks');
+          params.lllang = linkLanguage;
+          params.llprop = 'url';
+          params.lllimit = 'max';
         }
-        
-        // 避免请求过于频繁
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
+
+        // 完整条目通过revisions获取wikitext（extracts的全文模式不支持批量）
+        if (fullArticle) {
+          props.push('revisions');
+          params.rvprop = 'content';
+          params.rvslots = 'main';
+        }
+
+        params.prop = props.join('|');
+
+        // 内容较多时（尤其是rvprop=content）API只返回部分页面的数据，其余页面需按continue继续请求
+        let continueParams = {};
+        for (let requests = 0; continueParams && requests < this.maxContinueRequests; requests++) {
+          const response = await axios.get(baseUrl, {
+            params: { ...params, ...continueParams },
+            timeout: 15000
+          });
+
+          this.mergePageData(pageData, response.data.query?.pages || {});
+          continueParams = response.data.continue || null;
+        }
+
       } catch (error) {
-        logger.warn(`Failed to get content for Wikipedia page ${page.title}:`, error.message);
+        logger.warn(`Failed to get content for Wikipedia pages ${batch.map(page => page.title).join(', ')}:`, error.message);
+      }
+    }
+
+    const results = [];
+    for (const page of pages) {
+      const data = pageData[page.pageid];
+      if (!data || !data.extract) {
+        continue;
       }
+
+      const result = {
+        source: 'wikipedia',
+        title: data.title,
+        url: data.fullurl || `${baseUrl.replace('/w/api.php', '')}/wiki/${encodeURIComponent(data.title)}`,
+        snippet: page.snippet || data.extract.substring(0, 200),
+        content: data.extract,
+        language,
+        languageLinks: (data.langlinks || []).map(link => ({
+          language: link.lang,
+          title: link['*'] || link.title,
+          url: link.url || null
+        })),
+        relevanceScore: 0, // 将在SearchService中计算
+        scrapedAt: new Date()
+      };
+
+      const revision = data.revisions?.find(rev => rev.slots || rev['*'] !== undefined);
+      const wikitext = revision?.slots?.main?.['*'] ?? revision?.slots?.main?.content ?? revision?.['*'];
+      if (fullArticle && wikitext) {
+        const article = parseArticle(wikitext, data.title);
+        result.sections = article.sections;
+        result.infobox = article.infobox;
+        result.references = article.references;
+        result.content = article.sections
+          .map(section => section.level > 1 ? `${'#'.repeat(section.level)} ${section.heading}\n${section.text}` : section.text)
+          .join('\n\n');
+      }
+
+      results.push(result);
     }
 
     return results;
   }
 
+  /**
+   * 合并continue请求返回的页面数据：数组属性（langlinks、revisions）追加，其余属性保留首次获得的值
+   * @param {Object} pageData - 已获得的页面数据，pageid -> 页面
+   * @param {Object} pages - 本次返回的页面数据
+   */
+  mergePageData(pageData, pages) {
+    for (const [pageid, page] of Object.entries(pages)) {
+      const existing = pageData[pageid];
+      if (!existing) {
+        pageData[pageid] = page;
+        continue;
+      }
+
+      for (const [key, value] of Object.entries(page)) {
+        if (Array.isArray(value) && Array.isArray(existing[key])) {
+          existing[key] = [...existing[key], ...value];
+        } else if (existing[key] === undefined) {
+          existing[key] = value;
+        }
+      }
+    }
+  }
+
   /**
    * 健康检查
    * @returns {Promise<boolean>} 是否可用
    */
   async healthCheck() {
     try {
-      const response = await axios.get(this.baseUrl, {
+      const response = await axios.get(this.getApiUrl(this.defaultLanguage), {
         params: {
           action: 'query',
           list: 'search',
@@ -158,4 +342,4 @@ class WikipediaSearchService {
   }
 }
 
-module.exports = WikipediaSearchService; 
\ No newline at end of file
+module.exports = WikipediaSearchService;
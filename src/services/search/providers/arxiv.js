@@ -0,0 +1,11 @@
+const ArxivSearchService = require('../ArxivSearchService');
+
+module.exports = {
+  name: 'arxiv',
+  displayName: 'arXiv',
+  capabilities: ['academic', 'fullContent'],
+  defaultWeight: 1.1,
+  quotaShare: 0.3,
+  enabledByDefault: false,
+  create: () => new ArxivSearchService()
+};
@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const BingSearchService = require('../BingSearchService');
+const config = require('../../../config');
+
+module.exports = {
+  name: 'bing',
+  displayName: 'Bing Web Search',
+  capabilities: ['web', 'thumbnail'],
+  defaultWeight: 1.0,
+  quotaShare: 0.7,
+  enabledByDefault: false,
+  options: {
+    safeSearch: Joi.string().valid('off', 'medium', 'high', 'active')
+  },
+  isConfigured: () => Boolean(config.search.bing.apiKey),
+  create: () => new BingSearchService()
+};
@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const GoogleSearchService = require('../GoogleSearchService');
+const config = require('../../../config');
+
+module.exports = {
+  name: 'google',
+  displayName: 'Google Custom Search',
+  capabilities: ['web', 'thumbnail'],
+  defaultWeight: 1.0,
+  quotaShare: 0.7,
+  enabledByDefault: true,
+  options: {
+    safeSearch: Joi.string().valid('off', 'medium', 'high', 'active')
+  },
+  isConfigured: () => Boolean(config.search.google.apiKey && config.search.google.engineId),
+  create: () => new GoogleSearchService()
+};
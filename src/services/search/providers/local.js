@@ -0,0 +1,15 @@
+const LocalCorpusSearchService = require('../LocalCorpusSearchService');
+const config = require('../../../config');
+
+module.exports = {
+  name: 'local',
+  displayName: 'Local documents',
+  capabilities: ['local', 'fullContent'],
+  defaultWeight: 1.0,
+  quotaShare: 0.3,
+  enabledByDefault: false,
+  // 本地索引查询很快，且需要及时反映文件变化
+  cacheTtl: 0,
+  isConfigured: () => Boolean(config.search.local.corpusDir),
+  create: () => new LocalCorpusSearchService()
+};
@@ -0,0 +1,16 @@
+const NewsFeedSearchService = require('../NewsFeedSearchService');
+const config = require('../../../config');
+
+module.exports = {
+  name: 'news',
+  displayName: 'News (RSS/Atom)',
+  capabilities: ['news', 'publishedAt'],
+  defaultWeight: 1.0,
+  quotaShare: 0.4,
+  enabledByDefault: false,
+  // 新闻更新快，缓存时间较短
+  cacheTtl: 10 * 60 * 1000,
+  // 通用新闻搜索地址有默认值，只有配置了订阅源才算已配置
+  isConfigured: () => config.search.news.feeds.length > 0,
+  create: () => new NewsFeedSearchService()
+};
@@ -0,0 +1,19 @@
+const Joi = require('joi');
+const SearXNGSearchService = require('../SearXNGSearchService');
+const config = require('../../../config');
+
+module.exports = {
+  name: 'searxng',
+  displayName: 'SearXNG (self-hosted)',
+  capabilities: ['web', 'metasearch', 'thumbnail'],
+  defaultWeight: 1.0,
+  quotaShare: 0.7,
+  enabledByDefault: false,
+  options: {
+    safeSearch: Joi.string().valid('off', 'medium', 'high', 'active'),
+    engines: Joi.array().items(Joi.string().pattern(/^[\w -]+$/).max(50)).max(20),
+    categories: Joi.array().items(Joi.string().pattern(/^[\w -]+$/).max(50)).max(10)
+  },
+  isConfigured: () => Boolean(config.search.searxng.baseUrl),
+  create: () => new SearXNGSearchService()
+};
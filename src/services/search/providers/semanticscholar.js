@@ -0,0 +1,11 @@
+const SemanticScholarSearchService = require('../SemanticScholarSearchService');
+
+module.exports = {
+  name: 'semanticscholar',
+  displayName: 'Semantic Scholar',
+  capabilities: ['academic', 'fullContent'],
+  defaultWeight: 1.1,
+  quotaShare: 0.3,
+  enabledByDefault: false,
+  create: () => new SemanticScholarSearchService()
+};
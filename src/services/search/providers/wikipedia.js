@@ -0,0 +1,16 @@
+const Joi = require('joi');
+const WikipediaSearchService = require('../WikipediaSearchService');
+
+module.exports = {
+  name: 'wikipedia',
+  displayName: 'Wikipedia API',
+  capabilities: ['encyclopedia', 'fullContent'],
+  defaultWeight: 1.2, // Wikipedia通常质量更高
+  quotaShare: 0.3,
+  enabledByDefault: true,
+  options: {
+    secondaryLanguage: Joi.string().lowercase().pattern(/^(simple|[a-z]{2,3}(-[a-z]+)*)$/),
+    fullArticle: Joi.boolean()
+  },
+  create: () => new WikipediaSearchService()
+};
@@ -0,0 +1,98 @@
+const { tokenize } = require('./tokenizer');
+
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+// 搜索结果各字段的词频权重，标题命中比正文命中更重要
+const DEFAULT_FIELDS = {
+  title: 3,
+  snippet: 1,
+  content: 1
+};
+
+/**
+ * 逆文档频率
+ * @param {number} totalDocs - 文档总数
+ * @param {number} docFreq - 包含该词的文档数
+ * @returns {number} IDF（始终为正）
+ */
+function idf(totalDocs, docFreq) {
+  return Math.log(1 + (totalDocs - docFreq + 0.5) / (docFreq + 0.5));
+}
+
+/**
+ * 单个词的BM25词频饱和项
+ * 结果介于 0 和 k1 + 1 之间，乘以IDF即为该词的得分
+ * @param {number} tf - 词频
+ * @param {number} length - 文档长度（词数）
+ * @param {number} avgLength - 平均文档长度
+ * @param {Object} options - 参数 { k1, b }
+ * @returns {number} 饱和后的词频
+ */
+function termFrequencyNorm(tf, length, avgLength, options = {}) {
+  const { k1 = DEFAULT_K1, b = DEFAULT_B } = options;
+  return tf * (k1 + 1) / (tf + k1 * (1 - b + b * length / (avgLength || 1)));
+}
+
+/**
+ * 对一组文档按BM25打分，并归一化到 0-1
+ * 归一化以查询的理论最高分（每个查询词的 IDF × (k1 + 1) 之和）为分母，
+ * 因此分数在不同查询、不同结果集之间可比，而不是简单地把最高分设为1
+ * @param {string} query - 查询文本
+ * @param {Array<Object>} documents - 文档数组，按字段取文本
+ * @param {Object} options - 选项
+ * @param {Object} options.fields - 字段名 -> 词频权重
+ * @param {number} options.k1 - 词频饱和参数
+ * @param {number} options.b - 长度归一化参数
+ * @returns {Array<number>} 与documents顺序一致的 0-1 分数
+ */
+function scoreDocuments(query, documents, options = {}) {
+  const { fields = DEFAULT_FIELDS, k1 = DEFAULT_K1, b = DEFAULT_B } = options;
+  const queryTerms = [...new Set(tokenize(query))];
+
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return documents.map(() => 0);
+  }
+
+  // 按字段权重累计词频，文档长度按实际词数计算
+  const stats = documents.map(doc => {
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const [field, weight] of Object.entries(fields)) {
+      const tokens = tokenize(doc[field]);
+      length += tokens.length;
+      for (const token of tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + weight);
+      }
+    }
+
+    return { frequencies, length };
+  });
+
+  const totalDocs = stats.length;
+  const avgLength = stats.reduce((sum, doc) => sum + doc.length, 0) / totalDocs;
+
+  const idfs = queryTerms.map(term => {
+    const docFreq = stats.filter(doc => doc.frequencies.has(term)).length;
+    return idf(totalDocs, docFreq);
+  });
+  const maxScore = idfs.reduce((sum, value) => sum + value * (k1 + 1), 0);
+
+  return stats.map(doc => {
+    let score = 0;
+    queryTerms.forEach((term, i) => {
+      const tf = doc.frequencies.get(term);
+      if (tf) {
+        score += idfs[i] * termFrequencyNorm(tf, doc.length, avgLength, { k1, b });
+      }
+    });
+    return maxScore > 0 ? Math.min(1, score / maxScore) : 0;
+  });
+}
+
+module.exports = {
+  idf,
+  termFrequencyNorm,
+  scoreDocuments
+};
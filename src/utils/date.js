@@ -0,0 +1,85 @@
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+// 中文日期：2024年3月5日 14:30、2024年03月05日
+const CHINESE_DATE = /(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*[日号](?:\s*(\d{1,2})[:：时](\d{1,2}))?/;
+// 数字日期：2024-03-05、2024/3/5、2024.03.05，可带时间
+const NUMERIC_DATE = /(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/;
+// 英文日期：March 5, 2024 / 5 March 2024
+const ENGLISH_MONTH_FIRST = /\b(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i;
+const ENGLISH_DAY_FIRST = /\b(\d{1,2})(?:st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?,?\s+(\d{4})\b/i;
+
+// 早于该年份的日期视为误识别
+const MIN_YEAR = 1990;
+
+/**
+ * 构造日期并校验范围（不早于1990年，不晚于明天）
+ * 没有时区信息的日期按UTC处理
+ * @returns {Date|null} 日期
+ */
+function buildDate(year, month, day, hour = 0, minute = 0, second = 0) {
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (isNaN(date.getTime()) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return isPlausible(date) ? date : null;
+}
+
+/**
+ * 日期是否在合理范围内
+ * @param {Date} date - 日期
+ * @returns {boolean} 是否合理
+ */
+function isPlausible(date) {
+  return date.getUTCFullYear() >= MIN_YEAR && date.getTime() <= Date.now() + 24 * 60 * 60 * 1000;
+}
+
+/**
+ * 解析日期字符串
+ * 支持ISO 8601、RFC 2822等标准格式，以及中文日期（2024年3月5日）、数字日期（2024/3/5、2024.03.05）
+ * 和英文日期（March 5, 2024）
+ * @param {string} text - 日期文本，也可以是包含日期的一段文字
+ * @returns {Date|null} 日期，无法识别时返回null
+ */
+function parseDate(text) {
+  if (!text) {
+    return null;
+  }
+
+  const value = String(text).trim();
+
+  // 标准格式（ISO 8601带时区、RFC 2822）直接交给Date解析；不带时区的ISO日期由下面的数字日期按UTC处理
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i.test(value) || /^[A-Za-z]{3},\s/.test(value)) {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      return isPlausible(date) ? date : null;
+    }
+  }
+
+  let match = CHINESE_DATE.exec(value);
+  if (match) {
+    return buildDate(+match[1], +match[2], +match[3], +(match[4] || 0), +(match[5] || 0));
+  }
+
+  match = NUMERIC_DATE.exec(value);
+  if (match) {
+    return buildDate(+match[1], +match[2], +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0));
+  }
+
+  match = ENGLISH_MONTH_FIRST.exec(value);
+  if (match) {
+    return buildDate(+match[3], MONTHS[match[1].toLowerCase()], +match[2]);
+  }
+
+  match = ENGLISH_DAY_FIRST.exec(value);
+  if (match) {
+    return buildDate(+match[3], MONTHS[match[2].toLowerCase()], +match[1]);
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseDate
+};
@@ -0,0 +1,174 @@
+const iconv = require('iconv-lite');
+
+// 编码别名 -> iconv-lite编码名，按WHATWG Encoding标准合并（GB2312/GBK按GB18030解码，Big5按Big5-HKSCS解码）
+const CHARSET_ALIASES = {
+  'utf-8': 'utf-8', 'utf8': 'utf-8', 'unicode-1-1-utf-8': 'utf-8',
+  'gb2312': 'gb18030', 'gbk': 'gb18030', 'x-gbk': 'gb18030', 'gb_2312-80': 'gb18030', 'csgb2312': 'gb18030',
+  'chinese': 'gb18030', 'iso-ir-58': 'gb18030', 'gb18030': 'gb18030', 'cp936': 'gb18030',
+  'big5': 'big5hkscs', 'big5-hkscs': 'big5hkscs', 'cn-big5': 'big5hkscs', 'x-x-big5': 'big5hkscs', 'csbig5': 'big5hkscs',
+  'shift_jis': 'shift_jis', 'shift-jis': 'shift_jis', 'sjis': 'shift_jis', 'x-sjis': 'shift_jis', 'ms_kanji': 'shift_jis',
+  'csshiftjis': 'shift_jis', 'windows-31j': 'shift_jis', 'ms932': 'shift_jis',
+  'iso-8859-1': 'windows-1252', 'latin1': 'windows-1252', 'us-ascii': 'windows-1252', 'ascii': 'windows-1252'
+};
+
+// 没有声明编码且不是合法UTF-8时依次尝试的编码，得分相同时靠前者优先
+const FALLBACK_CHARSETS = ['gb18030', 'big5hkscs', 'shift_jis', 'euc-kr'];
+
+// 简体、繁体中文中出现频率最高的字，用于区分GBK和Big5
+const COMMON_HAN = new Set(
+  '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心本前开但因只从想实日者意无力与长把机民第公此已工使情明性知全新' +
+  '這個們來為國說時會對於過發後裡經麼學現當沒動還進從實與長機開電問點業間將兩關體頭見無樣應種產數變處認總條區議書車記東雖號讓歷氣'
+);
+
+/**
+ * 规范化编码名称
+ * @param {string} label - 编码名称（如 GBK、gb2312、Shift-JIS）
+ * @returns {string|null} iconv-lite编码名，不支持时为null
+ */
+function normalizeCharset(label) {
+  if (!label) return null;
+  const name = label.trim().toLowerCase().replace(/^["']|["']$/g, '');
+  const charset = CHARSET_ALIASES[name] || name;
+  return iconv.encodingExists(charset) ? charset : null;
+}
+
+/**
+ * 根据字节顺序标记（BOM）判断编码
+ * @param {Buffer} buffer - 内容
+ * @returns {string|null} 编码名
+ */
+function getBomCharset(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return 'utf-8';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return 'utf-16le';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+/**
+ * Content-Type中的charset参数
+ * @param {string} contentType - Content-Type
+ * @returns {string|null} 编码名
+ */
+function getHeaderCharset(contentType) {
+  const match = /charset\s*=\s*["']?([^;"'\s]+)/i.exec(contentType || '');
+  return match ? normalizeCharset(match[1]) : null;
+}
+
+/**
+ * 文档开头声明的编码：<meta charset>、<meta http-equiv="Content-Type">或XML声明
+ * @param {Buffer} buffer - 内容
+ * @returns {string|null} 编码名
+ */
+function getDeclaredCharset(buffer) {
+  // 声明本身只含ASCII字符，按latin1读取前4KB即可，不受实际编码影响
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const match = /<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i.exec(head) ||
+    /<\?xml[^>]+encoding\s*=\s*["']([\w-]+)["']/i.exec(head);
+  if (!match) return null;
+
+  // 能读出ASCII声明说明内容不是UTF-16，按WHATWG标准改用UTF-8
+  const charset = normalizeCharset(match[1]);
+  return charset && charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+/**
+ * 是否为合法的UTF-8
+ * @param {Buffer} buffer - 内容
+ * @returns {boolean} 是否合法
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 按解码结果判断编码是否合适：常用汉字和假名加分，替换字符、私用区字符和半角片假名（多为误判）减分
+ * @param {string} text - 解码后的文本
+ * @returns {number} 得分
+ */
+function scoreDecodedText(text) {
+  let score = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (COMMON_HAN.has(char)) {
+      score += 1;
+    } else if (code >= 0x3040 && code <= 0x30FF) {
+      score += 1;
+    } else if (code >= 0xAC00 && code <= 0xD7A3) {
+      score += 0.5;
+    } else if (code === 0xFFFD || (code >= 0xE000 && code <= 0xF8FF) || (code >= 0xFF61 && code <= 0xFF9F)) {
+      score -= 5;
+    }
+  }
+  return score;
+}
+
+/**
+ * 识别内容的编码
+ * 依次使用BOM、HTTP头、文档内声明，都没有时若为合法UTF-8则按UTF-8处理，
+ * 否则比较GB18030、Big5、Shift_JIS、EUC-KR的解码结果。
+ * 服务器配置错误很常见：声明为UTF-8但内容不是合法UTF-8时继续尝试后面的方法；
+ * HTTP头为服务器默认的ISO-8859-1而文档另有声明时以文档声明为准
+ * @param {Buffer} buffer - 内容
+ * @param {string} contentType - HTTP Content-Type
+ * @returns {Object} { charset, source } source为 bom、header、meta、utf-8 或 guess
+ */
+function detectCharset(buffer, contentType) {
+  const bom = getBomCharset(buffer);
+  if (bom) {
+    return { charset: bom, source: 'bom' };
+  }
+
+  const utf8 = isValidUtf8(buffer);
+  const headerCharset = getHeaderCharset(contentType);
+  const metaCharset = getDeclaredCharset(buffer);
+  const usable = charset => charset && (charset !== 'utf-8' || utf8);
+
+  if (usable(headerCharset) && !(headerCharset === 'windows-1252' && usable(metaCharset))) {
+    return { charset: headerCharset, source: 'header' };
+  }
+  if (usable(metaCharset)) {
+    return { charset: metaCharset, source: 'meta' };
+  }
+
+  if (utf8) {
+    return { charset: 'utf-8', source: 'utf-8' };
+  }
+
+  const sample = buffer.subarray(0, 65536);
+  let best = null;
+  for (const charset of FALLBACK_CHARSETS) {
+    const score = scoreDecodedText(iconv.decode(sample, charset));
+    if (!best || score > best.score) {
+      best = { charset, score };
+    }
+  }
+  return { charset: best.charset, source: 'guess' };
+}
+
+/**
+ * 按识别出的编码将内容解码为字符串（去除BOM）
+ * @param {Buffer} buffer - 内容
+ * @param {string} contentType - HTTP Content-Type
+ * @returns {string} 文本
+ */
+function decodeBuffer(buffer, contentType) {
+  const { charset } = detectCharset(buffer, contentType);
+  return iconv.decode(buffer, charset, { stripBOM: true });
+}
+
+module.exports = {
+  normalizeCharset,
+  detectCharset,
+  decodeBuffer
+};
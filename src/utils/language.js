@@ -0,0 +1,94 @@
+// 按文字系统识别语言，顺序即优先级（假名需先于汉字判断）
+const SCRIPT_LANGUAGES = [
+  { language: 'ja', pattern: /[\u3040-\u30ff]/ },
+  { language: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff]/ },
+  { language: 'zh', pattern: /[\u3400-\u4dbf\u4e00-\u9fff]/ },
+  { language: 'ru', pattern: /[\u0400-\u04ff]/ },
+  { language: 'ar', pattern: /[\u0600-\u06ff]/ },
+  { language: 'he', pattern: /[\u0590-\u05ff]/ },
+  { language: 'el', pattern: /[\u0370-\u03ff]/ },
+  { language: 'th', pattern: /[\u0e00-\u0e7f]/ },
+  { language: 'hi', pattern: /[\u0900-\u097f]/ }
+];
+
+// 请求中允许的语言标识：auto、simple，或BCP-47风格的语言标签（如 en、zh-tw、pt-br、zh-min-nan）
+const LANGUAGE_PATTERN = /^(auto|simple|[a-z]{2,3}(-[a-z]+)*)$/;
+
+// 代码中带连字符的Wikipedia语言版本，其余语言标签只保留基础语言（zh-tw -> zh）
+const WIKIPEDIA_EDITIONS = new Set([
+  'simple', 'zh-yue', 'zh-min-nan', 'zh-classical', 'be-tarask', 'be-x-old',
+  'roa-rup', 'roa-tara', 'map-bms', 'nds-nl', 'bat-smg', 'fiu-vro', 'cbk-zam'
+]);
+
+// 标准语言代码与Wikipedia版本代码不同的语言
+const WIKIPEDIA_ALIASES = {
+  yue: 'zh-yue',
+  nan: 'zh-min-nan',
+  lzh: 'zh-classical',
+  nb: 'no'
+};
+
+// 拉丁字母语言的特征字符
+const LATIN_HINTS = [
+  { language: 'de', pattern: /[äöüß]/i },
+  { language: 'es', pattern: /[ñ¿¡]/i },
+  { language: 'fr', pattern: /[çœèêë]/i },
+  { language: 'pt', pattern: /[ãõ]/i },
+  { language: 'vi', pattern: /[ăđơư]/i }
+];
+
+/**
+ * 根据文本内容推断语言
+ * @param {string} text - 文本
+ * @param {string} fallback - 无法判断时的默认语言
+ * @returns {string} 语言代码（ISO 639-1）
+ */
+function detectLanguage(text, fallback = 'en') {
+  if (!text) {
+    return fallback;
+  }
+
+  for (const { language, pattern } of SCRIPT_LANGUAGES) {
+    if (pattern.test(text)) {
+      return language;
+    }
+  }
+
+  for (const { language, pattern } of LATIN_HINTS) {
+    if (pattern.test(text)) {
+      return language;
+    }
+  }
+
+  return /[a-z]/i.test(text) ? 'en' : fallback;
+}
+
+/**
+ * 语言标签转为Wikipedia语言版本代码
+ * zh-yue、be-tarask 等版本代码原样保留，带地区的标签（en-us、zh-tw、pt-br）取基础语言，
+ * yue、nan 等标准代码映射为对应的版本代码
+ * @param {string} code - 语言标签（不区分大小写，可用下划线分隔）
+ * @returns {string|null} 版本代码，不是合法的语言标签时为null
+ */
+function toWikipediaEdition(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+
+  const tag = code.trim().toLowerCase().replace(/_/g, '-');
+  if (tag === 'auto' || !LANGUAGE_PATTERN.test(tag)) {
+    return null;
+  }
+  if (WIKIPEDIA_EDITIONS.has(tag)) {
+    return tag;
+  }
+
+  const base = tag.split('-')[0];
+  return WIKIPEDIA_ALIASES[base] || base;
+}
+
+module.exports = {
+  LANGUAGE_PATTERN,
+  detectLanguage,
+  toWikipediaEdition
+};
@@ -0,0 +1,127 @@
+/**
+ * 解析robots.txt（RFC 9309）
+ * 连续的多行User-agent共享其后的规则；同一爬虫名出现在多个分组时规则合并
+ * @param {string} text - robots.txt内容
+ * @returns {Object} { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let collectingAgents = false;
+
+  for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!collectingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+        collectingAgents = true;
+      }
+      current.agents.push(value.toLowerCase());
+      continue;
+    }
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    collectingAgents = false;
+    // 出现在任何User-agent之前的规则无效
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // 空的Disallow表示不限制
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * 选出适用于爬虫的规则
+ * 优先匹配爬虫名的分组，没有时使用 * 分组
+ * @param {Object} robots - parseRobots的结果
+ * @param {string} agent - 爬虫名（产品标识，如 AI-Information-Expert）
+ * @returns {Object} { rules, crawlDelay }
+ */
+function getAgentRules(robots, agent) {
+  const token = agent.toLowerCase();
+  let matched = robots.groups.filter(group => group.agents.includes(token));
+  if (matched.length === 0) {
+    matched = robots.groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * 规则路径转为正则，支持 * 通配符和 $ 结尾锚定
+ * @param {string} pattern - 规则路径
+ * @returns {RegExp} 正则
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * 统一百分号编码的大小写，未编码的非ASCII字符按UTF-8编码，使规则与路径可以直接比较
+ * @param {string} value - 路径
+ * @returns {string} 路径
+ */
+function normalizePath(value) {
+  return value
+    .replace(/%[0-9a-f]{2}/gi, match => match.toUpperCase())
+    .replace(/[^\x00-\x7F]/gu, char => encodeURIComponent(char));
+}
+
+/**
+ * 路径是否允许抓取
+ * 匹配最长的规则生效，长度相同时Allow优先；/robots.txt 总是允许
+ * @param {Array} rules - 规则 [{ allow, path }]
+ * @param {string} path - 路径（含查询串）
+ * @returns {boolean} 是否允许
+ */
+function isPathAllowed(rules, path) {
+  const target = normalizePath(path || '/');
+  if (target === '/robots.txt') {
+    return true;
+  }
+
+  let best = null;
+  for (const rule of rules) {
+    const rulePath = normalizePath(rule.path);
+    if (!patternToRegExp(rulePath).test(target)) continue;
+    if (!best || rulePath.length > best.length || (rulePath.length === best.length && rule.allow)) {
+      best = { allow: rule.allow, length: rulePath.length };
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+module.exports = {
+  parseRobots,
+  getAgentRules,
+  isPathAllowed
+};
@@ -0,0 +1,74 @@
+const { tokenize } = require('./tokenizer');
+
+const HASH_BITS = 64n;
+const MASK_64 = (1n << HASH_BITS) - 1n;
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+
+/**
+ * 64位 FNV-1a 哈希
+ * @param {string} text - 文本
+ * @returns {bigint} 哈希值
+ */
+function fnv1a64(text) {
+  let hash = FNV_OFFSET;
+  for (const byte of Buffer.from(text, 'utf8')) {
+    hash ^= BigInt(byte);
+    hash = (hash * FNV_PRIME) & MASK_64;
+  }
+  return hash;
+}
+
+/**
+ * 计算文本的 SimHash 指纹
+ * 以相邻两个词组成的片段（shingle）为特征，转载、轻微改写的同一篇文章指纹只相差少数几位
+ * @param {string} text - 文本
+ * @returns {{ hash: bigint, features: number }} 指纹及参与计算的特征数
+ */
+function simhash(text) {
+  const tokens = tokenize(text);
+  const weights = new Map();
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const shingle = `${tokens[i]} ${tokens[i + 1]}`;
+    weights.set(shingle, (weights.get(shingle) || 0) + 1);
+  }
+
+  const vector = new Array(Number(HASH_BITS)).fill(0);
+  for (const [shingle, weight] of weights) {
+    const hash = fnv1a64(shingle);
+    for (let bit = 0n; bit < HASH_BITS; bit++) {
+      vector[Number(bit)] += (hash >> bit) & 1n ? weight : -weight;
+    }
+  }
+
+  let hash = 0n;
+  vector.forEach((value, bit) => {
+    if (value > 0) {
+      hash |= 1n << BigInt(bit);
+    }
+  });
+
+  return { hash, features: weights.size };
+}
+
+/**
+ * 两个指纹的汉明距离
+ * @param {bigint} a - 指纹
+ * @param {bigint} b - 指纹
+ * @returns {number} 不同的位数
+ */
+function hammingDistance(a, b) {
+  let diff = a ^ b;
+  let count = 0;
+  while (diff) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  simhash,
+  hammingDistance
+};
@@ -0,0 +1,52 @@
+// 中日韩文字（假名、汉字、谚文）
+const CJK_RANGES = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+const CJK_PATTERN = new RegExp(`[${CJK_RANGES}]`);
+// 中日韩文字片段，或不含中日韩文字的字母数字片段（\p{L} 也包含汉字，需排除，否则"GPT模型"会成为一个词）
+const TOKEN_PATTERN = new RegExp(`[${CJK_RANGES}]+|(?:(?![${CJK_RANGES}])[\\p{L}\\p{N}])+`, 'gu');
+
+/**
+ * 文本分词
+ * 拉丁字母和数字按词切分并转为小写；中日韩文字没有空格分隔，按二元组（bigram）切分，
+ * 单个汉字保留为一个词
+ * @param {string} text - 原始文本
+ * @returns {Array<string>} 词列表
+ */
+function tokenize(text) {
+  const tokens = [];
+  if (!text) {
+    return tokens;
+  }
+
+  for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+    const segment = match[0];
+
+    if (CJK_PATTERN.test(segment[0])) {
+      const chars = Array.from(segment);
+      if (chars.length === 1) {
+        tokens.push(chars[0]);
+      } else {
+        for (let i = 0; i < chars.length - 1; i++) {
+          tokens.push(chars[i] + chars[i + 1]);
+        }
+      }
+    } else {
+      tokens.push(segment.toLowerCase());
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 是否包含中日韩文字
+ * @param {string} text - 原始文本
+ * @returns {boolean} 是否包含
+ */
+function containsCJK(text) {
+  return CJK_PATTERN.test(text || '');
+}
+
+module.exports = {
+  tokenize,
+  containsCJK
+};
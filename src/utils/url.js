@@ -0,0 +1,67 @@
+// 不影响页面内容的跟踪参数
+const TRACKING_PARAMS = new Set([
+  'gclid', 'dclid', 'fbclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'spm', 'scm', 'share_token', 'amp'
+]);
+const TRACKING_PREFIXES = ['utm_', 'hmsr', 'hmpl', 'hmcu', 'hmkw', 'hmci'];
+
+// AMP缓存地址：https://www-example-com.cdn.ampproject.org/c/s/www.example.com/path
+const AMP_CACHE_PATTERN = /^\/[cv]\/(s\/)?([^/]+)(\/.*)?$/;
+
+/**
+ * 规范化URL，用于判断不同写法的URL是否指向同一页面
+ * - http/https 统一为 https，移除默认端口、片段和 www. 前缀
+ * - 移动版子域名（m.、mobile.、zh.m.wikipedia.org 中的 .m.）还原为桌面版
+ * - AMP页面（amp. 子域名、/amp 路径、AMP缓存地址）还原为原始页面
+ * - 移除 utm_* 等跟踪参数，其余参数按名称排序
+ * - 移除路径末尾的斜杠
+ * 非http(s)地址（如本地文件的file://）原样返回
+ * @param {string} url - 原始URL
+ * @returns {string} 规范化后的URL
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+
+  if (parsed.hostname.endsWith('.cdn.ampproject.org')) {
+    const match = AMP_CACHE_PATTERN.exec(parsed.pathname);
+    if (match) {
+      return canonicalizeUrl(`https://${match[2]}${match[3] || '/'}${parsed.search}`);
+    }
+  }
+
+  const host = parsed.hostname
+    .toLowerCase()
+    .replace(/^(www|m|mobile|amp)\./, '')
+    .replace(/\.m\.(wikipedia|wiktionary|wikimedia|wikidata)\.org$/, '.$1.org');
+
+  const path = parsed.pathname
+    .replace(/\/amp(\.html)?\/?$/, '/')
+    .replace(/\/amp\//, '/')
+    .replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name, value]) => {
+      const lower = name.toLowerCase();
+      if (lower === 'output' && value === 'amp') return false;
+      return !TRACKING_PARAMS.has(lower) && !TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  return `https://${host}${port}${path}${query}`;
+}
+
+module.exports = {
+  canonicalizeUrl
+};
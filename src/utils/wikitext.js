@@ -0,0 +1,334 @@
+// 信息框模板名称（英文 Infobox，中文 信息框/資訊框）
+const INFOBOX_PATTERN = /^\s*(infobox|[^|}]*(信息框|資訊框))/i;
+// 文件/图片链接前缀
+const FILE_LINK_PATTERN = /^\[\[\s*(file|image|文件|檔案|图像|圖像|category|分类|分類)\s*:/i;
+// 中文维基繁简转换规则中的语言变体，如 zh-hans:计算机
+const VARIANT_PATTERN = /^\s*(zh(?:-[a-z]+)?)\s*:([\s\S]*)$/i;
+// 繁简转换选用的变体，按顺序取第一个存在的
+const PREFERRED_VARIANTS = ['zh-hans', 'zh-cn', 'zh'];
+
+/**
+ * 从指定位置开始查找配对的结束符，支持嵌套
+ * @param {string} text - 文本
+ * @param {number} start - 开始符的位置
+ * @param {string} open - 开始符，如 '{{'
+ * @param {string} close - 结束符，如 '}}'
+ * @returns {number} 结束符之后的位置，未配对时返回-1
+ */
+function findClosing(text, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text.startsWith(open, i)) {
+      depth++;
+      i += open.length - 1;
+    } else if (text.startsWith(close, i)) {
+      depth--;
+      i += close.length - 1;
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * 按顶层的 | 拆分模板参数（忽略嵌套模板和链接中的 |）
+ * @param {string} body - 模板内容（不含外层花括号）
+ * @returns {Array<string>} 参数列表，第一个为模板名
+ */
+function splitTemplateParams(body) {
+  const params = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < body.length; i++) {
+    const pair = body.substr(i, 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      current += pair;
+      i++;
+    } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+      depth--;
+      current += pair;
+      i++;
+    } else if (body[i] === '|' && depth === 0) {
+      params.push(current);
+      current = '';
+    } else {
+      current += body[i];
+    }
+  }
+  params.push(current);
+
+  return params;
+}
+
+/**
+ * 删除所有配对的块（如模板、文件链接）
+ * @param {string} text - 文本
+ * @param {string} open - 开始符
+ * @param {string} close - 结束符
+ * @param {Function} shouldRemove - 判断某个块是否删除，返回字符串时替换为该字符串
+ * @returns {string} 处理后的文本
+ */
+function replaceBlocks(text, open, close, shouldRemove) {
+  let output = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const start = text.indexOf(open, i);
+    if (start === -1) {
+      output += text.slice(i);
+      break;
+    }
+
+    const end = findClosing(text, start, open, close);
+    if (end === -1) {
+      output += text.slice(i);
+      break;
+    }
+
+    const block = text.slice(start, end);
+    const decision = shouldRemove(block);
+    output += text.slice(i, start);
+    if (typeof decision === 'string') {
+      output += decision;
+    } else if (!decision) {
+      output += block;
+    }
+    i = end;
+  }
+
+  return output;
+}
+
+/**
+ * 解析繁简转换标记 -{…}-
+ * -{zh-hans:计算机;zh-hant:電腦}- 取简体（zh-hans、zh-cn、zh，都没有时取第一个变体），
+ * -{文本}- 保留文本，-{A|…}- 等带标志的按其后的内容处理，-{H|…}- 和 -{T|…}- 只是转换规则，删除
+ * @param {string} block - 标记，含外层的 -{ 和 }-
+ * @returns {string} 显示的文本
+ */
+function resolveLanguageConversion(block) {
+  let body = block.slice(2, -2);
+
+  const flags = /^([a-zA-Z;]{1,5})\|([\s\S]*)$/.exec(body);
+  if (flags) {
+    if (/[HT]/.test(flags[1])) {
+      return '';
+    }
+    body = flags[2];
+  }
+
+  const variants = new Map();
+  for (const segment of body.split(';')) {
+    const match = VARIANT_PATTERN.exec(segment.includes('=>') ? segment.split('=>').pop() : segment);
+    if (match) {
+      variants.set(match[1].toLowerCase(), match[2].trim());
+    } else if (segment.trim()) {
+      // 不是变体列表，整体为原样显示的文本
+      return body;
+    }
+  }
+
+  if (variants.size === 0) {
+    return body;
+  }
+  const preferred = PREFERRED_VARIANTS.find(variant => variants.has(variant));
+  return preferred ? variants.get(preferred) : variants.values().next().value;
+}
+
+/**
+ * 将Wikitext转换为纯文本
+ * @param {string} wikitext - Wikitext
+ * @returns {string} 纯文本
+ */
+function toPlainText(wikitext) {
+  let text = (wikitext || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<ref[^>]*\/>/gi, '')
+    .replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, '');
+
+  // 繁简转换标记，先于模板处理，模板参数中的标记也能解析
+  text = replaceBlocks(text, '-{', '}-', resolveLanguageConversion);
+
+  // 模板：{{lang|xx|文本}} 保留文本，{{start date|1947|5|1}} 等日期模板转为日期，其余删除
+  text = replaceBlocks(text, '{{', '}}', block => {
+    const params = splitTemplateParams(block.slice(2, -2));
+    const name = params[0].trim().toLowerCase();
+    if ((name === 'lang' || name.startsWith('lang-')) && params.length > 1) {
+      return params[params.length - 1];
+    }
+    if (/date/.test(name)) {
+      const parts = params.slice(1).map(p => p.trim()).filter(p => /^\d+$/.test(p)).slice(0, 3);
+      if (parts.length > 0) {
+        return parts.map((part, index) => index === 0 ? part : part.padStart(2, '0')).join('-');
+      }
+    }
+    return true;
+  });
+
+  // 表格
+  text = replaceBlocks(text, '{|', '|}', () => true);
+
+  // 文件、图片、分类链接
+  text = replaceBlocks(text, '[[', ']]', block => FILE_LINK_PATTERN.test(block));
+
+  return text
+    .replace(/\[\[([^\]|]*)\|([^\]]*)\]\]/g, '$2')
+    .replace(/\[\[([^\]]*)\]\]/g, '$1')
+    .replace(/\[https?:\/\/[^\s\]]+\s+([^\]]+)\]/g, '$1')
+    .replace(/\[https?:\/\/[^\]]+\]/g, '')
+    .replace(/'{2,5}/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/^[*#:;]+\s*/gm, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+/**
+ * 提取信息框
+ * @param {string} wikitext - Wikitext
+ * @returns {Object|null} { name, fields }
+ */
+function extractInfobox(wikitext) {
+  let start = wikitext.indexOf('{{');
+
+  while (start !== -1) {
+    const end = findClosing(wikitext, start, '{{', '}}');
+    if (end === -1) {
+      return null;
+    }
+
+    const body = wikitext.slice(start + 2, end - 2);
+    if (INFOBOX_PATTERN.test(body)) {
+      const [name, ...params] = splitTemplateParams(body);
+      const fields = {};
+
+      for (const param of params) {
+        const separator = param.indexOf('=');
+        if (separator === -1) continue;
+
+        const key = param.slice(0, separator).trim();
+        const value = toPlainText(param.slice(separator + 1)).replace(/\s+/g, ' ').trim();
+        if (key && value) {
+          fields[key] = value;
+        }
+      }
+
+      return { name: name.trim(), fields };
+    }
+
+    start = wikitext.indexOf('{{', start + 2);
+  }
+
+  return null;
+}
+
+/**
+ * 提取参考文献
+ * @param {string} wikitext - Wikitext
+ * @returns {Array<Object>} [{ title, url, text }]
+ */
+function extractReferences(wikitext) {
+  const references = [];
+  const seen = new Set();
+  const refPattern = /<ref(?:\s[^>]*)?(?<!\/)>([\s\S]*?)<\/ref>/gi;
+  let match;
+
+  while ((match = refPattern.exec(wikitext)) !== null) {
+    const body = match[1].trim();
+    if (!body || seen.has(body)) continue;
+    seen.add(body);
+
+    const reference = { title: null, url: null, text: '' };
+    const cite = body.match(/\{\{\s*cite[\s\S]*\}\}/i);
+
+    if (cite) {
+      const fields = {};
+      for (const param of splitTemplateParams(cite[0].slice(2, -2)).slice(1)) {
+        const separator = param.indexOf('=');
+        if (separator === -1) continue;
+        fields[param.slice(0, separator).trim().toLowerCase()] = toPlainText(param.slice(separator + 1));
+      }
+      reference.url = fields.url || null;
+      reference.title = fields.title || null;
+      reference.text = [fields.title, fields.website || fields.work || fields.publisher || fields.journal, fields.date]
+        .filter(Boolean)
+        .join('. ');
+    } else {
+      const link = body.match(/\[?(https?:\/\/[^\s\]|]+)(?:\s+([^\]]+))?\]?/);
+      if (link) {
+        reference.url = link[1];
+        reference.title = link[2] ? toPlainText(link[2]) : null;
+      }
+      reference.text = toPlainText(body);
+    }
+
+    reference.text = reference.text || reference.title || reference.url || '';
+    references.push(reference);
+  }
+
+  return references;
+}
+
+/**
+ * 按标题拆分章节
+ * @param {string} wikitext - Wikitext
+ * @param {string} leadHeading - 首段（导言）的标题
+ * @returns {Array<Object>} [{ heading, level, text }]
+ */
+function extractSections(wikitext, leadHeading = '') {
+  const sections = [];
+  const headingPattern = /^(={2,6})\s*(.+?)\s*\1\s*$/gm;
+  let current = { heading: leadHeading, level: 1, start: 0 };
+  let match;
+
+  const pushSection = (end) => {
+    const text = toPlainText(wikitext.slice(current.start, end));
+    if (text) {
+      sections.push({ heading: current.heading, level: current.level, text });
+    }
+  };
+
+  while ((match = headingPattern.exec(wikitext)) !== null) {
+    pushSection(match.index);
+    current = {
+      heading: toPlainText(match[2]),
+      level: match[1].length,
+      start: match.index + match[0].length
+    };
+  }
+  pushSection(wikitext.length);
+
+  return sections;
+}
+
+/**
+ * 解析完整条目
+ * @param {string} wikitext - Wikitext
+ * @param {string} title - 条目标题（作为导言章节标题）
+ * @returns {Object} { sections, infobox, references }
+ */
+function parseArticle(wikitext, title = '') {
+  return {
+    sections: extractSections(wikitext || '', title),
+    infobox: extractInfobox(wikitext || ''),
+    references: extractReferences(wikitext || '')
+  };
+}
+
+module.exports = {
+  parseArticle,
+  extractSections,
+  extractInfobox,
+  extractReferences,
+  toPlainText
+};
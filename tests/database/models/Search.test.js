@@ -0,0 +1,22 @@
+const Search = require('../../../src/database/models/Search');
+
+const buildSearch = source => new Search({
+  searchId: 'search-1',
+  topic: '测试',
+  searchResults: [{ source, title: '标题', url: 'https://example.com/', snippet: '摘要' }]
+});
+
+describe('Search模型', () => {
+  it('结果来源可以是已注册的数据源、citation或other', () => {
+    for (const source of ['google', 'bing', 'local', 'citation', 'other']) {
+      expect(buildSearch(source).validateSync()).toBeUndefined();
+    }
+  });
+
+  it('拒绝未注册的结果来源', () => {
+    const error = buildSearch('bogus').validateSync();
+
+    expect(error).toBeDefined();
+    expect(error.errors['searchResults.0.source'].message).toBe('Unknown search source: bogus');
+  });
+});
@@ -0,0 +1,9 @@
+module.exports = {
+  name: 'alpha',
+  displayName: 'Alpha Search',
+  capabilities: ['web', 'thumbnail'],
+  defaultWeight: 1.5,
+  quotaShare: 0.7,
+  enabledByDefault: true,
+  create: () => ({ name: 'alpha' })
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  name: 'beta',
+  capabilities: ['web'],
+  quotaShare: 0.3,
+  create: () => ({ name: 'beta' })
+};
@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../../src/config');
+const searchCache = require('../../../src/services/cache/SearchCacheService');
+const pageCache = require('../../../src/services/cache/PageCacheService');
+const adminRouter = require('../../../src/server/routes/admin');
+
+const originalAdminKey = config.security.adminApiKey;
+
+describe('/api/admin', () => {
+  const app = express();
+  app.use('/api/admin', adminRouter);
+
+  const clearSearch = (key, query = '') => {
+    const req = request(app).delete(`/api/admin/cache/search${query}`);
+    return key === undefined ? req : req.set('X-Admin-Key', key);
+  };
+
+  beforeEach(() => {
+    config.security.adminApiKey = 'secret-admin-key';
+    jest.spyOn(searchCache, 'clear').mockResolvedValue(3);
+    jest.spyOn(pageCache, 'clear').mockResolvedValue(5);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.security.adminApiKey = originalAdminKey;
+  });
+
+  describe('X-Admin-Key', () => {
+    it('未配置ADMIN_API_KEY时拒绝所有请求', async () => {
+      config.security.adminApiKey = undefined;
+
+      const response = await clearSearch('secret-admin-key');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatch(/Admin API is disabled/);
+      expect(searchCache.clear).not.toHaveBeenCalled();
+    });
+
+    it('缺少密钥时返回401', async () => {
+      const response = await clearSearch(undefined);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid admin key');
+    });
+
+    it('长度不同或内容不同的密钥返回401', async () => {
+      for (const key of ['secret', 'secret-admin-key-extra', 'secret-admin-kez']) {
+        const response = await clearSearch(key);
+
+        expect(response.status).toBe(401);
+      }
+      expect(searchCache.clear).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /cache/search', () => {
+    it('清除全部数据源的缓存', async () => {
+      const response = await clearSearch('secret-admin-key');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ cache: 'search', source: null, removed: 3 });
+      expect(searchCache.clear).toHaveBeenCalledWith(undefined);
+    });
+
+    it('只清除指定数据源，未知数据源返回400', async () => {
+      expect((await clearSearch('secret-admin-key', '?source=google')).body.data.source).toBe('google');
+      expect(searchCache.clear).toHaveBeenCalledWith('google');
+
+      const response = await clearSearch('secret-admin-key', '?source=altavista');
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^Source must be one of: .*google/);
+    });
+  });
+
+  describe('DELETE /cache/pages', () => {
+    it('清除页面缓存', async () => {
+      const response = await request(app).delete('/api/admin/cache/pages').set('X-Admin-Key', 'secret-admin-key');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ cache: 'pages', removed: 5 });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const config = require('../../../src/config');
+
+// 路由模块加载时创建GeminiService，需要有密钥
+config.ai.gemini.apiKey = config.ai.gemini.apiKey || 'test-key';
+
+const GeminiService = require('../../../src/services/ai/gemini');
+const providerRegistry = require('../../../src/services/search/SearchProviderRegistry');
+const healthRouter = require('../../../src/server/routes/health');
+
+const originalSearch = {
+  defaultSources: config.search.defaultSources,
+  googleApiKey: config.search.google.apiKey,
+  bingApiKey: config.search.bing.apiKey,
+  searxngBaseUrl: config.search.searxng.baseUrl,
+  corpusDir: config.search.local.corpusDir,
+  feeds: config.search.news.feeds
+};
+
+describe('GET /api/health', () => {
+  let app;
+  let probed;
+  let healthy;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/health', healthRouter);
+
+    // 默认安装：只默认启用wikipedia，可选数据源均未配置
+    config.search.defaultSources = ['wikipedia'];
+    config.search.google.apiKey = undefined;
+    config.search.bing.apiKey = undefined;
+    config.search.searxng.baseUrl = undefined;
+    config.search.local.corpusDir = undefined;
+    config.search.news.feeds = [];
+
+    probed = [];
+    healthy = { wikipedia: true, bing: false };
+    jest.spyOn(providerRegistry, 'getService').mockImplementation(name => ({
+      healthCheck: async () => {
+        probed.push(name);
+        return Boolean(healthy[name]);
+      }
+    }));
+    jest.spyOn(GeminiService.prototype, 'healthCheck').mockResolvedValue(true);
+    mongoose.connection.readyState = mongoose.ConnectionStates.connected;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mongoose.connection.readyState = mongoose.ConnectionStates.disconnected;
+    config.search.defaultSources = originalSearch.defaultSources;
+    config.search.google.apiKey = originalSearch.googleApiKey;
+    config.search.bing.apiKey = originalSearch.bingApiKey;
+    config.search.searxng.baseUrl = originalSearch.searxngBaseUrl;
+    config.search.local.corpusDir = originalSearch.corpusDir;
+    config.search.news.feeds = originalSearch.feeds;
+  });
+
+  it('只检查默认启用的数据源，未配置的可选数据源为disabled且不影响整体状态', async () => {
+    const response = await request(app).get('/api/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('healthy');
+    expect(probed).toEqual(['wikipedia']);
+    expect(response.body.data.services.search).toMatchObject({
+      wikipedia: 'healthy',
+      google: 'disabled',
+      bing: 'disabled',
+      searxng: 'disabled',
+      local: 'disabled',
+      news: 'disabled'
+    });
+  });
+
+  it('已配置的可选数据源参与检查，不可用时整体状态为unhealthy', async () => {
+    config.search.bing.apiKey = 'test-key';
+
+    const response = await request(app).get('/api/health');
+
+    expect(probed.sort()).toEqual(['bing', 'wikipedia']);
+    expect(response.status).toBe(503);
+    expect(response.body.data.services.search.bing).toBe('unhealthy');
+  });
+
+  it('/search 同样把未检查的数据源标记为disabled', async () => {
+    const response = await request(app).get('/api/health/search');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('healthy');
+    expect(response.body.data.services.wikipedia.status).toBe('healthy');
+    expect(response.body.data.services.semanticscholar.status).toBe('disabled');
+  });
+});
@@ -0,0 +1,38 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../../src/config');
+
+// 路由模块加载时创建GeminiService，需要有密钥
+config.ai.gemini.apiKey = config.ai.gemini.apiKey || 'test-key';
+
+const iterativeSearchRouter = require('../../../src/server/routes/iterative-search');
+
+describe('POST /api/iterative-search 参数校验', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/iterative-search', iterativeSearchRouter);
+
+  const post = options => request(app).post('/api/iterative-search').send({ topic: '人工智能', options });
+
+  it('拒绝不合法的语言标识', async () => {
+    for (const language of ['english', 'zh_TW', 'en-', 42]) {
+      const response = await post({ language });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^Language must be/);
+    }
+  });
+
+  it('拒绝未声明的数据源选项', async () => {
+    const response = await post({ providerOptions: { google: { maxResults: 100 } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^Invalid provider options/);
+  });
+
+  it('拒绝不支持的时效性、缓存模式和追踪数量', async () => {
+    expect((await post({ freshness: 'hour' })).status).toBe(400);
+    expect((await post({ cache: 'never' })).status).toBe(400);
+    expect((await post({ followCitations: 21 })).status).toBe(400);
+  });
+});
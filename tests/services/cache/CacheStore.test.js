@@ -0,0 +1,262 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../src/config');
+const CacheStore = require('../../../src/services/cache/CacheStore');
+const pageCache = require('../../../src/services/cache/PageCacheService');
+const searchCache = require('../../../src/services/cache/SearchCacheService');
+const providerRegistry = require('../../../src/services/search/SearchProviderRegistry');
+
+const originalCache = { ...config.cache };
+const originalSearchCache = { ...config.cache.search };
+
+describe('CacheStore（文件缓存）', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+    Object.assign(config.cache, { backend: 'file', dir, maxFileEntries: 100 });
+    store = new CacheStore('pages');
+  });
+
+  afterEach(() => {
+    Object.assign(config.cache, originalCache);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const countFiles = () => fs.readdirSync(path.join(dir, 'pages')).length;
+
+  it('读取未过期的条目，过期条目读取时删除', async () => {
+    await store.set('fresh', { content: '页面' }, 60000);
+    await store.set('stale', { content: '旧页面' }, -1);
+
+    expect(await store.get('fresh')).toEqual({ content: '页面' });
+    expect(await store.get('stale')).toBeNull();
+    expect(countFiles()).toBe(1);
+  });
+
+  it('文件的修改时间为过期时间', async () => {
+    const before = Date.now();
+    await store.set('page', { content: '页面' }, 60000);
+
+    const { mtimeMs } = fs.statSync(store.getFilePath('page'));
+    expect(mtimeMs).toBeGreaterThanOrEqual(before + 60000 - 1000);
+  });
+
+  it('清理时删除未再读取的过期条目', async () => {
+    for (let i = 0; i < 5; i++) {
+      await store.set(`stale-${i}`, { content: i }, -1);
+    }
+    await store.set('fresh', { content: '页面' }, 60000);
+    await store.sweeping;
+
+    // 第一次写入时已自动清理过一次，之后写入的4个过期条目需要再次清理
+    expect(await store.sweep()).toBe(4);
+    expect(countFiles()).toBe(1);
+    expect(await store.get('fresh')).toEqual({ content: '页面' });
+  });
+
+  it('条目数超过上限时删除最早过期的条目', async () => {
+    config.cache.maxFileEntries = 3;
+    for (let i = 1; i <= 5; i++) {
+      await store.set(`page-${i}`, { content: i }, i * 60000);
+    }
+    await store.sweeping;
+
+    expect(await store.sweep()).toBe(2);
+    expect(await store.get('page-1')).toBeNull();
+    expect(await store.get('page-2')).toBeNull();
+    expect(await store.get('page-5')).toEqual({ content: 5 });
+  });
+
+  it('写入时按间隔自动清理', async () => {
+    await store.set('stale', { content: '旧页面' }, -1);
+    await store.sweeping;
+    expect(countFiles()).toBe(0);
+
+    // 间隔内的写入不再清理
+    await store.set('stale-2', { content: '旧页面' }, -1);
+    expect(store.sweeping).toBeNull();
+    expect(countFiles()).toBe(1);
+  });
+});
+
+describe('PageCacheService', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+    Object.assign(config.cache, { backend: 'file', dir });
+    pageCache.store = new CacheStore('pages');
+  });
+
+  afterEach(() => {
+    Object.assign(config.cache, originalCache);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('同一地址的并发请求只抓取一次', async () => {
+    const fetcher = jest.fn(async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { page: { content: '页面内容' }, validators: {} };
+    });
+
+    const pages = await Promise.all([
+      pageCache.getPage('https://example.com/article?utm_source=a', 'prefer', fetcher),
+      pageCache.getPage('http://example.com/article', 'prefer', fetcher),
+      pageCache.getPage('https://example.com/article', 'prefer', fetcher)
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(pages.map(page => page.content)).toEqual(['页面内容', '页面内容', '页面内容']);
+
+    const cached = await pageCache.getPage('https://example.com/article', 'prefer', fetcher);
+    expect(cached.cacheStatus).toBe('hit');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('抓取失败时所有并发请求都失败，之后可以重试', async () => {
+    const fetcher = jest.fn()
+      .mockRejectedValueOnce(new Error('network error'))
+      .mockResolvedValueOnce({ page: { content: '页面内容' }, validators: {} });
+
+    const results = await Promise.allSettled([
+      pageCache.getPage('https://example.com/flaky', 'prefer', fetcher),
+      pageCache.getPage('https://example.com/flaky', 'prefer', fetcher)
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+    await expect(pageCache.getPage('https://example.com/flaky', 'prefer', fetcher)).resolves.toMatchObject({ content: '页面内容' });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('SearchCacheService', () => {
+  const params = { query: 'Quantum  Computing', language: 'en', maxResults: 5, freshness: 'any', options: { safeSearch: 'high', market: 'en-US' } };
+  const results = [{ title: '结果', url: 'https://example.com/1', publishedAt: new Date('2024-03-05T00:00:00Z') }];
+  let dir;
+
+  const fetchWith = (metadata, items = results) => jest.fn(async () => {
+    metadata.totalResults = 42;
+    return items;
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-cache-'));
+    Object.assign(config.cache, { backend: 'file', dir });
+    searchCache.store = new CacheStore('search');
+    searchCache.stats = {};
+  });
+
+  afterEach(() => {
+    Object.assign(config.cache, originalCache);
+    Object.assign(config.cache.search, originalSearchCache);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prefer模式命中时不调用数据源，恢复metadata和日期类型', async () => {
+    const first = {};
+    await searchCache.getResults('google', params, { mode: 'prefer', ttl: 60000, metadata: first }, fetchWith(first));
+    expect(first.cache).toBe('miss');
+
+    const metadata = {};
+    const fetcher = fetchWith({});
+    const cached = await searchCache.getResults('google', params, { mode: 'prefer', ttl: 60000, metadata }, fetcher);
+
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(cached).toEqual(results);
+    expect(cached[0].publishedAt).toBeInstanceOf(Date);
+    expect(metadata).toMatchObject({ cache: 'hit', totalResults: 42 });
+    expect(metadata.cachedAt).toBeInstanceOf(Date);
+  });
+
+  it('查询大小写、空白和选项顺序不影响缓存键，其他参数不同则不命中', () => {
+    const key = searchCache.buildKey('google', params);
+
+    expect(searchCache.buildKey('google', {
+      ...params,
+      query: ' quantum computing ',
+      options: { market: 'en-US', safeSearch: 'high' }
+    })).toBe(key);
+    expect(searchCache.buildKey('google', { ...params, language: 'zh' })).not.toBe(key);
+    expect(searchCache.buildKey('google', { ...params, maxResults: 10 })).not.toBe(key);
+    expect(searchCache.buildKey('bing', params)).not.toBe(key);
+    expect(key.startsWith('google:')).toBe(true);
+  });
+
+  it('按数据源的缓存时间写入，缓存时间为0时直接调用数据源', async () => {
+    config.cache.search.ttls = { google: 86400000 };
+    const before = Date.now();
+
+    await searchCache.getResults('google', params, { ttl: providerRegistry.getCacheTtl('google') }, fetchWith({}));
+
+    const [file] = fs.readdirSync(path.join(dir, 'search'));
+    const { mtimeMs } = fs.statSync(path.join(dir, 'search', file));
+    expect(mtimeMs).toBeGreaterThanOrEqual(before + 86400000 - 1000);
+
+    const fetcher = fetchWith({});
+    expect(providerRegistry.getCacheTtl('local')).toBe(0);
+    await searchCache.getResults('local', params, { ttl: 0 }, fetcher);
+    await searchCache.getResults('local', params, { ttl: 0 }, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(searchCache.stats).not.toHaveProperty('local');
+  });
+
+  it('过期的条目重新调用数据源', async () => {
+    await searchCache.getResults('news', params, { ttl: -1 }, fetchWith({}));
+
+    const fetcher = fetchWith({});
+    await searchCache.getResults('news', params, { ttl: 60000 }, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('bypass模式总是调用数据源并更新缓存', async () => {
+    await searchCache.getResults('google', params, { ttl: 60000 }, fetchWith({}));
+
+    const updated = [{ title: '新结果', url: 'https://example.com/2' }];
+    const metadata = {};
+    const fetcher = fetchWith(metadata, updated);
+    await searchCache.getResults('google', params, { mode: 'bypass', ttl: 60000, metadata }, fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(metadata.cache).toBe('bypass');
+    expect(await searchCache.getResults('google', params, { ttl: 60000 }, fetchWith({}))).toEqual(updated);
+  });
+
+  it('only模式不调用数据源，未命中时返回空数组', async () => {
+    const metadata = {};
+    const fetcher = fetchWith({});
+
+    expect(await searchCache.getResults('google', params, { mode: 'only', ttl: 60000, metadata }, fetcher)).toEqual([]);
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(metadata.cache).toBe('miss');
+
+    await searchCache.getResults('google', params, { ttl: 60000 }, fetchWith({}));
+    expect(await searchCache.getResults('google', params, { mode: 'only', ttl: 60000 }, fetcher)).toEqual(results);
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  it('空结果不缓存', async () => {
+    await searchCache.getResults('google', params, { ttl: 60000 }, fetchWith({}, []));
+
+    const fetcher = fetchWith({});
+    await searchCache.getResults('google', params, { ttl: 60000 }, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('按数据源清除缓存，统计命中率不计入bypass请求', async () => {
+    await searchCache.getResults('google', params, { ttl: 60000 }, fetchWith({}));
+    await searchCache.getResults('google', params, { ttl: 60000 }, fetchWith({}));
+    await searchCache.getResults('google', params, { mode: 'bypass', ttl: 60000 }, fetchWith({}));
+    await searchCache.getResults('bing', params, { ttl: 60000 }, fetchWith({}));
+
+    const stats = await searchCache.getStats();
+    expect(stats).toMatchObject({ backend: 'file', hits: 1, misses: 2, bypassed: 1, hitRatio: 0.333 });
+    expect(stats.sources.google).toEqual({ hits: 1, misses: 1, bypassed: 1, hitRatio: 0.5 });
+
+    expect(await searchCache.clear('google')).toBe(1);
+    expect(await searchCache.getResults('bing', params, { mode: 'only', ttl: 60000 }, fetchWith({}))).toEqual(results);
+    expect(await searchCache.clear()).toBe(1);
+  });
+});
@@ -0,0 +1,162 @@
+const http = require('http');
+const config = require('../../../src/config');
+const ArchiveService = require('../../../src/services/crawler/ArchiveService');
+
+const originalCrawler = { ...config.crawler };
+const originalArchive = { ...config.crawler.archive };
+const originalUrlSafety = { ...config.security.urlSafety };
+
+const SNAPSHOT_HTML = '<html><head><title>存档页面</title></head><body><p>快照内容</p></body></html>';
+
+// 各原页面地址在模拟存档中的查询结果
+const SNAPSHOTS = {
+  'https://example.com/gone': {
+    closest: { available: true, status: '200', timestamp: '20230501123045', url: 'http://archive.example/web/20230501123045/https://example.com/gone' }
+  },
+  'https://example.com/no-url': {
+    closest: { available: true, timestamp: '20200102' }
+  },
+  'https://example.com/never': {},
+  'https://example.com/unavailable': {
+    closest: { available: false, status: '200', timestamp: '20230501123045' }
+  },
+  'https://example.com/archived-404': {
+    closest: { available: true, status: '404', timestamp: '20230501123045' }
+  },
+  'https://example.com/raw-error': {
+    closest: { available: true, status: '200', timestamp: '20230501123045' }
+  }
+};
+
+/**
+ * 模拟Wayback Machine：/wayback/available 按 url 参数返回 SNAPSHOTS 中的结果，
+ * /web/{timestamp}id_/{url} 返回快照内容；api-down 的查询和 raw-error 的快照返回5xx
+ */
+function handleRequest(req, res, requests) {
+  requests.push(req.url);
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+  if (pathname === '/wayback/available') {
+    const url = searchParams.get('url');
+    if (url === 'https://example.com/api-down') {
+      res.writeHead(503);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ url, archived_snapshots: SNAPSHOTS[url] || {} }));
+  }
+
+  if (pathname.startsWith('/web/') && !pathname.endsWith('/raw-error')) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(SNAPSHOT_HTML);
+  }
+
+  res.writeHead(500);
+  res.end();
+}
+
+describe('ArchiveService', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    // 模拟存档服务在本机，关闭地址安全检查和请求间隔
+    config.security.urlSafety.enabled = false;
+    config.crawler.minDelayMs = 0;
+    config.crawler.archive.enabled = true;
+    requests = [];
+    service = new ArchiveService();
+    service.baseUrl = baseUrl;
+  });
+
+  afterEach(() => {
+    Object.assign(config.crawler, originalCrawler);
+    Object.assign(config.crawler.archive, originalArchive);
+    Object.assign(config.security.urlSafety, originalUrlSafety);
+  });
+
+  describe('fetchSnapshot', () => {
+    it('查找最近的快照并获取不含存档工具栏的原始内容', async () => {
+      const snapshot = await service.fetchSnapshot('https://example.com/gone');
+
+      expect(snapshot.buffer.toString()).toBe(SNAPSHOT_HTML);
+      expect(snapshot.contentType).toBe('text/html; charset=utf-8');
+      expect(snapshot.archivedAt).toEqual(new Date('2023-05-01T12:30:45Z'));
+      expect(snapshot.archiveUrl).toBe('http://archive.example/web/20230501123045/https://example.com/gone');
+      expect(requests).toEqual([
+        `/wayback/available?url=${encodeURIComponent('https://example.com/gone')}`,
+        '/web/20230501123045id_/https://example.com/gone'
+      ]);
+    });
+
+    it('查询结果没有快照地址时按时间戳生成', async () => {
+      const snapshot = await service.fetchSnapshot('https://example.com/no-url');
+
+      expect(snapshot.archiveUrl).toBe(`${baseUrl}/web/20200102/https://example.com/no-url`);
+      expect(snapshot.archivedAt).toEqual(new Date('2020-01-02T00:00:00Z'));
+    });
+
+    it('没有快照、快照不可用或存档时状态不是2xx时返回null，不请求快照内容', async () => {
+      for (const url of ['https://example.com/never', 'https://example.com/unavailable', 'https://example.com/archived-404']) {
+        expect(await service.fetchSnapshot(url)).toBeNull();
+      }
+      expect(requests.every(url => url.startsWith('/wayback/available'))).toBe(true);
+    });
+
+    it('查询接口或快照内容返回非2xx时返回null', async () => {
+      expect(await service.fetchSnapshot('https://example.com/api-down')).toBeNull();
+      expect(await service.fetchSnapshot('https://example.com/raw-error')).toBeNull();
+      expect(requests).toContain('/web/20230501123045id_/https://example.com/raw-error');
+    });
+
+    it('关闭存档回退时不发送请求', async () => {
+      config.crawler.archive.enabled = false;
+      service = new ArchiveService();
+      service.baseUrl = baseUrl;
+
+      expect(await service.fetchSnapshot('https://example.com/gone')).toBeNull();
+      expect(requests).toEqual([]);
+    });
+
+    it('存档地址同样经过地址安全检查', async () => {
+      config.security.urlSafety.enabled = true;
+
+      expect(await service.fetchSnapshot('https://example.com/gone')).toBeNull();
+      expect(requests).toEqual([]);
+    });
+  });
+
+  describe('parseTimestamp', () => {
+    it('按UTC解析完整或只有日期的时间戳', () => {
+      expect(service.parseTimestamp('20230501123045')).toEqual(new Date('2023-05-01T12:30:45Z'));
+      expect(service.parseTimestamp('20230501')).toEqual(new Date('2023-05-01T00:00:00Z'));
+      expect(service.parseTimestamp('2023050112')).toEqual(new Date('2023-05-01T12:00:00Z'));
+    });
+
+    it('无法解析时返回null', () => {
+      expect(service.parseTimestamp('2023')).toBeNull();
+      expect(service.parseTimestamp('not-a-date')).toBeNull();
+      expect(service.parseTimestamp(undefined)).toBeNull();
+    });
+  });
+
+  it('去掉baseUrl末尾的斜杠', () => {
+    config.crawler.archive.baseUrl = 'https://archive.example/';
+
+    expect(new ArchiveService().baseUrl).toBe('https://archive.example');
+  });
+});
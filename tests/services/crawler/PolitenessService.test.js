@@ -0,0 +1,215 @@
+const http = require('http');
+const config = require('../../../src/config');
+const politenessService = require('../../../src/services/crawler/PolitenessService');
+
+const PolitenessService = politenessService.constructor;
+const originalCrawler = { ...config.crawler };
+const originalUrlSafety = { ...config.security.urlSafety };
+
+/**
+ * 模拟网站：/robots.txt 返回 robots.status 和 robots.body，请求记录在 requests 中
+ */
+function handleRequest(req, res, robots, requests) {
+  requests.push(req.url);
+  if (req.url === '/robots.txt') {
+    res.writeHead(robots.status, { 'Content-Type': 'text/plain' });
+    return res.end(robots.body);
+  }
+  res.writeHead(200);
+  res.end();
+}
+
+/**
+ * 断言访问被跳过
+ * @param {Promise} promise - 访问
+ * @param {string} reason - 跳过原因
+ * @returns {Promise<void>}
+ */
+async function expectSkipped(promise, reason) {
+  await expect(promise).rejects.toMatchObject({ code: 'CRAWL_SKIPPED', reason });
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('PolitenessService', () => {
+  let server;
+  let origin;
+  let robots;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, robots, requests));
+    server.listen(0, '127.0.0.1', () => {
+      origin = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    // 模拟网站在本机，关闭地址安全检查
+    config.security.urlSafety.enabled = false;
+    Object.assign(config.crawler, {
+      robotsAgent: 'ExampleBot',
+      respectRobots: true,
+      maxConcurrentPerHost: 2,
+      minDelayMs: 0,
+      maxWaitMs: 1000
+    });
+    robots = { status: 200, body: '' };
+    requests = [];
+    service = new PolitenessService();
+  });
+
+  afterEach(() => {
+    Object.assign(config.crawler, originalCrawler);
+    Object.assign(config.security.urlSafety, originalUrlSafety);
+  });
+
+  describe('robots.txt', () => {
+    it('按robots.txt判断是否允许访问', async () => {
+      robots.body = 'User-agent: *\nDisallow: /private\n';
+
+      await expect(service.run(`${origin}/public`, async () => 'done')).resolves.toBe('done');
+      await expectSkipped(service.run(`${origin}/private/page`, async () => 'done'), 'robots');
+    });
+
+    it('同一站点只读取一次robots.txt', async () => {
+      await Promise.all([
+        service.check(`${origin}/a`),
+        service.check(`${origin}/b`),
+        service.check(`${origin}/c`)
+      ]);
+
+      expect(requests.filter(url => url === '/robots.txt')).toHaveLength(1);
+    });
+
+    it('robots.txt返回4xx时不限制', async () => {
+      robots.status = 404;
+      await expect(service.check(`${origin}/any`)).resolves.toEqual({ crawlDelay: null });
+    });
+
+    it('robots.txt返回5xx时暂时全站禁止', async () => {
+      robots.status = 503;
+      await expectSkipped(service.check(`${origin}/any`), 'robots-unavailable');
+    });
+
+    it('超过500KiB的robots.txt只解析前500KiB', async () => {
+      robots.body = [
+        'User-agent: *',
+        'Disallow: /early',
+        `# ${'x'.repeat(600 * 1024)}`,
+        'Disallow: /late',
+        ''
+      ].join('\n');
+
+      await expectSkipped(service.check(`${origin}/early`), 'robots');
+      await expect(service.check(`${origin}/late`)).resolves.toEqual({ crawlDelay: null });
+    });
+
+    it('不检查robots时不读取robots.txt', async () => {
+      robots.body = 'User-agent: *\nDisallow: /\n';
+
+      await expect(service.run(`${origin}/page`, async () => 'done', { robots: false })).resolves.toBe('done');
+      config.crawler.respectRobots = false;
+      await expect(service.run(`${origin}/page`, async () => 'done')).resolves.toBe('done');
+      expect(requests).not.toContain('/robots.txt');
+    });
+  });
+
+  describe('Crawl-delay', () => {
+    it('按Crawl-delay间隔请求同一主机', async () => {
+      robots.body = 'User-agent: ExampleBot\nCrawl-delay: 0.2\n';
+      const startTimes = [];
+
+      await Promise.all([1, 2, 3].map(() => service.run(`${origin}/page`, async () => {
+        startTimes.push(Date.now());
+      })));
+
+      expect(startTimes[1] - startTimes[0]).toBeGreaterThanOrEqual(190);
+      expect(startTimes[2] - startTimes[1]).toBeGreaterThanOrEqual(190);
+    });
+
+    it('Crawl-delay超过最大等待时间时跳过', async () => {
+      robots.body = 'User-agent: *\nCrawl-delay: 60\n';
+      await expectSkipped(service.check(`${origin}/page`), 'crawl-delay');
+    });
+
+    it('等待间隔超过最大等待时间时跳过', async () => {
+      config.crawler.minDelayMs = 300;
+      config.crawler.maxWaitMs = 400;
+      robots.status = 404;
+
+      const results = await Promise.allSettled([1, 2, 3].map(() => service.run(`${origin}/page`, async () => 'done')));
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+      expect(results[2].reason).toMatchObject({ code: 'CRAWL_SKIPPED', reason: 'rate-limit' });
+    });
+  });
+
+  describe('并发限制', () => {
+    beforeEach(() => {
+      robots.status = 404;
+    });
+
+    it('每个主机的并发数不超过限制', async () => {
+      let active = 0;
+      let maxActive = 0;
+
+      await Promise.all(Array.from({ length: 5 }, () => service.run(`${origin}/page`, async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(30);
+        active--;
+      })));
+
+      expect(maxActive).toBe(2);
+    });
+
+    it('不同主机分别计算并发数', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const task = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(30);
+        active--;
+      };
+
+      await Promise.all([
+        service.run(`${origin}/a`, task),
+        service.run(`${origin}/b`, task),
+        service.run(origin.replace('127.0.0.1', 'localhost') + '/a', task),
+        service.run(origin.replace('127.0.0.1', 'localhost') + '/b', task)
+      ]);
+
+      expect(maxActive).toBe(4);
+    });
+
+    it('排队等待超过最大等待时间时跳过，并退出队列', async () => {
+      config.crawler.maxConcurrentPerHost = 1;
+      config.crawler.maxWaitMs = 100;
+
+      const slow = service.run(`${origin}/slow`, () => delay(300));
+      const startedAt = Date.now();
+      await expectSkipped(service.run(`${origin}/queued`, async () => 'done'), 'rate-limit');
+      expect(Date.now() - startedAt).toBeLessThan(300);
+
+      await slow;
+      await expect(service.run(`${origin}/next`, async () => 'done')).resolves.toBe('done');
+    });
+
+    it('任务失败时释放名额', async () => {
+      config.crawler.maxConcurrentPerHost = 1;
+
+      await expect(service.run(`${origin}/a`, async () => {
+        throw new Error('failed');
+      })).rejects.toThrow('failed');
+      await expect(service.run(`${origin}/b`, async () => 'done')).resolves.toBe('done');
+    });
+  });
+});
@@ -0,0 +1,254 @@
+const dns = require('dns');
+const http = require('http');
+const config = require('../../../src/config');
+const urlSafetyService = require('../../../src/services/crawler/UrlSafetyService');
+
+const UrlSafetyService = urlSafetyService.constructor;
+const settings = config.security.urlSafety;
+const originalSettings = { ...settings };
+const PUBLIC_ADDRESS = '93.184.216.34';
+
+/**
+ * 模拟网站：/page 返回页面，/redirect 重定向到 location 参数，/large 返回 size 参数指定字节数的内容
+ */
+function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/redirect') {
+    res.writeHead(302, { Location: url.searchParams.get('location') });
+    return res.end();
+  }
+  if (url.pathname === '/large') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end('x'.repeat(parseInt(url.searchParams.get('size'))));
+  }
+  if (url.pathname === '/page') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end('<p>页面内容</p>');
+  }
+  res.writeHead(404);
+  res.end();
+}
+
+/**
+ * 按当前配置创建新实例（例外地址段在构造时读取）
+ * @param {Object} overrides - 配置
+ * @returns {UrlSafetyService} 实例
+ */
+function createService(overrides = {}) {
+  Object.assign(settings, overrides);
+  return new UrlSafetyService();
+}
+
+/**
+ * 断言地址因不安全被跳过
+ * @param {Promise} promise - 检查或请求
+ * @returns {Promise<Error>} 错误
+ */
+async function expectBlocked(promise) {
+  const error = await promise.then(() => null, error => error);
+  expect(error).not.toBeNull();
+  expect(error).toMatchObject({ code: 'CRAWL_SKIPPED', reason: 'unsafe-url' });
+  return error;
+}
+
+describe('UrlSafetyService', () => {
+  let server;
+  let port;
+
+  beforeAll(done => {
+    server = http.createServer(handleRequest);
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    Object.assign(settings, originalSettings);
+    jest.restoreAllMocks();
+  });
+
+  describe('check', () => {
+    it.each([
+      'http://127.0.0.1/',
+      'http://10.0.0.8/',
+      'http://172.16.5.4/',
+      'http://192.168.1.1/',
+      'http://100.64.0.1/',
+      'http://0.0.0.0/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://224.0.0.1/',
+      'http://[::1]/',
+      'http://[::]/',
+      'http://[fe80::1]/',
+      'http://[fd12:3456::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[::ffff:169.254.169.254]/',
+      'http://[::127.0.0.1]/',
+      'http://[2002:7f00:1::]/',
+      'http://[2002:a9fe:a9fe::1]/'
+    ])('拒绝本机、内网和链路本地地址 %s', async url => {
+      await expectBlocked(createService().check(url));
+    });
+
+    it.each([
+      `http://${PUBLIC_ADDRESS}/`,
+      'https://[2606:2800:220:1:248:1893:25c8:1946]/',
+      'http://[2002:5db8:d822::1]/'
+    ])('允许公网地址 %s', async url => {
+      await expect(createService().check(url)).resolves.toBeUndefined();
+    });
+
+    it.each([
+      'file:///etc/passwd',
+      'ftp://example.com/',
+      'gopher://example.com/'
+    ])('拒绝非http(s)协议 %s', async url => {
+      const error = await expectBlocked(createService().check(url));
+      expect(error.detail).toMatch(/Protocol .* is not allowed/);
+    });
+
+    it('拒绝无效地址', async () => {
+      await expectBlocked(createService().check('not a url'));
+    });
+
+    it('拒绝解析到本机的主机名', async () => {
+      const error = await expectBlocked(createService().check('http://localhost/'));
+      expect(error.detail).toMatch(/resolves to blocked address/);
+    });
+
+    it('主机名解析出的任一地址在内网时拒绝', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+        { address: PUBLIC_ADDRESS, family: 4 },
+        { address: '10.1.2.3', family: 4 }
+      ]);
+
+      const error = await expectBlocked(createService().check('http://intranet.example.com/'));
+      expect(error.detail).toBe('intranet.example.com resolves to blocked address 10.1.2.3');
+    });
+
+    it('主机名解析为公网地址时允许', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: PUBLIC_ADDRESS, family: 4 }]);
+      await expect(createService().check('https://www.example.com/')).resolves.toBeUndefined();
+    });
+
+    it('只允许配置的端口', async () => {
+      const service = createService();
+      await expect(service.check(`https://${PUBLIC_ADDRESS}:443/`)).resolves.toBeUndefined();
+
+      const error = await expectBlocked(service.check(`http://${PUBLIC_ADDRESS}:8080/`));
+      expect(error.detail).toBe('Port 8080 is not allowed');
+
+      settings.allowedPorts = [80, 443, 8080];
+      await expect(service.check(`http://${PUBLIC_ADDRESS}:8080/`)).resolves.toBeUndefined();
+    });
+
+    it('例外主机名及其子域名不做检查', async () => {
+      const lookup = jest.spyOn(dns.promises, 'lookup');
+      const service = createService({ allowHosts: ['intranet.test'] });
+
+      await expect(service.check('http://intranet.test:9000/')).resolves.toBeUndefined();
+      await expect(service.check('http://wiki.intranet.test/')).resolves.toBeUndefined();
+      await expectBlocked(service.check('http://127.0.0.1/'));
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it('例外地址段中的地址允许访问', async () => {
+      const service = createService({ allowCidrs: ['10.1.0.0/16', 'fd00::1'] });
+
+      await expect(service.check('http://10.1.2.3/')).resolves.toBeUndefined();
+      await expect(service.check('http://[fd00::1]/')).resolves.toBeUndefined();
+      await expectBlocked(service.check('http://10.2.0.1/'));
+      await expectBlocked(service.check('http://[fd00::2]/'));
+    });
+
+    it('关闭检查时不做任何检查', async () => {
+      await expect(createService({ enabled: false }).check('http://127.0.0.1:6379/')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('get', () => {
+    // 模拟网站在本机，通过例外地址段访问
+    const createLocalService = (overrides = {}) => createService({
+      allowCidrs: ['127.0.0.1/32'],
+      allowedPorts: [80, 443, port],
+      ...overrides
+    });
+
+    it('请求允许的地址', async () => {
+      const response = await createLocalService().get(`http://127.0.0.1:${port}/page`);
+
+      expect(response.status).toBe(200);
+      expect(response.data).toBe('<p>页面内容</p>');
+      expect(response.finalUrl).toBe(`http://127.0.0.1:${port}/page`);
+    });
+
+    it('逐跳跟随重定向并记录最终地址', async () => {
+      const target = `http://127.0.0.1:${port}/page`;
+      const response = await createLocalService().get(`http://127.0.0.1:${port}/redirect?location=${encodeURIComponent(target)}`);
+
+      expect(response.data).toBe('<p>页面内容</p>');
+      expect(response.finalUrl).toBe(target);
+    });
+
+    it('拒绝重定向到内网地址', async () => {
+      const target = 'http://169.254.169.254/latest/meta-data/';
+      const error = await expectBlocked(createLocalService().get(`http://127.0.0.1:${port}/redirect?location=${encodeURIComponent(target)}`));
+      expect(error.detail).toBe('Address 169.254.169.254 is not allowed');
+    });
+
+    it('拒绝重定向到未允许的端口', async () => {
+      const target = `http://127.0.0.1:${port + 1}/`;
+      const error = await expectBlocked(createLocalService().get(`http://127.0.0.1:${port}/redirect?location=${encodeURIComponent(target)}`));
+      expect(error.detail).toBe(`Port ${port + 1} is not allowed`);
+    });
+
+    it('重定向次数超过限制时失败', async () => {
+      const self = `http://127.0.0.1:${port}/redirect?location=/redirect%3Flocation%3D/page`;
+      await expect(createLocalService({ maxRedirects: 1 }).get(self)).rejects.toThrow('Too many redirects');
+    });
+
+    it('连接时解析到内网地址时拒绝（DNS重绑定）', async () => {
+      // 检查时解析为公网地址，连接时解析为本机地址
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: PUBLIC_ADDRESS, family: 4 }]);
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      });
+      const service = createService({ allowedPorts: [80, 443, port] });
+
+      const error = await expectBlocked(service.get(`http://rebind.example.com:${port}/page`));
+      expect(error.detail).toBe('rebind.example.com resolves to blocked address 127.0.0.1');
+    });
+
+    it('连接时解析为允许的地址时正常请求', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      });
+
+      const response = await createLocalService().get(`http://site.example.com:${port}/page`);
+      expect(response.data).toBe('<p>页面内容</p>');
+    });
+
+    it('响应超过最大字节数时失败', async () => {
+      const service = createLocalService({ maxBodyBytes: 1024 });
+
+      await expect(service.get(`http://127.0.0.1:${port}/large?size=1000`)).resolves.toMatchObject({ status: 200 });
+      await expect(service.get(`http://127.0.0.1:${port}/large?size=4096`)).rejects.toThrow(/maxContentLength/);
+    });
+
+    it('maxContentLength不能超过配置的最大字节数', async () => {
+      const service = createLocalService({ maxBodyBytes: 1024 });
+      await expect(service.get(`http://127.0.0.1:${port}/large?size=4096`, { maxContentLength: 1024 * 1024 })).rejects.toThrow(/maxContentLength/);
+    });
+
+    it('最终响应状态不符合validateStatus时失败', async () => {
+      await expect(createLocalService().get(`http://127.0.0.1:${port}/missing`)).rejects.toThrow('Request failed with status code 404');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const DocumentExtractionService = require('../../../src/services/document/DocumentExtractionService');
+
+const fixture = name => path.join(__dirname, '../../fixtures/documents', name);
+
+describe('DocumentExtractionService', () => {
+  const service = new DocumentExtractionService();
+
+  describe('extractFile', () => {
+    it('PDF按页提取文本，页码从1开始，标题取自文档信息', async () => {
+      const result = await service.extractFile(fixture('report.pdf'));
+
+      expect(result.type).toBe('pdf');
+      expect(result.title).toBe('Annual Report');
+      expect(result.pages).toEqual([
+        { pageNumber: 1, text: 'Annual Report 2024\nRevenue grew by 12 percent.' },
+        { pageNumber: 2, text: 'Outlook\nWe expect further growth.' }
+      ]);
+    });
+
+    it('DOCX按分页符分页，保留制表符，标题取自core.xml', async () => {
+      const result = await service.extractFile(fixture('summary.docx'));
+
+      expect(result.type).toBe('docx');
+      expect(result.title).toBe('季度工作总结');
+      expect(result.pages).toEqual([
+        { pageNumber: 1, text: '第一章\t概述\n本季度完成了三个项目。' },
+        { pageNumber: 2, text: '第二章 计划\n下季度\n继续推进。' },
+        { pageNumber: 3, text: '附录' }
+      ]);
+      expect(result.text).toBe(result.pages.map(page => page.text).join('\n\n'));
+    });
+
+    it('PPTX按幻灯片编号的数字顺序排列，slide10在slide9之后，空白幻灯片保留编号', async () => {
+      const result = await service.extractFile(fixture('launch.pptx'));
+
+      expect(result.type).toBe('pptx');
+      expect(result.title).toBe('产品发布会');
+      expect(result.pages).toHaveLength(11);
+      expect(result.pages.slice(0, 4)).toEqual([
+        { pageNumber: 1, text: '产品发布会\n2024年春季' },
+        { pageNumber: 2, text: '核心功能\n离线搜索' },
+        { pageNumber: 3, text: '' },
+        { pageNumber: 4, text: '第4页' }
+      ]);
+      expect(result.pages.slice(8).map(page => page.text)).toEqual(['第9页', '第10页', '第11页']);
+      expect(result.text).not.toMatch(/\n\n\n\n/);
+    });
+
+    it('不支持的扩展名抛出错误', async () => {
+      await expect(service.extractFile('notes.xlsx')).rejects.toThrow('Unsupported document type');
+    });
+  });
+
+  describe('extractBuffer', () => {
+    it('Buffer是更大缓冲区的一部分时PDF仍能正确解析', async () => {
+      const pdf = fs.readFileSync(fixture('report.pdf'));
+      const padded = Buffer.concat([Buffer.from('garbage-prefix'), pdf]).subarray(14);
+
+      expect(padded.byteOffset).toBeGreaterThan(0);
+      const result = await service.extractBuffer(padded, 'pdf');
+      expect(result.pages).toHaveLength(2);
+    });
+
+    it('缺少word/document.xml的DOCX抛出错误', async () => {
+      const zip = new JSZip();
+      zip.file('[Content_Types].xml', '<Types/>');
+      const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+      await expect(service.extractBuffer(buffer, 'docx')).rejects.toThrow('word/document.xml not found');
+    });
+
+    it('Markdown以第一个标题作为文档标题', async () => {
+      const result = await service.extractBuffer(Buffer.from('前言\n\n## 安装指南 ##\n\n步骤一'), 'markdown', 'readme');
+
+      expect(result).toEqual({ type: 'markdown', title: '安装指南', text: '前言\n\n## 安装指南 ##\n\n步骤一', pages: [] });
+    });
+
+    it('HTML去除脚本，无<title>时使用<h1>', async () => {
+      const html = '<html><body><h1>标题</h1><script>var x = 1;</script><p>正文内容</p></body></html>';
+      const result = await service.extractBuffer(Buffer.from(html), 'html');
+
+      expect(result.title).toBe('标题');
+      expect(result.text).toContain('正文内容');
+      expect(result.text).not.toContain('var x');
+    });
+  });
+
+  describe('formatPages', () => {
+    it('带页码前缀并跳过空白页', () => {
+      const pages = [
+        { pageNumber: 1, text: '封面' },
+        { pageNumber: 2, text: '' },
+        { pageNumber: 3, text: '结论' }
+      ];
+
+      expect(service.formatPages(pages)).toBe('[p. 1] 封面\n\n[p. 3] 结论');
+      expect(service.formatPages(pages, 'slide')).toBe('[slide 1] 封面\n\n[slide 3] 结论');
+    });
+  });
+
+  describe('detectDocumentType', () => {
+    const pdf = Buffer.from('%PDF-1.4\n');
+    const zip = Buffer.from('PK\x03\x04', 'latin1');
+    const html = Buffer.from('<!doctype html>');
+
+    it('按Content-Type识别，忽略参数和大小写', () => {
+      expect(service.detectDocumentType('Application/PDF; charset=binary', 'https://example.com/a', html)).toBe('pdf');
+      expect(service.detectDocumentType(
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'https://example.com/download?id=1',
+        zip
+      )).toBe('pptx');
+    });
+
+    it('Content-Type不明确时按PDF文件头识别', () => {
+      expect(service.detectDocumentType('application/octet-stream', 'https://example.com/file', pdf)).toBe('pdf');
+    });
+
+    it('Office文档需要扩展名和ZIP文件头同时符合', () => {
+      expect(service.detectDocumentType('application/octet-stream', 'https://example.com/files/plan.DOCX', zip)).toBe('docx');
+      expect(service.detectDocumentType('application/octet-stream', 'https://example.com/files/plan.docx', html)).toBeNull();
+      expect(service.detectDocumentType('application/octet-stream', 'https://example.com/files/data.zip', zip)).toBeNull();
+    });
+
+    it('网页和无效URL返回null', () => {
+      expect(service.detectDocumentType('text/html; charset=utf-8', 'https://example.com/', html)).toBeNull();
+      expect(service.detectDocumentType('', 'not a url', zip)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const MetadataExtractionService = require('../../../src/services/document/MetadataExtractionService');
+
+/**
+ * 构造页面
+ * @param {string} head - <head> 中的内容
+ * @param {string} body - <body> 中的内容
+ * @param {string} htmlAttributes - <html> 的属性
+ * @returns {string} HTML
+ */
+function page(head = '', body = '', htmlAttributes = '') {
+  return `<!DOCTYPE html><html ${htmlAttributes}><head>${head}</head><body>${body}</body></html>`;
+}
+
+const jsonLd = data => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+describe('MetadataExtractionService', () => {
+  const service = new MetadataExtractionService();
+
+  describe('JSON-LD', () => {
+    it('读取文章的作者、日期、发布者和语言', () => {
+      const metadata = service.extract(page(jsonLd({
+        '@context': 'https://schema.org',
+        '@type': 'NewsArticle',
+        headline: '新能源汽车出口持续增长',
+        datePublished: '2024-03-05T08:00:00+08:00',
+        dateModified: '2024-03-06T10:30:00+08:00',
+        author: [{ '@type': 'Person', name: '李明' }, { '@type': 'Person', name: '王芳' }, '李明'],
+        publisher: { '@type': 'Organization', name: '示例新闻网' },
+        inLanguage: 'zh-CN'
+      })));
+
+      expect(metadata).toEqual({
+        author: '李明, 王芳',
+        publishedAt: new Date('2024-03-05T00:00:00Z'),
+        modifiedAt: new Date('2024-03-06T02:30:00Z'),
+        siteName: '示例新闻网',
+        lang: 'zh-cn'
+      });
+    });
+
+    it('在@graph和数组中查找文章对象', () => {
+      const metadata = service.extract(page([
+        jsonLd([{ '@type': 'BreadcrumbList' }]),
+        jsonLd({
+          '@graph': [
+            { '@type': 'WebSite', name: '博客' },
+            { '@type': ['BlogPosting', 'Article'], datePublished: '2023-11-20', author: { name: 'Jane Doe' } }
+          ]
+        })
+      ].join('')));
+
+      expect(metadata.author).toBe('Jane Doe');
+      expect(metadata.publishedAt).toEqual(new Date('2023-11-20T00:00:00Z'));
+    });
+
+    it('没有文章类型时使用带datePublished的对象', () => {
+      const metadata = service.extract(page(jsonLd({ '@type': 'WebPage', datePublished: '2022-01-10' })));
+      expect(metadata.publishedAt).toEqual(new Date('2022-01-10T00:00:00Z'));
+    });
+
+    it('忽略格式错误的JSON-LD', () => {
+      const html = page('<script type="application/ld+json">{ "@type": "Article", </script><meta property="article:published_time" content="2024-01-02T00:00:00Z">');
+      expect(service.extract(html).publishedAt).toEqual(new Date('2024-01-02T00:00:00Z'));
+    });
+  });
+
+  describe('meta标签', () => {
+    it('OpenGraph和article标签', () => {
+      const metadata = service.extract(page([
+        '<meta property="og:site_name" content="示例新闻网">',
+        '<meta property="article:published_time" content="2024-03-05T08:00:00+08:00">',
+        '<meta property="article:modified_time" content="2024-03-05T12:00:00+08:00">',
+        '<meta property="og:locale" content="zh_CN">',
+        '<meta name="author" content="李明">'
+      ].join('')));
+
+      expect(metadata).toEqual({
+        author: '李明',
+        publishedAt: new Date('2024-03-05T00:00:00Z'),
+        modifiedAt: new Date('2024-03-05T04:00:00Z'),
+        siteName: '示例新闻网',
+        lang: 'zh-cn'
+      });
+    });
+
+    it('JSON-LD优先于meta标签', () => {
+      const metadata = service.extract(page([
+        jsonLd({ '@type': 'Article', datePublished: '2024-03-01', author: 'JSON-LD作者' }),
+        '<meta property="article:published_time" content="2024-02-01">',
+        '<meta name="author" content="meta作者">'
+      ].join('')));
+
+      expect(metadata.publishedAt).toEqual(new Date('2024-03-01T00:00:00Z'));
+      expect(metadata.author).toBe('JSON-LD作者');
+    });
+
+    it('meta名称不区分大小写，跳过无法解析的日期', () => {
+      const metadata = service.extract(page([
+        '<meta name="PubDate" content="未知">',
+        '<meta name="DC.date.issued" content="2021/07/15">'
+      ].join('')));
+
+      expect(metadata.publishedAt).toEqual(new Date('2021-07-15T00:00:00Z'));
+    });
+
+    it('跳过作者主页链接和Twitter账号，使用页面中的署名', () => {
+      const metadata = service.extract(page(
+        '<meta property="article:author" content="https://www.facebook.com/someone"><meta name="twitter:creator" content="@someone">',
+        '<p class="byline">By <span class="author">Jane Doe</span></p>'
+      ));
+
+      expect(metadata.author).toBe('Jane Doe');
+    });
+
+    it('twitter:site作为网站名称时去掉@', () => {
+      expect(service.extract(page('<meta name="twitter:site" content="@example">')).siteName).toBe('example');
+    });
+  });
+
+  describe('页面中的日期', () => {
+    it('优先使用标注为发布时间的 <time> 元素', () => {
+      const metadata = service.extract(page('', [
+        '<time datetime="2020-01-01">旧日期</time>',
+        '<article><time itemprop="datePublished" datetime="2024-03-05T08:00:00+08:00">2024年3月5日</time></article>'
+      ].join('')));
+
+      expect(metadata.publishedAt).toEqual(new Date('2024-03-05T00:00:00Z'));
+    });
+
+    it('datetime无法解析时读取 <time> 的文本', () => {
+      const metadata = service.extract(page('', '<article><time datetime="">2024年3月5日 14:30</time></article>'));
+      expect(metadata.publishedAt).toEqual(new Date('2024-03-05T14:30:00Z'));
+    });
+
+    it.each([
+      ['发布时间：2024-03-05 14:30 来源：新华社', '2024-03-05T14:30:00Z'],
+      ['发表于 2023年12月1日', '2023-12-01T00:00:00Z'],
+      ['日期: 2024/1/8 | 浏览次数: 120', '2024-01-08T00:00:00Z'],
+      ['Published March 5, 2024 by Jane Doe', '2024-03-05T00:00:00Z']
+    ])('正文中的日期标注 %s', (text, expected) => {
+      const metadata = service.extract(page('', `<article><h1>标题</h1><p>${text}</p><p>正文内容。</p></article>`));
+      expect(metadata.publishedAt).toEqual(new Date(expected));
+    });
+
+    it('没有标注时只识别中文完整日期', () => {
+      expect(service.extract(page('', '<article><p>会议于2024年5月20日在北京召开。</p></article>')).publishedAt)
+        .toEqual(new Date('2024-05-20T00:00:00Z'));
+      expect(service.extract(page('', '<article><p>版本 2024.05.20 修复了若干问题。</p></article>')).publishedAt).toBeNull();
+    });
+
+    it('忽略脚本中的日期', () => {
+      const html = page('', '<article><script>var published = "发布时间：2024-03-05";</script><p>正文内容。</p></article>');
+      expect(service.extract(html).publishedAt).toBeNull();
+    });
+  });
+
+  describe('语言', () => {
+    it('优先使用 <html lang>，统一为小写', () => {
+      expect(service.extract(page('<meta property="og:locale" content="en_US">', '', 'lang="zh-Hans"')).lang).toBe('zh-hans');
+    });
+
+    it('读取 http-equiv 的 Content-Language', () => {
+      expect(service.extract(page('<meta http-equiv="Content-Language" content="ja, en">')).lang).toBe('ja');
+    });
+
+    it('没有声明时为null', () => {
+      expect(service.extract(page()).lang).toBeNull();
+    });
+  });
+
+  it('没有任何元数据时所有字段为null', () => {
+    expect(service.extract(page('<title>标题</title>', '<p>正文内容。</p>'))).toEqual({
+      author: null,
+      publishedAt: null,
+      modifiedAt: null,
+      siteName: null,
+      lang: null
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const ReadabilityService = require('../../../src/services/document/ReadabilityService');
+
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures/readability');
+
+// fixtures：中文新闻页（导航、Cookie提示、侧栏、评论、分享）、整页包裹在 <form> 中的ASP.NET WebForms页面、被广告位拆开的英文文章
+const fixtures = {
+  news: { html: fs.readFileSync(path.join(FIXTURES_DIR, 'news-article.html'), 'utf8'), url: 'https://news.example.com/auto/2024/ev-export.html' },
+  webforms: { html: fs.readFileSync(path.join(FIXTURES_DIR, 'webforms.html'), 'utf8'), url: 'https://www.gov.example.cn/zwgk/notice.aspx' },
+  split: { html: fs.readFileSync(path.join(FIXTURES_DIR, 'split-article.html'), 'utf8'), url: 'https://blog.example.com/transformers' }
+};
+
+describe('ReadabilityService', () => {
+  const service = new ReadabilityService();
+  const extract = (name, options) => service.extract(fixtures[name].html, fixtures[name].url, options);
+
+  describe('元数据', () => {
+    it('标题、署名、摘要和题图', () => {
+      const article = extract('news');
+
+      expect(article.title).toBe('新能源汽车出口持续增长');
+      expect(article.byline).toBe('李明');
+      expect(article.excerpt).toBe('今年前三季度，我国新能源汽车出口量同比大幅增长。');
+      expect(article.leadImage).toBe('https://news.example.com/images/cover.jpg');
+    });
+
+    it('没有description时以第一段正文为摘要', () => {
+      const article = extract('webforms');
+
+      expect(article.title).toBe('关于进一步优化营商环境的通知');
+      expect(article.byline).toBeNull();
+      expect(article.excerpt).toMatch(/^各区人民政府/);
+    });
+  });
+
+  describe('正文', () => {
+    it('保留标题和列表结构，去掉与页面标题重复的开头', () => {
+      const blocks = extract('news').content.split('\n\n');
+
+      expect(blocks[0]).toMatch(/^今年前三季度/);
+      expect(blocks).toContain('## 产业链优势明显');
+      expect(blocks).toContain('- 动力电池产能全球领先，成本持续下降，供应稳定可靠');
+      expect(blocks[blocks.length - 1]).toMatch(/^更多内容请参阅本站此前的报道/);
+    });
+
+    it('移除脚本、导航、Cookie提示、侧栏、评论、分享和页脚', () => {
+      const { content } = extract('news');
+
+      for (const boilerplate of ['window.analytics', '财经', 'Cookie', '热门文章', '网友评论', '分享到微博', '版权所有', '搜索']) {
+        expect(content).not.toContain(boilerplate);
+      }
+    });
+
+    it('合并被广告位拆开的同级正文容器', () => {
+      const { content } = extract('split');
+
+      expect(content).toMatch(/^Transformers replaced recurrent networks/);
+      expect(content).toContain('Pretraining on large corpora');
+      expect(content).toContain('underlies most large language models in production.');
+      expect(content).not.toContain('Sponsored');
+      expect(content).not.toContain('Subscribe to our newsletter');
+    });
+
+    it('正文过短时退回到整个页面', () => {
+      const html = '<html><body><div class="x"><p>只有一段很短的文字内容，不足以构成正文。</p></div><section>页面其余部分的文字，长度超过二十五个字符，作为整个页面的文本块收集。</section></body></html>';
+      const { content } = service.extract(html, 'https://example.com/');
+
+      expect(content).toContain('只有一段很短的文字内容');
+      expect(content).toContain('页面其余部分的文字');
+    });
+
+    it('按最大长度截断并记录完整长度', () => {
+      const full = extract('news');
+      const article = extract('news', { maxLength: 150 });
+
+      expect(article.truncated).toBe(true);
+      expect(article.length).toBe(full.length);
+      expect(article.content.length).toBeLessThanOrEqual(150);
+      expect(full.content.startsWith(article.content)).toBe(true);
+    });
+  });
+
+  describe('表单', () => {
+    it('保留包裹整个页面的 <form> 中的正文', () => {
+      const { content } = extract('webforms');
+
+      expect(content).toMatch(/^各区人民政府/);
+      expect(content).toContain('三、优化政务服务');
+      expect(content).not.toContain('用户名');
+      expect(content).not.toContain('相关链接');
+    });
+
+    it('移除正文中的搜索、登录和订阅表单', () => {
+      const html = `<html><body><article>
+        <p>第一段正文，内容足够长，包含多个逗号，用于让文章容器获得较高的分数，从而被选为正文容器。</p>
+        <form class="subscribe"><label>输入邮箱订阅</label><input name="email"></form>
+        <p>第二段正文，同样足够长，包含多个逗号，继续描述文章的主要内容，并补充更多细节。</p>
+        <p>第三段正文，仍然足够长，包含多个逗号，总结全文的观点，并给出最终的结论和建议。</p>
+      </article></body></html>`;
+      const { content } = service.extract(html, 'https://example.com/');
+
+      expect(content).toContain('第三段正文');
+      expect(content).not.toContain('订阅');
+    });
+
+    it('cleanForms按内容判断表单', () => {
+      const $ = cheerio.load(`<div id="root">
+        <form id="links"><a href="/1">链接一</a><a href="/2">链接二</a> 说明</form>
+        <form id="short"><label>搜索</label></form>
+        <form id="article"><p>${'表单中的正文段落，'.repeat(30)}</p></form>
+      </div>`);
+      const nodes = service.cleanForms($, [$('#root').get(0), $('#short').get(0)]);
+
+      expect(nodes).toEqual([$('#root').get(0)]);
+      expect($('#links').length).toBe(0);
+      expect($('#article').length).toBe(1);
+    });
+  });
+
+  describe('外链', () => {
+    it('只收集正文中指向其他站点的链接，同一地址只保留一次', () => {
+      const { links } = extract('news');
+
+      expect(links).toEqual([
+        {
+          url: 'https://www.customs.gov.cn/stats/2024',
+          text: '海关总署发布的统计数据',
+          context: '据海关总署发布的统计数据显示，欧洲、东南亚和拉美市场需求旺盛，其中，纯电动乘用车占比最高，插电式混合动力车型增长最快。'
+        },
+        {
+          url: 'https://research.example.org/report/ev-2024?utm_source=news',
+          text: '发布的年度报告',
+          context: expect.stringMatching(/^研究机构发布的年度报告预计/)
+        }
+      ]);
+    });
+
+    it('站内链接（含www前缀的差异）不计为外链', () => {
+      const html = `<article><p>${'正文内容，'.repeat(20)}<a href="https://www.example.com/other">站内</a>，<a href="https://cited.example.org/paper">引用</a></p></article>`;
+      const { links } = service.extract(html, 'https://example.com/page');
+
+      expect(links.map(link => link.url)).toEqual(['https://cited.example.org/paper']);
+    });
+
+    it('没有锚文本时使用图片的alt', () => {
+      const html = `<article><p>${'正文内容，'.repeat(20)}<a href="https://cited.example.org/chart"><img src="chart.png" alt="统计图表"></a></p></article>`;
+      const { links } = service.extract(html, 'https://example.com/page');
+
+      expect(links[0]).toMatchObject({ url: 'https://cited.example.org/chart', text: '统计图表' });
+    });
+  });
+
+  describe('truncate', () => {
+    it('在段落边界截断', () => {
+      const text = `${'甲'.repeat(80)}\n\n${'乙'.repeat(80)}`;
+      expect(service.truncate(text, 100)).toBe('甲'.repeat(80));
+    });
+
+    it('单个段落过长时在句末截断', () => {
+      const text = `${'甲'.repeat(70)}。${'乙'.repeat(70)}`;
+      expect(service.truncate(text, 100)).toBe(`${'甲'.repeat(70)}。`);
+    });
+
+    it('不超过最大长度或最大长度为0时不截断', () => {
+      expect(service.truncate('短文本', 100)).toBe('短文本');
+      expect(service.truncate('甲'.repeat(500), 0)).toBe('甲'.repeat(500));
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const http = require('http');
+const config = require('../../../src/config');
+const WikidataService = require('../../../src/services/enrichment/WikidataService');
+const ENTITIES = require('../../fixtures/wikidata/entities.json');
+const LABELS = require('../../fixtures/wikidata/labels.json');
+
+const originalWikidata = { ...config.enrichment.wikidata };
+
+/**
+ * 模拟wbgetentities：sites + titles 查询返回 entities.json 中对应站点的条目（找不到的标题返回missing），
+ * ids 查询返回 labels.json 中的标签；标题为 Broken 时返回500
+ */
+function handleRequest(req, res, requests) {
+  const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  requests.push(params);
+
+  const entities = {};
+  if (params.ids) {
+    for (const id of params.ids.split('|')) {
+      entities[id] = LABELS.entities[id] || { id, missing: '' };
+    }
+  } else {
+    const titles = params.titles.split('|');
+    if (titles.includes('Broken')) {
+      res.writeHead(500);
+      return res.end();
+    }
+    titles.forEach((title, index) => {
+      const entity = (ENTITIES[params.sites] || {})[title];
+      entities[entity ? entity.id : `-${index + 1}`] = entity || { site: params.sites, title, missing: '' };
+    });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ entities, success: 1 }));
+}
+
+const article = (title, language = 'en') => ({
+  source: 'wikipedia',
+  title,
+  url: `https://${language}.wikipedia.org/wiki/${encodeURIComponent(title)}`,
+  language
+});
+
+const factsOf = entity => Object.fromEntries(entity.facts.map(fact => [fact.propertyId, fact.value]));
+
+describe('WikidataService', () => {
+  let server;
+  let apiUrl;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', () => {
+      apiUrl = `http://127.0.0.1:${server.address().port}/w/api.php`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    Object.assign(config.enrichment.wikidata, { apiUrl, entityBaseUrl: 'https://www.wikidata.org/wiki/', maxEntities: 3 });
+    service = new WikidataService();
+  });
+
+  afterEach(() => {
+    Object.assign(config.enrichment.wikidata, originalWikidata);
+  });
+
+  describe('enrichResults', () => {
+    it('提取关键事实，引用的实体和单位替换为标签', async () => {
+      const [entity] = await service.enrichResults([article('Google')], { language: 'en' });
+
+      expect(entity).toMatchObject({
+        id: 'Q95',
+        label: 'Google',
+        description: 'American technology company',
+        url: 'https://www.wikidata.org/wiki/Q95',
+        wikipediaTitle: 'Google',
+        wikipediaUrl: 'https://en.wikipedia.org/wiki/Google'
+      });
+      expect(factsOf(entity)).toEqual({
+        P31: 'public company',
+        P571: '1998-09-04',
+        P112: 'Larry Page, Sergey Brin',
+        P159: 'Mountain View',
+        P1128: '182,502',
+        P2139: '282,836,000,000 United States dollar',
+        P625: '37.4220, -122.0841',
+        P856: 'https://www.google.com/'
+      });
+      expect(entity.facts[0]).toEqual({
+        propertyId: 'P31',
+        property: 'Instance of',
+        value: 'public company',
+        url: 'https://www.wikidata.org/wiki/Q95#P31'
+      });
+    });
+
+    it('中文标签和属性名，缺少中文标签时回退到英文', async () => {
+      const [entity] = await service.enrichResults([article('Google')], { language: 'zh' });
+
+      expect(entity).toMatchObject({ label: '谷歌', description: 'American technology company' });
+      expect(entity.facts.find(fact => fact.propertyId === 'P112')).toMatchObject({ property: '创始人', value: '拉里·佩奇、谢尔盖·布林' });
+      expect(factsOf(entity).P2139).toBe('282,836,000,000 美元');
+    });
+
+    it('公元前的日期保留负号，只有其他语言标签的实体使用该标签', async () => {
+      const [entity] = await service.enrichResults([article('秦始皇', 'zh')], { language: 'zh' });
+
+      expect(factsOf(entity)).toEqual({ P569: '-259', P570: '-210-09-10', P19: 'Handan', P27: '秦朝' });
+    });
+
+    it('只处理Wikipedia结果，同一地址只解析一次，最多maxEntities个', async () => {
+      service.maxEntities = 2;
+
+      const entities = await service.enrichResults([
+        { source: 'google', title: 'Google', url: 'https://www.google.com/' },
+        article('Google'),
+        article('Google'),
+        article('Stub'),
+        article('Alphabet')
+      ], { language: 'en' });
+
+      expect(requests[0].titles).toBe('Google|Stub');
+      // Stub没有关键属性，不返回
+      expect(entities.map(entity => entity.id)).toEqual(['Q95']);
+    });
+
+    it('auto时使用第一个条目的语言版本', async () => {
+      await service.enrichResults([article('秦始皇', 'zh')], { language: 'auto' });
+
+      expect(requests[0].languages).toBe('zh|en');
+    });
+
+    it('没有Wikipedia结果时不发送请求，接口失败时返回空数组', async () => {
+      expect(await service.enrichResults([{ source: 'bing', url: 'https://example.com/' }])).toEqual([]);
+      expect(requests).toEqual([]);
+
+      expect(await service.enrichResults([article('Broken')], { language: 'en' })).toEqual([]);
+    });
+  });
+
+  describe('resolveEntities', () => {
+    it('按站点分组查询，只保留sitelink标题与请求标题一致的实体', async () => {
+      const resolved = await service.resolveEntities([
+        article('Google'),
+        article('Alphabet'),
+        article('Missing page'),
+        article('秦始皇', 'zh')
+      ], 'en');
+
+      expect(requests.map(params => [params.sites, params.titles])).toEqual([
+        ['enwiki', 'Google|Alphabet|Missing page'],
+        ['zhwiki', '秦始皇']
+      ]);
+      expect(resolved.map(({ entity, article: matched }) => [entity.id, matched.title])).toEqual([
+        ['Q95', 'Google'],
+        ['Q7192', '秦始皇']
+      ]);
+    });
+
+    it('没有语言字段时从地址识别站点，连字符转为下划线', async () => {
+      await service.resolveEntities([
+        { source: 'wikipedia', title: 'Google', url: 'https://en.wikipedia.org/wiki/Google' },
+        { source: 'wikipedia', title: '谷歌', url: 'https://zh-yue.wikipedia.org/wiki/谷歌', language: 'zh-yue' }
+      ], 'en');
+
+      expect(requests.map(params => params.sites)).toEqual(['enwiki', 'zh_yuewiki']);
+    });
+  });
+
+  describe('selectClaims', () => {
+    const claims = ENTITIES.enwiki.Google.claims;
+
+    it('有首选等级时只使用首选声明', () => {
+      expect(service.selectClaims(claims.P31, 'P31').map(claim => claim.mainsnak.datavalue.value.id)).toEqual(['Q891723']);
+      expect(service.selectClaims(claims.P1128, 'P1128').map(claim => claim.mainsnak.datavalue.value.amount)).toEqual(['+182502']);
+    });
+
+    it('排除已弃用和没有具体值的声明，单值属性只取第一个', () => {
+      expect(service.selectClaims(claims.P112, 'P112')).toHaveLength(2);
+      expect(service.selectClaims(claims.P159, 'P159').map(claim => claim.mainsnak.datavalue.value.id)).toEqual(['Q486860']);
+      expect(service.selectClaims(undefined, 'P159')).toEqual([]);
+    });
+
+    it('多值属性最多取maxValuesPerProperty个', () => {
+      const many = ['Q1', 'Q2', 'Q3', 'Q4'].map(id => ({
+        mainsnak: { snaktype: 'value', datavalue: { type: 'wikibase-entityid', value: { id } } },
+        rank: 'normal'
+      }));
+
+      expect(service.selectClaims(many, 'P106')).toHaveLength(3);
+    });
+  });
+
+  describe('formatValue', () => {
+    const snak = (type, value) => ({ snaktype: 'value', datavalue: { type, value } });
+
+    it('按精度格式化时间', () => {
+      expect(service.formatValue(snak('time', { time: '+1947-05-01T00:00:00Z', precision: 11 }), {}, 'en')).toBe('1947-05-01');
+      expect(service.formatValue(snak('time', { time: '+1947-05-00T00:00:00Z', precision: 10 }), {}, 'en')).toBe('1947-05');
+      expect(service.formatValue(snak('time', { time: '+1947-00-00T00:00:00Z', precision: 9 }), {}, 'en')).toBe('1947');
+    });
+
+    it('数量按语言添加千位分隔符，实体单位使用标签，无单位时只有数值', () => {
+      const revenue = snak('quantity', { amount: '+1234567.5', unit: 'http://www.wikidata.org/entity/Q4917' });
+
+      expect(service.formatValue(revenue, { Q4917: 'United States dollar' }, 'en')).toBe('1,234,567.5 United States dollar');
+      expect(service.formatValue(revenue, {}, 'en')).toBe('1,234,567.5 Q4917');
+      expect(service.formatValue(snak('quantity', { amount: '-40', unit: '1' }), {}, 'zh')).toBe('-40');
+    });
+
+    it('实体、单语文本、坐标和字符串', () => {
+      expect(service.formatValue(snak('wikibase-entityid', { id: 'Q62' }), { Q62: 'San Francisco' }, 'en')).toBe('San Francisco');
+      expect(service.formatValue(snak('wikibase-entityid', { id: 'Q62' }), {}, 'en')).toBe('Q62');
+      expect(service.formatValue(snak('monolingualtext', { text: 'Don\'t be evil', language: 'en' }), {}, 'en')).toBe('Don\'t be evil');
+      expect(service.formatValue(snak('globecoordinate', { latitude: -33.8688, longitude: 151.20929 }), {}, 'en')).toBe('-33.8688, 151.2093');
+      expect(service.formatValue(snak('string', 'ISO 8601'), {}, 'en')).toBe('ISO 8601');
+    });
+
+    it('不支持的类型和没有值时返回null', () => {
+      expect(service.formatValue(snak('external-id', 'abc'), {}, 'en')).toBeNull();
+      expect(service.formatValue({ snaktype: 'novalue' }, {}, 'en')).toBeNull();
+    });
+  });
+
+  describe('formatTime', () => {
+    it('公元前的年份保留负号并去掉前导零', () => {
+      expect(service.formatTime({ time: '-0044-03-15T00:00:00Z', precision: 11 })).toBe('-44-03-15');
+      expect(service.formatTime({ time: '-0500-00-00T00:00:00Z', precision: 9 })).toBe('-500');
+      expect(service.formatTime({ time: '-13798000000-00-00T00:00:00Z', precision: 3 })).toBe('-13798000000');
+    });
+
+    it('无法解析的时间原样返回', () => {
+      expect(service.formatTime({ time: 'unknown' })).toBe('unknown');
+      expect(service.formatTime({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ArxivSearchService = require('../../../src/services/search/ArxivSearchService');
+
+const FEED = fs.readFileSync(path.join(__dirname, '../../fixtures/papers/arxiv.atom.xml'), 'utf8');
+
+/**
+ * 模拟arXiv API：返回固定的Atom结果，
+ * search_query 为 "all:ratelimit" 时返回503（arXiv限流时的响应），为 "all:broken" 时返回500
+ */
+function handleRequest(req, res, requests) {
+  const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  requests.push(params);
+
+  if (params.search_query === 'all:ratelimit') {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    return res.end('Rate exceeded.');
+  }
+  if (params.search_query === 'all:broken') {
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    return res.end('Internal Server Error');
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/atom+xml; charset=utf-8' });
+  res.end(FEED);
+}
+
+describe('ArxivSearchService', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/query`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    service = new ArxivSearchService();
+    service.baseUrl = baseUrl;
+  });
+
+  describe('search', () => {
+    it('解析Atom结果，合并标题和摘要中的空白，跳过没有标题的条目', async () => {
+      const results = await service.search('attention');
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({
+        source: 'arxiv',
+        title: 'Attention Is All You Need',
+        url: 'http://arxiv.org/abs/1706.03762v7',
+        publishedAt: new Date('2017-06-12T17:57:34Z'),
+        relevanceScore: 0
+      });
+      expect(results[0].content).toBe(
+        'The dominant sequence transduction models are based on complex recurrent or convolutional neural networks. ' +
+        'We propose a new simple network architecture, the Transformer, based solely on attention mechanisms.'
+      );
+      expect(results[0].snippet).toBe(results[0].content.substring(0, 200));
+    });
+
+    it('映射作者、年份、期刊、PDF地址和arXiv编号', async () => {
+      const [paper] = await service.search('attention');
+
+      expect(paper.paper).toEqual({
+        authors: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+        venue: 'Advances in Neural Information Processing Systems 30 (NIPS 2017)',
+        year: 2017,
+        doi: '10.48550/arXiv.1706.03762',
+        pdfUrl: 'http://arxiv.org/pdf/1706.03762v7',
+        arxivId: '1706.03762v7'
+      });
+    });
+
+    it('有正式DOI时使用该DOI，没有期刊信息时期刊为arXiv，没有PDF链接时为null', async () => {
+      const [, paper] = await service.search('attention');
+
+      expect(paper.paper).toMatchObject({
+        authors: ['Joshua Ainslie'],
+        venue: 'arXiv',
+        year: 2023,
+        doi: '10.18653/v1/2023.emnlp-main.298',
+        pdfUrl: null,
+        arxivId: '2305.13245v3'
+      });
+    });
+
+    it('每个词在所有字段中匹配，去掉查询语法字符，结果数不超过100', async () => {
+      await service.search('  "graph (neural) networks":  ', { maxResults: 500 });
+
+      expect(requests[0]).toMatchObject({
+        search_query: 'all:graph AND all:neural AND all:networks',
+        start: '0',
+        max_results: '100',
+        sortBy: 'relevance'
+      });
+    });
+
+    it('503时提示超出频率限制，其他错误附带原因', async () => {
+      await expect(service.search('ratelimit')).rejects.toThrow('arXiv API rate limit exceeded');
+      await expect(service.search('broken')).rejects.toThrow(/^arXiv search failed: Request failed with status code 500/);
+    });
+  });
+
+  describe('parseArxivFeed', () => {
+    it('没有条目时返回空数组', () => {
+      expect(service.parseArxivFeed('<feed xmlns="http://www.w3.org/2005/Atom"></feed>')).toEqual([]);
+    });
+  });
+
+  describe('healthCheck', () => {
+    it('接口可用时返回true，不可用时返回false', async () => {
+      expect(await service.healthCheck()).toBe(true);
+
+      service.baseUrl = 'http://127.0.0.1:1/api/query';
+      expect(await service.healthCheck()).toBe(false);
+    });
+  });
+});
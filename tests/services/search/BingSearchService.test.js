@@ -0,0 +1,182 @@
+const http = require('http');
+const BingSearchService = require('../../../src/services/search/BingSearchService');
+
+const TOTAL_MATCHES = 120;
+
+/**
+ * 模拟Bing Web Search API：按 count/offset 返回结果，
+ * q 为 "short" 时每页少返回一条，q 为 "ratelimit" 时返回429，密钥不为 test-key 时返回401
+ */
+function handleRequest(req, res, requests) {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+  requests.push({ params, headers: req.headers });
+
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (req.headers['ocp-apim-subscription-key'] !== 'test-key') {
+    return send(401, { error: { code: '401', message: 'Access denied due to invalid subscription key.' } });
+  }
+  if (params.q === 'ratelimit') {
+    return send(429, { error: { code: '429', message: 'Rate limit is exceeded.' } });
+  }
+
+  const count = parseInt(params.count);
+  const offset = parseInt(params.offset);
+  const size = Math.max(0, Math.min(count, TOTAL_MATCHES - offset) - (params.q === 'short' ? 1 : 0));
+  send(200, {
+    _type: 'SearchResponse',
+    queryContext: { originalQuery: params.q },
+    webPages: {
+      webSearchUrl: `https://www.bing.com/search?q=${encodeURIComponent(params.q)}`,
+      totalEstimatedMatches: TOTAL_MATCHES,
+      value: Array.from({ length: size }, (_, i) => ({
+        id: `https://api.bing.microsoft.com/api/v7/#WebPages.${offset + i}`,
+        name: `结果 ${offset + i}`,
+        url: `https://example.com/${offset + i}`,
+        snippet: `摘要 ${offset + i}`,
+        datePublished: '2024-05-01T00:00:00.0000000'
+      }))
+    }
+  });
+}
+
+describe('BingSearchService', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v7.0/search`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    service = new BingSearchService();
+    service.apiKey = 'test-key';
+    service.baseUrl = baseUrl;
+  });
+
+  describe('分页', () => {
+    it('按每页50条用 count/offset 分页获取', async () => {
+      const results = await service.search('分页', { maxResults: 70 });
+
+      expect(results).toHaveLength(70);
+      expect(requests.map(({ params }) => [params.count, params.offset])).toEqual([['50', '0'], ['20', '50']]);
+      expect(results[0]).toMatchObject({ source: 'bing', title: '结果 0', url: 'https://example.com/0', snippet: '摘要 0' });
+      expect(results[69].url).toBe('https://example.com/69');
+      expect(results[0].publishedAt).toBeInstanceOf(Date);
+    });
+
+    it('不超过一页时只请求一次', async () => {
+      const results = await service.search('一页', { maxResults: 10 });
+
+      expect(results).toHaveLength(10);
+      expect(requests).toHaveLength(1);
+      expect(requests[0].params).toMatchObject({ count: '10', offset: '0' });
+    });
+
+    it('某页结果不足时停止翻页', async () => {
+      const results = await service.search('short', { maxResults: 120 });
+
+      expect(requests).toHaveLength(1);
+      expect(results).toHaveLength(49);
+    });
+
+    it('偏移量达到估计总数时停止翻页', async () => {
+      const results = await service.search('总数', { maxResults: 200 });
+
+      expect(requests.map(({ params }) => params.offset)).toEqual(['0', '50', '100']);
+      expect(results).toHaveLength(TOTAL_MATCHES);
+    });
+  });
+
+  describe('请求参数', () => {
+    it('发送订阅密钥请求头和默认参数', async () => {
+      await service.search('参数', { maxResults: 5 });
+
+      const [{ params, headers }] = requests;
+      expect(headers['ocp-apim-subscription-key']).toBe('test-key');
+      expect(params).toMatchObject({
+        q: '参数',
+        mkt: 'zh-CN',
+        safeSearch: 'Moderate',
+        responseFilter: 'Webpages',
+        textDecorations: 'false'
+      });
+      expect(params.freshness).toBeUndefined();
+    });
+
+    it.each([
+      ['zh', 'zh-CN'],
+      ['en', 'en-US']
+    ])('语言 %s 对应市场 %s', async (language, market) => {
+      await service.search('市场', { maxResults: 1, language });
+      expect(requests[0].params.mkt).toBe(market);
+    });
+
+    it('语言为 auto 时不发送 mkt', async () => {
+      await service.search('市场', { maxResults: 1, language: 'auto' });
+      expect(requests[0].params.mkt).toBeUndefined();
+    });
+
+    it.each([
+      ['off', 'Off'],
+      ['medium', 'Moderate'],
+      ['high', 'Strict'],
+      ['active', 'Strict']
+    ])('安全搜索 %s 对应 %s', async (safeSearch, expected) => {
+      await service.search('安全', { maxResults: 1, safeSearch });
+      expect(requests[0].params.safeSearch).toBe(expected);
+    });
+
+    it.each([
+      ['day', 'Day'],
+      ['week', 'Week'],
+      ['month', 'Month']
+    ])('时效 %s 对应 %s', async (freshness, expected) => {
+      await service.search('时效', { maxResults: 1, freshness });
+      expect(requests[0].params.freshness).toBe(expected);
+    });
+
+    it('时效为最近一年时发送日期范围', async () => {
+      await service.search('时效', { maxResults: 1, freshness: 'year' });
+
+      const match = requests[0].params.freshness.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+      expect(match).not.toBeNull();
+      const days = (new Date(match[2]) - new Date(match[1])) / (24 * 60 * 60 * 1000);
+      expect(days).toBe(365);
+      expect(match[2]).toBe(new Date().toISOString().split('T')[0]);
+    });
+  });
+
+  describe('错误处理', () => {
+    it('未配置密钥时不发送请求', async () => {
+      service.apiKey = undefined;
+
+      await expect(service.search('密钥')).rejects.toThrow('Bing Search API key not configured');
+      expect(requests).toHaveLength(0);
+    });
+
+    it('401时提示密钥无效', async () => {
+      service.apiKey = 'wrong-key';
+      await expect(service.search('密钥')).rejects.toThrow('Bing Search API key is invalid');
+    });
+
+    it('429时提示超出速率限制', async () => {
+      await expect(service.search('ratelimit')).rejects.toThrow('Bing Search API rate limit exceeded');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const config = require('../../../src/config');
+const CitationService = require('../../../src/services/search/CitationService');
+
+const originalCitations = { ...config.search.citations };
+
+describe('CitationService', () => {
+  const service = new CitationService();
+
+  beforeEach(() => {
+    Object.assign(config.search.citations, { minRelevance: 0.2, maxLinksPerPage: 20 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.search.citations, originalCitations);
+  });
+
+  describe('scoreLinks', () => {
+    const links = [
+      { url: 'https://example.com/privacy', text: 'Privacy policy', context: 'Transformer attention models are covered in the privacy policy footer.' },
+      { url: 'https://arxiv.org/abs/1706.03762', text: 'Transformer attention paper', context: 'The original paper.' },
+      { url: 'https://example.com/blog/transformer-attention-explained', text: 'Read more', context: 'A longer explanation.' },
+      { url: 'https://example.com/about', text: 'About us', context: 'Company information.' }
+    ];
+
+    it('锚文本和地址路径命中的链接按相关性降序保留', () => {
+      const scored = service.scoreLinks(links, 'transformer attention');
+
+      expect(scored.map(link => link.url)).toEqual([
+        'https://arxiv.org/abs/1706.03762',
+        'https://example.com/blog/transformer-attention-explained'
+      ]);
+      expect(scored[0]).toMatchObject({ text: 'Transformer attention paper', context: 'The original paper.' });
+      expect(scored[0].relevance).toBeGreaterThan(scored[1].relevance);
+      expect(scored[0].relevance).toBeLessThanOrEqual(1);
+    });
+
+    it('只有所在段落命中的链接得分只占0.25，低于minRelevance时被过滤', () => {
+      config.search.citations.minRelevance = 0;
+
+      const privacy = service.scoreLinks(links, 'transformer attention')
+        .find(link => link.url === 'https://example.com/privacy');
+
+      expect(privacy.relevance).toBeGreaterThan(0);
+      expect(privacy.relevance).toBeLessThanOrEqual(0.25);
+    });
+
+    it('按limit截断，没有链接时返回空数组', () => {
+      expect(service.scoreLinks(links, 'transformer attention', 1)).toHaveLength(1);
+      expect(service.scoreLinks([], 'transformer')).toEqual([]);
+      expect(service.scoreLinks(undefined, 'transformer')).toEqual([]);
+    });
+  });
+
+  describe('getPathWords', () => {
+    it('路径分隔符和连字符转为空格，解码百分号编码', () => {
+      expect(service.getPathWords('https://example.com/2023/attention-is_all+you.need')).toBe('2023 attention is all you need');
+      expect(service.getPathWords('https://zh.wikipedia.org/wiki/%E6%B3%A8%E6%84%8F%E5%8A%9B')).toBe('wiki 注意力');
+      expect(service.getPathWords('not a url')).toBe('');
+    });
+  });
+
+  describe('rankCitations', () => {
+    const results = [
+      {
+        url: 'https://a.example.com/article',
+        title: 'Article A',
+        alternates: [{ url: 'https://mirror.example.com/article-a' }],
+        links: [
+          { url: 'https://paper.example.org/x', text: 'Paper X', context: 'X', relevance: 0.6 },
+          { url: 'https://paper.example.org/x?utm_source=a', text: 'Paper X again', context: 'X', relevance: 0.4 },
+          { url: 'https://paper.example.org/y', text: 'Paper Y', context: 'Y', relevance: 0.5 },
+          { url: 'http://www.b.example.com/article/', text: 'Article B', context: 'B', relevance: 0.9 }
+        ]
+      },
+      {
+        url: 'https://b.example.com/article',
+        title: 'Article B',
+        links: [
+          { url: 'https://paper.example.org/y', text: 'Paper Y (better anchor)', context: 'Y2', relevance: 0.7 },
+          { url: 'https://mirror.example.com/article-a', text: 'Mirror of A', context: 'A', relevance: 0.8 }
+        ]
+      },
+      { url: 'https://c.example.com/no-links', title: 'Article C' }
+    ];
+
+    it('已在结果中的页面（含规范化地址和转载地址）不再列出', () => {
+      const urls = service.rankCitations(results).map(citation => citation.url);
+
+      expect(urls).toEqual(['https://paper.example.org/y', 'https://paper.example.org/x']);
+    });
+
+    it('被多个页面引用时按 1 + 0.5 × log2(引用数) 加权，保留相关性最高的锚文本', () => {
+      const [paperY, paperX] = service.rankCitations(results);
+
+      expect(paperY).toMatchObject({
+        text: 'Paper Y (better anchor)',
+        context: 'Y2',
+        relevance: 0.7,
+        score: 1.05,
+        citedBy: [
+          { url: 'https://a.example.com/article', title: 'Article A' },
+          { url: 'https://b.example.com/article', title: 'Article B' }
+        ]
+      });
+      expect(paperX).toMatchObject({ text: 'Paper X', relevance: 0.6, score: 0.6 });
+    });
+
+    it('同一页面多次链接同一地址只计一次引用', () => {
+      const paperX = service.rankCitations(results).find(citation => citation.url === 'https://paper.example.org/x');
+
+      expect(paperX.citedBy).toEqual([{ url: 'https://a.example.com/article', title: 'Article A' }]);
+    });
+  });
+});
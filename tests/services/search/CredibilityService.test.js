@@ -0,0 +1,174 @@
+const path = require('path');
+const config = require('../../../src/config');
+const CredibilityService = require('../../../src/services/search/CredibilityService');
+
+const originalCredibility = { ...config.credibility };
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+describe('CredibilityService', () => {
+  let service;
+
+  const createService = (overrides = {}) => {
+    Object.assign(config.credibility, { rulesPath: undefined, scores: {}, allow: [], deny: [] }, overrides);
+    return new CredibilityService();
+  };
+
+  beforeEach(() => {
+    service = createService();
+  });
+
+  afterEach(() => {
+    Object.assign(config.credibility, originalCredibility);
+  });
+
+  describe('公共后缀', () => {
+    it('按公共后缀的任意一段识别政府、教育和组织网站', () => {
+      expect(service.scoreUrl('https://www.miit.gov.cn/')).toMatchObject({ type: '政府网站', score: 0.9 });
+      expect(service.scoreUrl('https://www.stanford.edu/')).toMatchObject({ type: '教育机构', score: 0.85 });
+      expect(service.scoreUrl('https://www.edu.cn/')).toMatchObject({ type: '教育机构', score: 0.85 });
+      expect(service.scoreUrl('https://example.org/')).toMatchObject({ type: '组织机构', score: 0.65 });
+    });
+
+    it('ac、go等标签只在二级后缀中有效', () => {
+      expect(service.scoreUrl('https://www.ox.ac.uk/')).toMatchObject({ type: '教育机构', score: 0.85 });
+      expect(service.scoreUrl('https://www.mext.go.jp/')).toMatchObject({ type: '政府网站', score: 0.9 });
+      expect(service.scoreUrl('https://example.ac/')).toMatchObject({ type: '网站', score: 0.55 });
+    });
+
+    it('只看公共后缀，域名主体中的gov、edu不影响类型', () => {
+      expect(service.scoreUrl('https://gov.example.com/')).toMatchObject({ type: '网站', score: 0.55 });
+      expect(service.scoreUrl('https://edu.example.co.uk/')).toMatchObject({ type: '网站', score: 0.55 });
+    });
+
+    it('HTTPS加分，HTTP和IP地址减分', () => {
+      expect(service.scoreUrl('http://example.com/')).toEqual({ score: 0.4, type: '网站', signals: ['no-https'], denied: false });
+      expect(service.scoreUrl('https://192.168.1.1/')).toEqual({ score: 0.35, type: '网站', signals: ['ip-address', 'https'], denied: false });
+    });
+
+    it('本地文件和无效地址', () => {
+      expect(service.scoreUrl('file:///corpus/guide.md', 'local')).toMatchObject({ score: 0.7, type: '本地文档', signals: ['local'] });
+      expect(service.scoreUrl('file:///tmp/a.pdf', 'citation')).toMatchObject({ type: '文件' });
+      expect(service.scoreUrl('not a url')).toEqual({ score: 0.5, type: '未知', signals: [], denied: false });
+    });
+  });
+
+  describe('知名出版方', () => {
+    it('按可注册域名匹配，子域名同样适用', () => {
+      expect(service.scoreUrl('https://en.wikipedia.org/wiki/Computer')).toEqual({
+        score: 0.8,
+        type: 'Wikipedia',
+        signals: ['known-publisher', 'https'],
+        denied: false
+      });
+      expect(service.scoreUrl('https://www.bbc.co.uk/news')).toMatchObject({ type: '新闻媒体', score: 0.8 });
+      expect(service.scoreUrl('https://someone.medium.com/post')).toMatchObject({ type: '博客平台', score: 0.45 });
+    });
+
+    it('出版方分数优先于公共后缀', () => {
+      expect(service.scoreUrl('https://www.who.int/')).toMatchObject({ type: '国际组织', score: 0.95 });
+      expect(service.scoreUrl('https://www.reddit.com/r/science')).toMatchObject({ type: '社区论坛', score: 0.4 });
+    });
+  });
+
+  describe('域名规则', () => {
+    it('可信域名至少0.9分，含子域名', () => {
+      service = createService({ allow: ['example.com'] });
+
+      expect(service.scoreUrl('https://blog.example.com/')).toMatchObject({ score: 0.95, signals: ['allowed', 'https'] });
+      expect(service.scoreUrl('https://notexample.com/')).toMatchObject({ score: 0.55 });
+    });
+
+    it('屏蔽域名得0分，scoreResults移除对应结果', () => {
+      service = createService({ deny: ['spam.example'] });
+
+      expect(service.scoreUrl('https://www.spam.example/')).toEqual({ score: 0, type: '已屏蔽', signals: ['denied'], denied: true });
+
+      const results = service.scoreResults([
+        { url: 'https://www.spam.example/a' },
+        { url: 'https://example.org/b' }
+      ]);
+      expect(results.map(result => result.url)).toEqual(['https://example.org/b']);
+      expect(results[0].credibility.score).toBe(0.65);
+    });
+
+    it('配置的分数直接使用，子域名继承，不再按其他信号调整', () => {
+      service = createService({ scores: { 'example.net': 0.3 } });
+
+      const credibility = service.scoreResult({
+        url: 'http://news.example.net/a',
+        paper: { doi: '10.1000/1' },
+        publishedAt: new Date(Date.now() - 10 * YEAR)
+      });
+
+      expect(credibility).toEqual({ score: 0.3, type: '网站', signals: ['configured'], denied: false });
+    });
+
+    it('屏蔽优先于配置的分数', () => {
+      service = createService({ scores: { 'example.net': 0.9 }, deny: ['example.net'] });
+
+      expect(service.scoreUrl('https://example.net/').denied).toBe(true);
+    });
+
+    it('规则文件与环境变量配置合并，环境变量中的分数优先', () => {
+      service = createService({
+        rulesPath: path.join(__dirname, '../../fixtures/credibility/rules.json'),
+        scores: { 'example.net': 0.3 },
+        deny: ['spam.example']
+      });
+
+      expect(service.scoreUrl('https://example.net/').score).toBe(0.3);
+      expect(service.scoreUrl('https://partner.example/').score).toBe(0.75);
+      expect(service.scoreUrl('https://trusted.example/').signals).toContain('allowed');
+      expect(service.scoreUrl('https://content-farm.example/').denied).toBe(true);
+      expect(service.scoreUrl('https://spam.example/').denied).toBe(true);
+    });
+
+    it('规则文件不存在时忽略', () => {
+      service = createService({ rulesPath: path.join(__dirname, 'missing-rules.json') });
+
+      expect(service.scores).toEqual({});
+      expect(service.scoreUrl('https://example.com/').score).toBe(0.55);
+    });
+  });
+
+  describe('scoreResult', () => {
+    it('超过5年的内容标记为stale并减分', () => {
+      const stale = service.scoreResult({ url: 'https://example.com/', publishedAt: new Date(Date.now() - 6 * YEAR) });
+      const recent = service.scoreResult({ url: 'https://example.com/', publishedAt: new Date(Date.now() - 4 * YEAR) });
+
+      expect(stale).toMatchObject({ score: 0.5, signals: ['https', 'stale'] });
+      expect(recent).toMatchObject({ score: 0.55, signals: ['https'] });
+    });
+
+    it('有DOI的论文加分，分数不超过1', () => {
+      expect(service.scoreResult({ url: 'https://arxiv.org/abs/1', paper: { doi: '10.48550/arXiv.1' } }))
+        .toMatchObject({ score: 0.85, signals: ['known-publisher', 'https', 'doi'] });
+      expect(service.scoreResult({ url: 'https://www.nature.com/articles/1', paper: { doi: '10.1038/1' } }).score).toBe(1);
+    });
+
+    it('相同的结果得到相同的分数', () => {
+      const result = { url: 'https://www.reuters.com/world', publishedAt: '2015-01-01T00:00:00Z' };
+
+      expect(service.scoreResult(result)).toEqual(service.scoreResult(result));
+    });
+  });
+
+  describe('applyToSources', () => {
+    it('优先使用搜索结果的可信度，找不到时按URL计算', () => {
+      const results = [{ url: 'https://example.com/a', credibility: { score: 0.42 } }];
+      const sources = service.applyToSources([
+        { title: 'A', url: 'https://example.com/a', reliability: 0.9 },
+        { title: 'B', url: 'https://example.org/b', reliability: 0.1 }
+      ], results);
+
+      expect(sources).toEqual([
+        { title: 'A', url: 'https://example.com/a', reliability: 0.42 },
+        { title: 'B', url: 'https://example.org/b', reliability: 0.65 }
+      ]);
+    });
+
+    it('来源不是数组时原样返回', () => {
+      expect(service.applyToSources(undefined)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const http = require('http');
+const GoogleSearchService = require('../../../src/services/search/GoogleSearchService');
+
+/**
+ * 模拟Google Custom Search API：按 start 和 num 返回 corpus.total 个结果中的一页，
+ * 后面还有结果时返回 queries.nextPage（与实际接口一样不考虑第100个结果的上限）；
+ * corpus.duplicate 时满页的最后一条与第1条结果地址相同，corpus.status 不为200时返回该状态码
+ */
+function handleRequest(req, res, requests, corpus) {
+  const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  requests.push(params);
+
+  if (corpus.status !== 200) {
+    res.writeHead(corpus.status, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: { code: corpus.status } }));
+  }
+
+  const start = parseInt(params.start);
+  const num = parseInt(params.num);
+  const end = Math.min(start + num - 1, corpus.total);
+  const items = [];
+  for (let index = start; index <= end; index++) {
+    const duplicate = corpus.duplicate && start > 1 && num === 10 && index === end;
+    items.push({ title: `结果${index}`, link: `https://example.com/${duplicate ? 1 : index}`, snippet: '摘要' });
+  }
+
+  const queries = { request: [{ totalResults: String(corpus.total), startIndex: start, count: items.length }] };
+  if (end < corpus.total) {
+    queries.nextPage = [{ totalResults: String(corpus.total), startIndex: end + 1, count: 10 }];
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    searchInformation: { totalResults: String(corpus.total) },
+    queries,
+    ...(items.length > 0 ? { items } : {})
+  }));
+}
+
+describe('GoogleSearchService', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let corpus;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests, corpus));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/customsearch/v1`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    corpus = { total: 1, duplicate: false, status: 200 };
+    service = new GoogleSearchService();
+    service.apiKey = 'test-key';
+    service.engineId = 'test-engine';
+    service.baseUrl = baseUrl;
+  });
+
+  describe('getLanguageCode', () => {
+    it('映射为Google支持的lr取值', () => {
+      expect(service.getLanguageCode('zh')).toBe('lang_zh-CN');
+      expect(service.getLanguageCode('zh-TW')).toBe('lang_zh-TW');
+      expect(service.getLanguageCode('en')).toBe('lang_en');
+      expect(service.getLanguageCode('he')).toBe('lang_iw');
+      expect(service.getLanguageCode('nb')).toBe('lang_no');
+    });
+
+    it('Google不支持的语言和auto返回空字符串', () => {
+      expect(service.getLanguageCode('zh-yue')).toBe('');
+      expect(service.getLanguageCode('simple')).toBe('');
+      expect(service.getLanguageCode('eo')).toBe('');
+      expect(service.getLanguageCode('auto')).toBe('');
+      expect(service.getLanguageCode(undefined)).toBe('');
+    });
+  });
+
+  describe('请求参数', () => {
+    it('支持的语言发送lr参数', async () => {
+      const results = await service.search('测试', { language: 'ja', maxResults: 1 });
+
+      expect(results).toHaveLength(1);
+      expect(requests[0]).toMatchObject({ key: 'test-key', cx: 'test-engine', q: '测试', lr: 'lang_ja' });
+    });
+
+    it('不支持的语言不发送lr参数', async () => {
+      await service.search('测试', { language: 'zh-yue', maxResults: 1 });
+      await service.search('测试', { language: 'simple', maxResults: 1 });
+
+      expect(requests).toHaveLength(2);
+      requests.forEach(params => expect(params).not.toHaveProperty('lr'));
+    });
+  });
+
+  describe('分页', () => {
+    const pagesOf = () => requests.map(params => [params.start, params.num]);
+
+    beforeEach(() => {
+      corpus.total = 1000;
+    });
+
+    it('按 start=1,11,21… 分页，最后一页只请求剩余数量', async () => {
+      const metadata = {};
+      const results = await service.search('测试', { maxResults: 25, metadata });
+
+      expect(pagesOf()).toEqual([['1', '10'], ['11', '10'], ['21', '5']]);
+      expect(results).toHaveLength(25);
+      expect(results[24]).toMatchObject({ source: 'google', title: '结果25', url: 'https://example.com/25' });
+      expect(metadata).toEqual({ totalResults: 1000, pagesFetched: 3, nextPage: { startIndex: 26, count: 10 } });
+    });
+
+    it('最多获取100个结果，超出上限的下一页不记录', async () => {
+      const metadata = {};
+      const results = await service.search('测试', { maxResults: 150, metadata });
+
+      expect(results).toHaveLength(100);
+      expect(requests).toHaveLength(10);
+      expect(requests[9]).toMatchObject({ start: '91', num: '10' });
+      expect(metadata).toEqual({ totalResults: 1000, pagesFetched: 10, nextPage: null });
+    });
+
+    it('没有下一页时停止', async () => {
+      corpus.total = 15;
+      const metadata = {};
+      const results = await service.search('测试', { maxResults: 30, metadata });
+
+      expect(pagesOf()).toEqual([['1', '10'], ['11', '10']]);
+      expect(results).toHaveLength(15);
+      expect(metadata).toEqual({ totalResults: 15, pagesFetched: 2, nextPage: null });
+    });
+
+    it('没有结果时只请求一页', async () => {
+      corpus.total = 0;
+      const metadata = {};
+
+      expect(await service.search('测试', { maxResults: 30, metadata })).toEqual([]);
+      expect(metadata).toEqual({ totalResults: 0, pagesFetched: 1, nextPage: null });
+    });
+
+    it('跨页重复的地址只保留一次，继续翻页补足数量', async () => {
+      corpus.duplicate = true;
+      const results = await service.search('测试', { maxResults: 20 });
+
+      expect(pagesOf()).toEqual([['1', '10'], ['11', '10'], ['21', '1']]);
+      expect(new Set(results.map(result => result.url)).size).toBe(20);
+    });
+  });
+
+  describe('错误', () => {
+    it('未配置密钥或搜索引擎ID时抛出错误', async () => {
+      service.engineId = undefined;
+
+      await expect(service.search('测试')).rejects.toThrow('Google Search API key or engine ID not configured');
+      expect(requests).toEqual([]);
+    });
+
+    it('429时提示超出频率限制，其他错误附带原因', async () => {
+      corpus.status = 429;
+      await expect(service.search('测试')).rejects.toThrow('Google Search API rate limit exceeded');
+
+      corpus.status = 500;
+      await expect(service.search('测试')).rejects.toThrow(/^Google search failed: Request failed with status code 500/);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const config = require('../../../src/config');
+const LocalCorpusSearchService = require('../../../src/services/search/LocalCorpusSearchService');
+
+const originalLocal = { ...config.search.local };
+const originalContentMaxLength = config.search.content.maxLength;
+
+const GUIDE = '# 部署指南\n\nDocker is the easiest way to deploy the service. Build the Docker image first.\n\nThen run docker compose up.';
+const NOTES = 'Cluster notes: the service also runs on Kubernetes. Docker is optional there.';
+
+describe('LocalCorpusSearchService', () => {
+  let dir;
+  let corpusDir;
+  let service;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(corpusDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const createService = () => {
+    const instance = new LocalCorpusSearchService();
+    jest.spyOn(instance.extractor, 'extractFile');
+    return instance;
+  };
+
+  const extractedFiles = instance => instance.extractor.extractFile.mock.calls
+    .map(([filePath]) => path.relative(corpusDir, filePath))
+    .sort();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-corpus-'));
+    corpusDir = path.join(dir, 'corpus');
+    Object.assign(config.search.local, {
+      corpusDir,
+      indexPath: path.join(dir, 'index', 'local-index.json'),
+      refreshInterval: 60000
+    });
+    config.search.content.maxLength = 3000;
+
+    writeFile('guide.md', GUIDE);
+    writeFile('notes.txt', NOTES);
+    writeFile('nested/kubernetes.txt', 'Kubernetes schedules containers across nodes.');
+    writeFile('.draft.md', 'Docker draft that should not be indexed.');
+    writeFile('data.csv', 'docker,docker,docker');
+
+    service = createService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config.search.local, originalLocal);
+    config.search.content.maxLength = originalContentMaxLength;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('search', () => {
+    it('按BM25得分排序，结果包含file://地址、标题和相对路径', async () => {
+      const results = await service.search('docker');
+
+      expect(results.map(result => result.filePath)).toEqual(['guide.md', 'notes.txt']);
+      expect(results[0]).toMatchObject({
+        source: 'local',
+        title: '部署指南',
+        url: pathToFileURL(path.join(corpusDir, 'guide.md')).href,
+        relevanceScore: 0
+      });
+      expect(results[0].scrapedAt).toBeInstanceOf(Date);
+    });
+
+    it('递归索引子目录，跳过隐藏文件和不支持的文件类型', async () => {
+      await service.search('docker');
+
+      expect(Object.keys(service.index.documents).sort()).toEqual(
+        ['guide.md', path.join('nested', 'kubernetes.txt'), 'notes.txt']
+      );
+      expect((await service.search('kubernetes')).map(result => result.filePath)).toEqual(
+        expect.arrayContaining([path.join('nested', 'kubernetes.txt'), 'notes.txt'])
+      );
+    });
+
+    it('maxResults限制结果数，没有命中时返回空数组', async () => {
+      expect(await service.search('docker', { maxResults: 1 })).toHaveLength(1);
+      expect(await service.search('terraform')).toEqual([]);
+    });
+
+    it('未配置文档目录时抛出错误', async () => {
+      service.corpusDir = null;
+
+      await expect(service.search('docker')).rejects.toThrow('Local corpus directory not configured');
+    });
+  });
+
+  describe('正文长度', () => {
+    beforeEach(() => {
+      writeFile('long.md', `# 长文档\n\n${'Docker layers are cached between builds. '.repeat(20)}\n\n${'Volumes keep data. '.repeat(20)}`);
+    });
+
+    const searchLong = async options => {
+      const results = await service.search('layers', options);
+      return results.find(result => result.filePath === 'long.md').content;
+    };
+
+    it('默认按config.search.content.maxLength截断', async () => {
+      config.search.content.maxLength = 100;
+
+      const content = await searchLong();
+
+      expect(content.length).toBeLessThanOrEqual(100);
+      expect(content.startsWith('# 长文档')).toBe(true);
+    });
+
+    it('请求的contentMaxLength优先，0为不截断', async () => {
+      config.search.content.maxLength = 100;
+
+      expect((await searchLong({ contentMaxLength: 500 })).length).toBeGreaterThan(100);
+      expect(await searchLong({ contentMaxLength: 0 })).toBe(fs.readFileSync(path.join(corpusDir, 'long.md'), 'utf8'));
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('从首个命中词前60个字符开始截取200个字符并合并空白', () => {
+      const text = `${'a'.repeat(100)}\n\nneedle ${'b'.repeat(300)}`;
+      const snippet = service.buildSnippet(text, ['missing', 'needle']);
+
+      expect(snippet.startsWith(`${'a'.repeat(58)} needle`)).toBe(true);
+      expect(snippet.length).toBeLessThanOrEqual(200);
+    });
+
+    it('没有命中词时从开头截取', () => {
+      expect(service.buildSnippet('  Hello   world  ', ['missing'])).toBe('Hello world');
+    });
+  });
+
+  describe('索引', () => {
+    it('索引写入磁盘，刷新间隔内的新实例直接使用磁盘索引', async () => {
+      await service.search('docker');
+      expect(extractedFiles(service)).toHaveLength(3);
+
+      const saved = JSON.parse(fs.readFileSync(config.search.local.indexPath, 'utf8'));
+      expect(saved).toMatchObject({ version: 2, corpusDir });
+
+      const reloaded = createService();
+      const results = await reloaded.search('docker');
+
+      expect(reloaded.extractor.extractFile).not.toHaveBeenCalled();
+      expect(results.map(result => result.filePath)).toEqual(['guide.md', 'notes.txt']);
+    });
+
+    it('重建时只重新提取修改时间或大小变化的文件，未修改文件的词频沿用上次索引', async () => {
+      await service.search('docker');
+      service.extractor.extractFile.mockClear();
+
+      writeFile('notes.txt', `${NOTES} Terraform provisions the nodes.`);
+      service.refreshInterval = -1;
+
+      expect((await service.search('terraform')).map(result => result.filePath)).toEqual(['notes.txt']);
+      expect(extractedFiles(service)).toEqual(['notes.txt']);
+      expect(service.index.postings.docker).toEqual({ 'guide.md': 3, 'notes.txt': 1 });
+      expect(service.index.postings.kubernetes).toEqual({ [path.join('nested', 'kubernetes.txt')]: 2, 'notes.txt': 1 });
+    });
+
+    it('删除的文件从索引中移除', async () => {
+      await service.search('docker');
+
+      fs.unlinkSync(path.join(corpusDir, 'notes.txt'));
+      service.refreshInterval = -1;
+
+      expect((await service.search('docker')).map(result => result.filePath)).toEqual(['guide.md']);
+      expect(service.index.postings.docker).toEqual({ 'guide.md': 3 });
+    });
+
+    it('磁盘索引版本不符时全部重新提取', async () => {
+      await service.search('docker');
+
+      const saved = JSON.parse(fs.readFileSync(config.search.local.indexPath, 'utf8'));
+      fs.writeFileSync(config.search.local.indexPath, JSON.stringify({ ...saved, version: 1 }));
+
+      const rebuilt = createService();
+      expect(await rebuilt.loadIndex()).toBeNull();
+
+      await rebuilt.search('docker');
+      expect(extractedFiles(rebuilt)).toHaveLength(3);
+      expect(JSON.parse(fs.readFileSync(config.search.local.indexPath, 'utf8')).version).toBe(2);
+    });
+
+    it('文档目录变化时不沿用旧目录的索引', async () => {
+      await service.search('docker');
+
+      const otherDir = path.join(dir, 'other');
+      fs.mkdirSync(otherDir);
+      fs.writeFileSync(path.join(otherDir, 'guide.md'), GUIDE);
+      config.search.local.corpusDir = otherDir;
+
+      const moved = createService();
+      const results = await moved.search('docker');
+
+      expect(moved.extractor.extractFile).toHaveBeenCalledTimes(1);
+      expect(results[0].url).toBe(pathToFileURL(path.join(otherDir, 'guide.md')).href);
+    });
+
+    it('并发搜索共享同一次重建', async () => {
+      await Promise.all([service.search('docker'), service.search('kubernetes')]);
+
+      expect(extractedFiles(service)).toHaveLength(3);
+    });
+  });
+
+  describe('healthCheck', () => {
+    it('文档目录存在时可用，未配置或不存在时不可用', async () => {
+      expect(await service.healthCheck()).toBe(true);
+
+      service.corpusDir = path.join(dir, 'missing');
+      expect(await service.healthCheck()).toBe(false);
+
+      service.corpusDir = null;
+      expect(await service.healthCheck()).toBe(false);
+    });
+  });
+});
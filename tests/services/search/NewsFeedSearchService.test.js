@@ -0,0 +1,199 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const iconv = require('iconv-lite');
+const NewsFeedSearchService = require('../../../src/services/search/NewsFeedSearchService');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../../fixtures/news', name), 'utf8');
+const RSS = fixture('rss.xml');
+const ATOM = fixture('atom.xml');
+
+/**
+ * 模拟新闻源：/rss.xml 和 /atom.xml 返回固定内容，/gbk.xml 返回GBK编码并在XML声明中注明的RSS，
+ * /search 返回一条标题为查询词的RSS结果（记录请求参数），/broken.xml 返回500
+ */
+function handleRequest(req, res, requests) {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams) });
+
+  const send = (contentType, body) => {
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(body);
+  };
+
+  switch (url.pathname) {
+    case '/rss.xml':
+      return send('application/rss+xml; charset=utf-8', RSS);
+    case '/atom.xml':
+      return send('application/atom+xml', ATOM);
+    case '/gbk.xml':
+      return send('application/xml', iconv.encode(
+        '<?xml version="1.0" encoding="GBK"?><rss><channel><title>地方新闻</title>' +
+        '<item><title>人工智能产业园开园</title><link>https://local.example.cn/1.html</link>' +
+        '<pubDate>Fri, 03 May 2024 08:00:00 +0800</pubDate></item></channel></rss>',
+        'gbk'
+      ));
+    case '/search':
+      return send('application/rss+xml', '<rss><channel><title>News search</title>' +
+        `<item><title>Search result for ${url.searchParams.get('q')}</title><link>https://search.example.com/1</link>` +
+        '<pubDate>Sat, 04 May 2024 00:00:00 GMT</pubDate></item></channel></rss>');
+    default:
+      res.writeHead(500);
+      res.end();
+  }
+}
+
+describe('NewsFeedSearchService.matchesQuery', () => {
+  const service = new NewsFeedSearchService();
+  const matches = (title, query, snippet = '') => service.matchesQuery({ title, snippet }, query);
+
+  it('按词匹配，忽略大小写，不匹配其他单词的一部分', () => {
+    expect(matches('New AI rules take effect', 'ai')).toBe(true);
+    expect(matches('He said the plan was fine', 'AI')).toBe(false);
+  });
+
+  it('至少一半的查询词出现在标题或摘要中', () => {
+    expect(matches('EU passes AI Act', 'AI regulation')).toBe(true);
+    expect(matches('Weekly roundup', 'AI regulation', 'New regulation for banks')).toBe(true);
+    expect(matches('AI startup raises funds', 'AI regulation europe parliament')).toBe(false);
+  });
+
+  it('不带空格的中文查询按二元组匹配，不要求整句出现', () => {
+    expect(matches('人工智能的发展趋势报告发布', '人工智能发展')).toBe(true);
+    expect(matches('智能手机销量下滑', '人工智能发展')).toBe(false);
+  });
+
+  it('中英文混排时分别切分', () => {
+    expect(matches('OpenAI发布GPT模型', 'GPT')).toBe(true);
+  });
+
+  it('查询只有标点时不匹配', () => {
+    expect(matches('任意标题', '。，')).toBe(false);
+  });
+});
+
+describe('NewsFeedSearchService', () => {
+  let server;
+  let origin;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', () => {
+      origin = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    service = new NewsFeedSearchService();
+    service.searchUrl = '';
+    service.feeds = [];
+  });
+
+  describe('parseFeed', () => {
+    it('解析RSS 2.0，去除HTML标签，链接缺失时使用guid，发布方默认为频道标题', () => {
+      const items = service.parseFeed(RSS);
+
+      expect(items.map(item => item.url)).toEqual([
+        'https://news.example.cn/2024/05/ai-rules.html',
+        'https://news.example.cn/2024/04/chips.html',
+        'https://news.example.cn/2024/04/bad-date.html',
+        'https://news.example.cn/2024/05/weather.html'
+      ]);
+      expect(items[0]).toEqual({
+        source: 'news',
+        title: '人工智能监管新规 正式发布',
+        url: 'https://news.example.cn/2024/05/ai-rules.html',
+        snippet: '国家发布人工智能 监管新规， 详情 见正文。',
+        content: '',
+        siteName: '科技日报',
+        publishedAt: new Date('2024-05-01T00:00:00Z'),
+        relevanceScore: 0,
+        scrapedAt: null
+      });
+      expect(items[1]).toMatchObject({ siteName: '新华通讯', publishedAt: new Date('2024-04-20T10:00:00Z') });
+      expect(items[2].publishedAt).toBeNull();
+    });
+
+    it('解析Atom，优先使用alternate链接和published，发布方取自source', () => {
+      const items = service.parseFeed(ATOM);
+
+      expect(items[0]).toMatchObject({
+        title: 'EU AI Act enters into force',
+        url: 'https://wire.example.com/2024/05/eu-ai-act',
+        snippet: "The European Union's AI Act is now in force.",
+        siteName: 'Tech Wire',
+        publishedAt: new Date('2024-05-03T09:30:00Z')
+      });
+      expect(items[1]).toMatchObject({
+        url: 'https://wire.example.com/2024/04/ai-safety',
+        snippet: 'A new AI safety institute opened this week.',
+        siteName: 'Partner Wire',
+        publishedAt: new Date('2024-04-25T00:00:00Z')
+      });
+    });
+  });
+
+  describe('search', () => {
+    it('订阅源按查询过滤，合并去重后按发布时间倒序', async () => {
+      service.feeds = [`${origin}/rss.xml`, `${origin}/atom.xml`];
+
+      const results = await service.search('人工智能');
+
+      expect(results.map(result => result.url)).toEqual([
+        'https://news.example.cn/2024/05/ai-rules.html',
+        'https://news.example.cn/2024/04/chips.html',
+        'https://news.example.cn/2024/04/bad-date.html'
+      ]);
+    });
+
+    it('按maxResults截断，没有日期的条目排在最后', async () => {
+      service.feeds = [`${origin}/atom.xml`, `${origin}/rss.xml`];
+
+      const results = await service.search('AI', { maxResults: 2 });
+
+      expect(results.map(result => result.title)).toEqual(['EU AI Act enters into force', 'AI safety institute opens']);
+    });
+
+    it('按XML声明解码GBK编码的源', async () => {
+      service.feeds = [`${origin}/gbk.xml`];
+
+      const [result] = await service.search('人工智能');
+
+      expect(result).toMatchObject({ title: '人工智能产业园开园', siteName: '地方新闻' });
+    });
+
+    it('通用新闻搜索填入查询和语言，结果不再按关键词过滤', async () => {
+      service.searchUrl = `${origin}/search?q={query}&hl={lang}&gl={region}`;
+
+      const results = await service.search('量子 计算', { language: 'zh' });
+      await service.search('quantum', { language: 'fr' });
+
+      expect(requests.map(request => request.params)).toEqual([
+        { q: '量子 计算', hl: 'zh-CN', gl: 'CN' },
+        { q: 'quantum', hl: 'en-US', gl: 'US' }
+      ]);
+      expect(results).toHaveLength(1);
+      expect(results[0].publishedAt).toEqual(new Date('2024-05-04T00:00:00Z'));
+    });
+
+    it('部分源失败时使用其余源的结果，全部失败时抛出错误', async () => {
+      service.feeds = [`${origin}/broken.xml`, `${origin}/rss.xml`];
+      expect(await service.search('人工智能')).toHaveLength(3);
+
+      service.feeds = [`${origin}/broken.xml`];
+      await expect(service.search('人工智能')).rejects.toThrow('News search failed: All news feeds failed');
+    });
+
+    it('没有配置搜索地址和订阅源时抛出错误', async () => {
+      await expect(service.search('人工智能')).rejects.toThrow('No news search URL or feeds configured');
+    });
+  });
+});
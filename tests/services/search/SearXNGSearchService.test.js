@@ -0,0 +1,203 @@
+const http = require('http');
+const SearXNGSearchService = require('../../../src/services/search/SearXNGSearchService');
+
+const PAGE_SIZE = 10;
+const TOTAL_RESULTS = 25;
+
+/**
+ * 模拟SearXNG的JSON接口：每页10条，共25条，第二页重复一条第一页的结果；
+ * q 为 "disabled" 时返回403（实例未开启JSON格式），q 为 "ratelimit" 时返回429
+ */
+function handleRequest(req, res, requests) {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+  requests.push({ path: url.pathname, params });
+
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (params.format !== 'json' || params.q === 'disabled') {
+    res.writeHead(403, { 'Content-Type': 'text/html' });
+    return res.end('<h1>403 Forbidden</h1>');
+  }
+  if (params.q === 'ratelimit') {
+    res.writeHead(429, { 'Content-Type': 'text/html' });
+    return res.end('<h1>Too Many Requests</h1>');
+  }
+
+  const offset = (parseInt(params.pageno) - 1) * PAGE_SIZE;
+  const indexes = Array.from({ length: Math.max(0, Math.min(PAGE_SIZE, TOTAL_RESULTS - offset)) }, (_, i) => offset + i);
+  if (offset === PAGE_SIZE) {
+    indexes[0] = 0;
+  }
+
+  send(200, {
+    query: params.q,
+    number_of_results: TOTAL_RESULTS,
+    results: indexes.map(i => ({
+      url: `https://example.com/${i}`,
+      title: `结果 ${i}`,
+      content: `摘要 ${i}`,
+      engine: 'bing',
+      engines: i % 2 === 0 ? ['bing', 'duckduckgo'] : undefined,
+      thumbnail: i === 0 ? 'https://example.com/0.png' : undefined,
+      publishedDate: i === 0 ? '2024-05-01T00:00:00' : null
+    })).concat(offset === 0 ? [{ title: '没有地址的结果' }] : [])
+  });
+}
+
+describe('SearXNGSearchService', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    service = new SearXNGSearchService();
+    service.baseUrl = baseUrl;
+    service.engines = [];
+    service.categories = ['general'];
+  });
+
+  describe('分页', () => {
+    it('按 pageno 翻页直到满足数量，并去除重复地址', async () => {
+      const results = await service.search('分页', { maxResults: 15 });
+
+      expect(requests.map(({ path, params }) => [path, params.pageno])).toEqual([['/search', '1'], ['/search', '2']]);
+      expect(results).toHaveLength(15);
+      expect(new Set(results.map(result => result.url)).size).toBe(15);
+      expect(results[10].url).toBe('https://example.com/11');
+    });
+
+    it('没有更多结果时停止翻页', async () => {
+      const results = await service.search('全部', { maxResults: 100 });
+
+      expect(requests.map(({ params }) => params.pageno)).toEqual(['1', '2', '3', '4']);
+      expect(results).toHaveLength(TOTAL_RESULTS - 1);
+    });
+
+    it('不超过最大页数', async () => {
+      service.maxPages = 2;
+      await service.search('全部', { maxResults: 100 });
+
+      expect(requests).toHaveLength(2);
+    });
+  });
+
+  describe('结果格式', () => {
+    it('转换为统一的结果格式，忽略没有地址的结果', async () => {
+      const results = await service.search('格式', { maxResults: 10 });
+
+      expect(results).toHaveLength(10);
+      expect(results[0]).toMatchObject({
+        source: 'searxng',
+        title: '结果 0',
+        url: 'https://example.com/0',
+        snippet: '摘要 0',
+        content: '',
+        thumbnail: 'https://example.com/0.png',
+        engines: ['bing', 'duckduckgo']
+      });
+      expect(results[0].publishedAt).toBeInstanceOf(Date);
+      expect(results[1]).toMatchObject({ engines: ['bing'], thumbnail: null, publishedAt: null });
+    });
+  });
+
+  describe('请求参数', () => {
+    it('发送默认参数', async () => {
+      await service.search('参数', { maxResults: 5 });
+
+      expect(requests[0].params).toEqual({
+        q: '参数',
+        format: 'json',
+        pageno: '1',
+        safesearch: '1',
+        language: 'zh-CN',
+        categories: 'general'
+      });
+    });
+
+    it('指定的引擎和分类', async () => {
+      await service.search('引擎', { maxResults: 5, engines: ['google', 'bing'], categories: ['news', 'science'] });
+
+      expect(requests[0].params).toMatchObject({ engines: 'google,bing', categories: 'news,science' });
+    });
+
+    it.each([
+      ['zh', 'zh-CN'],
+      ['en', 'en'],
+      ['auto', 'auto']
+    ])('语言 %s 对应 %s', async (language, expected) => {
+      await service.search('语言', { maxResults: 1, language });
+      expect(requests[0].params.language).toBe(expected);
+    });
+
+    it('不支持的语言不发送 language', async () => {
+      await service.search('语言', { maxResults: 1, language: 'xx' });
+      expect(requests[0].params.language).toBeUndefined();
+    });
+
+    it.each([
+      ['off', '0'],
+      ['medium', '1'],
+      ['high', '2']
+    ])('安全搜索 %s 对应 %s', async (safeSearch, expected) => {
+      await service.search('安全', { maxResults: 1, safeSearch });
+      expect(requests[0].params.safesearch).toBe(expected);
+    });
+
+    it.each(['day', 'week', 'month', 'year'])('时效 %s 作为 time_range 发送', async freshness => {
+      await service.search('时效', { maxResults: 1, freshness });
+      expect(requests[0].params.time_range).toBe(freshness);
+    });
+
+    it('时效为 any 时不发送 time_range', async () => {
+      await service.search('时效', { maxResults: 1, freshness: 'any' });
+      expect(requests[0].params.time_range).toBeUndefined();
+    });
+  });
+
+  describe('错误处理', () => {
+    it('未配置地址时不发送请求', async () => {
+      service.baseUrl = null;
+
+      await expect(service.search('地址')).rejects.toThrow('SearXNG base URL not configured');
+      expect(await service.healthCheck()).toBe(false);
+      expect(requests).toHaveLength(0);
+    });
+
+    it('403时提示实例未开启JSON格式', async () => {
+      await expect(service.search('disabled')).rejects.toThrow('SearXNG JSON format is disabled on this instance');
+    });
+
+    it('429时提示超出速率限制', async () => {
+      await expect(service.search('ratelimit')).rejects.toThrow('SearXNG rate limit exceeded');
+    });
+  });
+
+  describe('healthCheck', () => {
+    it('实例返回JSON结果时可用', async () => {
+      expect(await service.healthCheck()).toBe(true);
+    });
+
+    it('实例无法连接时不可用', async () => {
+      service.baseUrl = 'http://127.0.0.1:1';
+      expect(await service.healthCheck()).toBe(false);
+    });
+  });
+});
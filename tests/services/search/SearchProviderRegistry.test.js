@@ -0,0 +1,185 @@
+const path = require('path');
+const Joi = require('joi');
+const config = require('../../../src/config');
+const registry = require('../../../src/services/search/SearchProviderRegistry');
+
+const SearchProviderRegistry = registry.constructor;
+const originalDefaultSources = config.search.defaultSources;
+const originalWeights = config.search.fusion.weights;
+const originalTtls = config.cache.search.ttls;
+
+describe('SearchProviderRegistry', () => {
+  let providers;
+
+  beforeEach(() => {
+    providers = new SearchProviderRegistry();
+    providers.loadDirectory(path.join(__dirname, '../../fixtures/providers'));
+    config.search.defaultSources = [];
+    config.search.fusion.weights = {};
+    config.cache.search.ttls = {};
+  });
+
+  afterEach(() => {
+    config.search.defaultSources = originalDefaultSources;
+    config.search.fusion.weights = originalWeights;
+    config.cache.search.ttls = originalTtls;
+  });
+
+  describe('register', () => {
+    it('未设置的字段使用默认值', () => {
+      expect(providers.get('beta')).toMatchObject({
+        name: 'beta',
+        displayName: 'beta',
+        capabilities: ['web'],
+        defaultWeight: 1.0,
+        quotaShare: 0.3,
+        enabledByDefault: false,
+        options: {}
+      });
+    });
+
+    it('缺少名称、create() 或重复注册时抛出错误', () => {
+      expect(() => providers.register({ create: () => ({}) })).toThrow('must have a name');
+      expect(() => providers.register({ name: 'gamma' })).toThrow('must provide a create() factory');
+      expect(() => providers.register({ name: 'alpha', create: () => ({}) })).toThrow('already registered');
+    });
+
+    it('返回注册表本身以便链式调用', () => {
+      const result = providers
+        .register({ name: 'gamma', create: () => ({}) })
+        .register({ name: 'delta', create: () => ({}) });
+
+      expect(result).toBe(providers);
+      expect(providers.has('delta')).toBe(true);
+    });
+  });
+
+  describe('loadDirectory', () => {
+    it('按文件名顺序加载 .js 模块，忽略其他文件', () => {
+      expect(providers.getNames()).toEqual(['alpha', 'beta']);
+    });
+
+    it('内置数据源目录中的模块都已注册', () => {
+      expect(registry.getNames()).toEqual(expect.arrayContaining(['google', 'bing', 'wikipedia', 'searxng', 'local', 'news']));
+    });
+  });
+
+  describe('getService', () => {
+    it('按需创建并复用实例，未知数据源抛出错误', () => {
+      const service = providers.getService('alpha');
+
+      expect(service).toEqual({ name: 'alpha' });
+      expect(providers.getService('alpha')).toBe(service);
+      expect(() => providers.getService('missing')).toThrow('Unknown search provider: missing');
+    });
+  });
+
+  describe('getDefaultSources', () => {
+    it('未配置时使用enabledByDefault', () => {
+      expect(providers.getDefaultSources()).toEqual(['alpha']);
+    });
+
+    it('config.search.defaultSources优先，并忽略未注册的名称', () => {
+      config.search.defaultSources = ['beta', 'missing'];
+      expect(providers.getDefaultSources()).toEqual(['beta']);
+    });
+
+    it('配置的名称都未注册时回退到enabledByDefault', () => {
+      config.search.defaultSources = ['missing'];
+      expect(providers.getDefaultSources()).toEqual(['alpha']);
+    });
+  });
+
+  describe('getConfiguredSources', () => {
+    it('包含默认启用的数据源和isConfigured()为真的数据源', () => {
+      let configured = false;
+      providers.register({ name: 'keyed', isConfigured: () => configured, create: () => ({}) });
+
+      expect(providers.getConfiguredSources()).toEqual(['alpha']);
+      configured = true;
+      expect(providers.getConfiguredSources()).toEqual(['alpha', 'keyed']);
+    });
+  });
+
+  describe('getByCapability', () => {
+    it('按能力标签筛选数据源', () => {
+      expect(providers.getByCapability('web')).toEqual(['alpha', 'beta']);
+      expect(providers.getByCapability('thumbnail')).toEqual(['alpha']);
+      expect(providers.hasCapability('beta', 'thumbnail')).toBe(false);
+      expect(providers.hasCapability('missing', 'web')).toBe(false);
+    });
+  });
+
+  describe('allocateQuota', () => {
+    it('按quotaShare比例分配并向上取整', () => {
+      expect(providers.allocateQuota(['alpha', 'beta'], 10)).toEqual({ alpha: 7, beta: 3 });
+      expect(providers.allocateQuota(['alpha', 'beta'], 5)).toEqual({ alpha: 4, beta: 2 });
+    });
+
+    it('每个数据源至少分配1条，单个数据源分到全部结果', () => {
+      expect(providers.allocateQuota(['alpha', 'beta'], 1)).toEqual({ alpha: 1, beta: 1 });
+      expect(providers.allocateQuota(['beta'], 8)).toEqual({ beta: 8 });
+    });
+
+    it('忽略未注册的数据源，quotaShare均为0时平均分配', () => {
+      providers.register({ name: 'zero1', quotaShare: 0, create: () => ({}) });
+      providers.register({ name: 'zero2', quotaShare: 0, create: () => ({}) });
+
+      expect(providers.allocateQuota(['alpha', 'missing'], 6)).toEqual({ alpha: 6 });
+      expect(providers.allocateQuota(['zero1', 'zero2'], 6)).toEqual({ zero1: 3, zero2: 3 });
+    });
+  });
+
+  describe('getWeight', () => {
+    it('依次使用配置的融合权重、defaultWeight和未注册来源的默认权重', () => {
+      config.search.fusion.weights = { beta: 0.5 };
+
+      expect(providers.getWeight('beta')).toBe(0.5);
+      expect(providers.getWeight('alpha')).toBe(1.5);
+      expect(providers.getWeight('citation')).toBe(0.8);
+      expect(providers.getWeight('citation', 0.6)).toBe(0.6);
+    });
+
+    it('配置为0的权重同样生效', () => {
+      config.search.fusion.weights = { alpha: 0 };
+      expect(providers.getWeight('alpha')).toBe(0);
+    });
+  });
+
+  describe('getCacheTtl', () => {
+    it('依次使用配置、数据源的cacheTtl和默认缓存时间', () => {
+      providers.register({ name: 'nocache', cacheTtl: 0, create: () => ({}) });
+      config.cache.search.ttls = { beta: 1000 };
+
+      expect(providers.getCacheTtl('beta')).toBe(1000);
+      expect(providers.getCacheTtl('nocache')).toBe(0);
+      expect(providers.getCacheTtl('alpha')).toBe(config.cache.search.ttl);
+    });
+  });
+
+  describe('getOptionsSchema', () => {
+    beforeEach(() => {
+      providers.register({
+        name: 'optioned',
+        options: { safeSearch: Joi.string().valid('off', 'high') },
+        create: () => ({})
+      });
+    });
+
+    it('接受数据源声明的选项', () => {
+      const { error, value } = providers.getOptionsSchema().validate({ optioned: { safeSearch: 'high' }, alpha: {} });
+
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ optioned: { safeSearch: 'high' }, alpha: {} });
+    });
+
+    it('拒绝未声明的选项、通用参数和未知数据源', () => {
+      const schema = providers.getOptionsSchema();
+
+      expect(schema.validate({ optioned: { safeSearch: 'medium' } }).error).toBeDefined();
+      expect(schema.validate({ optioned: { maxResults: 100 } }).error).toBeDefined();
+      expect(schema.validate({ alpha: { language: 'en' } }).error).toBeDefined();
+      expect(schema.validate({ missing: {} }).error).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,506 @@
+const config = require('../../../src/config');
+
+// SearchService构造时创建GeminiService，需要有密钥
+config.ai.gemini.apiKey = config.ai.gemini.apiKey || 'test-key';
+
+const SearchService = require('../../../src/services/search/SearchService');
+const providerRegistry = require('../../../src/services/search/SearchProviderRegistry');
+
+const SearchProviderRegistry = providerRegistry.constructor;
+const originalFusion = { ...config.search.fusion };
+const originalDiversity = { ...config.search.diversity };
+const originalRankingWeight = config.credibility.rankingWeight;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 构造结果，各结果使用不同域名，标题不含查询词（不参与BM25排名）
+ */
+function makeResult(id, fields = {}) {
+  return {
+    source: 'google',
+    title: `Result ${id}`,
+    url: `https://site-${id}.example.com/`,
+    snippet: '',
+    ...fields
+  };
+}
+
+describe('SearchService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SearchService();
+    Object.assign(config.search.fusion, { k: 60, weights: { google: 1, wikipedia: 2, bing: 1 }, relevanceWeight: 0 });
+    config.credibility.rankingWeight = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config.search.fusion, originalFusion);
+    Object.assign(config.search.diversity, originalDiversity);
+    config.credibility.rankingWeight = originalRankingWeight;
+  });
+
+  describe('fuseResults', () => {
+    it('按加权倒数排名融合，多个数据源的贡献相加', () => {
+      const results = service.fuseResults([
+        makeResult('a', { providerRanks: { google: 1 } }),
+        makeResult('b', { providerRanks: { wikipedia: 1 } }),
+        makeResult('c', { providerRanks: { google: 2, wikipedia: 2 } })
+      ], 'query');
+
+      expect(results.map(result => result.title)).toEqual(['Result c', 'Result b', 'Result a']);
+      // 理论最高分：在google和wikipedia中均排第一，即 (1 + 2) / 61
+      expect(results[0].relevanceScore).toBeCloseTo((3 / 62) / (3 / 61), 10);
+      expect(results[1].relevanceScore).toBeCloseTo((2 / 61) / (3 / 61), 10);
+      expect(results[2].relevanceScore).toBeCloseTo((1 / 61) / (3 / 61), 10);
+    });
+
+    it('在所有排名列表中均排第一的结果relevanceScore为1', () => {
+      config.search.fusion.relevanceWeight = 1;
+
+      const results = service.fuseResults([
+        makeResult('a', { title: 'Quantum computing', providerRanks: { google: 1, bing: 1 } }),
+        makeResult('b', { providerRanks: { google: 2, bing: 2 } })
+      ], 'quantum');
+
+      expect(results[0].relevanceScore).toBe(1);
+      results.forEach(result => {
+        expect(result.relevanceScore).toBeGreaterThan(0);
+        expect(result.relevanceScore).toBeLessThanOrEqual(1);
+      });
+    });
+
+    it('BM25文本相关性作为额外的排名列表参与融合，relevanceWeight为0时不参与', () => {
+      const input = [
+        makeResult('a', { providerRanks: { google: 1 } }),
+        makeResult('b', { title: 'Quantum computing', providerRanks: { google: 2 } })
+      ];
+
+      expect(service.fuseResults(input, 'quantum').map(result => result.title)).toEqual(['Result a', 'Quantum computing']);
+
+      config.search.fusion.relevanceWeight = 1;
+      const results = service.fuseResults(input, 'quantum');
+
+      expect(results.map(result => result.title)).toEqual(['Quantum computing', 'Result a']);
+      expect(results[0].relevanceScore).toBeCloseTo((1 / 62 + 1 / 61) / (2 / 61), 10);
+    });
+
+    it('配置的数据源权重改变排序', () => {
+      const input = [
+        makeResult('a', { providerRanks: { google: 1 } }),
+        makeResult('b', { providerRanks: { bing: 1 } })
+      ];
+      config.search.fusion.weights = { google: 1, bing: 3 };
+
+      expect(service.fuseResults(input, 'query').map(result => result.title)).toEqual(['Result b', 'Result a']);
+    });
+
+    it('按时效性加权时较新的结果靠前，超过理论最高分时按实际最高分缩放', () => {
+      const results = service.fuseResults([
+        makeResult('old', { providerRanks: { google: 1 }, publishedAt: new Date(Date.now() - 30 * DAY) }),
+        makeResult('new', { providerRanks: { google: 2 }, publishedAt: new Date() }),
+        makeResult('undated', { providerRanks: { google: 3 } })
+      ], 'query', { freshness: 'week' });
+
+      expect(results.map(result => result.title)).toEqual(['Result new', 'Result old', 'Result undated']);
+      expect(results[0].relevanceScore).toBe(1);
+      expect(results[2].relevanceScore).toBeCloseTo((1 / 63) / (2 / 62), 3);
+    });
+
+    it('freshness为any时不按发布时间加权', () => {
+      const results = service.fuseResults([
+        makeResult('old', { providerRanks: { google: 1 }, publishedAt: new Date(Date.now() - 30 * DAY) }),
+        makeResult('new', { providerRanks: { google: 2 }, publishedAt: new Date() })
+      ], 'query');
+
+      expect(results.map(result => result.title)).toEqual(['Result old', 'Result new']);
+    });
+
+    it('可信度按rankingWeight调整融合分数', () => {
+      const input = [
+        makeResult('low', { providerRanks: { google: 1 }, credibility: { score: 0.2 } }),
+        makeResult('high', { providerRanks: { bing: 1 }, credibility: { score: 0.9 } })
+      ];
+
+      expect(service.fuseResults(input, 'query').map(result => result.title)).toEqual(['Result low', 'Result high']);
+
+      config.credibility.rankingWeight = 0.5;
+      const results = service.fuseResults(input, 'query');
+
+      expect(results.map(result => result.title)).toEqual(['Result high', 'Result low']);
+      expect(results[0].relevanceScore).toBeCloseTo(0.95 / 2, 10);
+      expect(results[1].relevanceScore).toBeCloseTo(0.6 / 2, 10);
+    });
+  });
+
+  describe('getCredibilityFactor', () => {
+    it('系数为 1 - w + w × 可信度', () => {
+      config.credibility.rankingWeight = 0.3;
+
+      expect(service.getCredibilityFactor({ credibility: { score: 0.5 } })).toBeCloseTo(0.85, 10);
+      expect(service.getCredibilityFactor({ credibility: { score: 1 } })).toBeCloseTo(1, 10);
+
+      config.credibility.rankingWeight = 1;
+      expect(service.getCredibilityFactor({ credibility: { score: 0.4 } })).toBeCloseTo(0.4, 10);
+    });
+
+    it('没有可信度或rankingWeight为0时不调整', () => {
+      config.credibility.rankingWeight = 0.3;
+      expect(service.getCredibilityFactor({})).toBe(1);
+
+      config.credibility.rankingWeight = 0;
+      expect(service.getCredibilityFactor({ credibility: { score: 0.1 } })).toBe(1);
+    });
+  });
+
+  describe('getFreshnessBoost', () => {
+    it('刚发布的结果接近2，随时间衰减，没有日期或any时为1', () => {
+      expect(service.getFreshnessBoost({ publishedAt: new Date() }, 'day')).toBeCloseTo(2, 3);
+      expect(service.getFreshnessBoost({ publishedAt: new Date(Date.now() - DAY) }, 'day')).toBeCloseTo(1 + Math.exp(-1), 3);
+      expect(service.getFreshnessBoost({}, 'day')).toBe(1);
+      expect(service.getFreshnessBoost({ publishedAt: new Date() }, 'any')).toBe(1);
+    });
+  });
+
+  describe('selectDiverseResults', () => {
+    const titlesOf = results => results.map(result => result.title);
+
+    beforeEach(() => {
+      Object.assign(config.search.diversity, { lambda: 1, maxPerDomain: 0 });
+    });
+
+    it('按MMR选取，与已选结果相似的结果后移', () => {
+      const results = [
+        makeResult('a', { title: 'Quantum computing basics', relevanceScore: 1 }),
+        makeResult('b', { title: 'Quantum computing basics', relevanceScore: 0.9 }),
+        makeResult('c', { title: 'Superconducting qubit hardware', relevanceScore: 0.8 })
+      ];
+
+      expect(titlesOf(service.selectDiverseResults(results, 3))).toEqual(
+        ['Quantum computing basics', 'Quantum computing basics', 'Superconducting qubit hardware']
+      );
+
+      config.search.diversity.lambda = 0.5;
+      const selected = service.selectDiverseResults(results, 3);
+
+      expect(titlesOf(selected)).toEqual(['Quantum computing basics', 'Superconducting qubit hardware', 'Quantum computing basics']);
+      expect(selected[2]).toBe(results[1]);
+    });
+
+    it('同一域名达到maxPerDomain后优先选取其他域名的结果', () => {
+      config.search.diversity.maxPerDomain = 2;
+      const results = [
+        makeResult('a1', { url: 'https://a.example.org/1', relevanceScore: 1 }),
+        makeResult('a2', { url: 'https://www.a.example.org/2', relevanceScore: 0.9 }),
+        makeResult('a3', { url: 'http://a.example.org/3', relevanceScore: 0.8 }),
+        makeResult('b1', { url: 'https://b.example.org/1', relevanceScore: 0.1 })
+      ];
+
+      expect(titlesOf(service.selectDiverseResults(results, 3))).toEqual(['Result a1', 'Result a2', 'Result b1']);
+    });
+
+    it('其他域名的结果不足时超出上限补足', () => {
+      config.search.diversity.maxPerDomain = 1;
+      const results = [
+        makeResult('a1', { url: 'https://a.example.org/1', relevanceScore: 1 }),
+        makeResult('a2', { url: 'https://a.example.org/2', relevanceScore: 0.9 }),
+        makeResult('b1', { url: 'https://b.example.org/1', relevanceScore: 0.2 }),
+        makeResult('a3', { url: 'https://a.example.org/3', relevanceScore: 0.8 })
+      ];
+
+      expect(titlesOf(service.selectDiverseResults(results, 4))).toEqual(['Result a1', 'Result b1', 'Result a2', 'Result a3']);
+    });
+
+    it('本地文档按数据源计入域名上限', () => {
+      config.search.diversity.maxPerDomain = 1;
+      const results = [
+        makeResult('doc1', { source: 'local', url: 'file:///corpus/1.md', relevanceScore: 1 }),
+        makeResult('doc2', { source: 'local', url: 'file:///corpus/2.md', relevanceScore: 0.9 }),
+        makeResult('web', { relevanceScore: 0.1 })
+      ];
+
+      expect(titlesOf(service.selectDiverseResults(results, 2))).toEqual(['Result doc1', 'Result web']);
+    });
+
+    it('结果不足maxResults时全部返回', () => {
+      const results = [makeResult('a', { relevanceScore: 1 }), makeResult('b', { relevanceScore: 0.5 })];
+
+      expect(service.selectDiverseResults(results, 10)).toHaveLength(2);
+      expect(service.selectDiverseResults(results.slice(0, 1), 0)).toEqual([]);
+      expect(service.selectDiverseResults([], 5)).toEqual([]);
+    });
+  });
+
+  describe('filterResultsByFreshness', () => {
+    it('移除超出时间窗口的结果，保留没有发布日期的结果', () => {
+      const results = [
+        makeResult('fresh', { publishedAt: new Date(Date.now() - 2 * DAY) }),
+        makeResult('old', { publishedAt: new Date(Date.now() - 10 * DAY).toISOString() }),
+        makeResult('undated', { publishedAt: null })
+      ];
+
+      expect(service.filterResultsByFreshness(results, 'week').map(result => result.title))
+        .toEqual(['Result fresh', 'Result undated']);
+      expect(service.filterResultsByFreshness(results, 'month')).toHaveLength(3);
+      expect(service.filterResultsByFreshness(results, 'any')).toBe(results);
+    });
+  });
+
+  describe('getResultDomain', () => {
+    it('网页结果取规范化后的主机名', () => {
+      expect(service.getResultDomain({ source: 'google', url: 'https://www.example.com/a' })).toBe('example.com');
+      expect(service.getResultDomain({ source: 'google', url: 'http://m.example.com/b?utm_source=x' })).toBe('example.com');
+      expect(service.getResultDomain({ source: 'wikipedia', url: 'https://zh.m.wikipedia.org/wiki/A' })).toBe('zh.wikipedia.org');
+    });
+
+    it('file://等非网页地址和无效地址按数据源归组', () => {
+      expect(service.getResultDomain({ source: 'local', url: 'file:///corpus/guide.md' })).toBe('local');
+      expect(service.getResultDomain({ source: 'local', url: 'not a url' })).toBe('local');
+      expect(service.getResultDomain({ source: 'citation' })).toBe('citation');
+    });
+  });
+
+  describe('失效链接', () => {
+    it('fetchArchivedPage使用存档快照的内容，保留原页面的错误', async () => {
+      jest.spyOn(service.archiveService, 'fetchSnapshot').mockResolvedValue({
+        buffer: Buffer.from('<html><head><title>存档页面</title></head><body><article><p>这是存档快照中的正文内容。</p></article></body></html>'),
+        contentType: 'text/html',
+        archivedAt: new Date('2023-05-01T12:30:45Z'),
+        archiveUrl: 'https://web.archive.org/web/20230501123045/https://example.com/gone'
+      });
+
+      const page = await service.fetchArchivedPage('https://example.com/gone', 'HTTP 404');
+
+      expect(page).toMatchObject({
+        archived: true,
+        archivedAt: new Date('2023-05-01T12:30:45Z'),
+        archiveUrl: 'https://web.archive.org/web/20230501123045/https://example.com/gone',
+        fetchError: 'HTTP 404'
+      });
+      expect(page.content).toContain('存档快照中的正文');
+    });
+
+    it('fetchArchivedPage没有快照时返回空内容和原页面的错误', async () => {
+      jest.spyOn(service.archiveService, 'fetchSnapshot').mockResolvedValue(null);
+
+      expect(await service.fetchArchivedPage('https://example.com/never', 'ECONNREFUSED')).toEqual({ content: '', fetchError: 'ECONNREFUSED' });
+    });
+
+    it('collectDeadLinks每个地址只记录一次，没有快照的链接archived为false', () => {
+      const deadLinks = service.collectDeadLinks([
+        makeResult('gone', {
+          url: 'https://example.com/gone',
+          fetchError: 'HTTP 404',
+          archived: true,
+          archivedAt: new Date('2023-05-01T12:30:45Z'),
+          archiveUrl: 'https://web.archive.org/web/20230501123045/https://example.com/gone'
+        }),
+        makeResult('ok'),
+        makeResult('never', { url: 'https://example.com/never', fetchError: 'ECONNREFUSED' }),
+        makeResult('gone-again', { url: 'https://example.com/gone', fetchError: 'timeout' })
+      ]);
+
+      expect(deadLinks).toEqual([
+        {
+          url: 'https://example.com/gone',
+          title: 'Result gone',
+          error: 'HTTP 404',
+          archived: true,
+          archivedAt: new Date('2023-05-01T12:30:45Z'),
+          archiveUrl: 'https://web.archive.org/web/20230501123045/https://example.com/gone'
+        },
+        { url: 'https://example.com/never', title: 'Result never', error: 'ECONNREFUSED', archived: false, archivedAt: null, archiveUrl: null }
+      ]);
+    });
+
+    it('失效链接写入Markdown报告，有快照的链接附带存档日期', () => {
+      const deadLinks = service.collectDeadLinks([
+        makeResult('gone', { url: 'https://example.com/gone', fetchError: 'HTTP 404', archived: true, archivedAt: new Date('2023-05-01T12:30:45Z'), archiveUrl: 'https://web.archive.org/x' }),
+        makeResult('never', { url: 'https://example.com/never', fetchError: 'ECONNREFUSED' })
+      ]);
+
+      const section = service.markdownService.buildDeadLinksSection(deadLinks);
+
+      expect(section).toContain('1. **[Result gone](https://example.com/gone)**');
+      expect(section).toContain('存档快照: [2023-05-01](https://web.archive.org/x)');
+      expect(section).toContain('2. **[Result never](https://example.com/never)**');
+      expect(section).toContain('错误: ECONNREFUSED  \n   存档快照: 无');
+    });
+  });
+
+  describe('followCitations', () => {
+    const citations = () => [
+      {
+        url: 'https://paper.example.org/y',
+        text: 'Paper Y',
+        context: 'The paper that introduced the model.',
+        relevance: 0.7,
+        score: 1.05,
+        citedBy: [{ url: 'https://a.example.com/article', title: 'Article A' }]
+      },
+      { url: 'https://paper.example.org/x', text: 'Paper X', context: '', relevance: 0.6, score: 0.6, citedBy: [] },
+      { url: 'https://spam.example/z', text: 'Paper Z', context: '', relevance: 0.5, score: 0.5, citedBy: [] }
+    ];
+
+    beforeEach(() => {
+      service.credibilityService.deny = ['spam.example'];
+      jest.spyOn(service, 'scrapePageContent').mockImplementation(async url => (
+        url.endsWith('/y')
+          ? { content: '被引页面的正文', title: 'Paper Y title', metadata: {} }
+          : { content: '', fetchError: 'HTTP 404', metadata: {} }
+      ));
+      jest.spyOn(service, 'analyzeRoundResults').mockResolvedValue({ keyFindings: ['发现'], nextDirection: '方向' });
+    });
+
+    it('抓取被引页面，结果标记为citation来源并保留引用关系', async () => {
+      const input = citations();
+      const skippedUrls = [];
+      const round = await service.followCitations(input, 'topic', { roundNumber: 3, maxLength: 500, cache: 'bypass', skippedUrls });
+
+      expect(round).toMatchObject({ roundNumber: 3, type: 'citations', query: 'topic', screenshots: [], keyFindings: ['发现'], nextDirection: '方向' });
+      expect(round.results).toHaveLength(1);
+      expect(round.results[0]).toMatchObject({
+        source: 'citation',
+        title: 'Paper Y title',
+        url: 'https://paper.example.org/y',
+        snippet: 'The paper that introduced the model.',
+        content: '被引页面的正文',
+        relevanceScore: 1,
+        anchorText: 'Paper Y',
+        citedBy: [{ url: 'https://a.example.com/article', title: 'Article A' }]
+      });
+      expect(service.scrapePageContent).toHaveBeenCalledWith('https://paper.example.org/y', expect.objectContaining({ maxLength: 500, cache: 'bypass', skippedUrls }));
+      expect(service.analyzeRoundResults).toHaveBeenCalledWith(round.results, 'topic', 3);
+    });
+
+    it('屏蔽域名不抓取，按是否取得正文标记followed', async () => {
+      const input = citations();
+      await service.followCitations(input, 'topic', { roundNumber: 2 });
+
+      expect(service.scrapePageContent.mock.calls.map(([url]) => url)).toEqual(['https://paper.example.org/y', 'https://paper.example.org/x']);
+      expect(input.map(citation => citation.followed)).toEqual([true, false, false]);
+    });
+
+    it('没有取得任何正文时不分析', async () => {
+      const round = await service.followCitations(citations().slice(1), 'topic', { roundNumber: 2 });
+
+      expect(round.results).toEqual([]);
+      expect(round.keyFindings).toBeUndefined();
+      expect(service.analyzeRoundResults).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchMultipleSources', () => {
+    let requests;
+
+    beforeEach(() => {
+      requests = {};
+      config.search.diversity.maxPerDomain = 0;
+
+      const providers = new SearchProviderRegistry();
+      for (const [name, quotaShare] of [['alpha', 0.7], ['beta', 0.3]]) {
+        providers.register({
+          name,
+          quotaShare,
+          cacheTtl: 0,
+          create: () => ({
+            search: async (query, options) => {
+              requests[name] = options;
+              return Array.from({ length: options.maxResults }, (_, index) =>
+                makeResult(`${name}-${index + 1}`, { source: name }));
+            }
+          })
+        });
+      }
+      service.providers = providers;
+    });
+
+    it('按quotaShare分配各数据源的结果数，并传递通用参数和专有选项', async () => {
+      const providerMetadata = {};
+      const results = await service.searchMultipleSources('query', {
+        sources: ['alpha', 'beta'],
+        maxResults: 10,
+        language: 'en',
+        contentMaxLength: 500,
+        providerOptions: { alpha: { safeSearch: 'high' } },
+        providerMetadata
+      });
+
+      expect(requests.alpha).toMatchObject({ maxResults: 7, language: 'en', contentMaxLength: 500, safeSearch: 'high' });
+      expect(requests.beta).toMatchObject({ maxResults: 3, language: 'en', contentMaxLength: 500 });
+      expect(requests.beta).not.toHaveProperty('safeSearch');
+      expect(Object.keys(providerMetadata).sort()).toEqual(['alpha', 'beta']);
+      expect(results).toHaveLength(10);
+    });
+
+    it('记录各结果的原始排名，同一排名按数据源权重融合', async () => {
+      config.search.fusion.weights = { alpha: 1, beta: 2 };
+      config.search.diversity.lambda = 1;
+
+      const results = await service.searchMultipleSources('query', { sources: ['alpha', 'beta'], maxResults: 4 });
+
+      expect(results.map(result => result.title)).toEqual(['Result beta-1', 'Result beta-2', 'Result alpha-1', 'Result alpha-2']);
+      expect(results[0].providerRanks).toEqual({ beta: 1 });
+    });
+
+    it('忽略未注册的数据源，单个数据源失败不影响其他数据源', async () => {
+      service.providers.register({
+        name: 'broken',
+        cacheTtl: 0,
+        create: () => ({ search: async () => { throw new Error('quota exceeded'); } })
+      });
+
+      const results = await service.searchMultipleSources('query', { sources: ['alpha', 'broken', 'missing'], maxResults: 3 });
+
+      expect(results.map(result => result.source)).toEqual(['alpha', 'alpha']);
+    });
+
+    describe('时效性', () => {
+      beforeEach(() => {
+        config.search.diversity.lambda = 1;
+        service.providers.register({
+          name: 'dated',
+          cacheTtl: 0,
+          create: () => ({
+            search: async (query, options) => {
+              requests.dated = options;
+              return [
+                makeResult('old', { source: 'dated', publishedAt: new Date(Date.now() - 400 * DAY) }),
+                makeResult('undated', { source: 'dated', publishedAt: null }),
+                makeResult('fresh', { source: 'dated', publishedAt: new Date(Date.now() - DAY) })
+              ];
+            }
+          })
+        });
+      });
+
+      const search = async options => {
+        const results = await service.searchMultipleSources('query', { sources: ['dated'], maxResults: 3, ...options });
+        return results.map(result => result.title);
+      };
+
+      it('freshness传递给数据源', async () => {
+        await search({ freshness: 'week', freshnessMode: 'filter' });
+
+        expect(requests.dated.freshness).toBe('week');
+      });
+
+      it('boost模式下较新的结果排名提前，不移除旧结果', async () => {
+        expect(await search({ freshness: 'month' })).toEqual(['Result fresh', 'Result old', 'Result undated']);
+      });
+
+      it('filter模式下移除超出时间窗口的结果，不按发布时间加权', async () => {
+        expect(await search({ freshness: 'month', freshnessMode: 'filter' })).toEqual(['Result undated', 'Result fresh']);
+      });
+
+      it('freshness为any时两种模式都保持数据源的排序', async () => {
+        const expected = ['Result old', 'Result undated', 'Result fresh'];
+
+        expect(await search({ freshness: 'any' })).toEqual(expected);
+        expect(await search({ freshness: 'any', freshnessMode: 'filter' })).toEqual(expected);
+      });
+    });
+  });
+});
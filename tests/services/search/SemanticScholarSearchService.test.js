@@ -0,0 +1,138 @@
+const http = require('http');
+const SemanticScholarSearchService = require('../../../src/services/search/SemanticScholarSearchService');
+const RESPONSE = require('../../fixtures/papers/semanticscholar.json');
+
+/**
+ * 模拟Semantic Scholar Graph API：/paper/search 返回固定的JSON结果，
+ * query 为 "ratelimit" 时返回429，为 "broken" 时返回500
+ */
+function handleRequest(req, res, requests) {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+  requests.push({ path: url.pathname, params, headers: req.headers });
+
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (params.query === 'ratelimit') {
+    return send(429, { message: 'Too Many Requests. Please wait and try again or apply for a key for higher rate limits.' });
+  }
+  if (params.query === 'broken') {
+    return send(500, { message: 'Internal Server Error' });
+  }
+  send(200, RESPONSE);
+}
+
+describe('SemanticScholarSearchService', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/graph/v1`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    service = new SemanticScholarSearchService();
+    service.baseUrl = baseUrl;
+    service.apiKey = undefined;
+  });
+
+  describe('search', () => {
+    it('解析JSON结果，跳过没有地址的论文', async () => {
+      const results = await service.search('attention');
+
+      expect(results.map(result => result.title)).toEqual([
+        'Attention is All you Need',
+        'BERT: Pre-training of Deep Bidirectional Transformers for Language Understanding',
+        'A paper without metadata'
+      ]);
+      expect(results[0]).toMatchObject({
+        source: 'semanticscholar',
+        url: 'https://www.semanticscholar.org/paper/204e3073870fae3d05bcbc2f6a8e263d9b72e776',
+        content: RESPONSE.data[0].abstract,
+        snippet: RESPONSE.data[0].abstract.substring(0, 200),
+        relevanceScore: 0
+      });
+    });
+
+    it('映射作者、年份、期刊和DOI，没有开放PDF时使用arXiv的PDF地址', async () => {
+      const [paper] = await service.search('attention');
+
+      expect(paper.paper).toEqual({
+        authors: ['Ashish Vaswani', 'Noam M. Shazeer'],
+        venue: 'Neural Information Processing Systems',
+        year: 2017,
+        doi: '10.48550/arXiv.1706.03762',
+        pdfUrl: 'https://arxiv.org/pdf/1706.03762',
+        arxivId: '1706.03762'
+      });
+    });
+
+    it('没有摘要时使用TLDR，优先使用开放获取的PDF，空期刊为null', async () => {
+      const [, paper] = await service.search('attention');
+
+      expect(paper.content).toBe('A new language representation model, BERT.');
+      expect(paper.paper).toEqual({
+        authors: ['Jacob Devlin'],
+        venue: null,
+        year: 2019,
+        doi: '10.18653/v1/N19-1423',
+        pdfUrl: 'https://aclanthology.org/N19-1423.pdf',
+        arxivId: null
+      });
+    });
+
+    it('缺少的元数据为null或空值', async () => {
+      const [, , paper] = await service.search('attention');
+
+      expect(paper).toMatchObject({ content: '', snippet: '' });
+      expect(paper.paper).toEqual({ authors: [], venue: null, year: null, doi: null, pdfUrl: null, arxivId: null });
+    });
+
+    it('请求参数和密钥请求头，结果数不超过100', async () => {
+      await service.search('graph neural networks', { maxResults: 500 });
+      service.apiKey = 'test-key';
+      await service.search('graph neural networks', { maxResults: 3 });
+
+      expect(requests[0].path).toBe('/graph/v1/paper/search');
+      expect(requests[0].params).toEqual({ query: 'graph neural networks', limit: '100', fields: service.fields });
+      expect(requests[0].headers).not.toHaveProperty('x-api-key');
+      expect(requests[1].params.limit).toBe('3');
+      expect(requests[1].headers['x-api-key']).toBe('test-key');
+    });
+
+    it('429时提示超出频率限制，其他错误附带原因', async () => {
+      await expect(service.search('ratelimit')).rejects.toThrow('Semantic Scholar API rate limit exceeded');
+      await expect(service.search('broken')).rejects.toThrow(/^Semantic Scholar search failed: Request failed with status code 500/);
+    });
+  });
+
+  describe('parseSemanticScholarResults', () => {
+    it('没有data数组时返回空数组', () => {
+      expect(service.parseSemanticScholarResults({ total: 0 })).toEqual([]);
+      expect(service.parseSemanticScholarResults(null)).toEqual([]);
+    });
+  });
+
+  describe('healthCheck', () => {
+    it('接口可用时返回true，不可用时返回false', async () => {
+      expect(await service.healthCheck()).toBe(true);
+
+      service.baseUrl = 'http://127.0.0.1:1/graph/v1';
+      expect(await service.healthCheck()).toBe(false);
+    });
+  });
+});
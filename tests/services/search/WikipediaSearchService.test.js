@@ -0,0 +1,233 @@
+const http = require('http');
+const WikipediaSearchService = require('../../../src/services/search/WikipediaSearchService');
+
+const PAGES = [
+  { pageid: 101, title: '计算机', wikitext: "'''计算机'''是一种设备。\n\n== 历史 ==\n早期的计算设备。" },
+  { pageid: 102, title: '算盘', wikitext: "'''算盘'''是一种计算工具。\n\n== 结构 ==\n由框和珠组成。" },
+  { pageid: 103, title: '计算尺', wikitext: "'''计算尺'''是一种模拟计算机。\n\n== 原理 ==\n基于对数。" }
+];
+
+// 英文版本的页面，langlinks为跨语言链接（lllang=zh时返回）
+const EN_PAGES = [
+  { pageid: 201, title: 'Computer', langlinks: { zh: '计算机' } },
+  { pageid: 204, title: 'Calculator', langlinks: {} },
+  { pageid: 203, title: 'Slide rule', langlinks: { zh: '计算尺' } }
+];
+
+// 中文版本页面到英文版本的跨语言链接（lllang=en时返回），计算尺的链接不带url
+const ZH_LANGLINKS = {
+  101: { lang: 'en', url: 'https://en.wikipedia.org/wiki/Computer', '*': 'Computer' },
+  103: { lang: 'en', '*': 'Slide rule' }
+};
+
+/**
+ * 模拟MediaWiki API：路径的第一段为语言版本，en 返回英文页面，其余版本返回中文页面
+ * list=search 返回全部页面；prop 查询时每次只返回一个页面的wikitext，
+ * 其余页面通过 continue.rvcontinue 继续获取（与rvprop=content的实际分批行为一致）
+ */
+function handleRequest(req, res, requests) {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+  const language = url.pathname.split('/')[1];
+  requests.push({ path: url.pathname, params });
+
+  const send = body => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (language === 'en') {
+    return send(handleEnglishRequest(params));
+  }
+
+  if (params.list === 'search') {
+    return send({
+      query: {
+        search: PAGES.map(({ pageid, title }) => ({ pageid, title, snippet: `<span class="searchmatch">${title}</span>摘要` }))
+      }
+    });
+  }
+
+  const pageids = params.pageids.split('|').map(Number);
+  const index = params.rvcontinue ? parseInt(params.rvcontinue) : 0;
+  const pages = {};
+
+  for (const page of PAGES.filter(p => pageids.includes(p.pageid))) {
+    // 导言和页面信息在第一次请求时全部返回，之后的请求只返回revisions
+    pages[page.pageid] = index === 0
+      ? { pageid: page.pageid, title: page.title, extract: `${page.title}导言`, fullurl: `https://zh.wikipedia.org/wiki/${encodeURIComponent(page.title)}` }
+      : { pageid: page.pageid, title: page.title };
+
+    if (index === 0 && params.lllang === 'en' && ZH_LANGLINKS[page.pageid]) {
+      pages[page.pageid].langlinks = [ZH_LANGLINKS[page.pageid]];
+    }
+  }
+
+  if (params.rvprop === 'content') {
+    const page = PAGES[index];
+    pages[page.pageid].revisions = [{ slots: { main: { contentmodel: 'wikitext', '*': page.wikitext } } }];
+  }
+
+  const hasMore = params.rvprop === 'content' && index + 1 < pageids.length;
+  send({
+    ...(hasMore ? { continue: { rvcontinue: String(index + 1), continue: '||extracts|info' } } : { batchcomplete: '' }),
+    query: { pages }
+  });
+}
+
+/**
+ * 英文版本：一次返回全部页面的导言，lllang 指定时附带跨语言链接（不带url）
+ */
+function handleEnglishRequest(params) {
+  if (params.list === 'search') {
+    return { query: { search: EN_PAGES.map(({ pageid, title }) => ({ pageid, title, snippet: `${title} snippet` })) } };
+  }
+
+  const pages = {};
+  for (const page of EN_PAGES) {
+    pages[page.pageid] = {
+      pageid: page.pageid,
+      title: page.title,
+      extract: `${page.title} intro`,
+      fullurl: `https://en.wikipedia.org/wiki/${page.title.replace(/ /g, '_')}`
+    };
+    if (params.lllang && page.langlinks[params.lllang]) {
+      pages[page.pageid].langlinks = [{ lang: params.lllang, '*': page.langlinks[params.lllang] }];
+    }
+  }
+  return { batchcomplete: '', query: { pages } };
+}
+
+describe('WikipediaSearchService', () => {
+  let server;
+  let requests;
+  let service;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => handleRequest(req, res, requests));
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    service = new WikipediaSearchService();
+    service.apiUrlTemplate = `http://127.0.0.1:${server.address().port}/{lang}/w/api.php`;
+  });
+
+  it('按语言版本请求对应的API地址', async () => {
+    await service.search('计算', { maxResults: 3, language: 'zh-yue' });
+    expect(requests.every(({ path }) => path === '/zh-yue/w/api.php')).toBe(true);
+  });
+
+  it('导言模式只请求一次页面内容', async () => {
+    const results = await service.search('计算', { maxResults: 3 });
+
+    expect(results.map(result => result.content)).toEqual(['计算机导言', '算盘导言', '计算尺导言']);
+    expect(results[0]).toMatchObject({ source: 'wikipedia', language: 'zh', snippet: '计算机摘要' });
+    expect(requests.filter(({ params }) => params.prop)).toHaveLength(1);
+  });
+
+  it('完整条目按continue获取所有页面的wikitext', async () => {
+    const results = await service.search('计算', { maxResults: 3, fullArticle: true });
+
+    const contentRequests = requests.filter(({ params }) => params.prop);
+    expect(contentRequests.map(({ params }) => params.rvcontinue)).toEqual([undefined, '1', '2']);
+    expect(contentRequests[1].params.continue).toBe('||extracts|info');
+
+    expect(results).toHaveLength(3);
+    expect(results.map(result => result.sections.map(section => section.heading))).toEqual([
+      ['计算机', '历史'],
+      ['算盘', '结构'],
+      ['计算尺', '原理']
+    ]);
+    expect(results[2].content).toBe('计算尺是一种模拟计算机。\n\n## 原理\n基于对数。');
+    expect(results[2].url).toBe(`https://zh.wikipedia.org/wiki/${encodeURIComponent('计算尺')}`);
+  });
+
+  it('continue请求数不超过上限', async () => {
+    service.maxContinueRequests = 2;
+    const results = await service.search('计算', { maxResults: 3, fullArticle: true });
+
+    expect(requests.filter(({ params }) => params.prop)).toHaveLength(2);
+    expect(results.map(result => Boolean(result.sections))).toEqual([true, true, false]);
+  });
+
+  describe('语言版本', () => {
+    it('带地区的语言标签使用基础语言的版本', async () => {
+      await service.search('计算', { maxResults: 3, language: 'zh-TW' });
+      await service.search('computing', { maxResults: 3, language: 'en_US' });
+
+      const paths = [...new Set(requests.map(({ path }) => path))];
+      expect(paths).toEqual(['/zh/w/api.php', '/en/w/api.php']);
+    });
+
+    it('第二语言与主语言是同一版本时只查询一次', async () => {
+      await service.search('计算', { maxResults: 3, language: 'zh', secondaryLanguage: 'zh-hk' });
+
+      expect(requests.every(({ path }) => path === '/zh/w/api.php')).toBe(true);
+      expect(requests.some(({ params }) => params.lllang)).toBe(false);
+    });
+
+    it('不合法的语言标识抛出错误', async () => {
+      await expect(service.search('计算', { language: 'zh-TW!' })).rejects.toThrow('Unsupported Wikipedia language');
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('跨语言合并', () => {
+    it('请求对方语言的langlinks，并把跨语言链接相同的条目合并到主语言结果中', async () => {
+      const results = await service.search('计算', { maxResults: 5, language: 'zh', secondaryLanguage: 'en' });
+
+      const zhContent = requests.find(({ path, params }) => path.startsWith('/zh/') && params.prop);
+      const enContent = requests.find(({ path, params }) => path.startsWith('/en/') && params.prop);
+      expect(zhContent.params).toMatchObject({ lllang: 'en', llprop: 'url' });
+      expect(zhContent.params.prop.split('|')).toContain('langlinks');
+      expect(enContent.params.lllang).toBe('zh');
+
+      expect(results.map(result => `${result.language}:${result.title}`)).toEqual([
+        'zh:计算机', 'zh:算盘', 'zh:计算尺', 'en:Calculator'
+      ]);
+      expect(results[0].languageLinks).toEqual([
+        { language: 'en', title: 'Computer', url: 'https://en.wikipedia.org/wiki/Computer' }
+      ]);
+      // 主语言链接缺少url时使用次语言结果的地址
+      expect(results[2].languageLinks).toEqual([
+        { language: 'en', title: 'Slide rule', url: 'https://en.wikipedia.org/wiki/Slide_rule' }
+      ]);
+      expect(results[1].languageLinks).toEqual([]);
+    });
+
+    it('结果数不超过maxResults', async () => {
+      const results = await service.search('计算', { maxResults: 2, language: 'zh', secondaryLanguage: 'en' });
+      expect(results.map(result => result.title)).toEqual(['计算机', '算盘']);
+    });
+  });
+
+  describe('mergeLanguageEditions', () => {
+    const zh = (title, languageLinks = []) => ({ title, language: 'zh', url: `zh/${title}`, languageLinks });
+    const en = (title, languageLinks = []) => ({ title, language: 'en', url: `en/${title}`, languageLinks });
+
+    it('通过次语言结果指向主语言的链接识别同一条目', () => {
+      const merged = service.mergeLanguageEditions(
+        [zh('北京')],
+        [en('Beijing', [{ language: 'zh', title: '北京', url: null }])]
+      );
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0].languageLinks).toEqual([{ language: 'en', title: 'Beijing', url: 'en/Beijing' }]);
+    });
+
+    it('已有的链接保留原地址，不修改传入的结果', () => {
+      const primary = zh('北京', [{ language: 'en', title: 'Beijing', url: 'https://en.wikipedia.org/wiki/Beijing' }]);
+      const merged = service.mergeLanguageEditions([primary], [en('Beijing'), en('Shanghai')]);
+
+      expect(merged.map(result => result.title)).toEqual(['北京', 'Shanghai']);
+      expect(merged[0].languageLinks[0].url).toBe('https://en.wikipedia.org/wiki/Beijing');
+      expect(merged[0]).not.toBe(primary);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { idf, termFrequencyNorm, scoreDocuments } = require('../../src/utils/bm25');
+
+describe('idf', () => {
+  it('始终为正，包含该词的文档越少值越大', () => {
+    expect(idf(10, 10)).toBeGreaterThan(0);
+    expect(idf(10, 1)).toBeGreaterThan(idf(10, 5));
+  });
+});
+
+describe('termFrequencyNorm', () => {
+  it('随词频增加而饱和，不超过 k1 + 1', () => {
+    const one = termFrequencyNorm(1, 10, 10);
+    const ten = termFrequencyNorm(10, 10, 10);
+    const thousand = termFrequencyNorm(1000, 10, 10);
+
+    expect(ten).toBeGreaterThan(one);
+    expect(thousand).toBeGreaterThan(ten);
+    expect(thousand).toBeLessThan(1.2 + 1);
+  });
+
+  it('文档越长，相同词频的得分越低', () => {
+    expect(termFrequencyNorm(2, 5, 10)).toBeGreaterThan(termFrequencyNorm(2, 20, 10));
+  });
+});
+
+describe('scoreDocuments', () => {
+  const documents = [
+    { title: '深度学习简介', snippet: '神经网络的基本概念', content: '' },
+    { title: '今日天气', snippet: '晴转多云', content: '' },
+    { title: '深度学习与机器学习', snippet: '深度学习是机器学习的一个分支', content: '深度学习使用多层神经网络' },
+    { title: 'Deep learning', snippet: 'an introduction', content: '' }
+  ];
+
+  it('分数在 0 到 1 之间', () => {
+    const scores = scoreDocuments('深度学习 机器学习', documents);
+
+    expect(scores).toHaveLength(documents.length);
+    scores.forEach(score => {
+      expect(score).toBeGreaterThanOrEqual(0);
+      expect(score).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it('按相关性排序：命中更多查询词的文档得分更高，不相关的文档为 0', () => {
+    const [intro, weather, both, english] = scoreDocuments('深度学习 机器学习', documents);
+
+    expect(both).toBeGreaterThan(intro);
+    expect(intro).toBeGreaterThan(0);
+    expect(weather).toBe(0);
+    expect(english).toBe(0);
+  });
+
+  it('标题命中比摘要命中权重更高', () => {
+    const [titleHit, snippetHit] = scoreDocuments('区块链', [
+      { title: '区块链技术', snippet: '一种分布式账本', content: '' },
+      { title: '分布式账本技术', snippet: '区块链的介绍', content: '' }
+    ]);
+
+    expect(titleHit).toBeGreaterThan(snippetHit);
+  });
+
+  it('以查询的理论最高分归一化，而不是把最高分设为 1', () => {
+    const scores = scoreDocuments('深度学习 机器学习', documents);
+    expect(Math.max(...scores)).toBeLessThan(1);
+  });
+
+  it('分数在不同结果集之间可比：加入不相关文档后同一文档的得分基本不变', () => {
+    const alone = scoreDocuments('深度学习', [documents[2], documents[1]])[0];
+    const withMore = scoreDocuments('深度学习', [documents[2], documents[1], documents[3]])[0];
+
+    expect(alone).toBeGreaterThan(0);
+    expect(withMore).toBeGreaterThan(0);
+    expect(Math.abs(alone - withMore)).toBeLessThan(0.2);
+  });
+
+  it('支持自定义字段权重', () => {
+    const [score] = scoreDocuments('attention', [{ text: 'attention is all you need' }], { fields: { text: 1 } });
+    expect(score).toBeGreaterThan(0);
+  });
+
+  it('空查询或没有文档时全部为 0', () => {
+    expect(scoreDocuments('', documents)).toEqual([0, 0, 0, 0]);
+    expect(scoreDocuments('。，', documents)).toEqual([0, 0, 0, 0]);
+    expect(scoreDocuments('深度学习', [])).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+const { parseDate } = require('../../src/utils/date');
+
+describe('parseDate', () => {
+  it('ISO 8601带时区', () => {
+    expect(parseDate('2024-03-05T14:30:00+08:00')).toEqual(new Date('2024-03-05T06:30:00Z'));
+    expect(parseDate('2024-03-05T06:30:00.000Z')).toEqual(new Date('2024-03-05T06:30:00Z'));
+    expect(parseDate('2024-03-05T14:30:00+0800')).toEqual(new Date('2024-03-05T06:30:00Z'));
+  });
+
+  it('不带时区的ISO日期按UTC处理', () => {
+    expect(parseDate('2024-03-05T14:30:00')).toEqual(new Date('2024-03-05T14:30:00Z'));
+    expect(parseDate('2024-03-05')).toEqual(new Date('2024-03-05T00:00:00Z'));
+  });
+
+  it('RFC 2822', () => {
+    expect(parseDate('Tue, 05 Mar 2024 06:30:00 GMT')).toEqual(new Date('2024-03-05T06:30:00Z'));
+  });
+
+  it.each([
+    ['2024年3月5日', '2024-03-05T00:00:00Z'],
+    ['2024年03月05日', '2024-03-05T00:00:00Z'],
+    ['2024 年 3 月 5 日', '2024-03-05T00:00:00Z'],
+    ['2024年3月5号', '2024-03-05T00:00:00Z'],
+    ['2024年3月5日 14:30', '2024-03-05T14:30:00Z'],
+    ['2024年3月5日 14：30', '2024-03-05T14:30:00Z'],
+    ['2024年3月5日 14时30分', '2024-03-05T14:30:00Z'],
+    ['发布时间：2024年3月5日 来源：新华社', '2024-03-05T00:00:00Z']
+  ])('中文日期 %s', (text, expected) => {
+    expect(parseDate(text)).toEqual(new Date(expected));
+  });
+
+  it.each([
+    ['2024/3/5', '2024-03-05T00:00:00Z'],
+    ['2024.03.05', '2024-03-05T00:00:00Z'],
+    ['2024-03-05 14:30', '2024-03-05T14:30:00Z'],
+    ['2024-03-05 14:30:15', '2024-03-05T14:30:15Z']
+  ])('数字日期 %s', (text, expected) => {
+    expect(parseDate(text)).toEqual(new Date(expected));
+  });
+
+  it.each([
+    ['March 5, 2024', '2024-03-05T00:00:00Z'],
+    ['Mar. 5th 2024', '2024-03-05T00:00:00Z'],
+    ['Sept 30, 2023', '2023-09-30T00:00:00Z'],
+    ['5 March 2024', '2024-03-05T00:00:00Z'],
+    ['Published on 1st Feb, 2024', '2024-02-01T00:00:00Z']
+  ])('英文日期 %s', (text, expected) => {
+    expect(parseDate(text)).toEqual(new Date(expected));
+  });
+
+  it('不存在的日期返回null', () => {
+    expect(parseDate('2024年2月30日')).toBeNull();
+    expect(parseDate('2023-13-01')).toBeNull();
+  });
+
+  it('早于1990年或晚于明天的日期视为误识别', () => {
+    expect(parseDate('1989年12月31日')).toBeNull();
+    expect(parseDate(`${new Date().getUTCFullYear() + 1}-12-31`)).toBeNull();
+    expect(parseDate('2999-01-01T00:00:00Z')).toBeNull();
+  });
+
+  it('无法识别时返回null', () => {
+    expect(parseDate('')).toBeNull();
+    expect(parseDate(null)).toBeNull();
+    expect(parseDate('昨天下午')).toBeNull();
+    expect(parseDate('version 1.2.3')).toBeNull();
+  });
+});
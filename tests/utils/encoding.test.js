@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeCharset, detectCharset, decodeBuffer } = require('../../src/utils/encoding');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/encoding');
+
+// fixtures中的页面均以 <meta http-equiv="Content-Type"> 声明编码
+const fixtures = {
+  gbk: { buffer: fs.readFileSync(path.join(FIXTURES_DIR, 'gbk.html')), charset: 'gb18030', title: '国务院关于进一步优化营商环境的通知' },
+  big5: { buffer: fs.readFileSync(path.join(FIXTURES_DIR, 'big5.html')), charset: 'big5hkscs', title: '臺灣經濟發展的歷史與現況' },
+  shiftJis: { buffer: fs.readFileSync(path.join(FIXTURES_DIR, 'shift_jis.html')), charset: 'shift_jis', title: '日本の経済と社会について' }
+};
+
+/**
+ * 去掉页面中的 <meta> 编码声明（声明只含ASCII，按latin1处理不改变其余字节）
+ * @param {Buffer} buffer - 页面内容
+ * @returns {Buffer} 没有编码声明的页面
+ */
+function stripMeta(buffer) {
+  return Buffer.from(buffer.toString('latin1').replace(/<meta[^>]*>\n?/i, ''), 'latin1');
+}
+
+describe('normalizeCharset', () => {
+  it('按WHATWG标准合并编码别名', () => {
+    expect(normalizeCharset('GB2312')).toBe('gb18030');
+    expect(normalizeCharset('"gbk"')).toBe('gb18030');
+    expect(normalizeCharset('Big5')).toBe('big5hkscs');
+    expect(normalizeCharset('Shift-JIS')).toBe('shift_jis');
+    expect(normalizeCharset('ISO-8859-1')).toBe('windows-1252');
+  });
+
+  it('不支持的编码返回null', () => {
+    expect(normalizeCharset('x-unknown-charset')).toBeNull();
+    expect(normalizeCharset('')).toBeNull();
+  });
+});
+
+describe('detectCharset', () => {
+  it.each(Object.entries(fixtures))('从 <meta> 声明识别 %s 页面', (name, fixture) => {
+    expect(detectCharset(fixture.buffer, 'text/html')).toEqual({ charset: fixture.charset, source: 'meta' });
+  });
+
+  it('HTTP头的编码优先于 <meta> 声明', () => {
+    // GBK页面声明为gbk，HTTP头为GB18030（兼容GBK），以HTTP头为准
+    expect(detectCharset(fixtures.gbk.buffer, 'text/html; charset=GB18030')).toEqual({ charset: 'gb18030', source: 'header' });
+    expect(detectCharset(fixtures.shiftJis.buffer, 'text/html; charset=Shift_JIS')).toEqual({ charset: 'shift_jis', source: 'header' });
+  });
+
+  it('HTTP头为服务器默认的ISO-8859-1时以 <meta> 声明为准', () => {
+    expect(detectCharset(fixtures.big5.buffer, 'text/html; charset=ISO-8859-1')).toEqual({ charset: 'big5hkscs', source: 'meta' });
+  });
+
+  it('HTTP头错误地声明为UTF-8时忽略HTTP头', () => {
+    expect(detectCharset(fixtures.gbk.buffer, 'text/html; charset=utf-8')).toEqual({ charset: 'gb18030', source: 'meta' });
+  });
+
+  it('HTTP头和 <meta> 都错误地声明为UTF-8时按内容猜测', () => {
+    const buffer = Buffer.from(fixtures.gbk.buffer.toString('latin1').replace('charset=gbk', 'charset=utf-8'), 'latin1');
+    expect(detectCharset(buffer, 'text/html; charset=utf-8')).toEqual({ charset: 'gb18030', source: 'guess' });
+  });
+
+  it.each(Object.entries(fixtures))('没有任何声明时按内容猜测 %s 页面', (name, fixture) => {
+    expect(detectCharset(stripMeta(fixture.buffer), 'text/html')).toEqual({ charset: fixture.charset, source: 'guess' });
+  });
+
+  it('没有声明的合法UTF-8内容按UTF-8处理', () => {
+    expect(detectCharset(Buffer.from('<p>简体中文页面</p>'), 'text/html')).toEqual({ charset: 'utf-8', source: 'utf-8' });
+  });
+
+  it('字节顺序标记优先于其他声明', () => {
+    const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('<meta charset="gbk"><p>内容</p>')]);
+    expect(detectCharset(buffer, 'text/html; charset=big5')).toEqual({ charset: 'utf-8', source: 'bom' });
+  });
+});
+
+describe('decodeBuffer', () => {
+  it.each(Object.entries(fixtures))('正确解码 %s 页面', (name, fixture) => {
+    const html = decodeBuffer(fixture.buffer, 'text/html');
+    expect(html).toContain(`<title>${fixture.title}</title>`);
+    expect(html).not.toContain('�');
+  });
+
+  it('HTTP头声明错误时仍能正确解码', () => {
+    expect(decodeBuffer(fixtures.big5.buffer, 'text/html; charset=utf-8')).toContain(fixtures.big5.title);
+  });
+
+  it('没有声明时按猜测的编码解码', () => {
+    expect(decodeBuffer(stripMeta(fixtures.shiftJis.buffer), 'text/html')).toContain(fixtures.shiftJis.title);
+  });
+
+  it('去除UTF-8字节顺序标记', () => {
+    const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('内容')]);
+    expect(decodeBuffer(buffer)).toBe('内容');
+  });
+});
@@ -0,0 +1,58 @@
+const { LANGUAGE_PATTERN, detectLanguage, toWikipediaEdition } = require('../../src/utils/language');
+
+describe('toWikipediaEdition', () => {
+  it('普通语言代码原样使用，不区分大小写', () => {
+    expect(toWikipediaEdition('en')).toBe('en');
+    expect(toWikipediaEdition('ZH')).toBe('zh');
+    expect(toWikipediaEdition('ast')).toBe('ast');
+  });
+
+  it('带地区的语言标签取基础语言', () => {
+    expect(toWikipediaEdition('en-us')).toBe('en');
+    expect(toWikipediaEdition('zh-TW')).toBe('zh');
+    expect(toWikipediaEdition('pt_BR')).toBe('pt');
+    expect(toWikipediaEdition('zh-hant-hk')).toBe('zh');
+  });
+
+  it('带连字符的版本代码和simple原样保留', () => {
+    for (const edition of ['zh-yue', 'zh-min-nan', 'zh-classical', 'be-tarask', 'simple']) {
+      expect(toWikipediaEdition(edition)).toBe(edition);
+    }
+  });
+
+  it('标准代码映射为Wikipedia的版本代码', () => {
+    expect(toWikipediaEdition('yue')).toBe('zh-yue');
+    expect(toWikipediaEdition('yue-hk')).toBe('zh-yue');
+    expect(toWikipediaEdition('nan')).toBe('zh-min-nan');
+    expect(toWikipediaEdition('nb')).toBe('no');
+  });
+
+  it('auto和不合法的标识返回null', () => {
+    expect(toWikipediaEdition('auto')).toBeNull();
+    expect(toWikipediaEdition('english')).toBeNull();
+    expect(toWikipediaEdition('../zh')).toBeNull();
+    expect(toWikipediaEdition('')).toBeNull();
+    expect(toWikipediaEdition(undefined)).toBeNull();
+  });
+});
+
+describe('LANGUAGE_PATTERN', () => {
+  it('接受auto、simple和语言标签', () => {
+    for (const code of ['auto', 'simple', 'zh', 'en-us', 'zh-min-nan']) {
+      expect(LANGUAGE_PATTERN.test(code)).toBe(true);
+    }
+    for (const code of ['', 'e', 'english', 'zh_tw', 'zh-']) {
+      expect(LANGUAGE_PATTERN.test(code)).toBe(false);
+    }
+  });
+});
+
+describe('detectLanguage', () => {
+  it('按文字系统和特征字符推断语言', () => {
+    expect(detectLanguage('人工智能')).toBe('zh');
+    expect(detectLanguage('ひらがなと漢字')).toBe('ja');
+    expect(detectLanguage('Straße')).toBe('de');
+    expect(detectLanguage('machine learning')).toBe('en');
+    expect(detectLanguage('2024', 'zh')).toBe('zh');
+  });
+});
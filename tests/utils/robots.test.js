@@ -0,0 +1,195 @@
+const { parseRobots, getAgentRules, isPathAllowed } = require('../../src/utils/robots');
+
+/**
+ * 解析robots.txt并判断爬虫能否访问路径
+ * @param {string} text - robots.txt内容
+ * @param {string} agent - 爬虫名
+ * @param {string} path - 路径
+ * @returns {boolean} 是否允许
+ */
+function allowed(text, agent, path) {
+  return isPathAllowed(getAgentRules(parseRobots(text), agent).rules, path);
+}
+
+describe('parseRobots', () => {
+  it('连续的多行User-agent共享其后的规则（RFC 9309 2.2.1）', () => {
+    const robots = parseRobots([
+      'user-agent: a',
+      'disallow: /c',
+      '',
+      'user-agent: b',
+      'disallow: /d',
+      '',
+      'user-agent: e',
+      'user-agent: f',
+      'disallow: /g',
+      '',
+      'user-agent: h'
+    ].join('\n'));
+
+    expect(robots.groups).toEqual([
+      { agents: ['a'], rules: [{ allow: false, path: '/c' }], crawlDelay: null },
+      { agents: ['b'], rules: [{ allow: false, path: '/d' }], crawlDelay: null },
+      { agents: ['e', 'f'], rules: [{ allow: false, path: '/g' }], crawlDelay: null },
+      { agents: ['h'], rules: [], crawlDelay: null }
+    ]);
+  });
+
+  it('忽略注释、大小写不同的字段名和无法识别的行', () => {
+    const robots = parseRobots('# 注释\r\nUSER-AGENT: ExampleBot # 行尾注释\r\nDisallow: /private\r\nfoo bar\r\nUnknown: value\r\n');
+
+    expect(robots.groups).toEqual([
+      { agents: ['examplebot'], rules: [{ allow: false, path: '/private' }], crawlDelay: null }
+    ]);
+  });
+
+  it('空的Disallow表示不限制，User-agent之前的规则无效', () => {
+    const robots = parseRobots('Disallow: /\nUser-agent: *\nDisallow:\n');
+    expect(robots.groups).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+  });
+
+  it('读取Crawl-delay和Sitemap', () => {
+    const robots = parseRobots([
+      'Sitemap: https://example.com/sitemap.xml',
+      'User-agent: *',
+      'Crawl-delay: 2.5',
+      'Disallow: /tmp',
+      'Sitemap: https://example.com/news.xml'
+    ].join('\n'));
+
+    expect(robots.groups[0].crawlDelay).toBe(2.5);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml', 'https://example.com/news.xml']);
+  });
+
+  it('忽略无效的Crawl-delay', () => {
+    expect(parseRobots('User-agent: *\nCrawl-delay: soon\n').groups[0].crawlDelay).toBeNull();
+    expect(parseRobots('User-agent: *\nCrawl-delay: -1\n').groups[0].crawlDelay).toBeNull();
+  });
+
+  it('空内容没有任何分组', () => {
+    expect(parseRobots('')).toEqual({ groups: [], sitemaps: [] });
+    expect(parseRobots(undefined)).toEqual({ groups: [], sitemaps: [] });
+  });
+});
+
+describe('getAgentRules', () => {
+  const text = [
+    'User-agent: *',
+    'Disallow: /all',
+    'Crawl-delay: 1',
+    '',
+    'User-agent: ExampleBot',
+    'Disallow: /example',
+    'Crawl-delay: 3',
+    '',
+    'User-agent: OtherBot',
+    'User-agent: examplebot',
+    'Disallow: /shared',
+    'Crawl-delay: 5'
+  ].join('\n');
+
+  it('合并匹配爬虫名的所有分组（不区分大小写），Crawl-delay取最大值', () => {
+    expect(getAgentRules(parseRobots(text), 'ExampleBot')).toEqual({
+      rules: [{ allow: false, path: '/example' }, { allow: false, path: '/shared' }],
+      crawlDelay: 5
+    });
+  });
+
+  it('匹配爬虫名时不使用 * 分组', () => {
+    const { rules } = getAgentRules(parseRobots(text), 'otherbot');
+    expect(rules).toEqual([{ allow: false, path: '/shared' }]);
+  });
+
+  it('没有匹配的分组时使用 * 分组', () => {
+    expect(getAgentRules(parseRobots(text), 'UnknownBot')).toEqual({
+      rules: [{ allow: false, path: '/all' }],
+      crawlDelay: 1
+    });
+  });
+
+  it('没有任何适用分组时不限制', () => {
+    expect(getAgentRules(parseRobots('User-agent: ExampleBot\nDisallow: /\n'), 'OtherBot')).toEqual({ rules: [], crawlDelay: null });
+  });
+});
+
+describe('isPathAllowed', () => {
+  it('没有规则时允许', () => {
+    expect(isPathAllowed([], '/any')).toBe(true);
+  });
+
+  it('规则按路径前缀匹配', () => {
+    const rules = [{ allow: false, path: '/fish' }];
+
+    expect(isPathAllowed(rules, '/fish')).toBe(false);
+    expect(isPathAllowed(rules, '/fish.html')).toBe(false);
+    expect(isPathAllowed(rules, '/fish/salmon.html')).toBe(false);
+    expect(isPathAllowed(rules, '/fishheads?id=1')).toBe(false);
+    expect(isPathAllowed(rules, '/Fish.asp')).toBe(true);
+    expect(isPathAllowed(rules, '/catfish')).toBe(true);
+  });
+
+  it('最长匹配的规则生效（RFC 9309 5.2）', () => {
+    const rules = [
+      { allow: true, path: '/example/page/' },
+      { allow: false, path: '/example/page/disallowed.gif' },
+      { allow: false, path: '/example/' }
+    ];
+
+    expect(isPathAllowed(rules, '/example/page/')).toBe(true);
+    expect(isPathAllowed(rules, '/example/page/allowed.html')).toBe(true);
+    expect(isPathAllowed(rules, '/example/page/disallowed.gif')).toBe(false);
+    expect(isPathAllowed(rules, '/example/other')).toBe(false);
+  });
+
+  it('长度相同时Allow优先', () => {
+    expect(isPathAllowed([{ allow: false, path: '/page' }, { allow: true, path: '/page' }], '/page')).toBe(true);
+    expect(isPathAllowed([{ allow: true, path: '/page' }, { allow: false, path: '/page' }], '/page')).toBe(true);
+  });
+
+  it('支持 * 通配符', () => {
+    const rules = [{ allow: false, path: '/*.php' }, { allow: false, path: '/private*/data' }];
+
+    expect(isPathAllowed(rules, '/index.php')).toBe(false);
+    expect(isPathAllowed(rules, '/folder/any.php.file.html')).toBe(false);
+    expect(isPathAllowed(rules, '/filename.php?parameters')).toBe(false);
+    expect(isPathAllowed(rules, '/private-2024/data')).toBe(false);
+    expect(isPathAllowed(rules, '/windows.PHP')).toBe(true);
+    expect(isPathAllowed(rules, '/private/info')).toBe(true);
+  });
+
+  it('支持 $ 结尾锚定', () => {
+    const rules = [{ allow: false, path: '/*.php$' }];
+
+    expect(isPathAllowed(rules, '/filename.php')).toBe(false);
+    expect(isPathAllowed(rules, '/folder/filename.php')).toBe(false);
+    expect(isPathAllowed(rules, '/filename.php?parameters')).toBe(true);
+    expect(isPathAllowed(rules, '/filename.php5')).toBe(true);
+  });
+
+  it('正则特殊字符按字面匹配', () => {
+    const rules = [{ allow: false, path: '/search?q=a+b' }];
+
+    expect(isPathAllowed(rules, '/search?q=a+b&page=2')).toBe(false);
+    expect(isPathAllowed(rules, '/searchXq=a+b')).toBe(true);
+  });
+
+  it('百分号编码和未编码的非ASCII字符视为相同（RFC 9309 2.2.2）', () => {
+    expect(isPathAllowed([{ allow: false, path: '/foo/bar/ツ' }], '/foo/bar/%E3%83%84')).toBe(false);
+    expect(isPathAllowed([{ allow: false, path: '/foo/bar/%E3%83%84' }], '/foo/bar/ツ')).toBe(false);
+    expect(isPathAllowed([{ allow: false, path: '/foo/bar/%e3%83%84' }], '/foo/bar/%E3%83%84')).toBe(false);
+    expect(isPathAllowed([{ allow: false, path: '/新闻' }], '/%E6%96%B0%E9%97%BB/2024')).toBe(false);
+    expect(isPathAllowed([{ allow: false, path: '/emoji/😀' }], '/emoji/%F0%9F%98%80')).toBe(false);
+  });
+
+  it('/robots.txt 总是允许', () => {
+    expect(isPathAllowed([{ allow: false, path: '/' }], '/robots.txt')).toBe(true);
+  });
+
+  it('按爬虫选出的规则判断', () => {
+    const text = 'User-agent: *\nDisallow: /\n\nUser-agent: ExampleBot\nAllow: /public\nDisallow: /\n';
+
+    expect(allowed(text, 'ExampleBot', '/public/page')).toBe(true);
+    expect(allowed(text, 'ExampleBot', '/private')).toBe(false);
+    expect(allowed(text, 'OtherBot', '/public/page')).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { simhash, hammingDistance } = require('../../src/utils/simhash');
+
+// 与SearchService去重时的NEAR_DUPLICATE_DISTANCE一致
+const NEAR_DUPLICATE_DISTANCE = 5;
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/simhash', name), 'utf8');
+
+describe('hammingDistance', () => {
+  it('统计不同的位数', () => {
+    expect(hammingDistance(0n, 0n)).toBe(0);
+    expect(hammingDistance(0b1011n, 0b0010n)).toBe(2);
+    expect(hammingDistance((1n << 64n) - 1n, 0n)).toBe(64);
+  });
+});
+
+describe('simhash', () => {
+  const article = fixture('solar.txt');
+  const { hash, features } = simhash(article);
+
+  it('特征为相邻两个词组成的片段，结果为64位指纹', () => {
+    expect(features).toBeGreaterThanOrEqual(100);
+    expect(hash).toBeLessThan(1n << 64n);
+    expect(simhash('hello world').features).toBe(1);
+    expect(simhash('')).toEqual({ hash: 0n, features: 0 });
+  });
+
+  it('忽略大小写和标点', () => {
+    const variant = simhash(article.toUpperCase().replace(/[,.]/g, ' '));
+    expect(hammingDistance(hash, variant.hash)).toBe(0);
+  });
+
+  it('改动少数词并附加版权声明的转载在近似重复阈值内', () => {
+    const reprint = article
+      .replace('forty', 'forty-two')
+      .replace('Tuesday', 'Wednesday') + '\nRead more local news on our website. Copyright 2024 City Daily.';
+
+    expect(hammingDistance(hash, simhash(reprint).hash)).toBeLessThanOrEqual(NEAR_DUPLICATE_DISTANCE);
+  });
+
+  it('不同文章的距离远超阈值', () => {
+    const other = simhash(fixture('library.txt'));
+
+    expect(other.features).toBeGreaterThanOrEqual(100);
+    expect(hammingDistance(hash, other.hash)).toBeGreaterThan(NEAR_DUPLICATE_DISTANCE * 3);
+  });
+
+  it('只截取部分段落的版本不视为近似重复', () => {
+    const excerpt = article.split('\n\n').slice(0, 3).join('\n\n');
+    expect(hammingDistance(hash, simhash(excerpt).hash)).toBeGreaterThan(NEAR_DUPLICATE_DISTANCE);
+  });
+});
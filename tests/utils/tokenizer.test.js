@@ -0,0 +1,44 @@
+const { tokenize, containsCJK } = require('../../src/utils/tokenizer');
+
+describe('tokenize', () => {
+  it('中文按二元组切分', () => {
+    expect(tokenize('人工智能')).toEqual(['人工', '工智', '智能']);
+  });
+
+  it('单个汉字保留为一个词', () => {
+    expect(tokenize('猫')).toEqual(['猫']);
+    expect(tokenize('猫 和 狗')).toEqual(['猫', '和', '狗']);
+  });
+
+  it('标点分隔的中文片段分别切分，不跨越标点组成二元组', () => {
+    expect(tokenize('机器学习，深度')).toEqual(['机器', '器学', '学习', '深度']);
+  });
+
+  it('日文假名和韩文同样按二元组切分', () => {
+    expect(tokenize('すし')).toEqual(['すし']);
+    expect(tokenize('한국어')).toEqual(['한국', '국어']);
+  });
+
+  it('拉丁字母和数字按词切分并转为小写', () => {
+    expect(tokenize('GPT-4 Transformer Models')).toEqual(['gpt', '4', 'transformer', 'models']);
+  });
+
+  it('中英文混排时分别处理', () => {
+    expect(tokenize('OpenAI发布GPT模型')).toEqual(['openai', '发布', 'gpt', '模型']);
+  });
+
+  it('空输入返回空数组', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('containsCJK', () => {
+  it('判断是否包含中日韩文字', () => {
+    expect(containsCJK('hello 世界')).toBe(true);
+    expect(containsCJK('カタカナ')).toBe(true);
+    expect(containsCJK('hello world')).toBe(false);
+    expect(containsCJK(null)).toBe(false);
+  });
+});
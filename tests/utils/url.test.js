@@ -0,0 +1,45 @@
+const { canonicalizeUrl } = require('../../src/utils/url');
+
+describe('canonicalizeUrl', () => {
+  it('http统一为https，移除默认端口、片段、www.前缀和末尾斜杠', () => {
+    expect(canonicalizeUrl('http://www.Example.com:80/path/#intro')).toBe('https://example.com/path');
+    expect(canonicalizeUrl('https://example.com/')).toBe('https://example.com');
+  });
+
+  it('保留非默认端口', () => {
+    expect(canonicalizeUrl('https://example.com:8443/a')).toBe('https://example.com:8443/a');
+  });
+
+  it('移除跟踪参数（不区分大小写），其余参数按名称排序', () => {
+    expect(canonicalizeUrl('https://example.com/p?utm_source=x&b=2&a=1&fbclid=abc')).toBe('https://example.com/p?a=1&b=2');
+    expect(canonicalizeUrl('https://example.com/p?UTM_Campaign=x&hmsr=baidu&spm=1.2&gclid=1')).toBe('https://example.com/p');
+  });
+
+  it('不同写法的同一页面得到相同结果', () => {
+    const variants = [
+      'http://example.com/news/1',
+      'https://www.example.com/news/1/',
+      'https://example.com/news/1?utm_medium=social#comments',
+      'https://m.example.com/news/1'
+    ];
+
+    expect(new Set(variants.map(canonicalizeUrl))).toEqual(new Set(['https://example.com/news/1']));
+  });
+
+  it('移动版维基百科还原为桌面版', () => {
+    expect(canonicalizeUrl('https://zh.m.wikipedia.org/wiki/AI')).toBe('https://zh.wikipedia.org/wiki/AI');
+  });
+
+  it('AMP页面和AMP缓存地址还原为原始页面', () => {
+    expect(canonicalizeUrl('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/news/1/amp?utm_medium=s'))
+      .toBe('https://example.com/news/1');
+    expect(canonicalizeUrl('https://amp.example.com/news/1')).toBe('https://example.com/news/1');
+    expect(canonicalizeUrl('https://example.com/news/amp/1')).toBe('https://example.com/news/1');
+    expect(canonicalizeUrl('https://example.com/p?output=amp&id=3')).toBe('https://example.com/p?id=3');
+  });
+
+  it('非http(s)地址和无效地址原样返回', () => {
+    expect(canonicalizeUrl('file:///tmp/notes.md')).toBe('file:///tmp/notes.md');
+    expect(canonicalizeUrl('not a url')).toBe('not a url');
+  });
+});
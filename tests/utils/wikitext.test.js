@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArticle, extractSections, extractInfobox, extractReferences, toPlainText } = require('../../src/utils/wikitext');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/wikitext');
+
+// fixtures为截取改写的条目wikitext：中文条目含繁简转换标记、中文信息框和表格，英文条目含嵌套链接和重复引用
+const fixtures = {
+  zh: fs.readFileSync(path.join(FIXTURES_DIR, 'zh-computer.wikitext'), 'utf8'),
+  en: fs.readFileSync(path.join(FIXTURES_DIR, 'en-python.wikitext'), 'utf8')
+};
+
+describe('toPlainText', () => {
+  it('链接保留显示文本，删除文件和分类链接', () => {
+    expect(toPlainText('[[算盘]]和[[约翰·皮斯普·埃克特|埃克特]][[File:A.jpg|thumb|[[嵌套]]说明]][[Category:计算机]]')).toBe('算盘和埃克特');
+  });
+
+  it('外部链接保留说明文字，没有说明时删除', () => {
+    expect(toPlainText('见[https://example.com 官网]和[https://example.com/raw]。')).toBe('见官网和。');
+  });
+
+  it('删除注释、引用、表格和加粗标记', () => {
+    expect(toPlainText("'''粗体'''<!-- 注释 -->正文<ref>来源</ref><ref name=\"a\" />\n{|\n| 单元格\n|}")).toBe('粗体正文');
+  });
+
+  it('lang模板保留文本，日期模板转为日期，其余模板删除', () => {
+    expect(toPlainText('{{lang-en|Computer}} {{lang|ja|計算機}} {{start date|1946|2|14}} {{citation needed}}')).toBe('Computer 計算機 1946-02-14');
+  });
+
+  it('HTML实体和换行标签', () => {
+    expect(toPlainText('A&nbsp;&amp;&nbsp;B<br />&lt;C&gt;')).toBe('A & B\n<C>');
+  });
+
+  it('删除列表标记', () => {
+    expect(toPlainText('* 第一项\n# 第二项\n: 缩进')).toBe('第一项\n第二项\n缩进');
+  });
+
+  describe('繁简转换标记', () => {
+    it.each([
+      ['-{zh-hans:计算机;zh-hant:電腦}-', '计算机'],
+      ['-{zh-hant:電腦;zh-cn:计算机}-', '计算机'],
+      ['-{zh-tw:電腦;zh-hk:電腦}-', '電腦'],
+      ['-{ENIAC}-', 'ENIAC'],
+      ['-{A|zh-hans:软件;zh-hant:軟體}-', '软件'],
+      ['-{H|zh-hans:软件;zh-hant:軟體;}-', ''],
+      ['-{T|zh-hans:计算机;zh-hant:電腦}-', ''],
+      ['-{zh-hans:计算机=>zh-cn:计算机;}-', '计算机']
+    ])('%s 显示为 "%s"', (markup, expected) => {
+      expect(toPlainText(markup)).toBe(expected);
+    });
+
+    it('模板参数中的标记也能解析', () => {
+      expect(toPlainText('{{lang-en|-{zh-hans:计算机;zh-hant:電腦}-}}')).toBe('计算机');
+    });
+  });
+});
+
+describe('extractSections', () => {
+  it('按标题拆分章节，导言使用条目标题', () => {
+    const sections = extractSections(fixtures.zh, '计算机');
+
+    expect(sections.map(({ heading, level }) => [heading, level])).toEqual([
+      ['计算机', 1],
+      ['历史', 2],
+      ['现代计算机', 3]
+    ]);
+    expect(sections[0].text).toBe('计算机（Computer）是利用数字电子技术，根据一系列指令自动执行任意算术或逻辑操作的设备。\n\n第一台通用电子计算机ENIAC于1946年公开。');
+    expect(sections[1].text).toBe('早期的计算设备包括算盘和计算尺。');
+    expect(sections[2].text).toBe('个人计算机\n服务器');
+  });
+
+  it('省略没有正文的章节', () => {
+    expect(extractSections(fixtures.zh, '计算机').map(section => section.heading)).not.toContain('参考文献');
+  });
+
+  it('英文条目', () => {
+    const sections = extractSections(fixtures.en, 'Python');
+
+    expect(sections.map(section => section.heading)).toEqual(['Python', 'History', 'Syntax and semantics', 'Statements and control flow']);
+    expect(sections[0].text).toBe('Python is a high-level, general-purpose programming language. Its design emphasizes code readability with the use of significant indentation.');
+    expect(sections[2].text).toBe('Python uses whitespace indentation, rather than curly brackets, to delimit blocks. See PEP 8.');
+  });
+});
+
+describe('extractInfobox', () => {
+  it('识别中文信息框，字段值转为纯文本，忽略空字段和图片', () => {
+    expect(extractInfobox(fixtures.zh)).toEqual({
+      name: 'Infobox 信息框',
+      fields: {
+        名称: '计算机',
+        发明时间: '1946-02-14',
+        发明者: '约翰·莫奇利、埃克特',
+        用途: '计算 数据处理'
+      }
+    });
+  });
+
+  it('跳过信息框之前的其他模板，字段值中的 | 不拆分', () => {
+    expect(extractInfobox(fixtures.en)).toEqual({
+      name: 'Infobox programming language',
+      fields: {
+        name: 'Python',
+        paradigm: 'Multi-paradigm: object-oriented, procedural',
+        designer: 'Guido van Rossum',
+        released: '1991-02-20'
+      }
+    });
+  });
+
+  it('没有信息框或信息框未闭合时返回null', () => {
+    expect(extractInfobox('{{Short description|Test}} 正文')).toBeNull();
+    expect(extractInfobox('{{Infobox person | name = 未闭合')).toBeNull();
+  });
+});
+
+describe('extractReferences', () => {
+  it('解析cite模板和外部链接，重复使用的引用只保留一次', () => {
+    expect(extractReferences(fixtures.zh)).toEqual([
+      {
+        title: 'Computer',
+        url: 'https://www.britannica.com/technology/computer',
+        text: 'Computer. Encyclopædia Britannica. 2024-01-15'
+      },
+      {
+        title: 'ENIAC at Penn',
+        url: 'https://www.upenn.edu/eniac',
+        text: 'ENIAC at Penn'
+      }
+    ]);
+  });
+
+  it('内容相同的引用去重', () => {
+    const references = extractReferences(fixtures.en);
+
+    expect(references).toHaveLength(2);
+    expect(references[0]).toEqual({
+      title: 'General Python FAQ',
+      url: 'https://docs.python.org/3/faq/general.html',
+      text: 'General Python FAQ. Python Software Foundation'
+    });
+    expect(references[1]).toMatchObject({ title: 'Foreword for "Programming Python"', url: 'https://www.python.org/doc/essays/foreword/' });
+  });
+
+  it('没有链接的引用保留纯文本', () => {
+    expect(extractReferences('正文<ref>王小明：《计算机简史》，1999年。</ref>')).toEqual([
+      { title: null, url: null, text: '王小明：《计算机简史》，1999年。' }
+    ]);
+  });
+});
+
+describe('parseArticle', () => {
+  it('同时返回章节、信息框和参考文献', () => {
+    const article = parseArticle(fixtures.zh, '计算机');
+
+    expect(article.sections).toHaveLength(3);
+    expect(article.infobox.name).toBe('Infobox 信息框');
+    expect(article.references).toHaveLength(2);
+  });
+
+  it('空内容', () => {
+    expect(parseArticle('', '空')).toEqual({ sections: [], infobox: null, references: [] });
+  });
+});